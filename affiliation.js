@@ -0,0 +1,191 @@
+/** ======= DSO / chain affiliation =======
+ * Classifies a practice as `independent`, a DSO name, or `unknown` from its
+ * name, domain, site text ("a proud member of…", "supported by…") and leads it
+ * shares a domain, phone number or booking widget with. Every signal that
+ * contributed is returned as evidence.
+ */
+
+const DEFAULT_DSO_CATALOG = [
+  { name: 'Aspen Dental', aliases: [], domains: ['aspendental.com'] },
+  { name: 'Western Dental', aliases: ['Western Dental & Orthodontics'], domains: ['westerndental.com'] },
+  { name: 'Pacific Dental Services', aliases: ['Pacific Dental', 'PDS Health'], domains: ['pds.health', 'pacificdentalservices.com'] },
+  { name: 'Heartland Dental', aliases: [], domains: ['heartland.com'] },
+  { name: 'SmileDirectClub', aliases: ['Smile Direct Club'], domains: ['smiledirectclub.com'] },
+  { name: 'Ideal Dental', aliases: [], domains: ['idealdental.com'] },
+  { name: 'Bright Now! Dental', aliases: ['Bright Now Dental'], domains: ['brightnow.com'] },
+  { name: 'DentalWorks', aliases: [], domains: ['dentalworks.com'] },
+  { name: 'Affordable Dentures & Implants', aliases: ['Affordable Dentures'], domains: ['affordabledentures.com'] },
+  { name: 'ClearChoice', aliases: ['ClearChoice Dental Implant Center'], domains: ['clearchoice.com'] },
+  { name: 'Coast Dental', aliases: [], domains: ['coastdental.com'] },
+  { name: 'Great Expressions', aliases: ['Great Expressions Dental Centers'], domains: ['greatexpressions.com'] },
+  { name: 'Aspire Dental', aliases: [], domains: [] },
+  { name: 'Midwest Dental', aliases: [], domains: ['midwest-dental.com'] },
+  { name: 'InterDent', aliases: ['Gentle Dental'], domains: ['interdent.com'] },
+  { name: 'MB2 Dental', aliases: ['MB2 Dental Solutions'], domains: ['mb2dental.com'] },
+  { name: 'Dental Care Alliance', aliases: [], domains: ['dentalcarealliance.com'] }
+];
+
+const DSO_THRESHOLD = Number(process.env.AFFILIATION_THRESHOLD || 0.5);
+
+const W = { domain: 0.9, phrase: 0.7, phraseUncatalogued: 0.3, peer: 0.6, name: 0.5, nameUnconfirmed: 0.3, peerPhone: 0.4, mention: 0.2, group: 0.2 };
+
+// "a proud member of the X family", "supported by X", "an affiliate of X"…
+const AFFILIATION_PHRASES = /\b(?:(?:[Mm]ember|[Pp]art|[Aa]ffiliate) of(?: the)?|[Ss]upported by|[Aa]ffiliated with|[Ii]n partnership with|[Mm]anaged by)\s+([A-Z][\w&'!-]*(?:\s+(?:&\s+)?[A-Z][\w&'!-]*){0,4})/g;
+
+const PHRASE_NOISE = /^(the|our|your|american|academy|association|ada|chamber|better|invisalign|bbb)\b/i;
+
+// Professional bodies, schools and insurance networks practices belong to without being owned
+const NOT_A_DSO = /\b(association|society|academy|college|university|school|institute|board|council|foundation|alliance of|ppo|hmo|insurance|plans?|network|patients?|community)\b/i;
+
+const isDso = (affiliation) => !!affiliation && affiliation !== 'independent' && affiliation !== 'unknown';
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const brandRe = (brand) => new RegExp(`(^|[^a-z0-9])${escapeRe(brand.toLowerCase())}($|[^a-z0-9])`);
+const brandsOf = (entry) => [entry.name, ...(entry.aliases || [])].filter(Boolean);
+
+/** Catalog names match case- and spacing-insensitively ("aspen  dental" is Aspen Dental) */
+const catalogKey = (name) => String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+/** Stored catalog rows override defaults by name; `active: false` removes an entry */
+function mergeCatalog(defaults = DEFAULT_DSO_CATALOG, rows = []) {
+  const out = new Map(defaults.map(e => [catalogKey(e.name), { ...e, source: 'default' }]));
+  for (const r of rows || []) {
+    const key = catalogKey(r.name);
+    if (!key) continue;
+    if (r.active === false) { out.delete(key); continue; }
+    out.set(key, { name: r.name, aliases: r.aliases || [], domains: (r.domains || []).map(d => d.toLowerCase()), source: 'custom' });
+  }
+  return [...out.values()];
+}
+
+/** Validate a catalog PUT body; throws with a message routes can 400 on. `name_key` is the unique column */
+function catalogEntry(name, body = {}) {
+  const list = (v, field) => {
+    if (v === undefined) return [];
+    if (!Array.isArray(v) || v.some(x => typeof x !== 'string' || !x.trim())) throw new Error(`${field} must be an array of non-empty strings`);
+    return [...new Set(v.map(x => x.trim()))];
+  };
+  if (!name || !String(name).trim()) throw new Error('name is required');
+  if (body.active !== undefined && typeof body.active !== 'boolean') throw new Error('active must be a boolean');
+  return {
+    name: String(name).trim().replace(/\s+/g, ' '),
+    name_key: catalogKey(name),
+    aliases: list(body.aliases, 'aliases'),
+    domains: list(body.domains, 'domains').map(d => d.toLowerCase().replace(/^www\./, '')),
+    active: body.active ?? true
+  };
+}
+
+/** Scheduling widget URLs (host + path) — practices sharing one belong to the same group */
+function bookingKeys(vendors = []) {
+  const keys = new Set();
+  for (const v of vendors) {
+    if (v.category !== 'scheduling') continue;
+    for (const e of v.evidence || []) {
+      try {
+        const u = new URL(e.value.startsWith('//') ? `https:${e.value}` : e.value);
+        const path = u.pathname.replace(/\.js$/i, '').replace(/\/+$/, '');
+        if (path) keys.add(`${u.hostname.replace(/^www\./, '')}${path}`.toLowerCase());
+      } catch { /* relative or malformed */ }
+    }
+  }
+  return [...keys];
+}
+
+/** Affiliation claims in site text, e.g. "Supported by Heartland Dental" → Heartland Dental */
+function affiliationPhrases(text = '') {
+  const out = [];
+  for (const m of String(text).matchAll(AFFILIATION_PHRASES)) {
+    const org = m[1].replace(/\s+(family|network|team)$/i, '').trim();
+    if (!org || PHRASE_NOISE.test(org)) continue;
+    out.push({ org, quote: m[0].slice(0, 160) });
+  }
+  return out;
+}
+
+/**
+ * @param lead    { name, domain }
+ * @param site    { text, pages: [{ url, text }] } from the crawl (may be empty)
+ * @param peers   other leads sharing domain/phone/booking: [{ id, name, affiliation, shared: ['domain'|'phone'|'booking'] }]
+ * @returns { affiliation, dso, confidence, evidence: [{ signal, detail, weight, source? }] }
+ */
+function classifyAffiliation(lead = {}, site = {}, peers = [], catalog = DEFAULT_DSO_CATALOG) {
+  const evidence = [];
+  const scores = new Map();
+  const add = (dso, signal, weight, detail, source = null) => {
+    scores.set(dso, (scores.get(dso) || 0) + weight);
+    evidence.push({ signal, dso, detail, weight, ...(source ? { source } : {}) });
+  };
+
+  const name = String(lead.name || '').toLowerCase();
+  const domain = String(lead.domain || '').toLowerCase();
+  const pages = (site.pages || []).filter(p => p.text);
+  const text = site.text || pages.map(p => p.text).join('\n');
+  // the practice's own name on its site isn't a brand mention ("Gold Coast Dental" ≠ Coast Dental)
+  const withoutName = (t) => (name ? t.toLowerCase().split(name).join(' ') : t.toLowerCase());
+  const lowText = withoutName(text);
+
+  for (const entry of catalog) {
+    const brands = brandsOf(entry);
+    if (domain && (entry.domains || []).some(d => domain === d || domain.endsWith(`.${d}`))) {
+      add(entry.name, 'domain', W.domain, domain);
+    }
+    // brand leading the place name ("Aspen Dental - Austin"), not buried in it ("Gold Coast Dental")
+    const nameHit = brands.find(b => name.replace(/^the\s+/, '').startsWith(b.toLowerCase()) && brandRe(b).test(name));
+    const mention = brands.find(b => brandRe(b).test(lowText));
+    if (nameHit) {
+      const confirmed = !text || mention || scores.has(entry.name);
+      add(entry.name, 'name', confirmed ? W.name : W.nameUnconfirmed, lead.name);
+    }
+    if (mention) {
+      const page = pages.find(p => brandRe(mention).test(withoutName(p.text)));
+      add(entry.name, 'site_mention', W.mention, mention, page?.url);
+    }
+  }
+
+  // an uncatalogued name is only a hint (once per name): it takes a second signal to call it a DSO
+  const uncatalogued = new Set();
+  for (const { org, quote } of affiliationPhrases(text)) {
+    const entry = catalog.find(e => brandsOf(e).some(b => b.toLowerCase() === org.toLowerCase() || brandRe(b).test(org.toLowerCase())));
+    const page = pages.find(p => p.text.includes(quote));
+    if (entry) add(entry.name, 'site_phrase', W.phrase, quote, page?.url);
+    else if (!NOT_A_DSO.test(org) && !uncatalogued.has(org.toLowerCase())) {
+      uncatalogued.add(org.toLowerCase());
+      add(org, 'site_phrase_uncatalogued', W.phraseUncatalogued, quote, page?.url);
+    }
+  }
+
+  for (const p of peers) {
+    if (!isDso(p.affiliation)) continue;
+    const strong = p.shared.includes('domain') || p.shared.includes('booking');
+    add(p.affiliation, `shared_${p.shared.join('_')}`, strong ? W.peer : W.peerPhone, `${p.name || p.id} (${p.affiliation})`);
+  }
+
+  const groupSize = peers.filter(p => p.shared.includes('domain') || p.shared.includes('booking')).length;
+  if (groupSize) {
+    evidence.push({ signal: 'group', dso: null, detail: `${groupSize} other location(s) share a domain or booking widget`, weight: 0 });
+    // other locations on the same site back up an uncatalogued claim
+    for (const e of evidence.filter(x => x.signal === 'site_phrase_uncatalogued')) add(e.dso, 'group_backed', W.group, e.dso);
+  }
+
+  let best = null;
+  for (const [dso, score] of scores) if (!best || score > best.score) best = { dso, score };
+
+  if (best && best.score >= DSO_THRESHOLD) {
+    return { affiliation: best.dso, dso: best.dso, confidence: Math.min(0.99, +best.score.toFixed(2)), evidence };
+  }
+  // Nothing points at a DSO: with a crawled site that's an independent, without one we can't tell
+  if (!text || best) return { affiliation: 'unknown', dso: null, confidence: best ? +best.score.toFixed(2) : 0, evidence };
+  return { affiliation: 'independent', dso: null, confidence: groupSize ? 0.5 : 0.7, evidence };
+}
+
+module.exports = {
+  DEFAULT_DSO_CATALOG,
+  catalogKey,
+  mergeCatalog,
+  catalogEntry,
+  bookingKeys,
+  affiliationPhrases,
+  classifyAffiliation,
+  isDso
+};
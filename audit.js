@@ -0,0 +1,104 @@
+/** ======= Website digital-maturity audit =======
+ * Signals from the homepage's HTTP response and markup that keyword detection
+ * misses: HTTPS and redirects, speed and weight, mobile viewport, the latest
+ * copyright year, schema.org Dentist data, favicon / Open Graph tags and the
+ * site builder. siteQualityScore() turns them into a 0–100 subscore.
+ */
+const { fingerprintHtml } = require('./fingerprint');
+
+const META_TAGS = /<meta\b[^>]*>/gi;
+const attr = (tag, name) => (tag.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`, 'i')) || [])[1] ?? null;
+
+function metaContent(html, key) {
+  for (const [tag] of html.matchAll(META_TAGS)) {
+    if ((attr(tag, 'name') || attr(tag, 'property') || '').toLowerCase() === key) return attr(tag, 'content');
+  }
+  return null;
+}
+
+/** Latest year in a "© 2016" / "Copyright 2012-2019" / "&copy; 2021" notice */
+function copyrightYear(html, now = new Date()) {
+  const text = html.replace(/&copy;|&#169;|&#xa9;/gi, '©');
+  const max = now.getFullYear() + 1;
+  let latest = null;
+  for (const m of text.matchAll(/(?:©|\bcopyright\b)[^<\d]{0,40}((?:19|20)\d{2})(?:\s*[-–]\s*((?:19|20)\d{2}))?/gi)) {
+    const year = Number(m[2] || m[1]);
+    if (year <= max && (!latest || year > latest)) latest = year;
+  }
+  return latest;
+}
+
+const DENTAL_TYPES = ['dentist', 'dentalclinic', 'medicalclinic', 'medicalbusiness'];
+
+/** schema.org types from JSON-LD (including @graph) and microdata itemtype */
+function schemaTypes(html) {
+  const types = new Set();
+  const walk = (node) => {
+    if (!node || typeof node !== 'object') return;
+    if (Array.isArray(node)) return node.forEach(walk);
+    for (const t of [].concat(node['@type'] || [])) types.add(String(t));
+    if (node['@graph']) walk(node['@graph']);
+  };
+  for (const m of html.matchAll(/<script\b[^>]*type\s*=\s*["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi)) {
+    try { walk(JSON.parse(m[1])); } catch { /* malformed JSON-LD counts as none */ }
+  }
+  for (const m of html.matchAll(/itemtype\s*=\s*["']https?:\/\/schema\.org\/([A-Za-z]+)["']/gi)) types.add(m[1]);
+  return [...types];
+}
+
+/**
+ * @param page   fetchPage() result for the homepage
+ * @param probe  fetchPage() result for the http:// URL (does plain HTTP upgrade?)
+ */
+function auditSite(page, probe = null, { now = new Date() } = {}) {
+  if (!page) return { reachable: false };
+  const html = page.html || '';
+  const viewport = metaContent(html, 'viewport');
+  const types = schemaTypes(html);
+  const builders = fingerprintHtml(html, page.finalUrl).filter(v => v.category === 'website_builder').map(v => v.vendor);
+
+  return {
+    reachable: page.status < 400 && !!html,
+    status: page.status,
+    final_url: page.finalUrl,
+    https: /^https:/i.test(page.finalUrl || ''),
+    http_redirects_to_https: probe ? /^https:/i.test(probe.finalUrl || '') : null,
+    redirect_count: page.redirects.length,
+    redirects: page.redirects,
+    response_ms: page.elapsedMs,
+    page_bytes: page.bytes,
+    resource_count: (html.match(/<(?:script|img|iframe)\b[^>]*\bsrc\s*=|<link\b[^>]*rel\s*=\s*["']stylesheet["']/gi) || []).length,
+    has_viewport: !!viewport && /width\s*=\s*device-width/i.test(viewport),
+    copyright_year: copyrightYear(html, now),
+    schema_types: types,
+    has_dentist_schema: types.some(t => DENTAL_TYPES.includes(t.toLowerCase())),
+    has_favicon: /<link\b[^>]*rel\s*=\s*["'][^"']*\b(?:icon|apple-touch-icon)\b[^"']*["']/i.test(html),
+    has_open_graph: !!(metaContent(html, 'og:title') || metaContent(html, 'og:image')),
+    cms: builders[0] || null,
+    generator: metaContent(html, 'generator')
+  };
+}
+
+/** [check, points] — sums to 100 */
+const SITE_POINTS = [
+  [(a) => a.https, 20],
+  [(a) => a.http_redirects_to_https !== false && a.https, 5],
+  [(a) => a.has_viewport, 20],
+  [(a, year) => a.copyright_year != null && a.copyright_year >= year - 1, 15],
+  [(a, year) => a.copyright_year != null && a.copyright_year < year - 1 && a.copyright_year >= year - 3, 8],
+  [(a) => a.response_ms != null && a.response_ms < 1500, 10],
+  [(a) => a.response_ms != null && a.response_ms >= 1500 && a.response_ms < 3000, 5],
+  [(a) => a.page_bytes != null && a.page_bytes < 300 * 1024, 5],
+  [(a) => a.has_dentist_schema, 10],
+  [(a) => a.has_favicon, 5],
+  [(a) => a.has_open_graph, 10]
+];
+
+/** 0–100 website quality; null when the site couldn't be audited */
+function siteQualityScore(audit, { now = new Date() } = {}) {
+  if (!audit?.reachable) return null;
+  const year = now.getFullYear();
+  return SITE_POINTS.reduce((sum, [check, pts]) => sum + (check(audit, year) ? pts : 0), 0);
+}
+
+module.exports = { auditSite, siteQualityScore, copyrightYear, schemaTypes };
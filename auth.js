@@ -0,0 +1,104 @@
+/** ======= API authentication and roles =======
+ * Callers send `Authorization: Bearer <token>` (or `x-api-key`). A token is one of:
+ *   - ADMIN_API_KEY from env (bootstrap admin, used to mint the rest)
+ *   - an HS256 JWT signed with JWT_SECRET: { sub, role, rep_id?, exp? }
+ *   - an API key from the api_keys table (only its sha256 is stored)
+ * Roles: admin (everything), manager (everything but keys and debug), rep
+ * (their own leads only; see ACCESS).
+ */
+const crypto = require('crypto');
+
+const ROLES = ['admin', 'manager', 'rep'];
+
+const ALL = ROLES;
+const STAFF = ['admin', 'manager'];
+
+/** [method, path pattern, roles] — first match wins; anything unlisted is STAFF-only */
+const ACCESS = [
+  ['GET', /^\/api\/health$/, null],
+  ['*', /^\/api\/apify\/webhook$/, null], // authenticated by its per-run secret
+  ['*', /^\/api\/api-keys(\/|$)/, ['admin']],
+  ['GET', /^\/api\/debug\//, ['admin']],
+  ['GET', /^\/api\/me$/, ALL],
+  ['GET', /^\/api\/leads(\/export)?$/, ALL],
+  ['GET', /^\/api\/leads\/[^/]+(\/(reviews|market|outreach|audit))?$/, ALL],
+  ['POST', /^\/api\/leads\/[^/]+\/(outreach|notes)$/, ALL],
+  ['PATCH', /^\/api\/leads\/[^/]+\/pipeline$/, ALL],
+  ['GET', /^\/api\/outreach-templates(\/[^/]+)?$/, ALL]
+];
+
+/** Roles allowed on a route, or null for public routes */
+function rolesFor(method, path) {
+  const hit = ACCESS.find(([m, re]) => (m === '*' || m === method) && re.test(path));
+  return hit ? hit[2] : STAFF;
+}
+
+const hashKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+const generateKey = () => `dle_${crypto.randomBytes(24).toString('base64url')}`;
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+const b64json = (obj) => Buffer.from(JSON.stringify(obj)).toString('base64url');
+
+function signJwt(claims, secret) {
+  const head = `${b64json({ alg: 'HS256', typ: 'JWT' })}.${b64json(claims)}`;
+  return `${head}.${crypto.createHmac('sha256', secret).update(head).digest('base64url')}`;
+}
+
+/** Verified claims of an HS256 token; throws on a bad signature, algorithm or expiry */
+function verifyJwt(token, secret, now = Date.now()) {
+  const [h, p, sig] = String(token).split('.');
+  if (!h || !p || !sig) throw new Error('malformed token');
+  const header = JSON.parse(Buffer.from(h, 'base64url').toString());
+  if (header.alg !== 'HS256') throw new Error('unsupported token algorithm');
+  const expected = crypto.createHmac('sha256', secret).update(`${h}.${p}`).digest('base64url');
+  if (!safeEqual(sig, expected)) throw new Error('bad token signature');
+  const claims = JSON.parse(Buffer.from(p, 'base64url').toString());
+  const secs = Math.floor(now / 1000);
+  if (claims.exp != null && secs >= claims.exp) throw new Error('token expired');
+  if (claims.nbf != null && secs < claims.nbf) throw new Error('token not yet valid');
+  return claims;
+}
+
+/** A principal is usable when its role is known and reps are tied to a rep record */
+function principal({ role, repId = null, name = null, keyId = null, via }) {
+  if (!ROLES.includes(role)) return null;
+  if (role === 'rep' && !repId) return null;
+  return { role, repId, name, keyId, via };
+}
+
+/**
+ * @param findKey async (sha256 hex) → api_keys row or null
+ * @returns async (token) → principal or null
+ */
+function createAuthenticator({ findKey, env = process.env }) {
+  return async (token) => {
+    if (!token) return null;
+    if (env.ADMIN_API_KEY && safeEqual(token, env.ADMIN_API_KEY)) return principal({ role: 'admin', name: 'admin (env)', via: 'env' });
+
+    if (env.JWT_SECRET && token.split('.').length === 3) {
+      try {
+        const c = verifyJwt(token, env.JWT_SECRET);
+        return principal({ role: c.role, repId: c.rep_id || null, name: c.sub || null, via: 'jwt' });
+      } catch {
+        return null;
+      }
+    }
+
+    const row = await findKey(hashKey(token));
+    if (!row || row.active === false) return null;
+    return principal({ role: row.role, repId: row.rep_id || null, name: row.name, keyId: row.id, via: 'api_key' });
+  };
+}
+
+function tokenFrom(req) {
+  const header = req.get('authorization') || '';
+  const m = header.match(/^Bearer\s+(.+)$/i);
+  return m ? m[1].trim() : (req.get('x-api-key') || null);
+}
+
+module.exports = { ROLES, ACCESS, rolesFor, hashKey, generateKey, signJwt, verifyJwt, createAuthenticator, tokenFrom, safeEqual };
@@ -0,0 +1,87 @@
+/** ======= Spend budgets: per run and per UTC day =======
+ * Limits on actor runs, LLM tokens, LLM dollars and Sonnet escalations; null
+ * means unlimited. A run's limits are /api/generate `budget` over the
+ * RUN_BUDGET_* env defaults, the daily ones DAILY_BUDGET_*. They are checked
+ * before each paid stage, so concurrent jobs can overshoot by a stage each.
+ */
+const { estimateLlmCostUsd } = require('./llm');
+
+const BUDGET_LIMITS = ['actorRuns', 'llmTokens', 'llmUsd', 'sonnetEscalations'];
+
+const ENV_NAMES = { actorRuns: 'ACTOR_RUNS', llmTokens: 'LLM_TOKENS', llmUsd: 'LLM_USD', sonnetEscalations: 'SONNET_ESCALATIONS' };
+
+const SPEND_KEYS = ['actorRuns', 'actorUsd', 'llmInputTokens', 'llmOutputTokens', 'llmTokens', 'llmUsd', 'sonnetEscalations'];
+
+function limitValue(v, name) {
+  if (v == null || v === '') return null;
+  const n = Number(v);
+  if (!Number.isFinite(n) || n < 0) throw new Error(`${name} must be a non-negative number or null`);
+  return n;
+}
+
+function envBudget(prefix, env) {
+  return Object.fromEntries(BUDGET_LIMITS.map(k => [k, limitValue(env[`${prefix}_${ENV_NAMES[k]}`], `${prefix}_${ENV_NAMES[k]}`)]));
+}
+
+/** A run's limits: the request's `budget` over RUN_BUDGET_*; throws with a message routes can 400 on */
+function runBudget(input = {}, env = process.env) {
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) throw new Error('budget must be an object');
+  const unknown = Object.keys(input).filter(k => !BUDGET_LIMITS.includes(k));
+  if (unknown.length) throw new Error(`unknown budget limit: ${unknown.join(', ')} (allowed: ${BUDGET_LIMITS.join(', ')})`);
+  const budget = envBudget('RUN_BUDGET', env);
+  for (const k of BUDGET_LIMITS) if (input[k] !== undefined) budget[k] = limitValue(input[k], `budget.${k}`);
+  return budget;
+}
+
+const dailyBudget = (env = process.env) => envBudget('DAILY_BUDGET', env);
+
+const emptySpend = () => Object.fromEntries(SPEND_KEYS.map(k => [k, 0]));
+
+/** Spend from a stage's usage: { actorRuns, actorUsd, llm: [{ model, input_tokens, output_tokens }], escalations } */
+function spendOf(usage = {}) {
+  const llm = usage.llm || [];
+  const input = llm.reduce((s, u) => s + (u.input_tokens || 0), 0);
+  const output = llm.reduce((s, u) => s + (u.output_tokens || 0), 0);
+  return {
+    actorRuns: usage.actorRuns || 0,
+    actorUsd: Number(usage.actorUsd) || 0,
+    llmInputTokens: input,
+    llmOutputTokens: output,
+    llmTokens: input + output,
+    llmUsd: estimateLlmCostUsd(llm),
+    sonnetEscalations: usage.escalations || 0
+  };
+}
+
+function addSpend(a = {}, b = {}) {
+  return Object.fromEntries(SPEND_KEYS.map(k => [k, (a[k] || 0) + (b[k] || 0)]));
+}
+
+/** The limits among `keys` that `spent` has already reached */
+function exhausted(budget = {}, spent = {}, keys = BUDGET_LIMITS) {
+  return keys.filter(k => budget[k] != null && (spent[k] || 0) >= budget[k]);
+}
+
+/** lead_usage row ⇄ spend */
+const usageRow = (s) => ({
+  actor_runs: s.actorRuns,
+  actor_usd: +s.actorUsd.toFixed(6),
+  llm_input_tokens: s.llmInputTokens,
+  llm_output_tokens: s.llmOutputTokens,
+  llm_usd: +s.llmUsd.toFixed(6),
+  sonnet_escalations: s.sonnetEscalations
+});
+
+const spendFromRow = (r) => ({
+  actorRuns: r.actor_runs || 0,
+  actorUsd: Number(r.actor_usd) || 0,
+  llmInputTokens: r.llm_input_tokens || 0,
+  llmOutputTokens: r.llm_output_tokens || 0,
+  llmTokens: (r.llm_input_tokens || 0) + (r.llm_output_tokens || 0),
+  llmUsd: Number(r.llm_usd) || 0,
+  sonnetEscalations: r.sonnet_escalations || 0
+});
+
+const dayKey = (d = new Date()) => d.toISOString().slice(0, 10);
+
+module.exports = { BUDGET_LIMITS, runBudget, dailyBudget, emptySpend, spendOf, addSpend, exhausted, usageRow, spendFromRow, dayKey };
@@ -0,0 +1,47 @@
+/** ======= Enrichment cache (enrichment_cache table) =======
+ * Rows are keyed by (domain, content_hash, stage). The hash is taken over the
+ * locally crawled site text + fingerprinted vendors, so an unchanged site reuses
+ * earlier RAG, deep-contact, LLM and feature results until the stage TTL runs out.
+ */
+const crypto = require('crypto');
+
+const HOUR = 60 * 60 * 1000;
+
+const ttlHours = (name, fallback) => Number(process.env[`CACHE_TTL_${name}_HOURS`] ?? fallback);
+
+const CACHE_TTLS = {
+  rag: ttlHours('RAG', 24 * 7) * HOUR,
+  contacts: ttlHours('CONTACTS', 24 * 30) * HOUR,
+  llm: ttlHours('LLM', 24 * 30) * HOUR,
+  features: ttlHours('FEATURES', 24 * 30) * HOUR
+};
+
+const CACHE_STAGES = Object.keys(CACHE_TTLS);
+
+/** Hash of what we actually saw on the site; null when there's nothing to key on */
+function contentHash(crawl) {
+  const text = String(crawl?.text || '').replace(/\s+/g, ' ').trim();
+  if (!text) return null;
+  const vendors = (crawl.vendors || []).map(v => v.vendor).sort().join('|');
+  return crypto.createHash('sha256').update(`${text}\n${vendors}`).digest('hex');
+}
+
+function isFresh(row, stage, now = Date.now()) {
+  if (!row?.created_at) return false;
+  const ttl = CACHE_TTLS[stage];
+  return ttl > 0 && now - new Date(row.created_at).getTime() < ttl;
+}
+
+/** Fold per-job { stage: 'hit' | 'miss' } maps into per-stage counts */
+function cacheCounts(jobs = []) {
+  const out = {};
+  for (const j of jobs) {
+    for (const [stage, result] of Object.entries(j.state?.cache || {})) {
+      out[stage] = out[stage] || { hit: 0, miss: 0 };
+      if (result === 'hit' || result === 'miss') out[stage][result]++;
+    }
+  }
+  return out;
+}
+
+module.exports = { CACHE_TTLS, CACHE_STAGES, contentHash, isFresh, cacheCounts };
@@ -0,0 +1,123 @@
+/** ======= Change detection between two scans of a lead =======
+ * Compares what we stored last time with what a fresh scan found and returns
+ * typed lead_events: feature_added / feature_removed (has_* flags, vendors,
+ * specialties), rating_changed, reviews_spiked, closed and reopened.
+ */
+const { TECH_FLAGS } = require('./leadquery');
+const { log } = require('./log');
+
+const CHANGE_TYPES = ['feature_added', 'feature_removed', 'rating_changed', 'reviews_spiked', 'closed', 'reopened'];
+
+const RATING_DELTA = Number(process.env.CHANGE_RATING_DELTA || 0.2);
+const REVIEW_SPIKE_MIN = Number(process.env.CHANGE_REVIEW_SPIKE_MIN || 10);
+const REVIEW_SPIKE_PCT = Number(process.env.CHANGE_REVIEW_SPIKE_PCT || 0.2);
+
+/** The slice of dental_leads a scan can change */
+function placesSnapshot(lead) {
+  if (!lead) return null;
+  return {
+    rating: lead.rating ?? null,
+    review_count: lead.review_count ?? null,
+    temporarily_closed: !!lead.temporarily_closed,
+    permanently_closed: !!lead.permanently_closed
+  };
+}
+
+/** The slice of lead_tech_analysis a scan can change */
+function techSnapshot(tech) {
+  if (!tech) return null;
+  return {
+    flags: Object.fromEntries(TECH_FLAGS.map(f => [f, !!tech[f]])),
+    vendors: (tech.tech_vendors || []).map(v => ({ vendor: v.vendor, category: v.category || null })),
+    specialties: tech.llm_specialties || []
+  };
+}
+
+const closedKind = (s) => (s.permanently_closed ? 'permanently' : s.temporarily_closed ? 'temporarily' : null);
+
+/** Rating, review-count and open/closed changes from Places data */
+function diffPlaces(before, after) {
+  if (!before || !after) return [];
+  const out = [];
+
+  if (before.rating != null && after.rating != null) {
+    const delta = Math.round((after.rating - before.rating) * 100) / 100;
+    if (Math.abs(delta) >= RATING_DELTA) out.push({ event_type: 'rating_changed', payload: { from: before.rating, to: after.rating, delta } });
+  }
+
+  if (before.review_count != null && after.review_count != null) {
+    const added = after.review_count - before.review_count;
+    if (added >= REVIEW_SPIKE_MIN && added >= before.review_count * REVIEW_SPIKE_PCT) {
+      out.push({ event_type: 'reviews_spiked', payload: { from: before.review_count, to: after.review_count, added } });
+    }
+  }
+
+  const was = closedKind(before);
+  const now = closedKind(after);
+  if (now && now !== was) out.push({ event_type: 'closed', payload: { kind: now, previously: was } });
+  if (!now && was) out.push({ event_type: 'reopened', payload: { previously: was } });
+  return out;
+}
+
+/**
+ * Feature flags, vendors and LLM specialties that appeared or disappeared.
+ * `observed` names what the scan actually saw; a degraded scan (no pages
+ * crawled, LLM skipped or invalid) passes false for that part so its empty
+ * result isn't read as everything being removed.
+ */
+function diffTech(before, after, { flags = true, vendors = true, specialties = true } = {}) {
+  if (!before || !after) return [];
+  const out = [];
+  const push = (added, payload) => out.push({ event_type: added ? 'feature_added' : 'feature_removed', payload });
+
+  if (flags) {
+    for (const f of TECH_FLAGS) {
+      if (before.flags[f] !== after.flags[f]) push(after.flags[f], { kind: 'flag', name: f });
+    }
+  }
+
+  if (vendors) {
+    const vendorKeys = (list) => new Map(list.map(v => [v.vendor, v]));
+    const vb = vendorKeys(before.vendors);
+    const va = vendorKeys(after.vendors);
+    for (const [name, v] of va) if (!vb.has(name)) push(true, { kind: 'vendor', name, category: v.category });
+    for (const [name, v] of vb) if (!va.has(name)) push(false, { kind: 'vendor', name, category: v.category });
+  }
+
+  if (specialties) {
+    const sb = new Set(before.specialties);
+    const sa = new Set(after.specialties);
+    for (const s of sa) if (!sb.has(s)) push(true, { kind: 'specialty', name: s });
+    for (const s of sb) if (!sa.has(s)) push(false, { kind: 'specialty', name: s });
+  }
+  return out;
+}
+
+/** ---- Re-scan policy: how long a lead may go unscanned, by tier ---- */
+const DEFAULT_RESCAN_DAYS = { PLATINUM: 7, GOLD: 14, SILVER: 30, BRONZE: 45, BASIC: 90 };
+
+function rescanDays(env = process.env) {
+  if (!env.RESCAN_DAYS) return DEFAULT_RESCAN_DAYS;
+  try {
+    return { ...DEFAULT_RESCAN_DAYS, ...JSON.parse(env.RESCAN_DAYS) };
+  } catch {
+    log.warn('RESCAN_DAYS is not valid JSON; using defaults');
+    return DEFAULT_RESCAN_DAYS;
+  }
+}
+
+/** [{ tier, before }] — leads of `tier` last scanned before `before` are due */
+function rescanCutoffs(days = rescanDays(), now = Date.now()) {
+  return Object.entries(days).map(([tier, d]) => ({ tier, before: new Date(now - d * 24 * 3600 * 1000).toISOString() }));
+}
+
+module.exports = {
+  CHANGE_TYPES,
+  placesSnapshot,
+  techSnapshot,
+  diffPlaces,
+  diffTech,
+  DEFAULT_RESCAN_DAYS,
+  rescanDays,
+  rescanCutoffs
+};
@@ -0,0 +1,138 @@
+/** ======= Contact normalization for deep-contacts (snacci) + Places results ======= **/
+
+const GENERIC_LOCALPARTS = /^(info|office|contact|hello|hi|admin|frontdesk|front\.?desk|reception|appointments?|appt|schedule|scheduling|booking|smile|smiles|team|mail|email|dental|dentist|care|patients?|newpatients?|billing|accounts?|support|help|inquiries|enquiries|marketing|hr|jobs|careers|noreply|no-reply)$/;
+
+// Junk the scraper picks up from image names, analytics snippets and site builders
+const JUNK_EMAIL = /\.(png|jpe?g|gif|svg|webp)$|@(sentry|wixpress|example|domain|email)\.|^(user|name|your|youremail)@/;
+
+const SOCIAL_NETWORKS = [
+  ['facebook', /(^|\.)facebook\.com$|(^|\.)fb\.com$/],
+  ['instagram', /(^|\.)instagram\.com$/],
+  ['linkedin', /(^|\.)linkedin\.com$/],
+  ['twitter', /(^|\.)twitter\.com$|(^|\.)x\.com$/],
+  ['youtube', /(^|\.)youtube\.com$|(^|\.)youtu\.be$/],
+  ['tiktok', /(^|\.)tiktok\.com$/],
+  ['yelp', /(^|\.)yelp\.com$/],
+  ['pinterest', /(^|\.)pinterest\.com$/]
+];
+
+function normalizeEmail(raw) {
+  if (!raw) return null;
+  const e = String(raw).trim().toLowerCase().replace(/^mailto:/, '').split('?')[0];
+  if (!/^[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}$/.test(e)) return null;
+  if (JUNK_EMAIL.test(e)) return null;
+  return e;
+}
+
+/** E.164; bare 10-digit numbers are assumed to be US/Canada */
+function normalizePhone(raw) {
+  if (!raw) return null;
+  const s = String(raw).trim().replace(/^tel:/i, '');
+  const digits = s.replace(/\D/g, '');
+  if (s.startsWith('+')) return digits.length >= 8 && digits.length <= 15 ? `+${digits}` : null;
+  if (digits.length === 10) return `+1${digits}`;
+  if (digits.length === 11 && digits.startsWith('1')) return `+${digits}`;
+  return null;
+}
+
+function normalizeSocial(raw) {
+  if (!raw) return null;
+  try {
+    const u = new URL(/^https?:\/\//i.test(raw) ? raw : `https://${raw}`);
+    const host = u.hostname.replace(/^(www|m)\./, '').toLowerCase();
+    const hit = SOCIAL_NETWORKS.find(([, re]) => re.test(host));
+    if (!hit) return null;
+    const path = u.pathname.replace(/\/+$/, '');
+    if (!path || /^\/(sharer|share|intent|plugins|tr|dialog)\b/.test(path)) return null;
+    return { network: hit[0], url: `https://${host}${path}` };
+  } catch {
+    return null;
+  }
+}
+
+const domainOf = (email) => email.split('@')[1] || '';
+
+function classifyEmail(email) {
+  const local = email.split('@')[0];
+  return GENERIC_LOCALPARTS.test(local.replace(/\d+$/, '')) ? 'generic' : 'person';
+}
+
+// Snacci items vary: strings, {value}/{email}/{url} objects, or network → [urls] maps
+const values = (v) => {
+  if (!v) return [];
+  if (typeof v === 'string') return [v];
+  if (Array.isArray(v)) return v.flatMap(values);
+  if (typeof v === 'object') {
+    const direct = v.value || v.email || v.phone || v.phoneNumber || v.url || v.link;
+    return direct ? [direct] : Object.values(v).flatMap(values);
+  }
+  return [];
+};
+
+/**
+ * Flatten deep-contact dataset items (plus the Places email/phone) into
+ * deduplicated rows: { channel, value, contact_type, label, source, source_url }.
+ */
+function extractContacts(items = [], { email, phone } = {}) {
+  const out = new Map();
+  const add = (row) => {
+    const key = `${row.channel}:${row.value}`;
+    if (!out.has(key)) out.set(key, row);
+    else if (!out.get(key).source_url && row.source_url) out.get(key).source_url = row.source_url;
+  };
+
+  const placesEmail = normalizeEmail(email);
+  if (placesEmail) add({ channel: 'email', value: placesEmail, contact_type: classifyEmail(placesEmail), label: null, source: 'places', source_url: null });
+  const placesPhone = normalizePhone(phone);
+  if (placesPhone) add({ channel: 'phone', value: placesPhone, contact_type: 'generic', label: null, source: 'places', source_url: null });
+
+  for (const item of Array.isArray(items) ? items : []) {
+    if (!item || typeof item !== 'object') continue;
+    const source_url = item.url || item.sourceUrl || item.pageUrl || item.website || null;
+
+    for (const raw of values(item.emails || item.email)) {
+      const e = normalizeEmail(raw);
+      if (e) add({ channel: 'email', value: e, contact_type: classifyEmail(e), label: null, source: 'deep_contacts', source_url });
+    }
+    for (const raw of values(item.phoneNumbers || item.phones || item.phone)) {
+      const p = normalizePhone(raw);
+      if (p) add({ channel: 'phone', value: p, contact_type: 'generic', label: null, source: 'deep_contacts', source_url });
+    }
+    for (const raw of values(item.socialMedia || item.socials || item.social)) {
+      const s = normalizeSocial(raw);
+      if (s) add({ channel: 'social', value: s.url, contact_type: 'social', label: s.network, source: 'deep_contacts', source_url });
+    }
+  }
+
+  return [...out.values()];
+}
+
+/** Rank a contact for outreach: on-domain named person > on-domain inbox > other emails > phone > social */
+function contactRank(c, siteDomain) {
+  if (c.channel === 'email') {
+    const onDomain = siteDomain && domainOf(c.value).replace(/^www\./, '') === siteDomain;
+    return (c.contact_type === 'person' ? 40 : 30) + (onDomain ? 20 : 0);
+  }
+  if (c.channel === 'phone') return c.source === 'places' ? 25 : 20;
+  return c.label === 'facebook' || c.label === 'linkedin' ? 10 : 5;
+}
+
+function pickBestContact(contacts = [], siteDomain = null) {
+  let best = null;
+  let bestRank = -1;
+  for (const c of contacts) {
+    if (c.suppressed || c.status === 'invalid') continue; // see hygiene.js
+    const r = contactRank(c, siteDomain);
+    if (r > bestRank) { best = c; bestRank = r; }
+  }
+  return best;
+}
+
+module.exports = {
+  normalizeEmail,
+  normalizePhone,
+  normalizeSocial,
+  classifyEmail,
+  extractContacts,
+  pickBestContact
+};
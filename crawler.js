@@ -0,0 +1,131 @@
+const { normalizeUrl, stripHtml, fetchHtml } = require('./webtext');
+const { detectFeatures, technologiesFor } = require('./scoring');
+const { fingerprintHtml, mergeVendors, vendorFlags } = require('./fingerprint');
+
+/** Pages most likely to mention booking widgets, portals, financing, imaging or DSO affiliation */
+const PAGE_HINTS = [
+  { kind: 'new_patients', weight: 5, re: /new[-_ ]?patients?|first[-_ ]?visit|patient[-_ ]?(info|forms|resources)|forms/ },
+  { kind: 'technology', weight: 5, re: /technolog|cbct|cerec|digital|equipment|3d|laser/ },
+  { kind: 'financing', weight: 4, re: /financ|payment|insurance|carecredit|membership|pricing/ },
+  { kind: 'contact', weight: 4, re: /contact|appointment|book|schedule|request/ },
+  { kind: 'services', weight: 3, re: /services|treatments|procedures|what[-_ ]we[-_ ]do/ },
+  { kind: 'about', weight: 2, re: /about|our[-_ ](practice|story|team)|meet[-_ ]/ }
+];
+
+const SKIP_PATH = /\.(pdf|jpe?g|png|gif|svg|webp|mp4|zip|docx?)$|\/(blog|news|tag|category|author|wp-json|feed)(\/|$)/i;
+
+const hostKey = (u) => u.hostname.replace(/^www\./, '').toLowerCase();
+
+/** Same-domain <a href> links with their anchor text, resolved against the page URL */
+function extractLinks(html, pageUrl) {
+  let base;
+  try { base = new URL(pageUrl); } catch { return []; }
+  const seen = new Set();
+  const links = [];
+  const re = /<a\s[^>]*href\s*=\s*["']([^"']+)["'][^>]*>([\s\S]*?)<\/a>/gi;
+  let m;
+  while ((m = re.exec(html || ''))) {
+    const href = m[1].trim();
+    if (/^(mailto:|tel:|javascript:|#)/i.test(href)) continue;
+    let u;
+    try { u = new URL(href, base); } catch { continue; }
+    if (!/^https?:$/.test(u.protocol) || hostKey(u) !== hostKey(base)) continue;
+    if (SKIP_PATH.test(u.pathname)) continue;
+    const url = `${u.protocol}//${u.hostname}${u.pathname.replace(/\/+$/, '') || ''}`;
+    if (seen.has(url) || url === `${base.protocol}//${base.hostname}${base.pathname.replace(/\/+$/, '')}`) continue;
+    seen.add(url);
+    links.push({ url, text: stripHtml(m[2]).slice(0, 80) });
+  }
+  return links;
+}
+
+/** Score links by path + anchor text; only hinted pages are kept, best first */
+function rankLinks(links) {
+  return links
+    .map(l => {
+      const hay = `${new URL(l.url).pathname} ${l.text}`.toLowerCase();
+      const hits = PAGE_HINTS.filter(h => h.re.test(hay));
+      const depth = new URL(l.url).pathname.split('/').filter(Boolean).length;
+      return { ...l, kinds: hits.map(h => h.kind), score: hits.reduce((a, h) => a + h.weight, 0) - Math.max(0, depth - 1) };
+    })
+    .filter(l => l.kinds.length)
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Fetch the homepage plus up to maxPages-1 ranked same-domain pages, stopping once
+ * maxChars of text has been collected. `homeText` (e.g. from the RAG actor) replaces
+ * the locally stripped homepage text when given; `fetch` swaps the page fetcher (fixtures).
+ */
+async function crawlSite(url, {
+  maxPages = Number(process.env.CRAWL_MAX_PAGES || 5),
+  maxChars = Number(process.env.CRAWL_MAX_CHARS || 60000),
+  perPageChars = 15000,
+  timeoutMs = 12000,
+  homeText = '',
+  fetch = fetchHtml
+} = {}) {
+  const start = normalizeUrl(url);
+  if (!start) return { pages: [], text: '', vendors: [] };
+
+  const home = await fetch(start, timeoutMs);
+  const pages = [];
+  let budget = maxChars;
+  // Vendors are fingerprinted from the raw HTML before it's stripped, so they don't count against the text budget
+  const push = (pageUrl, text, kinds, html) => {
+    const t = String(text || '').slice(0, Math.min(perPageChars, budget));
+    const vendors = html ? fingerprintHtml(html, pageUrl) : [];
+    if (!t && !vendors.length) return;
+    budget -= t.length;
+    pages.push({ url: pageUrl, kinds, text: t, vendors });
+  };
+  const done = () => ({
+    pages,
+    text: pages.map(p => p.text).filter(Boolean).join('\n\n'),
+    vendors: mergeVendors(pages.map(p => p.vendors))
+  });
+
+  push(start, homeText || (home ? stripHtml(home.html) : ''), ['home'], home?.html);
+  if (!home) return done();
+
+  const ranked = rankLinks(extractLinks(home.html, home.url)).slice(0, Math.max(0, maxPages - 1));
+  for (const link of ranked) {
+    if (budget <= 0) break;
+    const page = await fetch(link.url, timeoutMs);
+    if (page) push(link.url, stripHtml(page.html), link.kinds, page.html);
+  }
+
+  return done();
+}
+
+/** Swap better homepage text (e.g. RAG markdown) into a crawl result */
+function withHomeText(crawl, homeText) {
+  if (!homeText || !crawl.pages[0]?.kinds?.includes('home')) return crawl;
+  const pages = [{ ...crawl.pages[0], text: String(homeText) }, ...crawl.pages.slice(1)];
+  return { ...crawl, pages, text: pages.map(p => p.text).filter(Boolean).join('\n\n') };
+}
+
+/**
+ * detectFeatures over every page, OR-ing flags and recording the first page each
+ * feature was seen on. Fingerprinted vendors win over keyword hits as the source.
+ */
+function detectFeaturesAcrossPages(pages = [], vendors = []) {
+  const merged = detectFeatures('');
+  const feature_sources = {};
+  const fromVendors = vendorFlags(vendors);
+  for (const [k, v] of Object.entries(fromVendors.flags)) {
+    merged[k] = v;
+    feature_sources[k] = fromVendors.sources[k];
+  }
+  for (const page of pages) {
+    const f = detectFeatures(page.text);
+    for (const [k, v] of Object.entries(f)) {
+      if (k === 'technologies' || !v || merged[k]) continue;
+      merged[k] = true;
+      feature_sources[k] = page.url;
+    }
+  }
+  return { ...merged, technologies: technologiesFor(merged), feature_sources };
+}
+
+module.exports = { extractLinks, rankLinks, crawlSite, withHomeText, detectFeaturesAcrossPages };
@@ -0,0 +1,23 @@
+const { request } = require('undici');
+
+/** JSON request helper for CRM APIs; throws with status + body on non-2xx */
+async function jsonRequest(method, url, { headers = {}, body, timeoutMs = 15000 } = {}) {
+  const res = await request(url, {
+    method,
+    headers: { 'content-type': 'application/json', accept: 'application/json', ...headers },
+    body: body === undefined ? undefined : JSON.stringify(body),
+    headersTimeout: timeoutMs,
+    bodyTimeout: timeoutMs
+  });
+  const text = await res.body.text();
+  let data = null;
+  try { data = text ? JSON.parse(text) : null; } catch { data = text; }
+  if (res.statusCode >= 400) {
+    const err = new Error(`${method} ${new URL(url).pathname} → ${res.statusCode}: ${typeof data === 'string' ? data : JSON.stringify(data)}`.slice(0, 500));
+    err.status = res.statusCode;
+    throw err;
+  }
+  return data;
+}
+
+module.exports = { jsonRequest };
@@ -0,0 +1,64 @@
+const { jsonRequest } = require('./http');
+
+// HubSpot default sales pipeline stage ids
+const DEFAULT_STAGES = {
+  PLATINUM: 'qualifiedtobuy',
+  GOLD: 'qualifiedtobuy',
+  SILVER: 'appointmentscheduled'
+};
+
+const DEAL_TO_COMPANY = 341; // HUBSPOT_DEFINED association type id
+
+/**
+ * HubSpot adapter: one company per lead plus one deal in the configured pipeline.
+ * `baseUrl` is overridable so tests can point it at a local mock server.
+ */
+function createHubSpotAdapter({
+  token = process.env.HUBSPOT_TOKEN,
+  baseUrl = process.env.HUBSPOT_BASE_URL || 'https://api.hubapi.com',
+  pipeline = process.env.HUBSPOT_PIPELINE || 'default',
+  stages = { ...DEFAULT_STAGES, ...JSON.parse(process.env.HUBSPOT_STAGE_MAP || '{}') }
+} = {}) {
+  if (!token) throw new Error('HUBSPOT_TOKEN not configured');
+  const headers = { authorization: `Bearer ${token}` };
+  const call = (method, path, body) => jsonRequest(method, `${baseUrl}${path}`, { headers, body });
+
+  async function upsertLead(lead, previous = {}) {
+    const company = {
+      properties: {
+        name: lead.name || '',
+        domain: lead.domain || undefined,
+        website: lead.website || undefined,
+        phone: lead.phone || undefined,
+        address: lead.address || undefined,
+        city: lead.city || undefined,
+        state: lead.state || undefined,
+        zip: lead.postal_code || undefined,
+        description: lead.final_score_explanation || undefined
+      }
+    };
+    const companyId = previous.companyId
+      ? (await call('PATCH', `/crm/v3/objects/companies/${previous.companyId}`, company)).id
+      : (await call('POST', '/crm/v3/objects/companies', company)).id;
+
+    const deal = {
+      properties: {
+        dealname: `${lead.name} (${lead.tech_tier || 'UNSCORED'} ${lead.final_score ?? ''})`.trim(),
+        pipeline,
+        dealstage: stages[lead.tech_tier] || stages.SILVER
+      }
+    };
+    const dealId = previous.dealId
+      ? (await call('PATCH', `/crm/v3/objects/deals/${previous.dealId}`, deal)).id
+      : (await call('POST', '/crm/v3/objects/deals', {
+        ...deal,
+        associations: [{ to: { id: companyId }, types: [{ associationCategory: 'HUBSPOT_DEFINED', associationTypeId: DEAL_TO_COMPANY }] }]
+      })).id;
+
+    return { companyId: String(companyId), dealId: String(dealId) };
+  }
+
+  return { name: 'hubspot', upsertLead };
+}
+
+module.exports = { createHubSpotAdapter };
@@ -0,0 +1,22 @@
+/** ======= CRM sync layer =======
+ * An adapter is { name, upsertLead(lead, previous) → { companyId, dealId } } where
+ * `previous` holds the ids from the last successful sync (so re-syncs update).
+ */
+const { createHubSpotAdapter } = require('./hubspot');
+const { createPipedriveAdapter } = require('./pipedrive');
+
+const ADAPTERS = {
+  hubspot: createHubSpotAdapter,
+  pipedrive: createPipedriveAdapter
+};
+
+function createCrmAdapter(provider, options) {
+  const factory = ADAPTERS[provider];
+  if (!factory) throw new Error(`unknown CRM provider: ${provider}`);
+  return factory(options);
+}
+
+/** Only HOT/WARM leads are pushed to CRMs */
+const SYNCABLE_QUALS = ['HOT', 'WARM'];
+
+module.exports = { ADAPTERS, SYNCABLE_QUALS, createCrmAdapter };
@@ -0,0 +1,45 @@
+const { jsonRequest } = require('./http');
+
+/**
+ * Pipedrive adapter: one organization per lead plus one deal. Stage ids are
+ * account-specific, so tiers map through PIPEDRIVE_STAGE_MAP ({"GOLD": 3, ...});
+ * unmapped tiers land in the pipeline's first stage.
+ */
+function createPipedriveAdapter({
+  token = process.env.PIPEDRIVE_API_TOKEN,
+  baseUrl = process.env.PIPEDRIVE_BASE_URL || 'https://api.pipedrive.com',
+  stages = JSON.parse(process.env.PIPEDRIVE_STAGE_MAP || '{}')
+} = {}) {
+  if (!token) throw new Error('PIPEDRIVE_API_TOKEN not configured');
+  const call = async (method, path, body) => {
+    const sep = path.includes('?') ? '&' : '?';
+    const res = await jsonRequest(method, `${baseUrl}/v1${path}${sep}api_token=${encodeURIComponent(token)}`, { body });
+    if (res && res.success === false) throw new Error(`pipedrive ${path}: ${res.error || 'request failed'}`);
+    return res?.data;
+  };
+
+  async function upsertLead(lead, previous = {}) {
+    const org = {
+      name: lead.name || '',
+      address: [lead.address, lead.city, lead.state, lead.postal_code].filter(Boolean).join(', ') || undefined
+    };
+    const orgId = previous.companyId
+      ? (await call('PUT', `/organizations/${previous.companyId}`, org)).id
+      : (await call('POST', '/organizations', org)).id;
+
+    const deal = {
+      title: `${lead.name} (${lead.tech_tier || 'UNSCORED'} ${lead.final_score ?? ''})`.trim(),
+      org_id: orgId,
+      stage_id: stages[lead.tech_tier] || undefined
+    };
+    const dealId = previous.dealId
+      ? (await call('PUT', `/deals/${previous.dealId}`, deal)).id
+      : (await call('POST', '/deals', deal)).id;
+
+    return { companyId: String(orgId), dealId: String(dealId) };
+  }
+
+  return { name: 'pipedrive', upsertLead };
+}
+
+module.exports = { createPipedriveAdapter };
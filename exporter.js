@@ -0,0 +1,67 @@
+/** ======= Lead export rows (CSV / XLSX) ======= **/
+
+const EXPORT_COLUMNS = [
+  ['name', 'Name'],
+  ['address', 'Address'],
+  ['city', 'City'],
+  ['state', 'State'],
+  ['postal_code', 'Postal code'],
+  ['phone', 'Phone'],
+  ['email', 'Email'],
+  ['website', 'Website'],
+  ['affiliation', 'Affiliation'],
+  ['best_contact', 'Best contact'],
+  ['best_contact_type', 'Best contact type'],
+  ['final_score', 'Final score'],
+  ['tech_tier', 'Tier'],
+  ['qualification_status', 'Qualification'],
+  ['technologies', 'Detected technologies'],
+  ['llm_specialties', 'Specialties'],
+  ['final_score_explanation', 'Score explanation']
+];
+
+/** Flatten a shaped lead (see leadquery.shapeLead) into export column values */
+function exportRow(lead) {
+  const tech = lead.tech || {};
+  const best = lead.best_contact || null;
+  return {
+    name: lead.name || '',
+    address: lead.address || '',
+    city: lead.city || '',
+    state: lead.state || '',
+    postal_code: lead.postal_code || '',
+    phone: lead.phone || '',
+    email: lead.email || '',
+    website: lead.website || '',
+    affiliation: lead.affiliation || '',
+    best_contact: best?.value || '',
+    best_contact_type: best ? `${best.channel}/${best.contact_type}` : '',
+    final_score: lead.final_score ?? '',
+    tech_tier: lead.tech_tier || '',
+    qualification_status: lead.qualification_status || '',
+    technologies: (tech.technologies || []).join('; '),
+    llm_specialties: (tech.llm_specialties || []).join('; '),
+    final_score_explanation: lead.final_score_explanation || ''
+  };
+}
+
+// Digits and phone punctuation only: nothing a spreadsheet could run, even after a leading + or -
+const PHONE_LIKE = /^[+-]?[\d\s().-]{7,20}$/;
+
+function csvCell(v) {
+  let s = v == null ? '' : String(v);
+  // keep spreadsheets from evaluating scraped text as formulas (E.164 phones stay as they are)
+  if (/^[=+\-@\t\r]/.test(s) && !PHONE_LIKE.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+const csvLine = (values) => values.map(csvCell).join(',') + '\r\n';
+
+const csvHeader = () => csvLine(EXPORT_COLUMNS.map(([, label]) => label));
+
+const csvRow = (lead) => {
+  const row = exportRow(lead);
+  return csvLine(EXPORT_COLUMNS.map(([key]) => row[key]));
+};
+
+module.exports = { EXPORT_COLUMNS, exportRow, csvHeader, csvRow };
@@ -0,0 +1,83 @@
+/** ======= Tech-stack fingerprinting from raw HTML =======
+ * Signatures live in signatures.json: { vendor, category, match: [url substrings], generator?: regex }.
+ */
+const SIGNATURES = require('./signatures.json').map(s => ({
+  ...s,
+  match: (s.match || []).map(m => m.toLowerCase()),
+  generator: s.generator ? new RegExp(s.generator, 'i') : null
+}));
+
+// Vendor category -> the has_* flag it proves
+const CATEGORY_FLAGS = {
+  scheduling: 'has_online_scheduling',
+  reminders: 'has_text_reminders',
+  payments: 'has_online_payments',
+  portal: 'has_patient_portal'
+};
+
+const ATTR_SOURCES = [
+  ['script', /<script\b[^>]*\bsrc\s*=\s*["']([^"']+)["']/gi],
+  ['iframe', /<iframe\b[^>]*\bsrc\s*=\s*["']([^"']+)["']/gi],
+  ['link', /<(?:a|link)\b[^>]*\bhref\s*=\s*["']([^"']+)["']/gi],
+  ['form', /<form\b[^>]*\baction\s*=\s*["']([^"']+)["']/gi]
+];
+
+/** Every script/iframe/link/form URL plus meta generators found in the HTML */
+function collectResources(html = '') {
+  const out = [];
+  for (const [type, re] of ATTR_SOURCES) {
+    for (const m of html.matchAll(re)) out.push({ type, value: m[1].trim() });
+  }
+  // Inline loaders often build the widget URL in JS, so scan script bodies for bare domains too
+  for (const m of html.matchAll(/<script\b(?![^>]*\bsrc=)[^>]*>([\s\S]*?)<\/script>/gi)) {
+    for (const d of m[1].matchAll(/(?:https?:)?\/\/[a-z0-9.-]+\.[a-z]{2,}[^\s"'`)]*/gi)) out.push({ type: 'inline_script', value: d[0] });
+  }
+  for (const m of html.matchAll(/<meta\b[^>]*>/gi)) {
+    if (!/name\s*=\s*["']generator["']/i.test(m[0])) continue;
+    const content = m[0].match(/content\s*=\s*["']([^"']+)["']/i);
+    if (content) out.push({ type: 'generator', value: content[1].trim() });
+  }
+  return out;
+}
+
+/** Match a page's resources against the catalog: [{ vendor, category, evidence: [{ type, value, page }] }] */
+function fingerprintHtml(html, pageUrl = null) {
+  const found = new Map();
+  for (const r of collectResources(html)) {
+    const low = r.value.toLowerCase();
+    for (const sig of SIGNATURES) {
+      const hit = r.type === 'generator'
+        ? sig.generator && sig.generator.test(r.value)
+        : sig.match.some(m => low.includes(m));
+      if (!hit) continue;
+      const entry = found.get(sig.vendor) || { vendor: sig.vendor, category: sig.category, evidence: [] };
+      if (entry.evidence.length < 3) entry.evidence.push({ type: r.type, value: r.value.slice(0, 300), page: pageUrl });
+      found.set(sig.vendor, entry);
+    }
+  }
+  return [...found.values()];
+}
+
+/** Merge per-page vendor lists, keeping the first page each vendor appeared on */
+function mergeVendors(lists = []) {
+  const out = new Map();
+  for (const list of lists) {
+    for (const v of list || []) if (!out.has(v.vendor)) out.set(v.vendor, v);
+  }
+  return [...out.values()];
+}
+
+/** has_* flags proven by detected vendors, with the page that proved each */
+function vendorFlags(vendors = []) {
+  const flags = {};
+  const sources = {};
+  for (const v of vendors) {
+    const flag = CATEGORY_FLAGS[v.category];
+    if (!flag || flags[flag]) continue;
+    flags[flag] = true;
+    sources[flag] = v.evidence[0]?.page || null;
+  }
+  return { flags, sources };
+}
+
+module.exports = { SIGNATURES, CATEGORY_FLAGS, collectResources, fingerprintHtml, mergeVendors, vendorFlags };
@@ -0,0 +1,94 @@
+/** ======= Geographic grid search =======
+ * Google Places caps results per query, so a metro search misses most practices
+ * in dense areas. A grid splits the area into ZIP codes or lat/long cells; each
+ * cell becomes its own Places actor run under one parent run.
+ */
+
+const GRID_MAX_CELLS = Number(process.env.GRID_MAX_CELLS || 25);
+const KM_PER_DEG_LAT = 111.32;
+
+const num = (v) => (v === null || v === undefined || v === '' ? NaN : Number(v));
+const round = (v) => Math.round(v * 1e5) / 1e5;
+
+function requireNumber(obj, field, min, max) {
+  const v = num(obj[field]);
+  if (!Number.isFinite(v) || v < min || v > max) throw new Error(`grid.${field} must be a number between ${min} and ${max}`);
+  return v;
+}
+
+/** Square cells of cellKm covering the box (centred on it); each is searched as a circle around its centre */
+function boxCells(south, west, north, east, cellKm, keep = () => true) {
+  const cells = [];
+  const dLat = cellKm / KM_PER_DEG_LAT;
+  const rows = Math.max(1, Math.ceil((north - south) / dLat));
+  const lat0 = (south + north) / 2 - ((rows - 1) / 2) * dLat;
+  for (let i = 0; i < rows; i++) {
+    const lat = lat0 + i * dLat;
+    const dLng = cellKm / (KM_PER_DEG_LAT * Math.cos((lat * Math.PI) / 180));
+    const cols = Math.max(1, Math.ceil((east - west) / dLng));
+    const lng0 = (west + east) / 2 - ((cols - 1) / 2) * dLng;
+    for (let j = 0; j < cols; j++) {
+      const lng = lng0 + j * dLng;
+      if (keep(lat, lng)) cells.push({ lat: round(lat), lng: round(lng) });
+    }
+  }
+  return cells;
+}
+
+const pointCell = ({ lat, lng }, cellKm) => ({
+  key: `${lat},${lng}`,
+  // circumscribed circle so neighbouring cells overlap instead of leaving gaps
+  input: { customGeolocation: { type: 'Point', coordinates: [lng, lat], radiusKm: round(cellKm * Math.SQRT1_2) } }
+});
+
+/**
+ * Expand a grid spec into cells: [{ key, input }] where `input` is merged into
+ * the Places actor input in place of locationQuery.
+ *   { type: 'zip', zips: ['78701', …], countryCode? }
+ *   { type: 'radius', lat, lng, radiusKm, cellKm }
+ *   { type: 'bounds', north, south, east, west, cellKm }
+ */
+function gridCells(grid) {
+  if (!grid || typeof grid !== 'object') throw new Error('grid must be an object');
+  let cells;
+
+  if (grid.type === 'zip') {
+    const zips = Array.isArray(grid.zips) ? [...new Set(grid.zips.map(z => String(z).trim()).filter(Boolean))] : [];
+    if (!zips.length) throw new Error('grid.zips must list at least one ZIP code');
+    const bad = zips.find(z => !/^[A-Za-z0-9 -]{3,10}$/.test(z));
+    if (bad) throw new Error(`invalid ZIP code: ${bad}`);
+    const countryCode = String(grid.countryCode || 'us').toLowerCase();
+    cells = zips.map(zip => ({ key: zip, input: { postalCode: zip, countryCode } }));
+  } else if (grid.type === 'radius') {
+    const lat = requireNumber(grid, 'lat', -85, 85);
+    const lng = requireNumber(grid, 'lng', -180, 180);
+    const radiusKm = requireNumber(grid, 'radiusKm', 0.5, 200);
+    const cellKm = requireNumber(grid, 'cellKm', 0.5, 50);
+    const dLat = radiusKm / KM_PER_DEG_LAT;
+    const dLng = radiusKm / (KM_PER_DEG_LAT * Math.cos((lat * Math.PI) / 180));
+    const inside = (cLat, cLng) => {
+      const x = (cLng - lng) * KM_PER_DEG_LAT * Math.cos((lat * Math.PI) / 180);
+      const y = (cLat - lat) * KM_PER_DEG_LAT;
+      return Math.hypot(x, y) <= radiusKm + cellKm * Math.SQRT1_2;
+    };
+    cells = boxCells(lat - dLat, lng - dLng, lat + dLat, lng + dLng, cellKm, inside).map(c => pointCell(c, cellKm));
+  } else if (grid.type === 'bounds') {
+    const north = requireNumber(grid, 'north', -85, 85);
+    const south = requireNumber(grid, 'south', -85, 85);
+    const east = requireNumber(grid, 'east', -180, 180);
+    const west = requireNumber(grid, 'west', -180, 180);
+    const cellKm = requireNumber(grid, 'cellKm', 0.5, 50);
+    if (south >= north || west >= east) throw new Error('grid bounds must have south < north and west < east');
+    cells = boxCells(south, west, north, east, cellKm).map(c => pointCell(c, cellKm));
+  } else {
+    throw new Error("grid.type must be one of 'zip', 'radius', 'bounds'");
+  }
+
+  if (!cells.length) throw new Error('grid produced no cells');
+  if (cells.length > GRID_MAX_CELLS) {
+    throw new Error(`grid has ${cells.length} cells (max ${GRID_MAX_CELLS}); use fewer ZIPs or a larger cellKm`);
+  }
+  return cells;
+}
+
+module.exports = { GRID_MAX_CELLS, gridCells };
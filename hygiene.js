@@ -0,0 +1,175 @@
+/** ======= Contact hygiene: email checks and the do-not-contact list =======
+ * checkEmail() covers syntax and role addresses; verifyEmails() adds the
+ * optional MX (and SMTP RCPT) check through a resolver, so it runs offline
+ * against fixtures. Suppressions are { kind: domain|email|phone, value,
+ * reason, opted_out_at } rows; a domain entry covers its subdomains too.
+ */
+const { normalizePhone, classifyEmail } = require('./contacts');
+
+const VERIFY_LEVELS = ['syntax', 'mx', 'smtp'];
+const SUPPRESSION_KINDS = ['domain', 'email', 'phone'];
+const OPT_OUT_REASONS = ['requested', 'unsubscribed', 'bounced', 'complaint', 'legal', 'other'];
+
+// Addresses nobody reads; syntactically fine but useless for outreach
+const NO_REPLY = /^(no-?reply|do-?not-?reply|mailer-daemon|postmaster|bounces?)$/;
+
+const LOCAL_PART = /^[a-z0-9!#$%&'*+/=?^_`{|}~-]+(\.[a-z0-9!#$%&'*+/=?^_`{|}~-]+)*$/;
+const DOMAIN_LABEL = /^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/;
+
+/**
+ * Syntax and role classification, no network.
+ * @returns { email, valid, reason, role } — reason is null when valid
+ */
+function checkEmail(raw) {
+  const email = String(raw ?? '').trim().toLowerCase().replace(/^mailto:/, '');
+  const fail = (reason) => ({ email, valid: false, reason, role: false });
+  if (!email) return fail('empty');
+  if (email.length > 254) return fail('too_long');
+  const at = email.lastIndexOf('@');
+  const local = email.slice(0, at);
+  const labels = email.slice(at + 1).split('.');
+  if (at < 1 || local.length > 64 || !LOCAL_PART.test(local)) return fail('syntax');
+  if (labels.length < 2 || !labels.every(l => DOMAIN_LABEL.test(l)) || !/^[a-z]{2,}$/.test(labels[labels.length - 1])) return fail('syntax');
+  if (NO_REPLY.test(local)) return { email, valid: false, reason: 'no_reply', role: true };
+  return { email, valid: true, reason: null, role: classifyEmail(email) === 'generic' };
+}
+
+const usableMx = (records = []) => records
+  .filter(r => r?.exchange && r.exchange !== '.')
+  .sort((a, b) => (a.priority ?? 0) - (b.priority ?? 0))
+  .map(r => r.exchange);
+
+const NO_DOMAIN = /ENOTFOUND|ENODATA|NXDOMAIN/;
+
+/**
+ * Verify emails at `level` (syntax | mx | smtp). MX lookups are shared per domain.
+ * @param resolver { resolveMx(domain) → [{ exchange, priority }], checkMailbox?(email, exchange) → { deliverable, catchAll } }
+ * @returns [{ email, status, reason, role, mx }] — status is valid | invalid | risky | unknown | unverified
+ */
+async function verifyEmails(emails, { resolver = null, level = 'syntax' } = {}) {
+  const mxByDomain = new Map();
+  const lookupMx = (domain) => {
+    if (!mxByDomain.has(domain)) {
+      mxByDomain.set(domain, Promise.resolve(resolver.resolveMx(domain)).then(usableMx, (e) => (NO_DOMAIN.test(e?.code || e?.message) ? [] : null)));
+    }
+    return mxByDomain.get(domain);
+  };
+
+  const out = [];
+  for (const raw of emails) {
+    const syntax = checkEmail(raw);
+    const result = { email: syntax.email, status: syntax.valid ? 'unverified' : 'invalid', reason: syntax.reason, role: syntax.role, mx: null };
+    if (!syntax.valid || level === 'syntax' || !resolver) {
+      out.push(result);
+      continue;
+    }
+
+    const mx = await lookupMx(syntax.email.split('@')[1]);
+    if (mx === null) out.push({ ...result, status: 'unknown', reason: 'dns_error' });
+    else if (!mx.length) out.push({ ...result, status: 'invalid', reason: 'no_mx', mx });
+    else if (level !== 'smtp' || !resolver.checkMailbox) out.push({ ...result, status: 'valid', mx });
+    else {
+      const probe = await resolver.checkMailbox(syntax.email, mx[0]);
+      if (probe?.deliverable === false) out.push({ ...result, status: 'invalid', reason: 'mailbox_rejected', mx });
+      else if (probe?.deliverable == null) out.push({ ...result, status: 'unknown', reason: 'smtp_inconclusive', mx });
+      else if (probe.catchAll) out.push({ ...result, status: 'risky', reason: 'catch_all', mx });
+      else out.push({ ...result, status: 'valid', mx });
+    }
+  }
+  return out;
+}
+
+const hostOf = (raw) => {
+  const s = String(raw ?? '').trim().toLowerCase();
+  if (!s) return null;
+  if (s.includes('@') && !s.includes('/')) return s.split('@').pop();
+  try { return new URL(/^https?:\/\//.test(s) ? s : `https://${s}`).hostname.replace(/^www\./, ''); } catch { return null; }
+};
+
+/** Canonical value for a suppression entry (the form leads and contacts store), or null */
+function suppressionValue(kind, raw) {
+  if (kind === 'email') {
+    const { email, reason } = checkEmail(raw);
+    return reason === null || reason === 'no_reply' ? email : null;
+  }
+  if (kind === 'phone') return normalizePhone(raw);
+  if (kind === 'domain') {
+    const host = hostOf(raw);
+    return host && host.split('.').length >= 2 && host.split('.').every(l => DOMAIN_LABEL.test(l)) ? host : null;
+  }
+  return null;
+}
+
+/** Validate a suppression POST entry; throws with a message routes can 400 on */
+function suppressionFields(body = {}, now = new Date()) {
+  if (!SUPPRESSION_KINDS.includes(body.kind)) throw new Error(`kind must be one of ${SUPPRESSION_KINDS.join(', ')}`);
+  const value = suppressionValue(body.kind, body.value);
+  if (!value) throw new Error(`value is not a valid ${body.kind}`);
+  if (!OPT_OUT_REASONS.includes(body.reason)) throw new Error(`reason must be one of ${OPT_OUT_REASONS.join(', ')}`);
+  const optedOutAt = body.optedOutAt == null ? now : new Date(body.optedOutAt);
+  if (Number.isNaN(optedOutAt.getTime())) throw new Error('optedOutAt must be a date');
+  if (body.note != null && typeof body.note !== 'string') throw new Error('note must be a string');
+  return { kind: body.kind, value, reason: body.reason, opted_out_at: optedOutAt.toISOString(), note: body.note ? body.note.slice(0, 500) : null };
+}
+
+/** "a.b.example.com" → ["a.b.example.com", "b.example.com", "example.com"] */
+function domainAndParents(domain) {
+  const labels = String(domain || '').split('.');
+  const out = [];
+  for (let i = 0; i <= labels.length - 2; i++) out.push(labels.slice(i).join('.'));
+  return out;
+}
+
+// Suppression values are stored lowercased (checkEmail, hostOf)
+const lower = (v) => String(v).trim().toLowerCase();
+
+/** Every suppression value that could match these domains, emails and phones */
+function suppressionLookups({ domains = [], emails = [], phones = [] }) {
+  const values = new Set();
+  for (const e of emails.filter(Boolean).map(lower)) {
+    values.add(e);
+    domainAndParents(e.split('@')[1]).forEach(v => values.add(v));
+  }
+  for (const d of domains.filter(Boolean).map(lower)) domainAndParents(d).forEach(v => values.add(v));
+  for (const p of phones.filter(Boolean)) values.add(p);
+  return [...values];
+}
+
+/** Entries of `list` that cover a lead ({ domain, email, phone }) or a single contact */
+function suppressionsFor(list, { domain = null, email = null, phone = null }) {
+  email = email && lower(email);
+  domain = domain && lower(domain);
+  const domains = new Set([...domainAndParents(domain), ...domainAndParents(email?.split('@')[1])]);
+  return list.filter(s => (s.kind === 'domain' && domains.has(s.value))
+    || (s.kind === 'email' && email && s.value === email)
+    || (s.kind === 'phone' && phone && s.value === phone));
+}
+
+/** lead_contacts row → the shape suppressionsFor() takes */
+const contactTarget = (c) => (c.channel === 'email' ? { email: c.value } : c.channel === 'phone' ? { phone: c.value } : {});
+
+/** The lead-level summary of contacts nobody should use */
+function contactFlags(contacts = []) {
+  return contacts
+    .filter(c => c.suppressed || c.status === 'invalid' || c.status === 'risky')
+    .map(c => ({
+      channel: c.channel,
+      value: c.value,
+      flag: c.suppressed ? 'suppressed' : c.status,
+      reason: c.suppressed ? null : c.status_reason || null
+    }));
+}
+
+module.exports = {
+  VERIFY_LEVELS,
+  SUPPRESSION_KINDS,
+  OPT_OUT_REASONS,
+  checkEmail,
+  verifyEmails,
+  suppressionValue,
+  suppressionFields,
+  suppressionLookups,
+  suppressionsFor,
+  contactTarget,
+  contactFlags
+};
@@ -0,0 +1,130 @@
+/** ======= Practice identity resolution =======
+ * Decides whether an incoming Places record is a practice we already have.
+ * Google place id is authoritative; otherwise phone, domain, address and name
+ * are weighed, and a location conflict (same domain/phone, different address)
+ * keeps multi-location groups as separate rows.
+ */
+const { normalizePhone } = require('./contacts');
+
+const MATCH_THRESHOLD = Number(process.env.MATCH_THRESHOLD || 0.6);
+const NEAR_METERS = 100;
+
+const WEIGHTS = { phone: 0.35, domain: 0.3, address: 0.35, near: 0.15, name: 0.25 };
+
+// USPS-style abbreviations so "Suite 200, Barton Springs Road" == "Ste 200 Barton Springs Rd"
+const ADDRESS_WORDS = {
+  street: 'st', avenue: 'ave', av: 'ave', boulevard: 'blvd', road: 'rd', drive: 'dr', lane: 'ln',
+  court: 'ct', parkway: 'pkwy', highway: 'hwy', place: 'pl', circle: 'cir', terrace: 'ter',
+  trail: 'trl', square: 'sq', freeway: 'fwy', expressway: 'expy',
+  suite: 'ste', apartment: 'apt', building: 'bldg', floor: 'fl', room: 'rm',
+  north: 'n', south: 's', east: 'e', west: 'w',
+  northeast: 'ne', northwest: 'nw', southeast: 'se', southwest: 'sw'
+};
+
+const NAME_STOPWORDS = new Set(['the', 'of', 'and', 'dental', 'dentistry', 'dentist', 'dentists', 'dds', 'dmd', 'pc', 'pa', 'pllc', 'llc', 'inc', 'office', 'practice', 'care', 'center', 'centre', 'clinic', 'group']);
+
+function normalizeAddress(raw) {
+  if (!raw) return null;
+  const words = String(raw).toLowerCase()
+    .replace(/#\s*/g, ' ste ')
+    .replace(/[.,;]/g, ' ')
+    .replace(/\b(usa|united states( of america)?)\s*$/, '')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(w => ADDRESS_WORDS[w] || w);
+  return words.length ? words.join(' ') : null;
+}
+
+function nameTokens(name) {
+  return new Set(String(name || '').toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9 ]/g, ' ')
+    .split(/\s+/)
+    .filter(w => w && !NAME_STOPWORDS.has(w)));
+}
+
+/** Jaccard overlap of significant name tokens, 0–1 */
+function nameSimilarity(a, b) {
+  const ta = nameTokens(a);
+  const tb = nameTokens(b);
+  if (!ta.size || !tb.size) return 0;
+  let shared = 0;
+  for (const t of ta) if (tb.has(t)) shared++;
+  return shared / (ta.size + tb.size - shared);
+}
+
+function distanceMeters(a, b) {
+  if ([a?.latitude, a?.longitude, b?.latitude, b?.longitude].some(v => v == null || !Number.isFinite(Number(v)))) return null;
+  const rad = (d) => (Number(d) * Math.PI) / 180;
+  const dLat = rad(b.latitude - a.latitude);
+  const dLng = rad(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.latitude)) * Math.cos(rad(b.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371000 * Math.asin(Math.sqrt(h));
+}
+
+/** The columns identity resolution keys on, derived from a lead-shaped record */
+function identityOf(rec, domain = null) {
+  return {
+    google_place_id: rec.google_place_id || null,
+    phone_e164: rec.phone_e164 || normalizePhone(rec.phone),
+    address_norm: rec.address_norm || normalizeAddress(rec.address),
+    domain: domain ?? rec.domain ?? null
+  };
+}
+
+/**
+ * Score how likely `candidate` (an existing lead row) is the practice described
+ * by `incoming`. Returns { confidence 0–1, reasons[] }.
+ */
+function matchScore(incoming, candidate) {
+  const a = identityOf(incoming, incoming.domain);
+  const b = identityOf(candidate);
+
+  if (a.google_place_id && a.google_place_id === b.google_place_id) return { confidence: 1, reasons: ['place_id'] };
+  if (a.google_place_id && (candidate.merged_place_ids || []).includes(a.google_place_id)) {
+    return { confidence: 1, reasons: ['merged_place_id'] };
+  }
+
+  const reasons = [];
+  let score = 0;
+  if (a.phone_e164 && a.phone_e164 === b.phone_e164) { score += WEIGHTS.phone; reasons.push('phone'); }
+  if (a.domain && a.domain === b.domain) { score += WEIGHTS.domain; reasons.push('domain'); }
+
+  const meters = distanceMeters(incoming, candidate);
+  const sameAddress = !!a.address_norm && a.address_norm === b.address_norm;
+  const near = meters !== null && meters <= NEAR_METERS;
+  if (sameAddress) { score += WEIGHTS.address; reasons.push('address'); } else if (near) { score += WEIGHTS.near; reasons.push('near'); }
+
+  const sim = nameSimilarity(incoming.name, candidate.name);
+  if (sim >= 0.5) { score += WEIGHTS.name * sim; reasons.push('name'); }
+
+  // Both sides say where they are and it isn't the same place: another location of the group
+  const addressConflict = !!a.address_norm && !!b.address_norm && !sameAddress;
+  const distanceConflict = meters !== null && meters > NEAR_METERS;
+  if ((addressConflict && !near) || distanceConflict) {
+    reasons.push('different_location');
+    score = Math.min(score, 0.3);
+  }
+
+  return { confidence: Math.round(Math.min(score, 0.99) * 100) / 100, reasons };
+}
+
+/** Best candidate at or above the threshold, or null */
+function resolveMatch(incoming, candidates = [], threshold = MATCH_THRESHOLD) {
+  let best = null;
+  for (const c of candidates) {
+    const m = matchScore(incoming, c);
+    if (m.confidence >= threshold && (!best || m.confidence > best.confidence)) best = { lead: c, ...m };
+  }
+  return best;
+}
+
+module.exports = {
+  MATCH_THRESHOLD,
+  normalizeAddress,
+  nameSimilarity,
+  distanceMeters,
+  identityOf,
+  matchScore,
+  resolveMatch
+};
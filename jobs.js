@@ -0,0 +1,227 @@
+/** ======= Durable lead-enrichment jobs (lead_jobs table) =======
+ * Each job is one Places item of a run. A job moves pending → running →
+ * succeeded | skipped | failed; `stages` records per-stage status and `state`
+ * carries stage outputs so a retried/resumed job picks up where it stopped.
+ */
+const { log, withContext } = require('./log');
+
+const TERMINAL = ['succeeded', 'skipped', 'failed'];
+
+/** Exponential backoff with ±20% jitter for the next job attempt */
+function backoffMs(attempts, baseMs = 30000, maxMs = 30 * 60 * 1000) {
+  const ms = Math.min(maxMs, baseMs * Math.pow(2, Math.max(0, attempts - 1)));
+  return Math.round(ms * (0.8 + Math.random() * 0.4));
+}
+
+/**
+ * @param onStage ({ stage, status: 'done' | 'failed', ms, job }) after each stage, for metrics
+ * @param lockTtlMs a running job whose lock is older than this is requeued (its worker died or
+ *   could not record the outcome); each completed stage renews the lock
+ */
+function createJobQueue({
+  supabase,
+  handler,
+  onSettled = async () => {},
+  onStage = () => {},
+  concurrency = Number(process.env.JOB_CONCURRENCY || 3),
+  maxAttempts = Number(process.env.JOB_MAX_ATTEMPTS || 4),
+  baseDelayMs = Number(process.env.JOB_BACKOFF_MS || 30000),
+  pollMs = Number(process.env.JOB_POLL_MS || 5000),
+  lockTtlMs = Number(process.env.JOB_LOCK_TTL_MS || 15 * 60 * 1000)
+}) {
+  let running = false;
+  let reclaimedAt = 0;
+  const sleepers = new Set();
+
+  const db = async (fn) => {
+    const { data, error } = await fn(supabase.from('lead_jobs'));
+    if (error) throw error;
+    return data;
+  };
+
+  async function enqueue(runId, items) {
+    const rows = items.map((item, idx) => ({
+      run_id: runId,
+      item_index: idx,
+      item,
+      status: 'pending',
+      stages: {},
+      state: {},
+      attempts: 0,
+      next_attempt_at: new Date().toISOString()
+    }));
+    for (let i = 0; i < rows.length; i += 500) {
+      // unique (run_id, item_index) keeps a re-enqueue from duplicating jobs
+      await db(t => t.upsert(rows.slice(i, i + 500), { onConflict: 'run_id,item_index', ignoreDuplicates: true }));
+    }
+    wake();
+    return rows.length;
+  }
+
+  /** Claim one due pending job; the status guard makes the claim atomic across workers */
+  async function claim() {
+    const due = await db(t => t.select('id')
+      .eq('status', 'pending')
+      .lte('next_attempt_at', new Date().toISOString())
+      .order('next_attempt_at', { ascending: true })
+      .limit(concurrency));
+    for (const { id } of due || []) {
+      const rows = await db(t => t.update({ status: 'running', locked_at: new Date().toISOString() })
+        .eq('id', id).eq('status', 'pending').select('*'));
+      if (rows?.[0]) return rows[0];
+    }
+    return null;
+  }
+
+  async function runJob(job) {
+    const stages = { ...(job.stages || {}) };
+    let state = { ...(job.state || {}) };
+    let current = null;
+    let startedAt = null;
+
+    const ctx = {
+      /** true if the stage finished in an earlier attempt */
+      done: (name) => stages[name] === 'done',
+      state: () => state,
+      begin: (name) => { current = name; startedAt = Date.now(); },
+      async complete(name, patch = {}) {
+        if (name === current) onStage({ stage: name, status: 'done', ms: Date.now() - startedAt, job });
+        stages[name] = 'done';
+        state = { ...state, ...patch };
+        await db(t => t.update({
+          stages, state, stage: name,
+          lead_id: state.lead_id ?? job.lead_id ?? null,
+          locked_at: new Date().toISOString()
+        }).eq('id', job.id));
+      }
+    };
+
+    try {
+      const result = (await handler(job, ctx)) || {};
+      const status = result.status === 'skipped' ? 'skipped' : 'succeeded';
+      await db(t => t.update({
+        status, stages, state, stage: null, last_error: null,
+        skip_reason: result.reason || null,
+        lead_id: state.lead_id ?? null,
+        attempts: job.attempts + 1,
+        finished_at: new Date().toISOString()
+      }).eq('id', job.id));
+      return { ...job, status, skip_reason: result.reason || null };
+    } catch (e) {
+      const attempts = job.attempts + 1;
+      const giveUp = attempts >= maxAttempts;
+      if (current) {
+        stages[current] = 'failed';
+        onStage({ stage: current, status: 'failed', ms: Date.now() - startedAt, job });
+      }
+      try {
+        await db(t => t.update({
+          status: giveUp ? 'failed' : 'pending',
+          stages, state, stage: current,
+          attempts,
+          last_error: String(e?.message || e).slice(0, 1000),
+          next_attempt_at: new Date(Date.now() + backoffMs(attempts, baseDelayMs)).toISOString(),
+          finished_at: giveUp ? new Date().toISOString() : null
+        }).eq('id', job.id));
+      } catch (writeErr) {
+        // the job stays `running` until its lock expires and reclaim() requeues it
+        log.error('job outcome not recorded', { err: writeErr, error: String(e?.message || e) });
+        return { ...job, status: 'running' };
+      }
+      log.warn(giveUp ? 'job failed' : 'job will retry', { stage: current, attempts, error: String(e?.message || e) });
+      return { ...job, status: giveUp ? 'failed' : 'pending' };
+    }
+  }
+
+  const idle = () => new Promise(r => {
+    const t = setTimeout(done, pollMs);
+    function done() { clearTimeout(t); sleepers.delete(done); r(); }
+    sleepers.add(done);
+  });
+
+  /** Put `running` jobs locked before `before` back in the queue */
+  async function reclaim(before) {
+    const rows = await db(t => t.update({ status: 'pending', next_attempt_at: new Date().toISOString() })
+      .eq('status', 'running').lt('locked_at', before).select('id'));
+    if (rows?.length) log.info('jobs reclaimed', { count: rows.length });
+    return rows || [];
+  }
+
+  async function worker() {
+    while (running) {
+      try {
+        let job = null;
+        try {
+          // at most once per poll across this process's workers
+          if (Date.now() - reclaimedAt >= pollMs) {
+            reclaimedAt = Date.now();
+            await reclaim(new Date(Date.now() - lockTtlMs).toISOString());
+          }
+          job = await claim();
+        } catch (e) {
+          log.warn('job claim failed', { error: String(e?.message || e) });
+        }
+        if (!job) {
+          await idle();
+          continue;
+        }
+        // everything logged while working the job carries its run and job ids
+        await withContext({ runId: job.run_id, jobId: job.id }, async () => {
+          const done = await runJob(job);
+          if (TERMINAL.includes(done.status)) {
+            try { await onSettled(done); } catch (e) { log.warn('job onSettled failed', { error: String(e?.message || e) }); }
+          }
+        });
+      } catch (e) {
+        // one bad job must not end the worker
+        log.error('job worker error', { err: e });
+        await idle();
+      }
+    }
+  }
+
+  function wake() {
+    for (const r of [...sleepers]) r();
+  }
+
+  /** Requeue jobs left running by a previous process (deploy/restart) and start the workers */
+  async function start() {
+    if (running) return;
+    running = true;
+    try {
+      await reclaim(new Date().toISOString());
+    } catch (e) {
+      log.warn('job resume failed', { error: String(e?.message || e) });
+    }
+    for (let i = 0; i < Math.max(1, concurrency); i++) worker();
+  }
+
+  function stop() {
+    running = false;
+    wake();
+  }
+
+  /** Put failed jobs of a run (or specific job ids) back in the queue with fresh attempts */
+  async function retryFailed(runId, jobIds = null) {
+    const rows = await db(t => {
+      let q = t.update({ status: 'pending', attempts: 0, last_error: null, finished_at: null, next_attempt_at: new Date().toISOString() })
+        .eq('run_id', runId).eq('status', 'failed');
+      if (jobIds) q = q.in('id', jobIds);
+      return q.select('id');
+    });
+    wake();
+    return rows || [];
+  }
+
+  return { enqueue, start, stop, wake, retryFailed };
+}
+
+/** Run status once every job of a run is terminal; null while work remains */
+function runStatusFromJobs(jobs = []) {
+  if (!jobs.length) return 'succeeded';
+  if (jobs.some(j => !TERMINAL.includes(j.status))) return null;
+  const failed = jobs.filter(j => j.status === 'failed').length;
+  return !failed ? 'succeeded' : failed < jobs.length ? 'partial' : 'failed';
+}
+
+module.exports = { TERMINAL, backoffMs, createJobQueue, runStatusFromJobs };
@@ -0,0 +1,159 @@
+/** ======= Lead search: query-string parsing + PostgREST filter building ======= **/
+
+const SORTABLE = ['final_score', 'tech_score', 'rating', 'review_count', 'name', 'city', 'state', 'postal_code'];
+
+const TECH_FLAGS = [
+  'has_online_scheduling', 'has_patient_portal', 'has_text_reminders', 'has_digital_forms',
+  'has_online_payments', 'has_virtual_consults', 'has_advanced_imaging'
+];
+
+const list = (v) => {
+  if (v == null || v === '') return [];
+  return (Array.isArray(v) ? v : String(v).split(','))
+    .map(s => String(s).trim()).filter(Boolean);
+};
+
+const bool = (v) => {
+  if (v === true || v === 'true' || v === '1') return true;
+  if (v === false || v === 'false' || v === '0') return false;
+  return null;
+};
+
+const num = (v) => {
+  if (v == null || v === '') return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+};
+
+function encodeCursor(row, sort) {
+  return Buffer.from(JSON.stringify({ v: row?.[sort] ?? null, id: row?.id })).toString('base64url');
+}
+
+function decodeCursor(raw) {
+  if (!raw) return null;
+  try {
+    const c = JSON.parse(Buffer.from(String(raw), 'base64url').toString('utf8'));
+    return c && c.id != null ? c : null;
+  } catch {
+    return null;
+  }
+}
+
+/** Turn req.query into a normalized search; throws on bad sort/cursor so routes can 400 */
+function parseLeadQuery(q = {}) {
+  const sort = q.sort || 'final_score';
+  if (!SORTABLE.includes(sort)) throw new Error(`sort must be one of ${SORTABLE.join(', ')}`);
+  const dir = String(q.dir || 'desc').toLowerCase() === 'asc' ? 'asc' : 'desc';
+
+  const cursor = decodeCursor(q.cursor);
+  if (q.cursor && !cursor) throw new Error('invalid cursor');
+
+  const flags = {};
+  for (const f of TECH_FLAGS) {
+    const b = bool(q[f]);
+    if (b !== null) flags[f] = b;
+  }
+
+  return {
+    filters: {
+      tech_tier: list(q.tech_tier).map(s => s.toUpperCase()),
+      qualification_status: list(q.qualification_status).map(s => s.toUpperCase()),
+      min_score: num(q.min_score),
+      max_score: num(q.max_score),
+      city: q.city ? String(q.city) : null,
+      state: q.state ? String(q.state) : null,
+      postal_code: list(q.postal_code),
+      technologies: list(q.technologies),
+      llm_specialties: list(q.llm_specialties).map(s => s.toLowerCase()),
+      affiliation: list(q.affiliation),
+      pipeline_status: list(q.pipeline_status).map(s => s.toLowerCase()),
+      assigned_rep_id: q.assigned_rep_id ? String(q.assigned_rep_id) : null,
+      run_id: q.run_id ? String(q.run_id) : null,
+      flags
+    },
+    sort,
+    dir,
+    limit: Math.max(1, Math.min(200, num(q.limit) || 50)),
+    cursor
+  };
+}
+
+/** True when filters reference lead_tech_analysis columns (needs an inner join) */
+function needsTechJoin(filters) {
+  return !!(filters.technologies.length || filters.llm_specialties.length || Object.keys(filters.flags).length);
+}
+
+// PostgREST filter values containing , ( ) or quotes must be double-quoted
+const pgValue = (v) => (typeof v === 'number' ? String(v) : `"${String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`);
+
+/** Keyset condition for "rows after cursor" with NULLs sorted last in both directions */
+function cursorCondition(sort, dir, cursor) {
+  const op = dir === 'asc' ? 'gt' : 'lt';
+  if (cursor.v === null) return `and(${sort}.is.null,id.${op}.${pgValue(cursor.id)})`;
+  return [
+    `${sort}.${op}.${pgValue(cursor.v)}`,
+    `and(${sort}.eq.${pgValue(cursor.v)},id.${op}.${pgValue(cursor.id)})`,
+    `${sort}.is.null`
+  ].join(',');
+}
+
+// Events that tie a lead to the run that created or rescanned it (payload.runId)
+const RUN_EVENTS = ['created', 'rescanned'];
+
+/**
+ * Apply a parsed search to a supabase-js select builder on dental_leads. With `runIds`
+ * the select must embed `lead_events!inner(...)`: leads are matched through their run
+ * events in the same query rather than through a list of ids.
+ */
+function applyLeadQuery(q, { filters, sort, dir, limit, cursor }, { runIds } = {}) {
+  const f = filters;
+  if (f.tech_tier.length) q = q.in('tech_tier', f.tech_tier);
+  if (f.qualification_status.length) q = q.in('qualification_status', f.qualification_status);
+  if (f.min_score !== null) q = q.gte('final_score', f.min_score);
+  if (f.max_score !== null) q = q.lte('final_score', f.max_score);
+  if (f.city) q = q.ilike('city', f.city);
+  if (f.state) q = q.ilike('state', f.state);
+  if (f.postal_code.length) q = q.in('postal_code', f.postal_code);
+  if (f.affiliation.length) q = q.in('affiliation', f.affiliation);
+  if (f.pipeline_status.length) q = q.in('pipeline_status', f.pipeline_status);
+  if (f.assigned_rep_id) q = q.eq('assigned_rep_id', f.assigned_rep_id);
+  if (runIds) q = q.in('lead_events.event_type', RUN_EVENTS).in('lead_events.payload->>runId', runIds);
+
+  for (const [flag, val] of Object.entries(f.flags)) q = q.eq(`lead_tech_analysis.${flag}`, val);
+  if (f.technologies.length) q = q.contains('lead_tech_analysis.technologies', f.technologies);
+  if (f.llm_specialties.length) q = q.overlaps('lead_tech_analysis.llm_specialties', f.llm_specialties);
+
+  if (cursor) q = q.or(cursorCondition(sort, dir, cursor));
+
+  const ascending = dir === 'asc';
+  return q
+    .order(sort, { ascending, nullsFirst: false })
+    .order('id', { ascending })
+    .limit(limit + 1); // one extra row tells us whether there's a next page
+}
+
+const one = (embedded) => (Array.isArray(embedded) ? (embedded[0] || null) : (embedded || null));
+
+/**
+ * Flatten embedded lead_tech_analysis into `tech` and the is_best lead_contacts row into
+ * `best_contact`; run events embedded for a run_id filter are dropped
+ */
+function shapeLead(row) {
+  if (!row) return row;
+  const { lead_tech_analysis, lead_contacts, lead_events: _runEvents, ...lead } = row;
+  const shaped = { ...lead, tech: one(lead_tech_analysis) };
+  if (lead_contacts !== undefined) shaped.best_contact = one(lead_contacts);
+  return shaped;
+}
+
+module.exports = {
+  SORTABLE,
+  TECH_FLAGS,
+  parseLeadQuery,
+  needsTechJoin,
+  applyLeadQuery,
+  shapeLead,
+  encodeCursor,
+  decodeCursor,
+  pgValue
+};
@@ -1,41 +1,228 @@
 const Anthropic = require('@anthropic-ai/sdk');
+const { log } = require('./log');
 const anthropic = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
 
-async function runModel(model, siteText) {
-  const prompt = `Extract as JSON:
-- specialties: array from {cosmetic, aligners, implants, sedation, ortho, perio, prostho, endo}
-- notes: one 1–2 sentence rationale.
-Return ONLY JSON. Text:\n${(siteText || '').slice(0, 2000)}`;
-  const resp = await anthropic.messages.create({
-    model,
-    max_tokens: 350,
-    temperature: 0.2,
-    messages: [{ role: 'user', content: prompt }],
-  });
-  const text = resp?.content?.[0]?.text || '';
-  try {
-    const data = JSON.parse(text);
-    return {
-      specialties: Array.isArray(data.specialties) ? data.specialties : [],
-      notes: typeof data.notes === 'string' ? data.notes.slice(0, 300) : '',
-    };
-  } catch {
-    return { specialties: [], notes: '' };
+const HAIKU = 'claude-3-5-haiku-latest';
+const SONNET = 'claude-3-5-sonnet-latest';
+
+// USD per million tokens, for run cost estimates
+const MODEL_PRICES = {
+  [HAIKU]: { input: 0.8, output: 4 },
+  [SONNET]: { input: 3, output: 15 }
+};
+
+function estimateLlmCostUsd(usage = []) {
+  return usage.reduce((sum, u) => {
+    const p = MODEL_PRICES[u.model] || MODEL_PRICES[SONNET];
+    return sum + ((u.input_tokens || 0) * p.input + (u.output_tokens || 0) * p.output) / 1e6;
+  }, 0);
+}
+
+/** ======= Extraction schema (tool input) ======= **/
+const SPECIALTIES = ['cosmetic', 'aligners', 'implants', 'sedation', 'ortho', 'perio', 'prostho', 'endo'];
+const PAYMENT_MODELS = ['insurance', 'fee_for_service', 'mixed', 'unknown'];
+const CONFIDENCE_FIELDS = ['specialties', 'doctors', 'location_count', 'languages', 'payment_model', 'site_outdated'];
+
+const EXTRACTION_TOOL = {
+  name: 'record_practice_profile',
+  description: 'Record facts about a dental practice extracted from its website text.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      specialties: { type: 'array', items: { type: 'string', enum: SPECIALTIES }, description: 'Services the practice actively promotes.' },
+      doctor_names: { type: 'array', items: { type: 'string' }, description: 'Dentists named on the site, e.g. "Dr. Jane Smith".' },
+      doctor_count: { type: ['integer', 'null'], minimum: 0, description: 'Number of dentists, null if unclear.' },
+      location_count: { type: ['integer', 'null'], minimum: 1, description: 'Number of office locations, null if unclear.' },
+      languages: { type: 'array', items: { type: 'string' }, description: 'Languages spoken besides English.' },
+      payment_model: { type: 'string', enum: PAYMENT_MODELS, description: 'Accepts insurance / in-network vs. fee-for-service only.' },
+      payment_signals: { type: 'array', items: { type: 'string' }, description: 'Short quotes supporting payment_model.' },
+      site_outdated: { type: 'boolean', description: 'Whether the site looks dated (old copyright, stale design cues, broken features).' },
+      notes: { type: 'string', description: 'One 1–2 sentence rationale.' },
+      confidence: {
+        type: 'object',
+        description: 'Confidence 0–1 per field.',
+        properties: Object.fromEntries(CONFIDENCE_FIELDS.map(f => [f, { type: 'number', minimum: 0, maximum: 1 }]))
+      }
+    },
+    required: ['specialties', 'payment_model', 'site_outdated', 'notes', 'confidence']
+  }
+};
+
+const strArray = (v, max = 20) => Array.isArray(v) && v.every(x => typeof x === 'string') ? v.map(s => s.trim()).filter(Boolean).slice(0, max) : null;
+const intOrNull = (v, min) => v === null || v === undefined ? null : (Number.isInteger(v) && v >= min ? v : undefined);
+
+/** Validate tool input; returns the cleaned value plus any errors (errors mean retry) */
+function validateExtraction(input) {
+  const errors = [];
+  if (!input || typeof input !== 'object') return { value: null, errors: ['tool input must be an object'] };
+
+  const specialties = strArray(input.specialties);
+  if (!specialties) errors.push('specialties must be an array of strings');
+  const badSpecialties = (specialties || []).filter(s => !SPECIALTIES.includes(s));
+  if (badSpecialties.length) errors.push(`specialties not allowed: ${badSpecialties.join(', ')} (allowed: ${SPECIALTIES.join(', ')})`);
+
+  const doctor_names = input.doctor_names === undefined ? [] : strArray(input.doctor_names);
+  if (!doctor_names) errors.push('doctor_names must be an array of strings');
+  const doctor_count = intOrNull(input.doctor_count, 0);
+  if (doctor_count === undefined) errors.push('doctor_count must be a non-negative integer or null');
+  const location_count = intOrNull(input.location_count, 1);
+  if (location_count === undefined) errors.push('location_count must be a positive integer or null');
+  const languages = input.languages === undefined ? [] : strArray(input.languages);
+  if (!languages) errors.push('languages must be an array of strings');
+  if (!PAYMENT_MODELS.includes(input.payment_model)) errors.push(`payment_model must be one of ${PAYMENT_MODELS.join(', ')}`);
+  const payment_signals = input.payment_signals === undefined ? [] : strArray(input.payment_signals, 5);
+  if (!payment_signals) errors.push('payment_signals must be an array of strings');
+  if (typeof input.site_outdated !== 'boolean') errors.push('site_outdated must be a boolean');
+  if (typeof input.notes !== 'string') errors.push('notes must be a string');
+
+  const confidence = {};
+  for (const f of CONFIDENCE_FIELDS) {
+    const c = input.confidence?.[f];
+    if (c === undefined) continue;
+    if (typeof c !== 'number' || c < 0 || c > 1) errors.push(`confidence.${f} must be a number between 0 and 1`);
+    else confidence[f] = c;
+  }
+
+  const value = {
+    specialties: [...new Set((specialties || []).filter(s => SPECIALTIES.includes(s)))],
+    doctor_names: doctor_names || [],
+    doctor_count: doctor_count ?? (doctor_names?.length || null),
+    location_count: location_count ?? null,
+    languages: languages || [],
+    payment_model: PAYMENT_MODELS.includes(input.payment_model) ? input.payment_model : 'unknown',
+    payment_signals: payment_signals || [],
+    site_outdated: typeof input.site_outdated === 'boolean' ? input.site_outdated : null,
+    notes: typeof input.notes === 'string' ? input.notes.slice(0, 300) : '',
+    confidence
+  };
+  return { value, errors };
+}
+
+const EMPTY = validateExtraction({ specialties: [], payment_model: 'unknown', site_outdated: false, notes: '', confidence: {} }).value;
+
+async function runModel(model, siteText, { maxAttempts = Number(process.env.LLM_MAX_ATTEMPTS || 3) } = {}) {
+  const maxChars = Number(process.env.LLM_MAX_CHARS || 12000);
+  const messages = [{
+    role: 'user',
+    content: `Extract the practice profile from this dental website text using the ${EXTRACTION_TOOL.name} tool. Only use facts stated in the text.\n\nText:\n${(siteText || '').slice(0, maxChars)}`
+  }];
+  const usage = [];
+  let last = { value: EMPTY, errors: ['no tool call'] };
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const resp = await anthropic.messages.create({
+      model,
+      max_tokens: 800,
+      temperature: 0.2,
+      tools: [EXTRACTION_TOOL],
+      tool_choice: { type: 'tool', name: EXTRACTION_TOOL.name },
+      messages
+    });
+    usage.push({ model, input_tokens: resp?.usage?.input_tokens || 0, output_tokens: resp?.usage?.output_tokens || 0 });
+
+    const call = resp?.content?.find(b => b.type === 'tool_use' && b.name === EXTRACTION_TOOL.name);
+    last = call ? validateExtraction(call.input) : { value: EMPTY, errors: ['no tool call'] };
+    if (!last.errors.length) return { ...last.value, valid: true, usage };
+
+    // Malformed output: show the model its errors and ask again
+    if (call) {
+      messages.push({ role: 'assistant', content: resp.content });
+      messages.push({
+        role: 'user',
+        content: [{ type: 'tool_result', tool_use_id: call.id, is_error: true, content: `Invalid input: ${last.errors.join('; ')}. Call the tool again with corrected input.` }]
+      });
+    }
   }
+
+  log.warn('llm: invalid extraction after retries', { model, errors: last.errors });
+  return { ...(last.value || EMPTY), valid: false, usage };
 }
 
-async function enrichWithLLM({ siteText }) {
+/**
+ * @param allowEscalation false once the Sonnet escalation budget is spent
+ * @returns extraction + { model, usage, escalations (Sonnet calls made), escalationSkipped }
+ */
+async function enrichWithLLM({ siteText, allowEscalation = true }) {
   // 1) Haiku (fast/cheap)
-  let out = await runModel('claude-3-5-haiku-latest', siteText);
+  const haiku = await runModel(HAIKU, siteText);
+  const usage = [...haiku.usage];
+  let out = { ...haiku, model: HAIKU };
+
+  // 2) Escalate to Sonnet only if Haiku is invalid or empty/weak AND we have enough text
+  const tooWeak = (!out.valid || !out.specialties?.length) && (siteText || '').length > 800;
+  if (tooWeak && allowEscalation) {
+    const sonnet = await runModel(SONNET, siteText);
+    usage.push(...sonnet.usage);
+    if (sonnet.valid && (sonnet.specialties?.length || !out.valid)) out = { ...sonnet, model: SONNET, escalated: true };
+  }
+
+  return { ...out, usage, escalations: tooWeak && allowEscalation ? 1 : 0, escalationSkipped: tooWeak && !allowEscalation };
+}
+
+/** ======= Outreach rewrite (tool input) ======= **/
+const OUTREACH_TOOL = {
+  name: 'record_outreach_draft',
+  description: 'Record a rewritten first-touch email and call script for a dental practice.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      subject: { type: 'string', description: 'Email subject, under 70 characters.' },
+      body: { type: 'string', description: 'Plain-text email body, under 150 words.' },
+      call_script: { type: 'string', description: 'Short call script, one line per step.' }
+    },
+    required: ['subject', 'body', 'call_script']
+  }
+};
+
+function validateOutreach(input) {
+  const errors = [];
+  if (!input || typeof input !== 'object') return { value: null, errors: ['tool input must be an object'] };
+  for (const f of ['subject', 'body', 'call_script']) {
+    if (typeof input[f] !== 'string' || !input[f].trim()) errors.push(`${f} must be a non-empty string`);
+  }
+  if (typeof input.subject === 'string' && input.subject.length > 120) errors.push('subject must be under 120 characters');
+  if (errors.length) return { value: null, errors };
+  return { value: { subject: input.subject.trim(), body: input.body.trim(), call_script: input.call_script.trim() }, errors };
+}
+
+/**
+ * Rewrite a rendered draft so it reads less like a template. Only the facts
+ * given may be used; on invalid output the original draft is returned.
+ */
+async function rewriteOutreach({ draft, facts }, { maxAttempts = Number(process.env.LLM_MAX_ATTEMPTS || 3) } = {}) {
+  const messages = [{
+    role: 'user',
+    content: `Rewrite this cold outreach for a dental practice so it sounds personal and specific, using the ${OUTREACH_TOOL.name} tool. Keep every claim grounded in the facts below; do not invent numbers, names or features.\n\nFacts:\n${JSON.stringify(facts, null, 2)}\n\nDraft subject: ${draft.subject}\n\nDraft email:\n${draft.body}\n\nDraft call script:\n${draft.call_script}`
+  }];
+  const usage = [];
+  let last = { value: null, errors: ['no tool call'] };
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const resp = await anthropic.messages.create({
+      model: HAIKU,
+      max_tokens: 900,
+      temperature: 0.6,
+      tools: [OUTREACH_TOOL],
+      tool_choice: { type: 'tool', name: OUTREACH_TOOL.name },
+      messages
+    });
+    usage.push({ model: HAIKU, input_tokens: resp?.usage?.input_tokens || 0, output_tokens: resp?.usage?.output_tokens || 0 });
+
+    const call = resp?.content?.find(b => b.type === 'tool_use' && b.name === OUTREACH_TOOL.name);
+    last = call ? validateOutreach(call.input) : { value: null, errors: ['no tool call'] };
+    if (!last.errors.length) return { ...last.value, valid: true, model: HAIKU, usage };
 
-  // 2) Escalate to Sonnet only if Haiku is empty/weak AND we have enough text
-  const tooWeak = !out.specialties?.length && (siteText || '').length > 800;
-  if (tooWeak) {
-    const sonnet = await runModel('claude-3-5-sonnet-latest', siteText);
-    if (sonnet.specialties?.length) out = { ...sonnet, escalated: true };
+    if (call) {
+      messages.push({ role: 'assistant', content: resp.content });
+      messages.push({
+        role: 'user',
+        content: [{ type: 'tool_result', tool_use_id: call.id, is_error: true, content: `Invalid input: ${last.errors.join('; ')}. Call the tool again with corrected input.` }]
+      });
+    }
   }
 
-  return out;
+  log.warn('llm: invalid outreach rewrite after retries', { model: HAIKU, errors: last.errors });
+  return { ...draft, valid: false, model: HAIKU, usage };
 }
 
-module.exports = { enrichWithLLM };
\ No newline at end of file
+module.exports = { enrichWithLLM, rewriteOutreach, validateOutreach, OUTREACH_TOOL, validateExtraction, estimateLlmCostUsd, EXTRACTION_TOOL, SPECIALTIES, PAYMENT_MODELS, MODEL_PRICES };
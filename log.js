@@ -0,0 +1,66 @@
+/** ======= Structured JSON logs =======
+ * One JSON object per line: { ts, level, msg, ...correlation, ...fields }.
+ * Correlation ids (reqId, runId, jobId, leadId) ride along in an
+ * AsyncLocalStorage context, so anything logged while serving a request or
+ * working a job carries them without passing a logger around.
+ * LOG_LEVEL: debug | info (default) | warn | error.
+ */
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const context = new AsyncLocalStorage();
+
+/** Run fn with these correlation fields (on top of any already in scope) */
+function withContext(fields, fn) {
+  return context.run({ ...(context.getStore() || {}), ...fields }, fn);
+}
+
+/** Add correlation fields to the current context, e.g. the lead id once a job knows it */
+function addContext(fields) {
+  const store = context.getStore();
+  if (store) Object.assign(store, fields);
+}
+
+const currentContext = () => ({ ...(context.getStore() || {}) });
+
+function serialize(value) {
+  if (value instanceof Error) return { message: value.message, code: value.code, stack: value.stack };
+  return value;
+}
+
+// console keeps the level's stream (and lets tests mute it)
+function consoleWrite(level, line) {
+  if (level === 'error') console.error(line);
+  else if (level === 'warn') console.warn(line);
+  else console.log(line);
+}
+
+/**
+ * @param fields fixed fields on every line (child() adds more)
+ * @param write  (level, line) sink
+ */
+function createLogger(fields = {}, { level = process.env.LOG_LEVEL || 'info', write = consoleWrite } = {}) {
+  const min = LEVELS[level] ?? LEVELS.info;
+  const emit = (lvl, msg, extra = {}) => {
+    if (LEVELS[lvl] < min) return;
+    const entry = { ts: new Date().toISOString(), level: lvl, msg, ...context.getStore(), ...fields };
+    for (const [k, v] of Object.entries(extra || {})) entry[k] = serialize(v);
+    try {
+      write(lvl, JSON.stringify(entry));
+    } catch {
+      write(lvl, JSON.stringify({ ts: entry.ts, level: lvl, msg, unserializable: true }));
+    }
+  };
+  return {
+    debug: (msg, extra) => emit('debug', msg, extra),
+    info: (msg, extra) => emit('info', msg, extra),
+    warn: (msg, extra) => emit('warn', msg, extra),
+    error: (msg, extra) => emit('error', msg, extra),
+    child: (more) => createLogger({ ...fields, ...more }, { level, write })
+  };
+}
+
+const log = createLogger();
+
+module.exports = { LEVELS, log, createLogger, withContext, addContext, currentContext };
@@ -0,0 +1,183 @@
+/** ======= Local market analysis =======
+ * Compares a practice's technology adoption with the practices around it and
+ * rolls leads up into geohash cells for territory planning. Everything here is
+ * pure: callers fetch the leads (with lead_tech_analysis as `tech`).
+ */
+const { TECH_FLAGS } = require('./leadquery');
+const { distanceMeters } = require('./identity');
+const { GAP_COPY } = require('./outreach');
+const { isDso } = require('./affiliation');
+
+const METERS_PER_MILE = 1609.344;
+const MIN_PEERS = Number(process.env.MARKET_MIN_PEERS || 3);
+
+const GEOHASH_BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+function geohash(lat, lng, precision = 5) {
+  let [latLo, latHi, lngLo, lngHi] = [-90, 90, -180, 180];
+  let hash = '';
+  let bits = 0;
+  let ch = 0;
+  let even = true;
+  while (hash.length < precision) {
+    if (even) {
+      const mid = (lngLo + lngHi) / 2;
+      if (lng >= mid) { ch = (ch << 1) | 1; lngLo = mid; } else { ch <<= 1; lngHi = mid; }
+    } else {
+      const mid = (latLo + latHi) / 2;
+      if (lat >= mid) { ch = (ch << 1) | 1; latLo = mid; } else { ch <<= 1; latHi = mid; }
+    }
+    even = !even;
+    if (++bits === 5) {
+      hash += GEOHASH_BASE32[ch];
+      bits = 0;
+      ch = 0;
+    }
+  }
+  return hash;
+}
+
+/** { north, south, east, west } of a geohash cell */
+function geohashBounds(hash) {
+  let [latLo, latHi, lngLo, lngHi] = [-90, 90, -180, 180];
+  let even = true;
+  for (const c of hash) {
+    const n = GEOHASH_BASE32.indexOf(c);
+    if (n < 0) throw new Error(`invalid geohash: ${hash}`);
+    for (let bit = 4; bit >= 0; bit--) {
+      const on = (n >> bit) & 1;
+      if (even) {
+        const mid = (lngLo + lngHi) / 2;
+        if (on) lngLo = mid; else lngHi = mid;
+      } else {
+        const mid = (latLo + latHi) / 2;
+        if (on) latLo = mid; else latHi = mid;
+      }
+      even = !even;
+    }
+  }
+  return { north: latHi, south: latLo, east: lngHi, west: lngLo };
+}
+
+/** Lat/lng box around a point, for prefiltering peers before exact distances */
+function boundingBox(lat, lng, meters) {
+  const dLat = meters / 111320;
+  const dLng = meters / (111320 * Math.max(0.01, Math.cos((lat * Math.PI) / 180)));
+  return { north: lat + dLat, south: lat - dLat, east: lng + dLng, west: lng - dLng };
+}
+
+/** A lat/lng box grown by `meters` on every side */
+function growBox(box, meters) {
+  const lat = Math.max(Math.abs(box.north), Math.abs(box.south));
+  const dLat = meters / 111320;
+  const dLng = meters / (111320 * Math.max(0.01, Math.cos((lat * Math.PI) / 180)));
+  return { north: box.north + dLat, south: box.south - dLat, east: box.east + dLng, west: box.west - dLng };
+}
+
+const inBox = (p, b) => Number(p.latitude) >= b.south && Number(p.latitude) <= b.north
+  && Number(p.longitude) >= b.west && Number(p.longitude) <= b.east;
+
+/**
+ * The distinct geohash cells `points` fall in, each with the leads a change
+ * there can affect (within `meters` of the cell) and the box that also holds
+ * all of their peers (within twice that), so each area is loaded once.
+ */
+function marketAreas(points, meters, { precision = 5 } = {}) {
+  const cells = new Set(points
+    .filter(p => p.latitude != null && p.longitude != null)
+    .map(p => geohash(Number(p.latitude), Number(p.longitude), precision)));
+  return [...cells].sort().map(hash => {
+    const bounds = geohashBounds(hash);
+    return { geohash: hash, affected: growBox(bounds, meters), load: growBox(bounds, 2 * meters) };
+  });
+}
+
+const hasTech = (l) => !!l.tech;
+const round1 = (n) => Math.round(n * 10) / 10;
+
+/**
+ * @param lead    shaped lead ({ ...dental_leads, tech })
+ * @param nearby  other shaped leads, any distance (filtered to radiusMiles here)
+ * @returns { radiusMiles, peers, peersAnalyzed, tiers, dsoPeers, adoption, callouts, marketScore }
+ */
+function compareToPeers(lead, nearby = [], { radiusMiles = 3 } = {}) {
+  const peers = nearby
+    .filter(p => p.id !== lead.id)
+    .map(p => ({ ...p, distanceMiles: distanceMeters(lead, p) / METERS_PER_MILE }))
+    .filter(p => Number.isFinite(p.distanceMiles) && p.distanceMiles <= radiusMiles)
+    .sort((a, b) => a.distanceMiles - b.distanceMiles);
+  const analyzed = peers.filter(hasTech);
+  const within = `within ${radiusMiles} mile${radiusMiles === 1 ? '' : 's'}`;
+
+  const tiers = {};
+  for (const p of peers) tiers[p.tech_tier || 'UNSCORED'] = (tiers[p.tech_tier || 'UNSCORED'] || 0) + 1;
+
+  const adoption = {};
+  const callouts = [];
+  for (const f of TECH_FLAGS) {
+    const having = analyzed.filter(p => p.tech[f]).length;
+    adoption[f] = {
+      lead: lead.tech ? !!lead.tech[f] : null,
+      peersWith: having,
+      peerRate: analyzed.length ? round1((having / analyzed.length) * 100) / 100 : null
+    };
+    if (!lead.tech || analyzed.length < MIN_PEERS) continue;
+    const label = GAP_COPY[f]?.label || f;
+    if (!lead.tech[f] && having === analyzed.length) callouts.push({ flag: f, kind: 'only_without', text: `only practice ${within} without ${label}` });
+    else if (lead.tech[f] && having === 0) callouts.push({ flag: f, kind: 'only_with', text: `only practice ${within} with ${label}` });
+    else if (!lead.tech[f] && having / analyzed.length >= 0.5) callouts.push({ flag: f, kind: 'behind', text: `${having} of ${analyzed.length} practices ${within} offer ${label}` });
+  }
+
+  return {
+    radiusMiles,
+    peers: peers.map(p => ({ id: p.id, name: p.name, distanceMiles: round1(p.distanceMiles), tech_tier: p.tech_tier || null, affiliation: p.affiliation || null })),
+    peersAnalyzed: analyzed.length,
+    tiers,
+    dsoPeers: peers.filter(p => isDso(p.affiliation)).length,
+    adoption,
+    callouts,
+    marketScore: marketScore(lead, analyzed)
+  };
+}
+
+/**
+ * Competitive pressure, 0–100: how widely local peers already use what this
+ * practice lacks. Null until there are MIN_PEERS analyzed peers to compare with.
+ */
+function marketScore(lead, analyzedPeers) {
+  if (!lead.tech || analyzedPeers.length < MIN_PEERS) return null;
+  const missing = TECH_FLAGS.filter(f => !lead.tech[f]);
+  if (!missing.length) return 0;
+  const rate = missing.reduce((sum, f) => sum + analyzedPeers.filter(p => p.tech[f]).length / analyzedPeers.length, 0) / missing.length;
+  return Math.round(rate * 100);
+}
+
+/** Roll leads up into geohash cells: density, DSO share, tiers and per-flag adoption */
+function marketGrid(leads, { precision = 5 } = {}) {
+  const cells = new Map();
+  for (const l of leads) {
+    if (l.latitude == null || l.longitude == null) continue;
+    const key = geohash(Number(l.latitude), Number(l.longitude), precision);
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(l);
+  }
+
+  return [...cells.entries()].map(([hash, list]) => {
+    const analyzed = list.filter(hasTech);
+    const tiers = {};
+    for (const l of list) tiers[l.tech_tier || 'UNSCORED'] = (tiers[l.tech_tier || 'UNSCORED'] || 0) + 1;
+    const scores = list.map(l => l.final_score).filter(n => n != null);
+    return {
+      geohash: hash,
+      bounds: geohashBounds(hash),
+      practices: list.length,
+      analyzed: analyzed.length,
+      dso: list.filter(l => isDso(l.affiliation)).length,
+      tiers,
+      avgFinalScore: scores.length ? Math.round(scores.reduce((a, b) => a + b, 0) / scores.length) : null,
+      adoption: Object.fromEntries(TECH_FLAGS.map(f => [f, analyzed.length ? round1((analyzed.filter(l => l.tech[f]).length / analyzed.length) * 100) / 100 : null]))
+    };
+  }).sort((a, b) => b.practices - a.practices || a.geohash.localeCompare(b.geohash));
+}
+
+module.exports = { METERS_PER_MILE, geohash, geohashBounds, boundingBox, inBox, marketAreas, compareToPeers, marketScore, marketGrid };
@@ -0,0 +1,86 @@
+/** ======= Prometheus metrics =======
+ * A small registry speaking the text exposition format (0.0.4): counters,
+ * histograms and gauges whose values are collected at scrape time.
+ */
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const escapeLabel = (v) => String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+function labelText(labels) {
+  const entries = Object.entries(labels).filter(([, v]) => v != null);
+  return entries.length ? `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}` : '';
+}
+
+// Same labels in any order are the same series
+const seriesKey = (labels) => JSON.stringify(Object.entries(labels).filter(([, v]) => v != null).sort(([a], [b]) => a.localeCompare(b)));
+
+const number = (n) => (Number.isFinite(n) ? String(+n.toFixed(6)) : n > 0 ? '+Inf' : '-Inf');
+
+function createRegistry() {
+  const metrics = [];
+
+  function counter(name, help) {
+    const series = new Map();
+    const metric = {
+      name, help, type: 'counter',
+      inc(labels = {}, by = 1) {
+        const key = seriesKey(labels);
+        const s = series.get(key) || { labels, value: 0 };
+        s.value += by;
+        series.set(key, s);
+      },
+      value: (labels = {}) => series.get(seriesKey(labels))?.value || 0,
+      lines: () => [...series.values()].map(s => `${name}${labelText(s.labels)} ${number(s.value)}`)
+    };
+    metrics.push(metric);
+    return metric;
+  }
+
+  function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+    const bounds = [...buckets].sort((a, b) => a - b);
+    const series = new Map();
+    const metric = {
+      name, help, type: 'histogram',
+      observe(labels = {}, value) {
+        const key = seriesKey(labels);
+        const s = series.get(key) || { labels, counts: bounds.map(() => 0), sum: 0, count: 0 };
+        bounds.forEach((b, i) => { if (value <= b) s.counts[i]++; });
+        s.sum += value;
+        s.count++;
+        series.set(key, s);
+      },
+      count: (labels = {}) => series.get(seriesKey(labels))?.count || 0,
+      lines: () => [...series.values()].flatMap(s => [
+        ...bounds.map((b, i) => `${name}_bucket${labelText({ ...s.labels, le: number(b) })} ${s.counts[i]}`),
+        `${name}_bucket${labelText({ ...s.labels, le: '+Inf' })} ${s.count}`,
+        `${name}_sum${labelText(s.labels)} ${number(s.sum)}`,
+        `${name}_count${labelText(s.labels)} ${s.count}`
+      ])
+    };
+    metrics.push(metric);
+    return metric;
+  }
+
+  /** @param collect async () → [{ labels, value }] read at scrape time */
+  function gauge(name, help, collect) {
+    const metric = { name, help, type: 'gauge', collect };
+    metrics.push(metric);
+    return metric;
+  }
+
+  async function render() {
+    const out = [];
+    for (const m of metrics) {
+      const lines = m.type === 'gauge'
+        ? (await m.collect()).map(s => `${m.name}${labelText(s.labels || {})} ${number(s.value)}`)
+        : m.lines();
+      out.push(`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`, ...lines);
+    }
+    return `${out.join('\n')}\n`;
+  }
+
+  return { counter, histogram, gauge, render };
+}
+
+module.exports = { DEFAULT_BUCKETS, createRegistry };
@@ -0,0 +1,125 @@
+/** ======= Outreach drafts =======
+ * First-touch email and call-script drafts built from what a lead is missing
+ * (has_* flags that are false), its specialties and local context. Templates
+ * are plain text with {{variables}}; stored templates are versioned like
+ * scoring profiles and DEFAULT_TEMPLATE is version 0.
+ */
+const { TECH_FLAGS } = require('./leadquery');
+
+// has_* flag → how a rep would say it, and what it costs the practice not to have it
+const GAP_COPY = {
+  has_online_scheduling: { label: 'online booking', pitch: 'patients who want to book at 9pm pick the office that lets them' },
+  has_patient_portal: { label: 'a patient portal', pitch: 'records and balances requests stop landing on the front desk' },
+  has_text_reminders: { label: 'text reminders', pitch: 'automated texts cut no-shows without extra calls' },
+  has_digital_forms: { label: 'digital intake forms', pitch: 'new patients arrive with paperwork already done' },
+  has_online_payments: { label: 'online payments', pitch: 'statements get paid from a link instead of a phone call' },
+  has_virtual_consults: { label: 'virtual consults', pitch: 'cosmetic and implant shoppers can talk to you before they visit' },
+  has_advanced_imaging: { label: 'advanced imaging', pitch: 'same-day diagnostics keep treatment in house' }
+};
+
+const SPECIALTY_LABELS = {
+  cosmetic: 'cosmetic dentistry', aligners: 'clear aligners', implants: 'implants', sedation: 'sedation dentistry',
+  ortho: 'orthodontics', perio: 'periodontics', prostho: 'prosthodontics', endo: 'endodontics'
+};
+
+const DEFAULT_TEMPLATE = {
+  name: 'default',
+  version: 0,
+  email: {
+    subject: '{{top_gap}} for {{practice_name}}?',
+    body: [
+      'Hi {{greeting_name}},',
+      '',
+      'I was looking at {{practice_name}} in {{city}} — {{rating_line}}. {{specialty_line}}',
+      '',
+      'One thing I noticed: the site doesn\'t offer {{missing_list}}. For most practices we work with, {{top_gap_pitch}}.',
+      '',
+      'Would a 15-minute call next week be worth it to see how {{city}} practices are handling this?',
+      '',
+      '{{sender_name}}'
+    ].join('\n')
+  },
+  call_script: [
+    'Opener: "Hi, this is {{sender_name}} — is this the office manager at {{practice_name}}?"',
+    'Context: "We help {{city}} practices {{specialty_short}}add {{top_gap}}."',
+    'Gap: "I noticed you don\'t have {{missing_list}} yet. Usually that means {{top_gap_pitch}}."',
+    'Ask: "Who handles scheduling and patient communication decisions there?"'
+  ].join('\n')
+};
+
+const VARIABLE_RE = /\{\{\s*([a-z_]+)\s*\}\}/g;
+
+const listText = (items) => (items.length <= 1 ? items.join('') : `${items.slice(0, -1).join(', ')} or ${items[items.length - 1]}`);
+
+/**
+ * Template variables for a shaped lead ({ ...dental_leads, tech, best_contact }).
+ * Every key is always present so templates render the same for sparse leads.
+ */
+function outreachVars(lead = {}, { senderName = process.env.OUTREACH_SENDER_NAME || 'The team' } = {}) {
+  const tech = lead.tech || {};
+  // not enriched yet → no known gaps, rather than claiming it lacks everything
+  const missing = lead.tech ? TECH_FLAGS.filter(f => !tech[f]) : [];
+  const gaps = missing.map(f => GAP_COPY[f]).filter(Boolean);
+  const specialties = (tech.llm_specialties || []).map(s => SPECIALTY_LABELS[s] || s);
+  const doctor = (tech.llm_doctor_names || [])[0] || null;
+  const reviews = Number(lead.review_count || 0);
+
+  return {
+    practice_name: lead.name || 'your practice',
+    city: lead.city || 'your area',
+    state: lead.state || '',
+    doctor_name: doctor || '',
+    greeting_name: doctor || 'there',
+    rating: lead.rating != null ? String(lead.rating) : '',
+    review_count: String(reviews),
+    rating_line: lead.rating != null && reviews
+      ? `${lead.rating} stars across ${reviews} reviews is a strong reputation`
+      : 'it looks like a practice patients trust',
+    specialties: listText(specialties),
+    specialty_line: specialties.length ? `It's clear you put a lot into ${listText(specialties.slice(0, 2))}.` : '',
+    specialty_short: specialties.length ? `focused on ${specialties[0]} ` : '',
+    missing_list: gaps.length ? listText(gaps.slice(0, 3).map(g => g.label)) : 'a few patient-facing tools',
+    top_gap: gaps[0]?.label || 'Patient experience',
+    top_gap_pitch: gaps[0]?.pitch || 'small front-desk changes add up quickly',
+    tier: lead.tech_tier || '',
+    score_explanation: lead.final_score_explanation || '',
+    sender_name: senderName
+  };
+}
+
+const VARIABLES = Object.keys(outreachVars({}));
+
+/** Replace {{variables}}; unknown names throw so broken templates fail at save time */
+function renderText(text, vars) {
+  return String(text || '').replace(VARIABLE_RE, (_, key) => {
+    if (!(key in vars)) throw new Error(`unknown template variable: ${key}`);
+    return vars[key];
+  }).replace(/[ \t]+\n/g, '\n').replace(/ {2,}/g, ' ').trim();
+}
+
+function renderDraft(template, vars) {
+  return {
+    subject: renderText(template.email.subject, vars).replace(/^./, c => c.toUpperCase()),
+    body: renderText(template.email.body, vars),
+    call_script: renderText(template.call_script, vars)
+  };
+}
+
+/** Validate a template POST body; throws with a message routes can 400 on */
+function makeTemplate(config = {}, meta = {}) {
+  const t = {
+    name: meta.name || config.name || DEFAULT_TEMPLATE.name,
+    version: meta.version ?? config.version ?? DEFAULT_TEMPLATE.version,
+    email: { ...DEFAULT_TEMPLATE.email, ...(config.email || {}) },
+    call_script: config.call_script ?? DEFAULT_TEMPLATE.call_script
+  };
+  for (const [field, text] of [['email.subject', t.email.subject], ['email.body', t.email.body], ['call_script', t.call_script]]) {
+    if (typeof text !== 'string' || !text.trim()) throw new Error(`${field} must be a non-empty string`);
+    for (const [, key] of text.matchAll(VARIABLE_RE)) {
+      if (!VARIABLES.includes(key)) throw new Error(`${field}: unknown variable {{${key}}} (allowed: ${VARIABLES.join(', ')})`);
+    }
+  }
+  return t;
+}
+
+module.exports = { DEFAULT_TEMPLATE, GAP_COPY, VARIABLES, outreachVars, renderText, renderDraft, makeTemplate };
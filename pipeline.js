@@ -0,0 +1,112 @@
+/** ======= Sales pipeline and rep territories =======
+ * pipeline_status is set by people (unlike the machine-set qualification_status);
+ * a lead without one is `new`. Reps own territories of states, cities and ZIP
+ * prefixes; new leads go to the rep with the most specific match.
+ */
+
+const PIPELINE_STATUSES = ['new', 'contacted', 'meeting', 'won', 'lost', 'not_a_fit'];
+
+const TRANSITIONS = {
+  new: ['contacted', 'meeting', 'lost', 'not_a_fit'],
+  contacted: ['meeting', 'won', 'lost', 'not_a_fit'],
+  meeting: ['contacted', 'won', 'lost', 'not_a_fit'],
+  won: ['lost'],
+  lost: ['new', 'contacted'],
+  not_a_fit: ['new']
+};
+
+// the ones a rep is still working; used to balance auto-assignment
+const OPEN_STATUSES = ['new', 'contacted', 'meeting'];
+
+/** Error message for a disallowed change, or null when it's fine */
+function transitionError(from, to) {
+  if (!PIPELINE_STATUSES.includes(to)) return `status must be one of ${PIPELINE_STATUSES.join(', ')}`;
+  if (from === to) return `lead is already ${to}`;
+  if (!TRANSITIONS[from].includes(to)) return `cannot move from ${from} to ${to} (allowed: ${TRANSITIONS[from].join(', ') || 'none'})`;
+  return null;
+}
+
+const upperList = (v) => [...new Set(v.map(s => s.trim().toUpperCase()).filter(Boolean))];
+const lowerList = (v) => [...new Set(v.map(s => s.trim().toLowerCase()).filter(Boolean))];
+
+/** Validate a rep POST/PATCH body; throws with a message routes can 400 on */
+function repFields(body = {}, { partial = false } = {}) {
+  const out = {};
+  if (!partial || body.name !== undefined) {
+    if (typeof body.name !== 'string' || !body.name.trim()) throw new Error('name is required');
+    out.name = body.name.trim();
+  }
+  if (body.email !== undefined) {
+    if (body.email !== null && (typeof body.email !== 'string' || !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(body.email))) throw new Error('email must be an email address');
+    out.email = body.email ? body.email.toLowerCase() : null;
+  }
+  if (body.active !== undefined) {
+    if (typeof body.active !== 'boolean') throw new Error('active must be a boolean');
+    out.active = body.active;
+  }
+  if (!partial || body.territories !== undefined) {
+    const t = body.territories || {};
+    for (const k of ['states', 'cities', 'postal_prefixes']) {
+      if (t[k] !== undefined && (!Array.isArray(t[k]) || t[k].some(x => typeof x !== 'string'))) throw new Error(`territories.${k} must be an array of strings`);
+    }
+    out.territories = {
+      states: upperList(t.states || []),
+      cities: lowerList(t.cities || []),
+      postal_prefixes: [...new Set((t.postal_prefixes || []).map(s => s.trim()).filter(Boolean))]
+    };
+  }
+  return out;
+}
+
+const STATE_CODES = {
+  alabama: 'AL', alaska: 'AK', arizona: 'AZ', arkansas: 'AR', california: 'CA', colorado: 'CO', connecticut: 'CT',
+  delaware: 'DE', 'district of columbia': 'DC', florida: 'FL', georgia: 'GA', hawaii: 'HI', idaho: 'ID', illinois: 'IL',
+  indiana: 'IN', iowa: 'IA', kansas: 'KS', kentucky: 'KY', louisiana: 'LA', maine: 'ME', maryland: 'MD',
+  massachusetts: 'MA', michigan: 'MI', minnesota: 'MN', mississippi: 'MS', missouri: 'MO', montana: 'MT',
+  nebraska: 'NE', nevada: 'NV', 'new hampshire': 'NH', 'new jersey': 'NJ', 'new mexico': 'NM', 'new york': 'NY',
+  'north carolina': 'NC', 'north dakota': 'ND', ohio: 'OH', oklahoma: 'OK', oregon: 'OR', pennsylvania: 'PA',
+  'rhode island': 'RI', 'south carolina': 'SC', 'south dakota': 'SD', tennessee: 'TN', texas: 'TX', utah: 'UT',
+  vermont: 'VT', virginia: 'VA', washington: 'WA', 'west virginia': 'WV', wisconsin: 'WI', wyoming: 'WY'
+};
+
+// Places gives "Texas", reps are configured with "TX"
+const stateCode = (s) => {
+  const v = String(s || '').trim();
+  return STATE_CODES[v.toLowerCase()] || v.toUpperCase();
+};
+
+/**
+ * How specifically a rep's territory covers a lead: longer ZIP prefixes beat
+ * cities, which beat states. 0 means no match.
+ */
+function territoryScore(lead, territories = {}) {
+  const zip = String(lead.postal_code || '');
+  const prefix = Math.max(0, ...(territories.postal_prefixes || []).filter(p => zip.startsWith(p)).map(p => p.length));
+  if (prefix) return 100 + prefix;
+  const state = stateCode(lead.state);
+  const inState = (territories.states || []).includes(state);
+  if ((territories.cities || []).includes(String(lead.city || '').toLowerCase()) && (inState || !(territories.states || []).length)) return 50;
+  return inState ? 10 : 0;
+}
+
+/**
+ * Best rep for a lead: most specific territory, then fewest open leads, then id.
+ * @param load { [repId]: open lead count }
+ */
+function pickRep(lead, reps = [], load = {}) {
+  const ranked = reps
+    .filter(r => r.active !== false)
+    .map(r => ({ rep: r, score: territoryScore(lead, r.territories) }))
+    .filter(r => r.score > 0)
+    .sort((a, b) => b.score - a.score || (load[a.rep.id] || 0) - (load[b.rep.id] || 0) || String(a.rep.id).localeCompare(String(b.rep.id)));
+  return ranked[0] ? { rep: ranked[0].rep, score: ranked[0].score } : null;
+}
+
+/** Reps tied for the most specific match — the only ones whose load matters */
+function candidateReps(lead, reps = []) {
+  const scored = reps.filter(r => r.active !== false).map(r => ({ r, s: territoryScore(lead, r.territories) })).filter(x => x.s > 0);
+  const best = Math.max(0, ...scored.map(x => x.s));
+  return scored.filter(x => x.s === best).map(x => x.r);
+}
+
+module.exports = { PIPELINE_STATUSES, TRANSITIONS, OPEN_STATUSES, transitionError, repFields, stateCode, territoryScore, pickRep, candidateReps };
@@ -0,0 +1,44 @@
+/** ======= Search presets: Places search terms per niche =======
+ * Built-ins live here; rows in search_presets add new niches or override a
+ * built-in of the same name without a deploy.
+ */
+
+/** ======= TARGETING PRESETS (no pediatric) ======= **/
+const SEARCH_PRESETS = {
+  general: ["dentist","dental clinic","family dentist"],
+  cosmetic: [
+    "cosmetic dentist","veneers","smile makeover","esthetic dentist",
+    "teeth whitening","invisalign dentist","smile design"
+  ],
+  implants: ["dental implants","all-on-4","full arch implants","implant dentist","teeth in a day"],
+  aligners_ortho: ["invisalign dentist","clear aligners","orthodontist","braces","aligner therapy"],
+  prosthodontics: ["prosthodontist","full mouth reconstruction","crowns and bridges","rehabilitation dentist"],
+  digital: [
+    "digital dentistry","CEREC","same day crown","intraoral scanner","3d printer","itero","cbct","digital workflow"
+  ]
+};
+
+const PRESET_NAME = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+const MAX_TERMS = 20;
+
+/** Validate a preset PUT body; throws with a message routes can 400 on */
+function presetEntry(name, body = {}) {
+  if (!PRESET_NAME.test(String(name || ''))) throw new Error('name must be 1-40 lowercase letters, digits, _ or -');
+  const terms = body.terms;
+  if (!Array.isArray(terms) || !terms.length || terms.some(t => typeof t !== 'string' || !t.trim() || t.length > 80)) {
+    throw new Error('terms must be a non-empty array of search strings (max 80 chars each)');
+  }
+  const unique = [...new Set(terms.map(t => t.trim()))];
+  if (unique.length > MAX_TERMS) throw new Error(`at most ${MAX_TERMS} terms per preset`);
+  if (body.description !== undefined && typeof body.description !== 'string') throw new Error('description must be a string');
+  return { name, terms: unique, description: body.description?.trim() || null };
+}
+
+/** Built-ins overlaid with stored rows: [{ name, terms, description, source }] */
+function mergePresets(rows = []) {
+  const out = new Map(Object.entries(SEARCH_PRESETS).map(([name, terms]) => [name, { name, terms, description: null, source: 'builtin' }]));
+  for (const r of rows || []) out.set(r.name, { name: r.name, terms: r.terms || [], description: r.description || null, source: 'custom' });
+  return [...out.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+module.exports = { SEARCH_PRESETS, presetEntry, mergePresets };
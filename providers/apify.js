@@ -0,0 +1,54 @@
+const { ApifyClient } = require('apify-client');
+
+const ACTORS = {
+  places: 'compass/crawler-google-places',
+  rag: process.env.APIFY_RAG_ACTOR || 'apify/rag-web-browser',
+  deep: process.env.APIFY_DEEP_CONTACTS_ACTOR || 'peterasorensen/snacci'
+};
+
+/**
+ * Apify-backed actors. Every method returns Apify run objects/items unchanged
+ * so the fixture implementation can mimic them field for field.
+ */
+function createApifyActors({ token = process.env.APIFY_API_TOKEN } = {}) {
+  const apify = new ApifyClient({ token });
+
+  async function runActorAndGetItems(actorSlug, input) {
+    const run = await apify.actor(actorSlug).call(input);
+    const { items } = await apify.dataset(run.defaultDatasetId).listItems({ limit: 1000 });
+    return { run, items };
+  }
+
+  return {
+    kind: 'apify',
+    placesActorId: ACTORS.places,
+    ragActorId: ACTORS.rag,
+    deepActorId: ACTORS.deep,
+
+    /** Start the Google Places actor without waiting; Apify calls the webhooks when it ends */
+    startPlaces: (input, { webhooks = [] } = {}) => apify.actor(ACTORS.places).start(input, { webhooks }),
+
+    getRun: (runId) => apify.run(runId).get(),
+
+    listItems: async (datasetId, { limit = 1000 } = {}) => (await apify.dataset(datasetId).listItems({ limit })).items,
+
+    /** Homepage markdown via the RAG web browser actor (single URL mode) */
+    scrapePage: (url) => runActorAndGetItems(ACTORS.rag, {
+      query: url,
+      outputFormats: ['markdown'],
+      scrapingTool: 'raw-http',
+      requestTimeoutSecs: 40
+    }),
+
+    /** Emails, phones and social profiles via the snacci deep-contacts actor */
+    deepContacts: (url) => runActorAndGetItems(ACTORS.deep, {
+      websites: [url],
+      scrapeTypes: ['emails','phoneNumbers','socialMedia'],
+      removeDuplicates: true,
+      maxDepth: 2,
+      maxLinksPerPage: 100
+    })
+  };
+}
+
+module.exports = { ACTORS, createApifyActors };
@@ -0,0 +1,49 @@
+const { validateExtraction, validateOutreach } = require('../llm');
+
+// Keyword rules standing in for the model; enough to exercise scoring offline
+const SPECIALTY_RULES = [
+  ['cosmetic', /veneer|smile makeover|cosmetic|whitening/],
+  ['aligners', /invisalign|clear aligner/],
+  ['implants', /implant|all-on-4/],
+  ['sedation', /sedation|sleep dentistry/],
+  ['ortho', /orthodont|braces/],
+  ['perio', /periodont|gum disease/],
+  ['prostho', /prosthodont|dentures|full mouth reconstruction/],
+  ['endo', /root canal|endodont/]
+];
+
+/** Deterministic, network-free stand-in for llm.enrichWithLLM and llm.rewriteOutreach */
+function createFakeLlm() {
+  const calls = [];
+  return {
+    kind: 'fake',
+    calls,
+    async enrichWithLLM({ siteText, allowEscalation = true }) {
+      const t = String(siteText || '').toLowerCase();
+      calls.push({ chars: t.length, allowEscalation });
+      const doctors = [...new Set(t.match(/dr\. [a-z]+ [a-z]+/g) || [])];
+      const { value } = validateExtraction({
+        specialties: SPECIALTY_RULES.filter(([, re]) => re.test(t)).map(([s]) => s),
+        doctor_names: doctors,
+        payment_model: /fee[- ]for[- ]service|out[- ]of[- ]network/.test(t) ? 'fee_for_service' : /insurance|in[- ]network|ppo/.test(t) ? 'insurance' : 'unknown',
+        site_outdated: /©\s*(19|200|201[0-6])/.test(t),
+        notes: 'fake model',
+        confidence: {}
+      });
+      // same escalation rule as llm.js, with token counts standing in for real usage
+      const tooWeak = !value.specialties.length && t.length > 800;
+      const escalations = tooWeak && allowEscalation ? 1 : 0;
+      const usage = [{ model: 'fake', input_tokens: Math.ceil(t.length / 4), output_tokens: 60 }];
+      if (escalations) usage.push({ model: 'fake-escalated', input_tokens: Math.ceil(t.length / 4), output_tokens: 60 });
+      return { ...value, valid: true, model: 'fake', usage, escalations, escalationSkipped: tooWeak && !allowEscalation };
+    },
+    // Echoes the draft with a marker so tests can tell a rewrite happened
+    async rewriteOutreach({ draft, facts }) {
+      calls.push({ rewrite: facts?.practice_name || null });
+      const { value } = validateOutreach({ ...draft, body: `${draft.body}\n\n(rewritten)` });
+      return { ...value, valid: true, model: 'fake', usage: [{ model: 'fake', input_tokens: Math.ceil(draft.body.length / 4), output_tokens: 120 }] };
+    }
+  };
+}
+
+module.exports = { createFakeLlm };
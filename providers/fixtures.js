@@ -0,0 +1,160 @@
+/** ======= Fixture providers (offline replays) =======
+ * Layout under FIXTURES_DIR (default test/fixtures):
+ *   places/<location-slug>.json   recorded Google Places dataset items (ZIP cells: places/<zip>.json)
+ *   sites/<host>/<path>.html      site pages; "/" is sites/<host>/index.html
+ *   sites/<host>/_http.json       optional { https: false, elapsedMs } for the site audit
+ *   contacts/<host>.json          recorded deep-contacts (snacci) items
+ *   mail.json                     { mx: { domain: [exchanges] }, mailboxes: { email: true|false }, catchAll: [domains] }
+ */
+const fs = require('fs');
+const path = require('path');
+const { stripHtml } = require('../webtext');
+
+const DEFAULT_DIR = path.join(__dirname, '..', 'test', 'fixtures');
+
+const slug = (s) => String(s || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+const readJson = (file, fallback) => (fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : fallback);
+
+const hostOf = (url) => {
+  try { return new URL(/^https?:\/\//i.test(url) ? url : `https://${url}`).hostname.replace(/^www\./, '').toLowerCase(); } catch { return null; }
+};
+
+function sitePageFile(dir, url) {
+  let u;
+  try { u = new URL(url); } catch { return null; }
+  const host = u.hostname.replace(/^www\./, '').toLowerCase();
+  const page = u.pathname.replace(/^\/+|\/+$/g, '') || 'index';
+  return path.join(dir, 'sites', host, `${page.replace(/\//g, '__')}.html`);
+}
+
+/** Fixture name for a Places input: location query, ZIP cell or "geo <lat> <lng>" point cell */
+function placesKey(input) {
+  if (input.locationQuery) return input.locationQuery;
+  if (input.postalCode) return input.postalCode;
+  const [lng, lat] = input.customGeolocation?.coordinates || [];
+  return lat != null ? `geo ${lat} ${lng}` : '';
+}
+
+/** Re-scan lookups: the first recorded item for each place id across every places fixture */
+function placesById(dir, placeIds) {
+  const byId = new Map();
+  for (const file of fs.readdirSync(path.join(dir, 'places')).filter(f => f.endsWith('.json')).sort()) {
+    for (const item of readJson(path.join(dir, 'places', file), [])) {
+      if (item?.placeId && !byId.has(item.placeId)) byId.set(item.placeId, item);
+    }
+  }
+  return placeIds.map(id => byId.get(id)).filter(Boolean);
+}
+
+/** fetchHtml replacement reading sites/<host>/<path>.html */
+function createFixtureFetcher({ dir = process.env.FIXTURES_DIR || DEFAULT_DIR } = {}) {
+  return async function fetchFixtureHtml(url) {
+    const norm = /^https?:\/\//i.test(url || '') ? url : `https://${url}`;
+    const file = sitePageFile(dir, norm);
+    if (!file || !fs.existsSync(file)) return null;
+    return { url: norm, html: fs.readFileSync(file, 'utf8') };
+  };
+}
+
+/**
+ * fetchPage replacement: the fixture page with a simulated HTTP layer. Sites are
+ * HTTPS (http:// redirects up) unless _http.json says `https: false`, in which
+ * case https:// redirects down to http://.
+ */
+function createFixturePageFetcher({ dir = process.env.FIXTURES_DIR || DEFAULT_DIR } = {}) {
+  const fetchHtml = createFixtureFetcher({ dir });
+  return async function fetchFixturePage(url) {
+    const norm = /^https?:\/\//i.test(url || '') ? url : `https://${url}`;
+    const host = hostOf(norm);
+    const http = readJson(path.join(dir, 'sites', host || '', '_http.json'), {});
+    const secure = http.https !== false;
+    const finalUrl = norm.replace(/^https?:/i, secure ? 'https:' : 'http:');
+    const page = await fetchHtml(finalUrl);
+    if (!page) return null;
+    return {
+      url: norm,
+      finalUrl,
+      status: 200,
+      redirects: finalUrl === norm ? [] : [{ from: norm, to: finalUrl, status: 301 }],
+      elapsedMs: http.elapsedMs ?? 180,
+      bytes: Buffer.byteLength(page.html),
+      headers: { 'content-type': 'text/html; charset=utf-8' },
+      html: page.html
+    };
+  };
+}
+
+/**
+ * Actors that replay fixtures. Started runs succeed immediately; `started`
+ * records each start (input + webhooks) so tests can fire the webhook.
+ */
+function createFixtureActors({ dir = process.env.FIXTURES_DIR || DEFAULT_DIR } = {}) {
+  const runs = new Map();
+  const datasets = new Map();
+  const started = [];
+  const fetchHtml = createFixtureFetcher({ dir });
+  let seq = 0;
+
+  const finishRun = (items) => {
+    const id = `fixture-run-${++seq}`;
+    const run = { id, status: 'SUCCEEDED', defaultDatasetId: `fixture-ds-${seq}`, usageTotalUsd: 0 };
+    runs.set(id, run);
+    datasets.set(run.defaultDatasetId, items);
+    return run;
+  };
+
+  return {
+    kind: 'fixtures',
+    placesActorId: 'fixtures/google-places',
+    ragActorId: 'fixtures/rag',
+    deepActorId: 'fixtures/deep-contacts',
+    started,
+
+    async startPlaces(input, { webhooks = [] } = {}) {
+      const items = input.placeIds
+        ? placesById(dir, input.placeIds)
+        : readJson(path.join(dir, 'places', `${slug(placesKey(input))}.json`), []);
+      const run = finishRun(items);
+      started.push({ run, input, webhooks });
+      return { ...run, status: 'READY' };
+    },
+
+    getRun: async (runId) => runs.get(runId) || null,
+
+    listItems: async (datasetId, { limit = 1000 } = {}) => (datasets.get(datasetId) || []).slice(0, limit),
+
+    async scrapePage(url) {
+      const page = await fetchHtml(url);
+      if (!page) throw new Error(`no fixture page for ${url}`);
+      return { run: finishRun([]), items: [{ markdown: stripHtml(page.html) }] };
+    },
+
+    async deepContacts(url) {
+      return { run: finishRun([]), items: readJson(path.join(dir, 'contacts', `${hostOf(url)}.json`), []) };
+    }
+  };
+}
+
+/**
+ * Email resolver over mail.json: domains missing from `mx` don't resolve,
+ * mailboxes missing from `mailboxes` get an inconclusive SMTP answer.
+ */
+function createFixtureResolver({ dir = process.env.FIXTURES_DIR || DEFAULT_DIR } = {}) {
+  const mail = () => readJson(path.join(dir, 'mail.json'), {});
+  return {
+    kind: 'fixtures',
+    async resolveMx(domain) {
+      const exchanges = mail().mx?.[domain];
+      if (!exchanges) throw Object.assign(new Error(`queryMx ENOTFOUND ${domain}`), { code: 'ENOTFOUND' });
+      return exchanges.map((exchange, i) => ({ exchange, priority: (i + 1) * 10 }));
+    },
+    async checkMailbox(email) {
+      const { mailboxes = {}, catchAll = [] } = mail();
+      const deliverable = mailboxes[email] ?? null;
+      return { deliverable, catchAll: deliverable === true && catchAll.includes(email.split('@')[1]), code: deliverable === false ? 550 : 250 };
+    }
+  };
+}
+
+module.exports = { createFixtureActors, createFixtureFetcher, createFixturePageFetcher, createFixtureResolver, DEFAULT_DIR };
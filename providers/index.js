@@ -0,0 +1,50 @@
+/** ======= Provider selection =======
+ * Env picks each provider; PROVIDERS=offline switches all of them to fakes.
+ *   LEAD_STORE       supabase | memory
+ *   ACTORS_PROVIDER  apify | fixtures
+ *   LLM_PROVIDER     anthropic | fake
+ *   SITE_FETCHER     http | fixtures
+ *   EMAIL_RESOLVER   dns | fixtures   (only consulted when EMAIL_VERIFY is mx or smtp)
+ */
+const { createClient } = require('@supabase/supabase-js');
+const { createApifyActors } = require('./apify');
+const { createFixtureActors, createFixtureFetcher, createFixturePageFetcher, createFixtureResolver } = require('./fixtures');
+const { createMemoryStore } = require('./memory-store');
+const { createFakeLlm } = require('./fake-llm');
+const { createDnsResolver } = require('./mail');
+const { fetchHtml, fetchPage } = require('../webtext');
+
+function createProviders(env = process.env) {
+  const offline = env.PROVIDERS === 'offline';
+  const pick = (name, real, fake) => env[name] || (offline ? fake : real);
+
+  const storeKind = pick('LEAD_STORE', 'supabase', 'memory');
+  const actorsKind = pick('ACTORS_PROVIDER', 'apify', 'fixtures');
+  const llmKind = pick('LLM_PROVIDER', 'anthropic', 'fake');
+  const fetcherKind = pick('SITE_FETCHER', 'http', 'fixtures');
+  const resolverKind = pick('EMAIL_RESOLVER', 'dns', 'fixtures');
+
+  const store = storeKind === 'memory'
+    ? createMemoryStore()
+    : createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
+
+  const actors = actorsKind === 'fixtures'
+    ? createFixtureActors({ dir: env.FIXTURES_DIR })
+    : createApifyActors({ token: env.APIFY_API_TOKEN });
+
+  const llm = llmKind === 'fake' ? createFakeLlm() : require('../llm');
+
+  const siteFetcher = fetcherKind === 'fixtures' ? createFixtureFetcher({ dir: env.FIXTURES_DIR }) : fetchHtml;
+  const pageFetcher = fetcherKind === 'fixtures' ? createFixturePageFetcher({ dir: env.FIXTURES_DIR }) : fetchPage;
+
+  const emailResolver = resolverKind === 'fixtures'
+    ? createFixtureResolver({ dir: env.FIXTURES_DIR })
+    : createDnsResolver({ heloHost: env.SMTP_HELO_HOST, fromAddress: env.SMTP_PROBE_FROM });
+
+  return {
+    store, actors, llm, fetchHtml: siteFetcher, fetchPage: pageFetcher, emailResolver,
+    kinds: { store: storeKind, actors: actorsKind, llm: llmKind, fetcher: fetcherKind, resolver: resolverKind }
+  };
+}
+
+module.exports = { createProviders };
@@ -0,0 +1,65 @@
+/** ======= Email resolver: DNS MX lookups and SMTP RCPT probes =======
+ * The interface hygiene.verifyEmails() takes. checkMailbox() talks SMTP up to
+ * RCPT TO and quits before DATA; many networks block outbound port 25, so it
+ * only runs when EMAIL_VERIFY=smtp.
+ */
+const dns = require('dns').promises;
+const net = require('net');
+const crypto = require('crypto');
+
+function createDnsResolver({ heloHost = 'localhost', fromAddress = `verify@${heloHost}`, port = 25, timeoutMs = 8000 } = {}) {
+  /**
+   * RCPT TO the address, then a random one at the same domain to spot catch-alls.
+   * @returns { deliverable: true|false|null, catchAll, code } — null when the server wouldn't say
+   */
+  function checkMailbox(email, exchange) {
+    const probeAddress = `${crypto.randomBytes(8).toString('hex')}@${email.split('@')[1]}`;
+    const commands = [`EHLO ${heloHost}`, `MAIL FROM:<${fromAddress}>`, `RCPT TO:<${email}>`, `RCPT TO:<${probeAddress}>`];
+
+    return new Promise((resolve) => {
+      const socket = net.createConnection({ host: exchange, port });
+      let settled = false;
+      let buffer = '';
+      let sent = 0;
+      let deliverable = null;
+
+      const finish = (result) => {
+        if (settled) return;
+        settled = true;
+        socket.end('QUIT\r\n');
+        socket.setTimeout(0);
+        resolve(result);
+      };
+      socket.setTimeout(timeoutMs, () => { finish({ deliverable: null, catchAll: false, code: null }); socket.destroy(); });
+      socket.on('error', () => finish({ deliverable: null, catchAll: false, code: null }));
+
+      socket.on('data', (chunk) => {
+        buffer += chunk.toString('latin1');
+        // multi-line replies continue with "250-"; the last line is "250 "
+        const reply = buffer.match(/(?:^|\r\n)(\d{3}) [^\r\n]*\r\n$/);
+        if (!reply) return;
+        buffer = '';
+        const code = Number(reply[1]);
+
+        if (sent === 3) {
+          if (code >= 500) return finish({ deliverable: false, catchAll: false, code });
+          if (code >= 400) return finish({ deliverable: null, catchAll: false, code });
+          deliverable = true;
+        } else if (sent === 4) {
+          return finish({ deliverable, catchAll: code < 300, code });
+        } else if (code >= 400) {
+          return finish({ deliverable: null, catchAll: false, code });
+        }
+        socket.write(`${commands[sent++]}\r\n`);
+      });
+    });
+  }
+
+  return {
+    kind: 'dns',
+    resolveMx: (domain) => dns.resolveMx(domain),
+    checkMailbox
+  };
+}
+
+module.exports = { createDnsResolver };
@@ -0,0 +1,355 @@
+/** ======= In-memory lead store =======
+ * Implements the slice of the supabase-js query builder this app uses (filters,
+ * `or` strings, ordering, ranges, embedded one-to-many selects, json-path
+ * columns, insert/update/upsert/delete) over plain arrays, so the pipeline can
+ * run offline and tests can inspect every row it wrote.
+ */
+const crypto = require('crypto');
+
+// child table -> foreign key pointing at the parent's id
+const DEFAULT_RELATIONS = {
+  lead_tech_analysis: 'lead_id',
+  lead_contacts: 'lead_id',
+  lead_events: 'lead_id'
+};
+
+// Columns the real database generates
+const DEFAULT_GENERATED = {
+  dental_leads: {
+    domain: (row) => {
+      if (!row.website) return null;
+      try { return new URL(row.website).hostname.replace(/^www\./, '').toLowerCase(); } catch { return null; }
+    }
+  }
+};
+
+// Unique constraints from supabase/migrations: a plain insert that breaks one fails with 23505
+const DEFAULT_UNIQUE = {
+  api_keys: [['key_hash']],
+  dso_catalog: [['name_key']],
+  enrichment_cache: [['domain', 'content_hash', 'stage']],
+  lead_contacts: [['lead_id', 'channel', 'value']],
+  lead_jobs: [['run_id', 'item_index']],
+  lead_reviews: [['lead_id', 'review_id']],
+  lead_site_audits: [['lead_id']],
+  outreach_templates: [['name', 'version']],
+  scoring_profiles: [['name', 'version']],
+  search_presets: [['name']],
+  suppressions: [['kind', 'value']]
+};
+
+const storeError = (message, code = 'MEMORY') => ({ message, code });
+
+/** Split on commas that aren't inside parentheses or double quotes */
+function splitTop(str) {
+  const out = [];
+  let depth = 0, quoted = false, cur = '';
+  for (let i = 0; i < str.length; i++) {
+    const ch = str[i];
+    if (ch === '\\' && quoted) { cur += ch + str[++i]; continue; }
+    if (ch === '"') quoted = !quoted;
+    if (!quoted && ch === '(') depth++;
+    if (!quoted && ch === ')') depth--;
+    if (!quoted && depth === 0 && ch === ',') { out.push(cur.trim()); cur = ''; continue; }
+    cur += ch;
+  }
+  if (cur.trim()) out.push(cur.trim());
+  return out;
+}
+
+const unquote = (v) => (/^".*"$/.test(v) ? v.slice(1, -1).replace(/\\(.)/g, '$1') : v);
+
+/** Parse a PostgREST `or` filter string into a tree of { any|all: [...] } / { col, op, val } */
+function parseOr(str) {
+  return { any: splitTop(str).map(parseCondition) };
+}
+
+// PostgREST array operators in `or` strings → builder filter names
+const OR_OPS = { cs: 'contains', ov: 'overlaps' };
+
+function parseCondition(part) {
+  const group = part.match(/^(and|or)\((.*)\)$/);
+  if (group) {
+    const items = splitTop(group[2]).map(parseCondition);
+    return group[1] === 'and' ? { all: items } : { any: items };
+  }
+  const m = part.match(/^([^.]+(?:\.[^.]+)*?)\.(eq|neq|gt|gte|lt|lte|is|ilike|like|in|cs|ov)\.(.*)$/);
+  if (!m) throw new Error(`unsupported or() condition: ${part}`);
+  const op = OR_OPS[m[2]] || m[2];
+  let val = m[3];
+  if (m[2] === 'in') val = splitTop(val.replace(/^\(|\)$/g, '')).map(unquote);
+  else if (m[2] === 'cs' || m[2] === 'ov') val = splitTop(val.replace(/^\{|\}$/g, '')).map(unquote);
+  else val = unquote(val);
+  if (m[2] === 'is') val = val === 'null' ? null : val === 'true' ? true : val === 'false' ? false : val;
+  return { col: m[1], op, val };
+}
+
+/** Read `col`, `a->b` (json) or `a->>b` (json as text) from a row */
+function readPath(row, col) {
+  if (!col.includes('->')) return row?.[col];
+  const parts = col.split(/->>?/);
+  const asText = /->>[^>]*$/.test(col);
+  let v = row?.[parts[0]];
+  for (const p of parts.slice(1)) v = v == null ? undefined : v[p];
+  return asText && v != null && typeof v === 'object' ? JSON.stringify(v) : (asText && v != null ? String(v) : v);
+}
+
+const isNumeric = (v) => v !== null && v !== '' && typeof v !== 'boolean' && !Array.isArray(v) && Number.isFinite(Number(v));
+
+function compare(a, b) {
+  if (isNumeric(a) && isNumeric(b)) return Number(a) - Number(b);
+  const sa = a instanceof Date ? a.toISOString() : String(a);
+  const sb = b instanceof Date ? b.toISOString() : String(b);
+  return sa < sb ? -1 : sa > sb ? 1 : 0;
+}
+
+function equals(a, b) {
+  if (a == null || b == null) return false;
+  if (typeof a === 'boolean' || typeof b === 'boolean') return String(a) === String(b);
+  return compare(a, b) === 0;
+}
+
+const likeRegex = (pattern, flags) => new RegExp(`^${String(pattern).replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.')}$`, flags);
+
+function containsJson(hay, needle) {
+  if (Array.isArray(needle)) return Array.isArray(hay) && needle.every(n => hay.some(h => equals(h, n) || JSON.stringify(h) === JSON.stringify(n)));
+  if (needle && typeof needle === 'object') return !!hay && typeof hay === 'object' && Object.entries(needle).every(([k, v]) => containsJson(hay[k], v));
+  return equals(hay, needle);
+}
+
+function test(value, op, val) {
+  switch (op) {
+    case 'eq': return equals(value, val);
+    case 'neq': return !equals(value, val);
+    case 'gt': return value != null && compare(value, val) > 0;
+    case 'gte': return value != null && compare(value, val) >= 0;
+    case 'lt': return value != null && compare(value, val) < 0;
+    case 'lte': return value != null && compare(value, val) <= 0;
+    case 'is': return val === null ? value == null : value === val;
+    case 'in': return (val || []).some(v => equals(value, v));
+    case 'like': return value != null && likeRegex(val, '').test(String(value));
+    case 'ilike': return value != null && likeRegex(val, 'i').test(String(value));
+    case 'contains': return containsJson(value, val);
+    case 'overlaps': return Array.isArray(value) && (val || []).some(v => value.some(x => equals(x, v)));
+    default: throw new Error(`unsupported filter op: ${op}`);
+  }
+}
+
+function evalTree(row, node) {
+  if (node.any) return node.any.some(n => evalTree(row, n));
+  if (node.all) return node.all.every(n => evalTree(row, n));
+  return test(readPath(row, node.col), node.op, node.val);
+}
+
+/** Parse a select list: plain columns, json paths and embedded `rel(cols)` / `rel!inner(cols)` */
+function parseSelect(cols = '*') {
+  return splitTop(cols).map(part => {
+    const embed = part.match(/^([a-z_][a-z0-9_]*)(!inner)?\((.*)\)$/i);
+    if (embed) return { embed: embed[1], inner: !!embed[2], cols: parseSelect(embed[3]) };
+    return { col: part };
+  });
+}
+
+const outputKey = (col) => col.split(/->>?/).pop();
+
+const clone = (v) => (v == null ? v : JSON.parse(JSON.stringify(v)));
+
+function normalize(row) {
+  const out = {};
+  for (const [k, v] of Object.entries(row)) out[k] = v instanceof Date ? v.toISOString() : clone(v);
+  return out;
+}
+
+function createMemoryStore({ relations = DEFAULT_RELATIONS, generated = DEFAULT_GENERATED, unique = DEFAULT_UNIQUE } = {}) {
+  const tables = {};
+  const rowsOf = (t) => (tables[t] = tables[t] || []);
+
+  const applyGenerated = (table, row) => {
+    for (const [col, fn] of Object.entries(generated[table] || {})) row[col] = fn(row);
+    return row;
+  };
+
+  function project(table, row, spec, embedFilters) {
+    let out = {};
+    for (const s of spec) {
+      if (s.embed) {
+        const fk = relations[s.embed];
+        if (!fk) throw new Error(`no relation from ${table} to ${s.embed}`);
+        const children = rowsOf(s.embed)
+          .filter(c => equals(c[fk], row.id))
+          .filter(c => (embedFilters[s.embed] || []).every(f => test(readPath(c, f.col), f.op, f.val)));
+        if (s.inner && !children.length) return null;
+        out[s.embed] = children.map(c => project(s.embed, c, s.cols, {}));
+      } else if (s.col === '*') {
+        out = { ...clone(row), ...out };
+      } else {
+        out[outputKey(s.col)] = clone(readPath(row, s.col));
+      }
+    }
+    return out;
+  }
+
+  class Query {
+    constructor(table) {
+      this.table = table;
+      this.op = 'select';
+      this.cols = '*';
+      this.returning = null;
+      this.filters = [];
+      this.trees = [];
+      this.orders = [];
+      this.limitN = null;
+      this.rangeFrom = null;
+      this.mode = null;
+      this.countMode = null;
+      this.head = false;
+    }
+
+    select(cols = '*', { count = null, head = false } = {}) {
+      if (this.op === 'select') { this.cols = cols; this.countMode = count; this.head = head; } else this.returning = cols;
+      return this;
+    }
+    insert(payload) { this.op = 'insert'; this.payload = payload; return this; }
+    update(payload) { this.op = 'update'; this.payload = payload; return this; }
+    upsert(payload, { onConflict = 'id', ignoreDuplicates = false } = {}) {
+      this.op = 'upsert'; this.payload = payload; this.onConflict = onConflict.split(',').map(s => s.trim()); this.ignoreDuplicates = ignoreDuplicates;
+      return this;
+    }
+    delete() { this.op = 'delete'; return this; }
+
+    filter(col, op, val) { this.filters.push({ col, op, val }); return this; }
+    eq(c, v) { return this.filter(c, 'eq', v); }
+    neq(c, v) { return this.filter(c, 'neq', v); }
+    gt(c, v) { return this.filter(c, 'gt', v); }
+    gte(c, v) { return this.filter(c, 'gte', v); }
+    lt(c, v) { return this.filter(c, 'lt', v); }
+    lte(c, v) { return this.filter(c, 'lte', v); }
+    is(c, v) { return this.filter(c, 'is', v); }
+    in(c, v) { return this.filter(c, 'in', v); }
+    like(c, v) { return this.filter(c, 'like', v); }
+    ilike(c, v) { return this.filter(c, 'ilike', v); }
+    contains(c, v) { return this.filter(c, 'contains', v); }
+    overlaps(c, v) { return this.filter(c, 'overlaps', v); }
+    match(obj) { for (const [c, v] of Object.entries(obj)) this.eq(c, v); return this; }
+    or(str) { this.trees.push(parseOr(str)); return this; }
+
+    order(col, { ascending = true, nullsFirst } = {}) {
+      this.orders.push({ col, ascending, nullsFirst: nullsFirst ?? !ascending });
+      return this;
+    }
+    limit(n) { this.limitN = n; return this; }
+    range(from, to) { this.rangeFrom = from; this.limitN = to - from + 1; return this; }
+    single() { this.mode = 'single'; return this; }
+    maybeSingle() { this.mode = 'maybeSingle'; return this; }
+
+    /** Top-level rows matching filters; embedded-table filters are applied during projection */
+    matching() {
+      const own = this.filters.filter(f => !isEmbedded(f.col));
+      return rowsOf(this.table).filter(r => own.every(f => test(readPath(r, f.col), f.op, f.val)) && this.trees.every(t => evalTree(r, t)));
+    }
+
+    embedFilters() {
+      const out = {};
+      for (const f of this.filters.filter(x => isEmbedded(x.col))) {
+        const [rel, ...rest] = f.col.split('.');
+        (out[rel] = out[rel] || []).push({ ...f, col: rest.join('.') });
+      }
+      return out;
+    }
+
+    sorted(rows) {
+      if (!this.orders.length) return rows;
+      return [...rows].sort((a, b) => {
+        for (const o of this.orders) {
+          const va = readPath(a, o.col), vb = readPath(b, o.col);
+          if (va == null && vb == null) continue;
+          if (va == null) return o.nullsFirst ? -1 : 1;
+          if (vb == null) return o.nullsFirst ? 1 : -1;
+          const c = compare(va, vb);
+          if (c) return o.ascending ? c : -c;
+        }
+        return 0;
+      });
+    }
+
+    finish(rows, spec) {
+      const embedFilters = this.embedFilters();
+      let out = rows.map(r => project(this.table, r, parseSelect(spec), embedFilters)).filter(Boolean);
+      const count = out.length;
+      if (this.rangeFrom != null) out = out.slice(this.rangeFrom);
+      if (this.limitN != null) out = out.slice(0, this.limitN);
+      if (this.mode === 'single' || this.mode === 'maybeSingle') {
+        if (out.length > 1) return { data: null, error: storeError('multiple rows returned', 'PGRST116') };
+        if (!out.length) {
+          return this.mode === 'single' ? { data: null, error: storeError('no rows returned', 'PGRST116') } : { data: null, error: null };
+        }
+        return { data: out[0], error: null };
+      }
+      return { data: this.head ? null : out, error: null, count: this.countMode ? count : null };
+    }
+
+    execute() {
+      const rows = rowsOf(this.table);
+      if (this.op === 'select') return this.finish(this.sorted(this.matching()), this.cols);
+
+      let touched = [];
+      if (this.op === 'insert') {
+        const payload = (Array.isArray(this.payload) ? this.payload : [this.payload]).map(normalize);
+        const taken = (unique[this.table] || []).find(cols => payload.some((p, i) =>
+          [...rows, ...payload.slice(0, i)].some(r => cols.every(c => equals(r[c], p[c])))));
+        if (taken) return { data: null, error: storeError(`duplicate key value violates unique constraint (${taken.join(', ')})`, '23505') };
+      }
+      if (this.op === 'insert' || this.op === 'upsert') {
+        for (const p of Array.isArray(this.payload) ? this.payload : [this.payload]) {
+          const row = normalize(p);
+          const existing = this.op === 'upsert' ? rows.find(r => this.onConflict.every(c => equals(r[c], row[c]))) : null;
+          if (existing) {
+            if (this.ignoreDuplicates) continue;
+            Object.assign(existing, row);
+            applyGenerated(this.table, existing);
+            touched.push(existing);
+          } else {
+            const now = new Date().toISOString();
+            const fresh = applyGenerated(this.table, { id: crypto.randomUUID(), created_at: now, updated_at: now, ...row });
+            rows.push(fresh);
+            touched.push(fresh);
+          }
+        }
+      } else if (this.op === 'update') {
+        const patch = normalize(this.payload);
+        touched = this.matching();
+        for (const r of touched) { Object.assign(r, patch, { updated_at: new Date().toISOString() }); applyGenerated(this.table, r); }
+      } else if (this.op === 'delete') {
+        touched = this.matching();
+        tables[this.table] = rows.filter(r => !touched.includes(r));
+      }
+
+      if (this.returning === null) return { data: null, error: null };
+      return this.finish(touched, this.returning);
+    }
+
+    then(resolve, reject) {
+      let result;
+      try {
+        result = this.execute();
+      } catch (e) {
+        result = { data: null, error: storeError(e.message) };
+      }
+      return Promise.resolve(result).then(resolve, reject);
+    }
+  }
+
+  // `rel.col` or `rel.col->>key`; dots inside a json path stay on the parent
+  const isEmbedded = (col) => col.split('->')[0].includes('.') && !!relations[col.split('.')[0]];
+
+  return {
+    kind: 'memory',
+    tables,
+    from: (table) => new Query(table),
+    /** Rows of a table (live references; tests read them directly) */
+    rows: (table) => rowsOf(table),
+    reset() { for (const k of Object.keys(tables)) delete tables[k]; }
+  };
+}
+
+module.exports = { createMemoryStore, parseOr };
@@ -0,0 +1,88 @@
+/** ======= Patient reviews → pain points =======
+ * Rule-based themes over Google review text, in the spirit of detectFeatures:
+ * complaints about reaching the office, booking, paperwork or billing are the
+ * problems the product solves, so they're buying signals.
+ */
+const crypto = require('crypto');
+
+/** [theme, label, pattern] — patterns run on lowercased review text */
+const PAIN_THEMES = [
+  ['phone_unreachable', 'Hard to reach by phone', /(?:can'?t|couldn'?t|could not|cannot|never) (?:get (?:anyone|someone|through)|reach (?:anyone|them|the office))|no one (?:answers|answered|picks up|picked up)|nobody (?:answers|answered|picks up|picked up)|straight to voicemail|on hold for|phone (?:just )?rings|never (?:called|call) (?:me )?back|didn'?t call (?:me )?back|no call ?back/],
+  ['booking_friction', 'No easy way to book', /no (?:way|option) to (?:book|schedule)|can'?t (?:book|schedule) online|no online (?:booking|scheduling)|had to call to (?:book|schedule)|only (?:book|schedule) by phone|wish (?:i|you) could (?:book|schedule) online/],
+  ['long_waits', 'Long waits for appointments or in the office', /(?:waited|wait(?:ing)?) (?:for )?(?:over |almost |nearly )?(?:an hour|\d+ (?:minutes|mins|hours))|weeks? (?:out|to get (?:in|an appointment))|months? (?:out|to get (?:in|an appointment))|(?:next|earliest) (?:available )?appointment (?:was|is) (?:weeks|months)|running (?:way )?behind/],
+  ['paperwork', 'Paperwork and intake', /paperwork|forms? (?:took|takes) forever|fill(?:ed|ing)? out (?:the same )?(?:forms|paperwork)|clipboard|same information (?:twice|again)|intake forms?/],
+  ['billing_confusion', 'Billing and payment confusion', /surprise (?:bill|charge)|billing (?:issue|error|mistake|department|nightmare)|(?:overcharged|double charged)|never (?:told|explained) (?:me )?(?:the |about the )?(?:cost|price)|insurance (?:mix-?up|issue|was billed wrong)|sent to collections|no way to pay online|couldn'?t pay online/],
+  ['missed_reminders', 'Missed or no reminders', /no reminder|never (?:got|received) (?:a )?reminder|forgot (?:to remind|my appointment)|didn'?t (?:get|receive) (?:a )?(?:reminder|confirmation)|charged (?:me )?(?:a )?no[- ]show/],
+  ['front_desk', 'Front-desk communication', /front desk (?:was|staff (?:was|were)) (?:rude|unhelpful|disorganized)|rude (?:receptionist|front desk|staff)|lost my (?:paperwork|records|information|appointment)|no one told me|miscommunication/]
+];
+
+const THEME_LABELS = Object.fromEntries(PAIN_THEMES.map(([t, label]) => [t, label]));
+
+const MAX_QUOTES = Number(process.env.REVIEW_MAX_QUOTES || 3);
+const MIN_REVIEWS = Number(process.env.REVIEW_MIN_FOR_SCORE || 5);
+// share of reviews with a pain theme that maps to a full 100 subscore
+const PAIN_SATURATION = Number(process.env.REVIEW_PAIN_SATURATION || 0.25);
+
+/** Normalize one Places review; the id is stable across re-scans */
+function reviewFromItem(r = {}) {
+  const text = String(r.text || r.textTranslated || '').trim();
+  const id = r.reviewId || crypto.createHash('sha1').update(`${r.name || ''}|${r.publishedAtDate || ''}|${text}`).digest('hex').slice(0, 24);
+  return {
+    review_id: id,
+    author: r.name || null,
+    rating: r.stars ?? r.rating ?? null,
+    text,
+    published_at: r.publishedAtDate || null,
+    url: r.reviewUrl || null
+  };
+}
+
+/** The sentence around a match, for a quote that makes sense on its own */
+function excerpt(text, index, max = 200) {
+  const start = Math.max(text.lastIndexOf('.', index) + 1, text.lastIndexOf('!', index) + 1, text.lastIndexOf('?', index) + 1, 0);
+  const ends = ['.', '!', '?'].map(c => text.indexOf(c, index)).filter(i => i >= 0);
+  const end = ends.length ? Math.min(...ends) + 1 : text.length;
+  const quote = text.slice(start, end).trim();
+  return quote.length > max ? `${quote.slice(0, max - 1).trim()}…` : quote;
+}
+
+/** Themes in one review: [{ theme, quote }] */
+function classifyReview(text = '') {
+  const raw = String(text);
+  const low = raw.toLowerCase();
+  const out = [];
+  for (const [theme, , re] of PAIN_THEMES) {
+    const m = re.exec(low);
+    if (m) out.push({ theme, quote: excerpt(raw, m.index) });
+  }
+  return out;
+}
+
+/**
+ * Aggregate classified reviews into what the lead exposes.
+ * @param reviews [{ review_id, rating, text, published_at, themes: [{ theme, quote }] }]
+ * @returns { reviewsAnalyzed, painReviews, themes: { [theme]: { label, count, quotes } }, painScore }
+ */
+function painPoints(reviews = []) {
+  const withText = reviews.filter(r => r.text);
+  const themes = {};
+  let painReviews = 0;
+
+  // lowest-rated, newest first: the most telling quotes
+  const ordered = [...withText].sort((a, b) => (a.rating ?? 5) - (b.rating ?? 5) || String(b.published_at || '').localeCompare(String(a.published_at || '')));
+  for (const r of ordered) {
+    if ((r.themes || []).length) painReviews++;
+    for (const { theme, quote } of r.themes || []) {
+      const t = themes[theme] || (themes[theme] = { label: THEME_LABELS[theme] || theme, count: 0, quotes: [] });
+      t.count++;
+      if (t.quotes.length < MAX_QUOTES) t.quotes.push({ quote, rating: r.rating ?? null, published_at: r.published_at || null, review_id: r.review_id });
+    }
+  }
+
+  const painScore = withText.length < MIN_REVIEWS
+    ? null
+    : Math.min(100, Math.round((painReviews / withText.length / PAIN_SATURATION) * 100));
+  return { reviewsAnalyzed: withText.length, painReviews, themes, painScore };
+}
+
+module.exports = { PAIN_THEMES, THEME_LABELS, reviewFromItem, classifyReview, painPoints };
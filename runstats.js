@@ -0,0 +1,71 @@
+/** ======= Run progress/results summary from lead_runs + lead_jobs + dental_leads ======= **/
+const { estimateLlmCostUsd } = require('./llm');
+
+const count = (arr, fn) => arr.reduce((acc, x) => {
+  const k = fn(x);
+  if (k != null) acc[k] = (acc[k] || 0) + 1;
+  return acc;
+}, {});
+
+/** Add actor/LLM usage from one stage onto a job's running usage totals */
+function addUsage(prev = {}, { actorRuns = 0, actorUsd = 0, llm = [], escalations = 0 } = {}) {
+  return {
+    actorRuns: (prev.actorRuns || 0) + actorRuns,
+    actorUsd: (prev.actorUsd || 0) + (Number(actorUsd) || 0),
+    llm: [...(prev.llm || []), ...llm],
+    escalations: (prev.escalations || 0) + (escalations || 0)
+  };
+}
+
+/**
+ * @param run   lead_runs row
+ * @param jobs  lead_jobs rows for the run (status, stage, skip_reason, lead_id, state.usage/lead_inserted/degraded)
+ * @param leads dental_leads rows (id, tech_tier) the run touched
+ * @param placesRuns Places actor runs behind the summary (one per cell for grid runs)
+ */
+function summarizeRun(run, jobs = [], leads = [], { placesRuns = 1 } = {}) {
+  const started = run.created_at ? new Date(run.created_at).getTime() : null;
+  const ended = run.finished_at ? new Date(run.finished_at).getTime() : Date.now();
+
+  const jobsByStatus = count(jobs, j => j.status);
+  const upserted = jobs.filter(j => j.state?.lead_id);
+  const llmUsage = jobs.flatMap(j => j.state?.usage?.llm || []);
+  const enrichActorUsd = jobs.reduce((s, j) => s + (j.state?.usage?.actorUsd || 0), 0);
+  const placesUsd = Number(run.apify_usage_usd || 0);
+  const llmUsd = estimateLlmCostUsd(llmUsage);
+
+  return {
+    runId: run.run_id,
+    status: run.status,
+    apifyStatus: run.apify_status || null,
+    error: run.error || null,
+    itemsFetched: run.items_count ?? null,
+    jobs: { total: jobs.length, ...jobsByStatus },
+    leads: {
+      inserted: upserted.filter(j => j.state.lead_inserted === true).length,
+      updated: upserted.filter(j => j.state.lead_inserted === false).length,
+      filteredOut: {
+        chain: jobs.filter(j => j.skip_reason === 'chain').length,
+        includeKeywords: jobs.filter(j => j.skip_reason === 'include_keywords').length,
+        excludeKeywords: jobs.filter(j => j.skip_reason === 'exclude_keywords').length,
+        suppressed: jobs.filter(j => j.skip_reason === 'suppressed').length
+      }
+    },
+    failuresByStage: count(jobs.filter(j => j.status === 'failed'), j => j.stage || 'unknown'),
+    degradedByStage: count(jobs.flatMap(j => j.state?.degraded || []), d => d),
+    tiers: count(leads, l => l.tech_tier || 'UNSCORED'),
+    durationMs: started ? Math.max(0, ended - started) : null,
+    cost: {
+      actorRuns: placesRuns + jobs.reduce((s, j) => s + (j.state?.usage?.actorRuns || 0), 0),
+      actorUsd: +(placesUsd + enrichActorUsd).toFixed(4),
+      llmCalls: llmUsage.length,
+      llmInputTokens: llmUsage.reduce((s, u) => s + (u.input_tokens || 0), 0),
+      llmOutputTokens: llmUsage.reduce((s, u) => s + (u.output_tokens || 0), 0),
+      llmUsd: +llmUsd.toFixed(4),
+      sonnetEscalations: jobs.reduce((s, j) => s + (j.state?.usage?.escalations || 0), 0),
+      totalUsd: +(placesUsd + enrichActorUsd + llmUsd).toFixed(4)
+    }
+  };
+}
+
+module.exports = { addUsage, summarizeRun };
@@ -1,63 +1,170 @@
+/** [has_* flag, technologies[] name, keyword pattern] */
+const FEATURE_PATTERNS = [
+  ['has_online_scheduling', 'onlineScheduling', /book online|schedule online|book appointment|book now|zocdoc|localmed|doctible|nexhealth|jane app|setmore|calendly/],
+  ['has_patient_portal', 'patientPortal', /patient portal|patient login|my chart|patient account/],
+  ['has_text_reminders', 'textReminders', /text reminders|sms reminder|text notification|weave|revenuewell|solutionreach|yapi/],
+  ['has_digital_forms', 'digitalForms', /online forms|digital forms|paperless|fill out.*online/],
+  ['has_online_payments', 'onlinePayments', /pay online|online payment|carecredit|care credit|financing/],
+  ['has_virtual_consults', 'virtualConsults', /virtual consultation|video consultation|teledentistry|telehealth/],
+  ['has_advanced_imaging', 'advancedDentalTech', /3d imaging|cbct|cerec|same day crown|digital impression|itero|laser/]
+];
+
+/** technologies[] names for whichever has_* flags are set */
+function technologiesFor(flags){
+  return FEATURE_PATTERNS.filter(([flag]) => flags[flag]).map(([, name]) => name);
+}
+
 function detectFeatures(text=''){
   const t = text.toLowerCase();
+  const out = {};
+  for (const [flag, , re] of FEATURE_PATTERNS) out[flag] = re.test(t);
+  out.technologies = technologiesFor(out);
+  return out;
+}
+
+/** ======= Scoring profiles =======
+ * A profile holds every tunable number in the scoring pipeline. DEFAULT_PROFILE
+ * reproduces the original hardcoded model; stored profiles are merged over it.
+ */
+const DEFAULT_PROFILE = {
+  name: 'default',
+  version: 0,
+  features: {
+    has_online_scheduling: 25,
+    has_patient_portal: 20,
+    has_text_reminders: 15,
+    has_digital_forms: 10,
+    has_online_payments: 10,
+    has_virtual_consults: 10,
+    has_advanced_imaging: 10
+  },
+  blend: { tech: 0.40, booking: 0.15, rating: 0.15, reviews: 0.10, specialty: 0.20 },
+  rating: { floor: 3.5, span: 1.5 },
+  reviewBuckets: [[200, 100], [100, 80], [50, 60], [25, 40], [10, 20]], // [minReviews, subscore]
+  tiers: [
+    { min: 80, tier: 'PLATINUM', qual: 'HOT' },
+    { min: 60, tier: 'GOLD', qual: 'HOT' },
+    { min: 40, tier: 'SILVER', qual: 'WARM' },
+    { min: 20, tier: 'BRONZE', qual: 'COOL' },
+    { min: 0, tier: 'BASIC', qual: 'COLD' }
+  ],
+  specialtyBoosts: {
+    rules: [{ any: ['cosmetic', 'aligners'], boost: 60 }], // first matching rule wins
+    anySpecialty: 40,
+    none: 0
+  }
+};
 
-  const has_online_scheduling = /book online|schedule online|book appointment|book now|zocdoc|localmed|doctible|nexhealth|jane app|setmore|calendly/.test(t);
-  const has_patient_portal   = /patient portal|patient login|my chart|patient account/.test(t);
-  const has_text_reminders   = /text reminders|sms reminder|text notification|weave|revenuewell|solutionreach|yapi/.test(t);
-  const has_digital_forms    = /online forms|digital forms|paperless|fill out.*online/.test(t);
-  const has_online_payments  = /pay online|online payment|carecredit|care credit|financing/.test(t);
-  const has_virtual_consults = /virtual consultation|video consultation|teledentistry|telehealth/.test(t);
-  const has_advanced_imaging = /3d imaging|cbct|cerec|same day crown|digital impression|itero|laser/.test(t);
-
-  const technologies = [];
-  if (has_online_scheduling) technologies.push('onlineScheduling');
-  if (has_patient_portal) technologies.push('patientPortal');
-  if (has_text_reminders) technologies.push('textReminders');
-  if (has_digital_forms) technologies.push('digitalForms');
-  if (has_online_payments) technologies.push('onlinePayments');
-  if (has_virtual_consults) technologies.push('virtualConsults');
-  if (has_advanced_imaging) technologies.push('advancedDentalTech');
-
-  return {
-    has_online_scheduling,
-    has_patient_portal,
-    has_text_reminders,
-    has_digital_forms,
-    has_online_payments,
-    has_virtual_consults,
-    has_advanced_imaging,
-    technologies
+// blend key -> subscore field returned by subscores()
+// `market`, `pain` and `site` are opt-in: the default blend leaves them out, profiles can weight them
+const BLEND_FIELDS = {
+  tech: 'sTech', booking: 'sBooking', rating: 'sRating', reviews: 'sReviews', specialty: 'sSpecial',
+  market: 'sMarket', pain: 'sPain', site: 'sSite'
+};
+
+const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+
+/** Merge a stored profile config over the defaults and validate it; throws on bad input */
+function makeProfile(config = {}, meta = {}) {
+  const p = {
+    ...DEFAULT_PROFILE,
+    ...config,
+    features: { ...DEFAULT_PROFILE.features, ...(config.features || {}) },
+    blend: { ...(config.blend || DEFAULT_PROFILE.blend) },
+    rating: { ...DEFAULT_PROFILE.rating, ...(config.rating || {}) },
+    specialtyBoosts: { ...DEFAULT_PROFILE.specialtyBoosts, ...(config.specialtyBoosts || {}) },
+    name: meta.name || config.name || DEFAULT_PROFILE.name,
+    version: meta.version ?? config.version ?? DEFAULT_PROFILE.version
   };
+
+  for (const [k, v] of Object.entries(p.features)) {
+    if (!(k in DEFAULT_PROFILE.features)) throw new Error(`unknown feature key: ${k}`);
+    if (!isNum(v)) throw new Error(`features.${k} must be a number`);
+  }
+  for (const [k, v] of Object.entries(p.blend)) {
+    if (!BLEND_FIELDS[k]) throw new Error(`unknown blend key: ${k}`);
+    if (!isNum(v) || v < 0) throw new Error(`blend.${k} must be a non-negative number`);
+  }
+  const total = Object.values(p.blend).reduce((a, b) => a + b, 0);
+  if (Math.abs(total - 1) > 0.001) throw new Error(`blend weights must sum to 1 (got ${total})`);
+  if (!isNum(p.rating.floor) || !isNum(p.rating.span) || p.rating.span <= 0) throw new Error('rating.floor/span must be numbers, span > 0');
+  if (!Array.isArray(p.reviewBuckets) || p.reviewBuckets.some(b => !Array.isArray(b) || !isNum(b[0]) || !isNum(b[1]))) {
+    throw new Error('reviewBuckets must be [[minReviews, subscore], ...]');
+  }
+  if (!Array.isArray(p.tiers) || !p.tiers.length || p.tiers.some(t => !isNum(t.min) || !t.tier || !t.qual)) {
+    throw new Error('tiers must be [{ min, tier, qual }, ...]');
+  }
+  if (!Array.isArray(p.specialtyBoosts.rules) || p.specialtyBoosts.rules.some(r => !Array.isArray(r.any) || !isNum(r.boost))) {
+    throw new Error('specialtyBoosts.rules must be [{ any: [...], boost }, ...]');
+  }
+
+  p.reviewBuckets = [...p.reviewBuckets].sort((a, b) => b[0] - a[0]);
+  p.tiers = [...p.tiers].sort((a, b) => b.min - a.min);
+  return p;
 }
 
-function computeTechScore(f){
+function computeTechScore(f, profile = DEFAULT_PROFILE){
   let score = 0;
-  if (f.has_online_scheduling) score += 25;
-  if (f.has_patient_portal)   score += 20;
-  if (f.has_text_reminders)   score += 15;
-  if (f.has_digital_forms)    score += 10;
-  if (f.has_online_payments)  score += 10;
-  if (f.has_virtual_consults) score += 10;
-  if (f.has_advanced_imaging) score += 10;
-  return Math.min(100, score);
-}
-
-function subscores({ techScore=0, rating=0, reviews=0, hasBooking=false, specialtyBoost=0 }){
-  const sTech = techScore;                                   // 40%
-  const sBooking = hasBooking ? 100 : 0;                     // 15%
-  const sRating = Math.max(0, Math.min(100, ((rating-3.5)/1.5)*100)); // 15%
-  const sReviews = reviews>=200?100:reviews>=100?80:reviews>=50?60:reviews>=25?40:reviews>=10?20:0; // 10%
-  const sSpecial = Math.max(0, Math.min(100, specialtyBoost)); // 20% (LLM boost)
-  const final = Math.round(0.40*sTech + 0.15*sBooking + 0.15*sRating + 0.10*sReviews + 0.20*sSpecial);
-  return { sTech, sBooking, sRating, sReviews, sSpecial, final };
-}
-
-function tierFromScore(score){
-  if(score>=80) return {tier:'PLATINUM',qual:'HOT'};
-  if(score>=60) return {tier:'GOLD',qual:'HOT'};
-  if(score>=40) return {tier:'SILVER',qual:'WARM'};
-  if(score>=20) return {tier:'BRONZE',qual:'COOL'};
-  return {tier:'BASIC',qual:'COLD'};
-}
-
-module.exports = { detectFeatures, computeTechScore, subscores, tierFromScore };
+  for (const [flag, weight] of Object.entries(profile.features)) {
+    if (f[flag]) score += weight;
+  }
+  return Math.max(0, Math.min(100, score));
+}
+
+function specialtyBoost(specialties = [], profile = DEFAULT_PROFILE){
+  const sb = profile.specialtyBoosts;
+  const rule = sb.rules.find(r => r.any.some(s => specialties.includes(s)));
+  if (rule) return rule.boost;
+  return specialties.length ? sb.anySpecialty : sb.none;
+}
+
+function subscores({ techScore=0, rating=0, reviews=0, hasBooking=false, specialtyBoost=0, marketScore=null, painScore=null, siteQuality=null }, profile = DEFAULT_PROFILE){
+  const sTech = techScore;
+  const sBooking = hasBooking ? 100 : 0;
+  const sRating = Math.max(0, Math.min(100, ((rating-profile.rating.floor)/profile.rating.span)*100));
+  const bucket = profile.reviewBuckets.find(([min]) => reviews >= min);
+  const sReviews = bucket ? bucket[1] : 0;
+  const sSpecial = Math.max(0, Math.min(100, specialtyBoost)); // LLM boost
+  const sMarket = Math.max(0, Math.min(100, marketScore ?? 0)); // local peers' adoption of what it lacks
+  const sPain = Math.max(0, Math.min(100, painScore ?? 0)); // review complaints we can fix
+  const sSite = Math.max(0, Math.min(100, siteQuality ?? 0)); // website audit
+  const out = { sTech, sBooking, sRating, sReviews, sSpecial, sMarket, sPain, sSite };
+  let final = 0;
+  for (const [key, weight] of Object.entries(profile.blend)) final += weight * (out[BLEND_FIELDS[key]] || 0);
+  return { ...out, final: Math.round(final) };
+}
+
+function tierFromScore(score, profile = DEFAULT_PROFILE){
+  const t = profile.tiers.find(t => score >= t.min) || profile.tiers[profile.tiers.length - 1];
+  return { tier: t.tier, qual: t.qual };
+}
+
+/** Score one lead row + its lead_tech_analysis row under a profile */
+function scoreLead(lead, tech, profile = DEFAULT_PROFILE){
+  const techScore = computeTechScore(tech || {}, profile);
+  const ss = subscores({
+    techScore,
+    rating: Number(lead?.rating || 0),
+    reviews: Number(lead?.review_count || 0),
+    hasBooking: !!tech?.has_online_scheduling,
+    specialtyBoost: specialtyBoost(tech?.llm_specialties || [], profile),
+    marketScore: lead?.market_score ?? null,
+    painScore: lead?.pain_score ?? null,
+    siteQuality: lead?.site_quality_score ?? null
+  }, profile);
+  const { tier, qual } = tierFromScore(ss.final, profile);
+  return { techScore, ss, tier, qual };
+}
+
+module.exports = {
+  DEFAULT_PROFILE,
+  makeProfile,
+  FEATURE_PATTERNS,
+  technologiesFor,
+  detectFeatures,
+  computeTechScore,
+  specialtyBoost,
+  subscores,
+  tierFromScore,
+  scoreLead
+};
@@ -1,38 +1,116 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const { createClient } = require('@supabase/supabase-js');
-const { ApifyClient } = require('apify-client');
+const crypto = require('crypto');
 
-const { fetchSiteText } = require('./webtext');
-const { enrichWithLLM } = require('./llm');
-const { detectFeatures, computeTechScore, subscores, tierFromScore } = require('./scoring');
+const { crawlSite, withHomeText, detectFeaturesAcrossPages } = require('./crawler');
+const { contentHash, isFresh, cacheCounts } = require('./cache');
+const { createProviders } = require('./providers');
+const { makeProfile, DEFAULT_PROFILE, scoreLead } = require('./scoring');
+const { extractContacts, pickBestContact } = require('./contacts');
+const { createJobQueue, runStatusFromJobs } = require('./jobs');
+const { addUsage, summarizeRun } = require('./runstats');
+const { parseLeadQuery, needsTechJoin, applyLeadQuery, shapeLead, encodeCursor, decodeCursor, pgValue } = require('./leadquery');
+const { identityOf, resolveMatch } = require('./identity');
+const { SEARCH_PRESETS, presetEntry, mergePresets } = require('./presets');
+const { gridCells } = require('./grid');
+const { auditSite, siteQualityScore } = require('./audit');
+const { THEME_LABELS, reviewFromItem, classifyReview, painPoints } = require('./reviews');
+const { METERS_PER_MILE, boundingBox, inBox, marketAreas, compareToPeers, marketGrid } = require('./market');
+const { DEFAULT_TEMPLATE, outreachVars, renderDraft, makeTemplate } = require('./outreach');
+const { CHANGE_TYPES, placesSnapshot, techSnapshot, diffPlaces, diffTech, rescanCutoffs } = require('./changes');
+const { DEFAULT_DSO_CATALOG, catalogKey, mergeCatalog, catalogEntry, bookingKeys, classifyAffiliation, isDso } = require('./affiliation');
+const ExcelJS = require('exceljs');
+const { EXPORT_COLUMNS, exportRow, csvHeader, csvRow } = require('./exporter');
+const { createCrmAdapter, SYNCABLE_QUALS } = require('./crm');
+const { ROLES, rolesFor, hashKey, generateKey, createAuthenticator, tokenFrom, safeEqual } = require('./auth');
+const { PIPELINE_STATUSES, OPEN_STATUSES, transitionError, repFields, pickRep, candidateReps } = require('./pipeline');
+const { log, withContext, addContext } = require('./log');
+const { createRegistry } = require('./metrics');
+const { runBudget, dailyBudget, emptySpend, spendOf, addSpend, exhausted, usageRow, spendFromRow, dayKey } = require('./budget');
+const { VERIFY_LEVELS, SUPPRESSION_KINDS, checkEmail, verifyEmails, suppressionFields, suppressionLookups, suppressionsFor, contactTarget, contactFlags } = require('./hygiene');
 
 const app = express();
 app.use(express.json({ limit: '1mb' }));
 app.use(cors({ origin: (process.env.CORS_ORIGIN || '').split(',').filter(Boolean) || true }));
 
-// 🔊 Request logger so we see every hit in Render logs
-app.use((req, _res, next) => {
-  try { console.log('REQ', req.method, req.url); } catch (_) {}
-  next();
+/** ---- Metrics (scraped from GET /metrics) ---- */
+const metrics = createRegistry();
+const httpSeconds = metrics.histogram('http_request_duration_seconds', 'API request latency by route and status');
+const stageSeconds = metrics.histogram('lead_stage_duration_seconds', 'Enrichment stage latency');
+const stageFailures = metrics.counter('lead_stage_failures_total', 'Failed enrichment stage attempts');
+const jobsSettled = metrics.counter('lead_jobs_total', 'Enrichment jobs finished, by status and skip reason');
+const cacheLookups = metrics.counter('enrich_cache_lookups_total', 'Enrichment cache lookups by stage and hit/miss');
+const actorRunsTotal = metrics.counter('actor_runs_total', 'Apify actor runs started, by stage');
+const llmExtractions = metrics.counter('llm_extractions_total', 'enrichWithLLM calls');
+const llmEscalations = metrics.counter('llm_escalations_total', 'Sonnet escalations (rate: divide by llm_extractions_total)');
+const llmTokens = metrics.counter('llm_tokens_total', 'LLM tokens by model and direction');
+const budgetDegradations = metrics.counter('budget_degradations_total', 'Stages skipped or downgraded because a budget was spent');
+metrics.gauge('budget_daily_spent', 'Spend so far today (UTC) by kind', async () =>
+  Object.entries(await daySpent()).map(([kind, value]) => ({ labels: { kind }, value })));
+metrics.gauge('budget_daily_limit', 'Daily budget limits (unset limits are omitted)', async () =>
+  Object.entries(dailyBudget()).filter(([, v]) => v != null).map(([kind, value]) => ({ labels: { kind }, value })));
+
+// Every request gets a correlation id (x-request-id if the caller sent one) on its logs and response
+app.use((req, res, next) => {
+  const reqId = String(req.get('x-request-id') || crypto.randomUUID()).slice(0, 100);
+  const started = process.hrtime.bigint();
+  res.setHeader('x-request-id', reqId);
+  res.on('finish', () => {
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    httpSeconds.observe({ method: req.method, route, status: res.statusCode }, seconds);
+    log.info('request', { reqId, method: req.method, path: req.path, route, status: res.statusCode, ms: Math.round(seconds * 1000) });
+  });
+  withContext({ reqId }, next);
 });
 
-const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
-const apify = new ApifyClient({ token: process.env.APIFY_API_TOKEN });
+// Store, actors, LLM and site fetcher are picked by env (see providers/index.js)
+const providers = createProviders();
+const supabase = providers.store; // supabase-js client or its in-memory stand-in
 
-const ACTORS = {
-  places: 'compass/crawler-google-places',
-  rag: process.env.APIFY_RAG_ACTOR || 'apify/rag-web-browser',
-  deep: process.env.APIFY_DEEP_CONTACTS_ACTOR || 'peterasorensen/snacci'
-};
+// Every /api route needs a key or JWT except health and the webhook (see auth.js ACCESS)
+const authenticate = createAuthenticator({
+  findKey: (keyHash) => sbSelectOne('api_keys', 'id, name, role, rep_id, active', { key_hash: keyHash })
+});
+app.use('/api', async (req, res, next) => {
+  const roles = rolesFor(req.method, req.baseUrl + req.path);
+  if (!roles) return next();
+  try {
+    const who = await authenticate(tokenFrom(req));
+    if (!who) return res.status(401).json({ error: 'missing or invalid API key' });
+    if (!roles.includes(who.role)) return res.status(403).json({ error: `requires role: ${roles.join(' or ')}` });
+    req.auth = who;
+    next();
+  } catch (e) {
+    log.error('request failed', { err: e });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Reps only see leads assigned to them; anything else is a 404, not a 403
+app.param('id', async (req, res, next, id) => {
+  if (req.auth?.role !== 'rep') return next();
+  try {
+    const lead = await sbSelectOne('dental_leads', 'id, assigned_rep_id', { id });
+    if (!lead || lead.assigned_rep_id !== req.auth.repId) return res.status(404).json({ error: 'lead not found' });
+    next();
+  } catch (e) {
+    log.error('request failed', { err: e });
+    res.status(500).json({ error: e.message });
+  }
+});
 
-async function runActorAndGetItems(actorSlug, input) {
-  const run = await apify.actor(actorSlug).call(input);
-  const { items } = await apify.dataset(run.defaultDatasetId).listItems({ limit: 1000 });
-  return { run, items };
+/** Restrict a parsed lead search to the caller's own leads when they're a rep */
+function scopeSearch(search, auth) {
+  if (auth?.role === 'rep') search.filters.assigned_rep_id = auth.repId;
+  return search;
 }
 
+/** Who did it, for lead_events payloads */
+const actorOf = (auth) => (auth ? { role: auth.role, repId: auth.repId, name: auth.name } : null);
+const { actors, llm: extractor } = providers;
+
 /** Simple concurrency helper (no external deps) */
 async function mapLimit(items, limit, iterator) {
   const results = new Array(items.length);
@@ -63,37 +141,15 @@ async function withRetry(fn, { tries = 3, baseMs = 400 } = {}) {
   throw lastErr;
 }
 
-/** ======= TARGETING PRESETS (no pediatric) ======= **/
-const SEARCH_PRESETS = {
-  general: ["dentist","dental clinic","family dentist"],
-  cosmetic: [
-    "cosmetic dentist","veneers","smile makeover","esthetic dentist",
-    "teeth whitening","invisalign dentist","smile design"
-  ],
-  implants: ["dental implants","all-on-4","full arch implants","implant dentist","teeth in a day"],
-  aligners_ortho: ["invisalign dentist","clear aligners","orthodontist","braces","aligner therapy"],
-  prosthodontics: ["prosthodontist","full mouth reconstruction","crowns and bridges","rehabilitation dentist"],
-  digital: [
-    "digital dentistry","CEREC","same day crown","intraoral scanner","3d printer","itero","cbct","digital workflow"
-  ]
-};
-
-const DEFAULT_CHAINS = [
-  "Aspen Dental","Western Dental","Pacific Dental","Heartland Dental",
-  "Smile Direct Club","Ideal Dental","Bright Now Dental","DentalWorks",
-  "Affordable Dentures","ClearChoice","Coast Dental","Great Expressions",
-  "Aspire Dental","Midwest Dental","InterDent","MB2 Dental","Dental Care Alliance"
-].map(s => s.toLowerCase());
-
 const domainFrom = (url) => {
   if (!url) return null;
   try { return new URL(url).hostname.replace(/^www\./,'').toLowerCase(); } catch { return null; }
 };
 
 /** ---- Supabase helpers (with retries) ---- */
-async function sbSelectOr(table, orCond) {
+async function sbSelectOr(table, orCond, cols = 'id', limit = 1) {
   return withRetry(async () => {
-    const q = await supabase.from(table).select('id').or(orCond).limit(1);
+    const q = await supabase.from(table).select(cols).or(orCond).limit(limit);
     if (q.error) throw q.error;
     return q.data;
   });
@@ -125,19 +181,33 @@ async function sbSelectOne(table, cols, match) {
   });
 }
 
-async function upsertLead(base) {
+// Identity fields a matched lead keeps; an absorbed record only fills the blanks
+const IDENTITY_FIELDS = ['name', 'address', 'address_norm', 'city', 'state', 'postal_code', 'latitude', 'longitude', 'phone', 'phone_e164', 'website', 'email'];
+
+/**
+ * Insert or update the practice. An exact place id match updates the row; a
+ * phone/domain/address/name match at or above MATCH_THRESHOLD merges the record
+ * into the existing lead and logs a `merged` event; anything else is a new lead.
+ * A Places email that fails checkEmail() is never written (`contact_flagged`
+ * event instead), and the result says whether the lead is on the
+ * suppression list (`doNotContact`).
+ */
+async function upsertLead(base, { runId = null } = {}) {
+  const placesEmail = base.email ? checkEmail(base.email) : null;
+  // stored lowercased, the form suppression entries are matched in
+  if (placesEmail) base = { ...base, email: placesEmail.valid ? placesEmail.email : null };
+
   const domain = domainFrom(base.website);
+  const ident = identityOf(base, domain);
   const conds = [
-    base.google_place_id ? `google_place_id.eq.${base.google_place_id}` : null,
-    domain ? `domain.eq.${domain}` : null,
-    base.phone ? `phone.eq.${base.phone}` : null
+    ident.google_place_id ? `google_place_id.eq.${pgValue(ident.google_place_id)}` : null,
+    domain ? `domain.eq.${pgValue(domain)}` : null,
+    ident.phone_e164 ? `phone_e164.eq.${pgValue(ident.phone_e164)}` : null,
+    ident.address_norm ? `address_norm.eq.${pgValue(ident.address_norm)}` : null
   ].filter(Boolean).join(',');
 
-  let existing = null;
-  if (conds) {
-    const found = await sbSelectOr('dental_leads', conds);
-    existing = found?.[0] || null;
-  }
+  const candidates = conds ? await sbSelectOr('dental_leads', conds, '*', 20) : [];
+  const match = resolveMatch({ ...base, domain }, candidates || []);
 
   const payload = {
     google_place_id: base.google_place_id || null,
@@ -147,6 +217,8 @@ async function upsertLead(base) {
     city: base.city, state: base.state, postal_code: base.postal_code,
     latitude: base.latitude, longitude: base.longitude,
     phone: base.phone, website: base.website, email: base.email,
+    phone_e164: ident.phone_e164,
+    address_norm: ident.address_norm,
     rating: base.rating, review_count: base.review_count,
     categories: base.categories || [],
     opening_hours: base.opening_hours || {},
@@ -154,16 +226,184 @@ async function upsertLead(base) {
     permanently_closed: !!base.permanently_closed
   };
 
-  if (existing) {
-    await sbUpdate('dental_leads', payload, existing.id);
-    return existing.id;
-  } else {
-    const d = await sbInsertOne('dental_leads', payload);
-    return d.id;
+  if (placesEmail && !placesEmail.valid) delete payload.email; // keep whatever the lead had
+
+  // flags + suppression check once the row is written
+  const settle = async (id, result) => {
+    if (placesEmail && !placesEmail.valid) {
+      await sbInsert('lead_events', {
+        lead_id: id,
+        event_type: 'contact_flagged',
+        payload: { source: 'places', runId, channel: 'email', value: String(placesEmail.email).slice(0, 254), flag: 'invalid', reason: placesEmail.reason }
+      });
+    }
+    const { doNotContact } = await refreshContactFlags(id, { source: 'places', runId });
+    return { id, ...result, doNotContact };
+  };
+
+  if (!match) {
+    const d = await sbInsertOne('dental_leads', { ...payload, match_confidence: null, pipeline_status: 'new', do_not_contact: false });
+    return settle(d.id, { inserted: true, match: null });
+  }
+
+  const existing = match.lead;
+  const exact = match.reasons[0] === 'place_id' || match.reasons[0] === 'merged_place_id';
+  if (exact) {
+    // same listing: the latest Places data wins, but an alias id never replaces the primary one
+    const patch = match.reasons[0] === 'merged_place_id' ? { ...payload, google_place_id: existing.google_place_id } : payload;
+    await sbUpdate('dental_leads', patch, existing.id);
+    return settle(existing.id, { inserted: false, match: { confidence: match.confidence, reasons: match.reasons }, previous: existing });
+  }
+
+  // another listing of the same practice: keep the lead's identity, fill what it lacks
+  const filled = IDENTITY_FIELDS.filter(f => existing[f] == null && payload[f] != null);
+  const patch = Object.fromEntries(filled.map(f => [f, payload[f]]));
+  if (!existing.google_place_id && base.google_place_id) patch.google_place_id = base.google_place_id;
+  else if (base.google_place_id) patch.merged_place_ids = [...new Set([...(existing.merged_place_ids || []), base.google_place_id])];
+  patch.match_confidence = match.confidence;
+  await sbUpdate('dental_leads', patch, existing.id);
+
+  await sbInsert('lead_events', {
+    lead_id: existing.id,
+    event_type: 'merged',
+    payload: {
+      mode: 'auto',
+      runId,
+      confidence: match.confidence,
+      reasons: match.reasons,
+      filled: Object.keys(patch).filter(k => k !== 'match_confidence' && k !== 'merged_place_ids'),
+      source: payload
+    }
+  });
+  return settle(existing.id, { inserted: false, match: { confidence: match.confidence, reasons: match.reasons } });
+}
+
+const CHILD_TABLES = ['lead_events', 'lead_contacts', 'lead_tech_analysis', 'lead_jobs', 'outreach_drafts', 'lead_reviews', 'lead_site_audits', 'lead_usage'];
+// Children unique per lead on these columns: the target keeps its own copy and the source's is dropped
+const CHILD_KEYS = { lead_contacts: ['channel', 'value'], lead_tech_analysis: [], lead_reviews: ['review_id'], lead_site_audits: [] };
+
+async function childIds(table, leadId) {
+  return withRetry(async () => {
+    const { data, error } = await supabase.from(table).select('id').eq('lead_id', leadId);
+    if (error) throw error;
+    return (data || []).map(r => r.id);
+  });
+}
+
+async function moveChildren(table, ids, toLeadId) {
+  if (!ids.length) return;
+  await withRetry(async () => {
+    const { error } = await supabase.from(table).update({ lead_id: toLeadId }).in('id', ids);
+    if (error) throw error;
+  });
+}
+
+/**
+ * Manual merge: fold lead `sourceId` into `targetId`. Child rows move over (the
+ * target keeps its own tech analysis, site audit, contacts and reviews on conflict), the source row is
+ * deleted, and the `merged` event keeps enough to split it back out.
+ */
+async function mergeLeads(targetId, sourceId) {
+  const target = await sbSelectOne('dental_leads', '*', { id: targetId });
+  const source = await sbSelectOne('dental_leads', '*', { id: sourceId });
+  if (!target || !source) return null;
+
+  const moved = {};
+  for (const table of CHILD_TABLES) moved[table] = await childIds(table, sourceId);
+
+  // (1) Rows the target already has a copy of are dropped rather than moved
+  const keyedRows = (table, leadId) => withRetry(async () => {
+    const { data, error } = await supabase.from(table).select(['id', ...CHILD_KEYS[table]].join(', ')).eq('lead_id', leadId);
+    if (error) throw error;
+    return data || [];
+  });
+  for (const [table, cols] of Object.entries(CHILD_KEYS)) {
+    const keyOf = (r) => JSON.stringify(cols.map(c => r[c]));
+    const held = new Set((await keyedRows(table, targetId)).map(keyOf));
+    moved[table] = (await keyedRows(table, sourceId)).filter(r => !held.has(keyOf(r))).map(r => r.id);
+  }
+
+  // (2) Move history and work over, then delete what's left with the source row
+  for (const table of CHILD_TABLES) await moveChildren(table, moved[table], targetId);
+  for (const table of Object.keys(CHILD_KEYS)) {
+    await withRetry(async () => {
+      const { error } = await supabase.from(table).delete().eq('lead_id', sourceId);
+      if (error) throw error;
+    });
+  }
+  await withRetry(async () => {
+    const { error } = await supabase.from('dental_leads').delete().eq('id', sourceId);
+    if (error) throw error;
+  });
+
+  // (3) Source identity becomes an alias of the target
+  // (the site score rides along with the audit it came from)
+  const filled = [...IDENTITY_FIELDS, 'site_quality_score'].filter(f => target[f] == null && source[f] != null);
+  const patch = Object.fromEntries(filled.map(f => [f, source[f]]));
+  const aliases = [source.google_place_id, ...(source.merged_place_ids || [])].filter(Boolean);
+  if (aliases.length) patch.merged_place_ids = [...new Set([...(target.merged_place_ids || []), ...aliases])];
+  if (Object.keys(patch).length) await sbUpdate('dental_leads', patch, targetId);
+
+  const { id: _id, created_at: _created, updated_at: _updated, domain: _domain, ...snapshot } = source;
+  await sbInsert('lead_events', {
+    lead_id: targetId,
+    event_type: 'merged',
+    payload: { mode: 'manual', fromLeadId: sourceId, filled, moved, source: snapshot }
+  });
+  await refreshContactFlags(targetId, { source: 'merge' });
+  if (moved.lead_reviews.length) await saveReviews(targetId);
+  return { id: targetId, merged: sourceId, filled, moved };
+}
+
+/**
+ * Undo a `merged` event: recreate the absorbed practice as its own lead, give
+ * back the rows a manual merge moved, and clear what the merge filled in (fields
+ * edited since keep their new value). Both leads get their contact flags re-checked.
+ */
+async function splitLead(leadId, eventId) {
+  const event = await sbSelectOne('lead_events', '*', { id: eventId, lead_id: leadId, event_type: 'merged' });
+  if (!event) return null;
+  const already = await withRetry(async () => {
+    const { data, error } = await supabase.from('lead_events').select('id')
+      .eq('event_type', 'split').eq('payload->>eventId', String(eventId)).limit(1);
+    if (error) throw error;
+    return data?.[0] || null;
+  });
+  if (already) return { alreadySplit: true };
+
+  const lead = await sbSelectOne('dental_leads', '*', { id: leadId });
+  if (!lead) return null;
+  const { source = {}, filled = [], moved = {}, mode } = event.payload || {};
+
+  // an auto merge only kept the Places payload: the recreated lead starts the pipeline fresh
+  const created = await sbInsertOne('dental_leads', {
+    pipeline_status: 'new',
+    do_not_contact: false,
+    ...source,
+    match_confidence: null,
+    merged_place_ids: source.merged_place_ids || []
+  });
+
+  const cleared = filled.filter(f => lead[f] === source[f]);
+  const patch = Object.fromEntries(cleared.map(f => [f, null]));
+  const aliases = new Set([source.google_place_id, ...(source.merged_place_ids || [])].filter(Boolean));
+  if (aliases.size) patch.merged_place_ids = (lead.merged_place_ids || []).filter(id => !aliases.has(id));
+  if (Object.keys(patch).length) await sbUpdate('dental_leads', patch, leadId);
+
+  if (mode === 'manual') {
+    for (const table of CHILD_TABLES) await moveChildren(table, moved[table] || [], created.id);
+    if (moved.lead_reviews?.length) for (const id of [leadId, created.id]) await saveReviews(id);
   }
+
+  await sbInsert('lead_events', [
+    { lead_id: leadId, event_type: 'split', payload: { eventId, newLeadId: created.id, cleared } },
+    { lead_id: created.id, event_type: 'split', payload: { eventId, fromLeadId: leadId } }
+  ]);
+  for (const id of [leadId, created.id]) await refreshContactFlags(id, { source: 'split' });
+  return { id: leadId, newLeadId: created.id, cleared };
 }
 
-async function saveTechMvp(lead_id, features, siteText, llm) {
+async function saveTechMvp(lead_id, features, siteText, llm, pages = [], vendors = []) {
   const row = {
     lead_id,
     technologies: features.technologies,
@@ -174,270 +414,2569 @@ async function saveTechMvp(lead_id, features, siteText, llm) {
     has_online_payments: features.has_online_payments,
     has_virtual_consults: features.has_virtual_consults,
     has_advanced_imaging: features.has_advanced_imaging,
-    website_text_excerpt: siteText ? siteText.slice(0, 1500) : null,
-    llm_specialties: llm.specialties || [],
-    llm_notes: llm.notes || null
+    feature_sources: features.feature_sources || {},
+    crawled_pages: pages.map(p => ({ url: p.url, kinds: p.kinds, chars: p.text.length })),
+    tech_vendors: vendors,
+    website_text_excerpt: siteText ? siteText.slice(0, 1500) : null
   };
+  // a skipped extraction (LLM budget spent) keeps whatever the last one found
+  if (!llm.skipped) Object.assign(row, {
+    llm_specialties: llm.specialties || [],
+    llm_notes: llm.notes || null,
+    llm_doctor_names: llm.doctor_names || [],
+    llm_doctor_count: llm.doctor_count ?? null,
+    llm_location_count: llm.location_count ?? null,
+    llm_languages: llm.languages || [],
+    llm_payment_model: llm.payment_model || null,
+    llm_payment_signals: llm.payment_signals || [],
+    llm_site_outdated: llm.site_outdated ?? null,
+    llm_confidence: llm.confidence || {},
+    llm_model: llm.model || null,
+    llm_valid: llm.valid ?? null
+  });
   const existing = await sbSelectOne('lead_tech_analysis', 'id', { lead_id });
   if (existing) await sbUpdate('lead_tech_analysis', row, existing.id);
   else await sbInsert('lead_tech_analysis', row);
 }
 
-async function rescore(lead_id) {
-  const lead = await sbSelectOne('dental_leads', '*', { id: lead_id });
-  const tech = await sbSelectOne('lead_tech_analysis', '*', { lead_id });
+/**
+ * Merge normalized contacts into lead_contacts (unique on lead_id, channel, value),
+ * verify emails not yet checked at EMAIL_VERIFY (newly invalid/risky ones get a
+ * `contact_flagged` event) and flag the single best one per lead with is_best.
+ */
+async function saveContacts(lead_id, base, deepItems) {
+  const checked = base.email ? checkEmail(base.email) : null;
+  const placesEmail = checked?.valid ? checked.email : null;
+  const fresh = extractContacts(deepItems, { email: placesEmail, phone: base.phone });
 
-  const techScore = computeTechScore(tech || {});
-  const specialties = tech?.llm_specialties || [];
-  const specialtyBoost = (specialties.includes('cosmetic') || specialties.includes('aligners')) ? 60 :
-                         (specialties.length ? 40 : 0);
-
-  const ss = subscores({
-    techScore,
-    rating: Number(lead?.rating || 0),
-    reviews: Number(lead?.review_count || 0),
-    hasBooking: !!tech?.has_online_scheduling,
-    specialtyBoost
+  const existing = await withRetry(async () => {
+    const { data, error } = await supabase.from('lead_contacts')
+      .select('channel, value, contact_type, label, source, source_url, status, status_reason, checked_at, suppressed, is_best')
+      .eq('lead_id', lead_id);
+    if (error) throw error;
+    return data || [];
   });
 
-  const { tier, qual } = tierFromScore(ss.final);
+  const merged = new Map(existing.map(c => [`${c.channel}:${c.value}`, c]));
+  for (const c of fresh) {
+    const prev = merged.get(`${c.channel}:${c.value}`);
+    merged.set(`${c.channel}:${c.value}`, prev ? { ...prev, source_url: c.source_url || prev.source_url } : { ...c, suppressed: false, is_best: false });
+  }
+  const all = [...merged.values()];
+  if (!all.length) return { count: 0, best: null, flagged: 0 };
+
+  const unchecked = all.filter(c => c.channel === 'email' && (!c.status || c.status === 'unknown' || (c.status === 'unverified' && EMAIL_VERIFY !== 'syntax')));
+  const checks = await verifyEmails(unchecked.map(c => c.value), { resolver: providers.emailResolver, level: EMAIL_VERIFY });
+  const flagged = [];
+  unchecked.forEach((c, i) => {
+    const { status, reason } = checks[i];
+    if (['invalid', 'risky'].includes(status) && status !== c.status) flagged.push({ channel: c.channel, value: c.value, flag: status, reason });
+    Object.assign(c, { status, status_reason: reason, checked_at: new Date().toISOString() });
+  });
 
+  const rows = all.map(c => ({ ...c, lead_id }));
   await withRetry(async () => {
-    const { error } = await supabase.from('dental_leads').update({
-      tech_score: techScore,
-      tech_tier: tier,
-      investment_level: tier,
-      qualification_status: qual,
-      final_score: ss.final,
-      final_score_explanation: tech?.llm_notes || null
-    }).eq('id', lead_id);
+    const { error } = await supabase.from('lead_contacts').upsert(rows, { onConflict: 'lead_id,channel,value' });
     if (error) throw error;
   });
+  if (flagged.length) {
+    await sbInsert('lead_events', flagged.map(f => ({ lead_id, event_type: 'contact_flagged', payload: { source: 'contacts', level: EMAIL_VERIFY, ...f } })));
+  }
 
-  await sbInsert('lead_events', { lead_id, event_type: 'rescored', payload: { ss, tier, qual } });
+  const { best } = await refreshContactFlags(lead_id, { source: 'contacts' });
+  return { count: fresh.length, best, flagged: flagged.length };
 }
 
-/** ============= Routes ============= **/
-app.get('/api/health', (_, res) => res.json({ ok: true }));
+/** ---- Contact hygiene and the suppression list ---- */
+const EMAIL_VERIFY = VERIFY_LEVELS.includes(process.env.EMAIL_VERIFY) ? process.env.EMAIL_VERIFY : 'syntax';
 
-// Deep health: check env & Supabase connectivity (no secrets shown)
-app.get('/api/debug/connections', async (_, res) => {
-  const env = {
-    publicBaseUrl: process.env.PUBLIC_BASE_URL || '',
-    supabaseUrlLooksOk: !!process.env.SUPABASE_URL && /\.supabase\.co$/.test(new URL(process.env.SUPABASE_URL).hostname),
-    supabaseKeyLen: (process.env.SUPABASE_SERVICE_KEY || '').length,
-    apifyKeyLen: (process.env.APIFY_API_TOKEN || '').length,
-    anthropicKeyLen: (process.env.ANTHROPIC_API_KEY || '').length
-  };
+/** Suppression entries that could cover any of these domains, emails or phones */
+async function findSuppressions(targets) {
+  const values = suppressionLookups(targets);
+  if (!values.length) return [];
+  return withRetry(async () => {
+    const { data, error } = await supabase.from('suppressions')
+      .select('id, kind, value, reason, opted_out_at')
+      .in('value', values);
+    if (error) throw error;
+    return data || [];
+  });
+}
 
-  let supabasePing = { ok: false, error: null, count: null };
-  try {
-    const { error, count } = await supabase
-      .from('dental_leads')
-      .select('id', { count: 'exact', head: true });
-    if (error) supabasePing.error = { message: error.message, code: error.code || null };
-    else supabasePing.ok = true, supabasePing.count = count ?? 0;
-  } catch (e) {
-    supabasePing.error = { message: String(e?.message || e) };
-  }
+/**
+ * Re-check a lead and its contacts against the suppression list: flags
+ * suppressed contacts, sets do_not_contact when the lead's own domain, email or
+ * phone is listed, re-picks the best contact and logs `suppressed` /
+ * `unsuppressed` when anything changed.
+ */
+async function refreshContactFlags(leadId, { source, by = null, runId = null } = {}) {
+  const lead = await sbSelectOne('dental_leads', 'id, website, email, phone_e164, do_not_contact, suppressed_by, contact_flags', { id: leadId });
+  if (!lead) return { doNotContact: false, best: null, flags: [] };
+  const contacts = await withRetry(async () => {
+    const { data, error } = await supabase.from('lead_contacts')
+      .select('channel, value, contact_type, label, source, source_url, status, status_reason, checked_at, suppressed, is_best')
+      .eq('lead_id', leadId);
+    if (error) throw error;
+    return data || [];
+  });
 
-  res.json({ ok: true, env, supabasePing });
-});
+  const domain = domainFrom(lead.website);
+  const list = await findSuppressions({
+    domains: [domain],
+    emails: [lead.email, ...contacts.filter(c => c.channel === 'email').map(c => c.value)],
+    phones: [lead.phone_e164, ...contacts.filter(c => c.channel === 'phone').map(c => c.value)]
+  });
+  const leadHits = suppressionsFor(list, { domain, email: lead.email, phone: lead.phone_e164 });
+  const next = contacts.map(c => ({ ...c, suppressed: suppressionsFor(list, contactTarget(c)).length > 0 }));
+  const best = pickBestContact(next, domain);
 
-// Generate: use actor().start so it returns immediately
-app.post('/api/generate', async (req, res) => {
-  const {
-    location,
-    maxResults = 40,
-    preset = 'general',
-    minRating = 3.8,
-    minReviews = 10,
-    avoidChains = true,
-    includeKeywords = [],
-    excludeKeywords = []
-  } = req.body || {};
+  const changed = next.filter((c, i) => c.suppressed !== !!contacts[i].suppressed || (c === best) !== !!contacts[i].is_best);
+  if (changed.length) {
+    await withRetry(async () => {
+      const { error } = await supabase.from('lead_contacts').upsert(changed.map(c => ({ ...c, lead_id: leadId, is_best: c === best })), { onConflict: 'lead_id,channel,value' });
+      if (error) throw error;
+    });
+  }
+
+  const doNotContact = leadHits.length > 0;
+  const flags = contactFlags(next);
+  const suppressedBy = leadHits.map(({ id, kind, value, reason, opted_out_at }) => ({ id, kind, value, reason, opted_out_at }));
+  const sameHits = JSON.stringify(suppressedBy) === JSON.stringify(lead.suppressed_by || []);
+  if (doNotContact !== !!lead.do_not_contact || !sameHits || JSON.stringify(flags) !== JSON.stringify(lead.contact_flags || [])) {
+    await sbUpdate('dental_leads', { do_not_contact: doNotContact, suppressed_by: suppressedBy, contact_flags: flags }, leadId);
+  }
 
-  if (!location) return res.status(400).json({ error: 'location required' });
+  const pick = (c) => ({ channel: c.channel, value: c.value });
+  const added = next.filter((c, i) => c.suppressed && !contacts[i].suppressed).map(pick);
+  const lifted = next.filter((c, i) => !c.suppressed && contacts[i].suppressed).map(pick);
+  const events = [];
+  if ((doNotContact && !lead.do_not_contact) || added.length) {
+    events.push({ event_type: 'suppressed', payload: { source, by, runId, doNotContact, matches: suppressedBy, contacts: added } });
+  }
+  if ((!doNotContact && lead.do_not_contact) || lifted.length) {
+    events.push({ event_type: 'unsuppressed', payload: { source, by, runId, doNotContact, contacts: lifted } });
+  }
+  if (events.length) await sbInsert('lead_events', events.map(e => ({ lead_id: leadId, ...e })));
 
-  try {
-    const searches = SEARCH_PRESETS[preset] || SEARCH_PRESETS.general;
+  return { doNotContact, best, flags };
+}
 
-    const input = {
-      searchStringsArray: searches,
-      locationQuery: location,
-      maxCrawledPlacesPerSearch: Math.max(1, Math.ceil(maxResults / searches.length)),
-      includeWebsite: true,
-      skipPlacesWithoutWebsite: true,
-      additionalInfo: true,
-      enrichPlaceWithBusinessLeads: true,
-      minReviews,
-      minRating
-    };
+/** Leads whose own fields or contacts a suppression entry could cover */
+async function leadsForSuppression({ kind, value }) {
+  const ids = new Set();
+  const collect = async (table, column, build) => withRetry(async () => {
+    const { data, error } = await build(supabase.from(table).select(column));
+    if (error) throw error;
+    for (const r of data || []) ids.add(r[column]);
+  });
 
-    const run = await apify.actor(ACTORS.places).start(input, {
-      webhooks: [{
-        eventTypes: ['ACTOR.RUN.SUCCEEDED','ACTOR.RUN.FAILED'],
-        requestUrl: `${process.env.PUBLIC_BASE_URL}/api/apify/webhook`
-      }]
-    });
+  if (kind === 'domain') {
+    // ilike over-matches ("fox.com" for "x.com"); refreshContactFlags decides
+    await collect('dental_leads', 'id', q => q.ilike('domain', `%${value}`));
+    await collect('lead_contacts', 'lead_id', q => q.eq('channel', 'email').ilike('value', `%${value}`));
+  } else if (kind === 'email') {
+    // ilike: leads written before emails were lowercased
+    await collect('dental_leads', 'id', q => q.ilike('email', value));
+    await collect('lead_contacts', 'lead_id', q => q.eq('channel', kind).eq('value', value));
+  } else {
+    await collect('dental_leads', 'id', q => q.eq('phone_e164', value));
+    await collect('lead_contacts', 'lead_id', q => q.eq('channel', kind).eq('value', value));
+  }
+  return [...ids];
+}
 
-    await sbInsert('lead_runs', {
-      source: 'google_places',
-      actor_id: ACTORS.places,
-      run_id: run.id,
-      status: run.status,
-      meta: { location, maxResults, preset, minRating, minReviews, avoidChains, includeKeywords, excludeKeywords }
-    });
+/** ?version= or a body `version`: undefined when absent; throws with a message routes can 400 on */
+function versionParam(v) {
+  if (v == null || v === '') return undefined;
+  const n = Number(v);
+  if (!Number.isInteger(n) || n < 0) throw new Error('version must be a non-negative integer');
+  return n;
+}
 
-    res.json({ ok: true, runId: run.id });
-  } catch (e) {
-    console.error(e);
-    res.status(500).json({ error: e.message });
+/**
+ * Save `config` as the next version of `name` in a versioned table (scoring
+ * profiles, outreach templates). The table is unique on (name, version), so a
+ * concurrent save that took the version sends us round again; returns the version.
+ */
+async function insertNextVersion(table, name, config, loadLatest) {
+  for (let attempt = 1; ; attempt++) {
+    const latest = await loadLatest(name);
+    const version = (latest?.version || 0) + 1;
+    try {
+      await sbInsert(table, { name, version, config });
+      return version;
+    } catch (e) {
+      if (e?.code !== '23505' || attempt >= 5) throw e;
+    }
   }
-});
+}
 
-// Temporary GET handler for quick check
-app.get('/api/apify/webhook', (_req, res) => {
-  console.log('WEBHOOK GET HIT');
-  res.json({ ok: true, method: 'GET' });
-});
+/** Latest (or a pinned) version of a named scoring profile; the built-in default when unnamed */
+async function loadScoringProfile(name, version) {
+  if (!name || (name === DEFAULT_PROFILE.name && version == null)) return DEFAULT_PROFILE;
+  const row = await withRetry(async () => {
+    let q = supabase.from('scoring_profiles').select('name, version, config').eq('name', name);
+    q = version != null ? q.eq('version', version) : q.order('version', { ascending: false });
+    const { data, error } = await q.limit(1);
+    if (error) throw error;
+    return data?.[0] || null;
+  });
+  if (!row) return null;
+  return makeProfile(row.config || {}, { name: row.name, version: row.version });
+}
 
-// Robust webhook: resolve datasetId from multiple places; bail gracefully if missing
-app.post('/api/apify/webhook', async (req, res) => {
-  res.status(200).json({ received: true }); // ack immediately
-  console.log('WEBHOOK POST HIT');
+function scoringUpdate(tech, scored, profile) {
+  return {
+    tech_score: scored.techScore,
+    tech_tier: scored.tier,
+    investment_level: scored.tier,
+    qualification_status: scored.qual,
+    final_score: scored.ss.final,
+    final_score_explanation: tech?.llm_notes || null,
+    scoring_profile: profile.name,
+    scoring_profile_version: profile.version
+  };
+}
 
-  try {
-    const body = req.body || {};
-    const datasetRaw =
-      body?.resource?.defaultDatasetId ||
-      body?.defaultDatasetId ||
-      body?.datasetId ||
-      null;
+async function rescore(lead_id, profile = DEFAULT_PROFILE) {
+  const lead = await sbSelectOne('dental_leads', '*', { id: lead_id });
+  const tech = await sbSelectOne('lead_tech_analysis', '*', { lead_id });
 
-    const datasetId = datasetRaw ? String(datasetRaw).split('/').pop() : null;
-    const runId = body?.resource?.id || body?.id || null;
+  const scored = scoreLead(lead, tech, profile);
+  const { ss, tier, qual } = scored;
 
-    if (!datasetId && !runId) {
-      console.warn('webhook: no datasetId or runId in payload');
-      return;
-    }
+  await sbUpdate('dental_leads', scoringUpdate(tech, scored, profile), lead_id);
 
-    let finalDatasetId = datasetId;
-    if (!finalDatasetId && runId) {
-      const run = await apify.run(runId).get();
-      finalDatasetId = run?.defaultDatasetId || null;
-    }
-    if (!finalDatasetId) {
-      console.warn('webhook: unable to resolve datasetId');
-      return;
-    }
-    console.log('WEBHOOK RESOLVED', { runId, finalDatasetId });
-
-    const { items } = await apify.dataset(finalDatasetId).listItems({ limit: 1000 });
-    console.log('WEBHOOK ITEMS', items.length);
-
-    const runMetaRow = await sbSelectOne('lead_runs','meta',{ run_id: runId });
-    const opts = runMetaRow?.meta || {};
-    const avoidChains = opts.avoidChains ?? true;
-    const includeKeywords = Array.isArray(opts.includeKeywords) ? opts.includeKeywords : [];
-    const excludeKeywords = Array.isArray(opts.excludeKeywords) ? opts.excludeKeywords : [];
-
-    await mapLimit(items, 3, async (item) => {
-      console.log('PROCESSING', item?.title, item?.website || item?.url || '');
-
-      const base = {
-        google_place_id: item.placeId,
-        name: item.title,
-        address: item.address || item.streetAddress,
-        city: item.city, state: item.state, postal_code: item.postalCode,
-        latitude: item.location?.lat, longitude: item.location?.lng,
-        phone: item.phone, website: item.website || item.url, email: item.email,
-        rating: item.rating || item.stars, review_count: item.reviewsCount || item.reviews,
-        categories: item.categories || [], opening_hours: item.openingHours,
-        temporarily_closed: item.temporarilyClosed || false, permanently_closed: item.permanentlyClosed || false
-      };
+  await sbInsert('lead_events', {
+    lead_id,
+    event_type: 'rescored',
+    payload: { ss, tier, qual, profile: { name: profile.name, version: profile.version } }
+  });
+}
 
-      if (avoidChains && DEFAULT_CHAINS.some(c => (base.name || '').toLowerCase().includes(c))) return;
+/** ---- Run lifecycle: queued → processing → succeeded | failed | partial ---- */
+const hashSecret = (secret) => crypto.createHash('sha256').update(String(secret)).digest('hex');
 
-      const id = await upsertLead(base);
+function secretMatches(provided, storedHash) {
+  if (!provided || !storedHash) return false;
+  const a = Buffer.from(hashSecret(provided), 'hex');
+  const b = Buffer.from(String(storedHash), 'hex');
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
 
-      const logPrefix = `[lead] ${base.google_place_id || base.name || ''}`;
-      const t0 = Date.now();
+const TERMINAL_RUN = ['succeeded', 'failed', 'partial'];
 
-      // (1) Prefer RAG actor for website text; fallback to local fetch
-      let siteText = '';
-      if (base.website) {
-        try {
-          console.log(logPrefix, 'RAG start →', ACTORS.rag);
-          const ragInput = {
-            query: base.website,                // single URL mode
-            outputFormats: ['markdown'],
-            scrapingTool: 'raw-http',
-            requestTimeoutSecs: 40
-          };
-          const { items: ragItems } = await runActorAndGetItems(ACTORS.rag, ragInput);
-          const first = ragItems?.find(i => i?.markdown) || ragItems?.[0] || {};
-          siteText = String(first.markdown || '').slice(0, 15000);
-          if (!siteText) throw new Error('RAG returned no markdown');
-          console.log(logPrefix, 'RAG done. chars=', siteText.length);
-        } catch (e) {
-          console.warn(logPrefix, 'RAG failed → fallback fetchSiteText:', e?.message || e);
-          siteText = await fetchSiteText(base.website);
-        }
-      }
+/** Atomically move a run between statuses; returns false if it wasn't in one of `from` */
+async function transitionRun(runId, from, to, extra = {}) {
+  return withRetry(async () => {
+    const { data, error } = await supabase.from('lead_runs')
+      .update({ status: to, ...extra })
+      .eq('run_id', runId)
+      .in('status', from)
+      .select('run_id');
+    if (error) throw error;
+    return (data || []).length > 0;
+  });
+}
 
-      // (2) Keyword filters
-      const low = (siteText || '').toLowerCase();
-      if (includeKeywords.length && !includeKeywords.some(k => low.includes(String(k).toLowerCase()))) return;
-      if (excludeKeywords.length && excludeKeywords.some(k => low.includes(String(k).toLowerCase()))) return;
+async function updateRun(runId, patch) {
+  return withRetry(async () => {
+    const { error } = await supabase.from('lead_runs').update(patch).eq('run_id', runId);
+    if (error) throw error;
+  });
+}
 
-      // (3) Deep contacts via snacci
-      let deepContacts = [];
-      if (base.website) {
-        try {
-          console.log(logPrefix, 'Deep contacts start →', ACTORS.deep);
-          const deepInput = {
-            websites: [base.website],
-            scrapeTypes: ['emails','phoneNumbers','socialMedia'],
-            removeDuplicates: true,
-            maxDepth: 2,
-            maxLinksPerPage: 100
-          };
-          const { items } = await runActorAndGetItems(ACTORS.deep, deepInput);
-          deepContacts = Array.isArray(items) ? items : [];
-          await sbInsert('lead_events', {
-            lead_id: id,
-            event_type: 'contacts_found',
-            payload: { count: deepContacts.length }
-          });
-        } catch (e) {
-          console.warn(logPrefix, 'Deep contacts failed:', e?.message || e);
-        }
-      }
+/** Child Places runs of a grid parent */
+async function childRuns(parentRunId) {
+  return withRetry(async () => {
+    const { data, error } = await supabase.from('lead_runs')
+      .select('run_id, status, items_count, duplicates_skipped, apify_usage_usd, meta->cell, error')
+      .eq('parent_run_id', parentRunId)
+      .order('created_at', { ascending: true });
+    if (error) throw error;
+    return data || [];
+  });
+}
 
-      const features = detectFeatures(siteText);
-      const llm = await enrichWithLLM({ siteText });
+/** processing → terminal; a grid child settling may also settle its parent */
+async function finishRun(runId, status, extra = {}) {
+  const done = await transitionRun(runId, ['processing'], status, { finished_at: new Date(), ...extra });
+  if (done) await finalizeParentIfDone(runId);
+  return done;
+}
 
-      await saveTechMvp(id, features, siteText, llm);
-      await rescore(id);
+/** Once every cell is terminal the parent is succeeded (all cells), failed (none) or partial */
+async function finalizeParentIfDone(childRunId) {
+  const child = await sbSelectOne('lead_runs', 'parent_run_id', { run_id: childRunId });
+  if (!child?.parent_run_id) return;
+  const parent = await sbSelectOne('lead_runs', 'run_id, meta', { run_id: child.parent_run_id });
+  const children = await childRuns(child.parent_run_id);
+  if (!parent || children.some(c => !TERMINAL_RUN.includes(c.status))) return;
 
-      await sbInsert('lead_events', { lead_id: id, event_type: 'created', payload: { runId, datasetId: finalDatasetId } });
+  const missing = Math.max(0, Number(parent.meta?.grid?.cells || children.length) - children.length);
+  const ok = children.filter(c => c.status === 'succeeded').length;
+  const status = ok === children.length && !missing ? 'succeeded' : ok || children.some(c => c.status === 'partial') ? 'partial' : 'failed';
+  const notOk = children.length - ok + missing;
+  await transitionRun(parent.run_id, ['processing'], status, {
+    items_count: children.reduce((s, c) => s + (c.items_count || 0), 0),
+    apify_usage_usd: children.reduce((s, c) => s + Number(c.apify_usage_usd || 0), 0),
+    error: notOk ? `${notOk}/${children.length + missing} cells did not fully succeed` : null,
+    finished_at: new Date()
+  });
+}
 
-      console.log(logPrefix, 'processed in', (Date.now() - t0) + 'ms');
+/**
+ * placeIds already enqueued by the other cells of a grid (so overlapping cells
+ * don't enrich twice). Best effort: it only sees cells whose webhooks already
+ * enqueued, so two cells finishing together can both enqueue a place. That
+ * costs a second enrichment, not a second lead (upsertLead matches on place id).
+ */
+async function gridPlaceIds(parentRunId, exceptRunId) {
+  const siblings = (await childRuns(parentRunId)).map(c => c.run_id).filter(id => id !== exceptRunId);
+  const seen = new Set();
+  if (!siblings.length) return seen;
+  for (let from = 0; ; from += 1000) {
+    const page = await withRetry(async () => {
+      const { data, error } = await supabase.from('lead_jobs')
+        .select('id, item->>placeId')
+        .in('run_id', siblings)
+        .order('id', { ascending: true })
+        .range(from, from + 999);
+      if (error) throw error;
+      return data || [];
     });
+    for (const j of page) if (j.placeId) seen.add(j.placeId);
+    if (page.length < 1000) return seen;
+  }
+}
 
-    await withRetry(async () => {
-      const { error } = await supabase.from('lead_runs')
-        .update({ status: 'succeeded', finished_at: new Date() })
-        .eq('run_id', runId);
+/** ---- Enrichment cache: failures only cost a cache miss, never the job ---- */
+async function cacheGet(key, stage, run) {
+  if (!key || run?.forceRefresh) return null;
+  try {
+    const row = await sbSelectOne('enrichment_cache', 'value, created_at', { domain: key.domain, content_hash: key.hash, stage });
+    const hit = isFresh(row, stage);
+    cacheLookups.inc({ stage, result: hit ? 'hit' : 'miss' });
+    return hit ? row.value : null;
+  } catch (e) {
+    log.warn('cache get failed', { stage, error: String(e?.message || e) });
+    return null;
+  }
+}
+
+async function cachePut(key, stage, value) {
+  if (!key) return;
+  try {
+    const { error } = await supabase.from('enrichment_cache').upsert(
+      { domain: key.domain, content_hash: key.hash, stage, value, created_at: new Date() },
+      { onConflict: 'domain,content_hash,stage' }
+    );
+    if (error) throw error;
+  } catch (e) {
+    log.warn('cache put failed', { stage, error: String(e?.message || e) });
+  }
+}
+
+/** ---- Spend budgets and per-lead usage (lead_usage rows, see budget.js) ---- */
+// Spend per budget run and per UTC day: summed from lead_usage once, then kept up to date in memory
+const spendTotals = new Map();
+
+async function sumUsage(filter) {
+  let total = emptySpend();
+  const pageSize = 1000;
+  for (let from = 0; ; from += pageSize) {
+    const rows = await withRetry(async () => {
+      const { data, error } = await filter(supabase.from('lead_usage')
+        .select('actor_runs, actor_usd, llm_input_tokens, llm_output_tokens, llm_usd, sonnet_escalations'))
+        .order('id', { ascending: true })
+        .range(from, from + pageSize - 1);
       if (error) throw error;
+      return data || [];
     });
+    for (const r of rows) total = addSpend(total, spendFromRow(r));
+    if (rows.length < pageSize) return total;
+  }
+}
 
-  } catch (e) {
-    console.error('webhook', e);
+function spentFor(key, load) {
+  if (!spendTotals.has(key)) spendTotals.set(key, load().catch((e) => { spendTotals.delete(key); throw e; }));
+  return spendTotals.get(key);
+}
+
+const runSpent = (budgetRunId) => spentFor(`run:${budgetRunId}`, () => sumUsage(q => q.eq('budget_run_id', budgetRunId)));
+
+function daySpent(day = dayKey()) {
+  for (const key of spendTotals.keys()) if (key.startsWith('day:') && key !== `day:${day}`) spendTotals.delete(key);
+  return spentFor(`day:${day}`, () => sumUsage(q => q.gte('created_at', `${day}T00:00:00.000Z`)));
+}
+
+/** Run and daily limits among `keys` already reached, as ['run.actorRuns', 'daily.llmUsd', …] */
+async function overBudget(run, keys) {
+  // run is null for spend outside a run (outreach rewrites): only the daily limits apply
+  const [byRun, byDay] = await Promise.all([run ? runSpent(run.budgetRunId) : null, daySpent()]);
+  return [
+    ...(run ? exhausted(run.budget, byRun, keys).map(k => `run.${k}`) : []),
+    ...exhausted(dailyBudget(), byDay, keys).map(k => `daily.${k}`)
+  ];
+}
+
+/** Store one stage's actor/LLM usage against the lead (null for a Places run) and count it toward budgets */
+async function recordUsage(leadId, run, stage, usage) {
+  const spend = spendOf(usage);
+  if (!spend.actorRuns && !spend.actorUsd && !spend.llmTokens && !spend.sonnetEscalations) return spend;
+  await sbInsert('lead_usage', { lead_id: leadId, run_id: run.runId, budget_run_id: run.budgetRunId, stage, ...usageRow(spend) });
+  for (const key of [`run:${run.budgetRunId}`, `day:${dayKey()}`]) {
+    if (spendTotals.has(key)) spendTotals.set(key, spendTotals.get(key).then(total => addSpend(total, spend)));
   }
-});
+  if (spend.actorRuns) actorRunsTotal.inc({ stage }, spend.actorRuns);
+  for (const u of usage.llm || []) {
+    llmTokens.inc({ model: u.model, direction: 'input' }, u.input_tokens || 0);
+    llmTokens.inc({ model: u.model, direction: 'output' }, u.output_tokens || 0);
+  }
+  return spend;
+}
+
+/** Log and count a stage that a spent budget skipped or downgraded */
+function budgetDegraded(stage, action, limits) {
+  budgetDegradations.inc({ stage, action });
+  log.warn('budget reached', { stage, action, limits });
+}
+
+/** ============= Enrichment pipeline (one durable job per Places item) ============= **/
+function baseFromItem(item) {
+  return {
+    google_place_id: item.placeId,
+    name: item.title,
+    address: item.address || item.streetAddress,
+    city: item.city, state: item.state, postal_code: item.postalCode,
+    latitude: item.location?.lat, longitude: item.location?.lng,
+    phone: item.phone, website: item.website || item.url, email: item.email,
+    rating: item.rating || item.stars, review_count: item.reviewsCount || item.reviews,
+    categories: item.categories || [], opening_hours: item.openingHours,
+    temporarily_closed: item.temporarilyClosed || false, permanently_closed: item.permanentlyClosed || false
+  };
+}
+
+// Run options + scoring profile, cached while a run's jobs are being worked
+const runContexts = new Map();
+async function loadRunContext(runId) {
+  if (runContexts.has(runId)) return runContexts.get(runId);
+  const row = await sbSelectOne('lead_runs', 'meta, dataset_id, parent_run_id', { run_id: runId });
+  const opts = row?.meta || {};
+  const ctx = {
+    runId,
+    // grid cells share their parent's budget
+    budgetRunId: row?.parent_run_id || runId,
+    budget: opts.budget || runBudget({}),
+    datasetId: row?.dataset_id || null,
+    avoidChains: opts.avoidChains ?? true,
+    includeKeywords: Array.isArray(opts.includeKeywords) ? opts.includeKeywords : [],
+    excludeKeywords: Array.isArray(opts.excludeKeywords) ? opts.excludeKeywords : [],
+    forceRefresh: !!opts.forceRefresh,
+    rescan: !!opts.rescan,
+    profile: await loadScoringProfile(opts.scoringProfile?.name, opts.scoringProfile?.version) || DEFAULT_PROFILE
+  };
+  runContexts.set(runId, ctx);
+  return ctx;
+}
+
+// DSO catalog: built-in entries plus dso_catalog rows, reloaded at most once a minute
+let dsoCatalog = null;
+async function loadDsoCatalog({ fresh = false } = {}) {
+  if (!fresh && dsoCatalog && Date.now() - dsoCatalog.at < 60000) return dsoCatalog.entries;
+  const rows = await withRetry(async () => {
+    const { data, error } = await supabase.from('dso_catalog').select('*').order('name', { ascending: true });
+    if (error) throw error;
+    return data || [];
+  });
+  dsoCatalog = { at: Date.now(), entries: mergeCatalog(DEFAULT_DSO_CATALOG, rows), rows };
+  return dsoCatalog.entries;
+}
+
+/** Classify a lead against the catalog and the leads it shares a domain, phone or booking widget with */
+async function saveAffiliation(leadId, base, crawl) {
+  const domain = domainFrom(base.website);
+  const phone = identityOf(base).phone_e164;
+  const keys = bookingKeys(crawl?.vendors || []);
+  const conds = [
+    domain ? `domain.eq.${pgValue(domain)}` : null,
+    phone ? `phone_e164.eq.${pgValue(phone)}` : null,
+    keys.length ? `booking_keys.ov.{${keys.map(pgValue).join(',')}}` : null
+  ].filter(Boolean).join(',');
+
+  const rows = !conds ? [] : await withRetry(async () => {
+    const { data, error } = await supabase.from('dental_leads')
+      .select('id, name, domain, phone_e164, booking_keys, affiliation')
+      .or(conds)
+      .neq('id', leadId)
+      .limit(50);
+    if (error) throw error;
+    return data || [];
+  });
+  const peers = rows.map(r => ({
+    id: r.id,
+    name: r.name,
+    affiliation: r.affiliation,
+    shared: [
+      domain && r.domain === domain ? 'domain' : null,
+      phone && r.phone_e164 === phone ? 'phone' : null,
+      (r.booking_keys || []).some(k => keys.includes(k)) ? 'booking' : null
+    ].filter(Boolean)
+  }));
+
+  const result = classifyAffiliation({ name: base.name, domain }, crawl || {}, peers, await loadDsoCatalog());
+  await sbUpdate('dental_leads', {
+    affiliation: result.affiliation,
+    affiliation_confidence: result.confidence,
+    affiliation_evidence: result.evidence,
+    booking_keys: keys
+  }, leadId);
+  return result;
+}
+
+/** ---- Reps and assignment ---- */
+async function activeReps() {
+  return withRetry(async () => {
+    const { data, error } = await supabase.from('sales_reps').select('*').eq('active', true);
+    if (error) throw error;
+    return data || [];
+  });
+}
+
+async function openLeadCount(repId) {
+  return withRetry(async () => {
+    const { count, error } = await supabase.from('dental_leads')
+      .select('id', { count: 'exact', head: true })
+      .eq('assigned_rep_id', repId)
+      .in('pipeline_status', OPEN_STATUSES);
+    if (error) throw error;
+    return count || 0;
+  });
+}
+
+async function setAssignment(leadId, from, to, payload) {
+  await sbUpdate('dental_leads', { assigned_rep_id: to, assigned_at: to ? new Date().toISOString() : null }, leadId);
+  await sbInsert('lead_events', { lead_id: leadId, event_type: 'assigned', payload: { from, to, ...payload } });
+}
+
+/** Give an unassigned lead to the rep whose territory covers it most specifically */
+async function autoAssign(lead, reps = null) {
+  const pool = reps || await activeReps();
+  const candidates = candidateReps(lead, pool);
+  if (!candidates.length) return null;
+  const load = {};
+  if (candidates.length > 1) for (const r of candidates) load[r.id] = await openLeadCount(r.id);
+  const pick = pickRep(lead, candidates, load);
+  await setAssignment(lead.id, null, pick.rep.id, { mode: 'territory', territoryScore: pick.score });
+  return pick.rep;
+}
+
+/** ---- Site audit ---- */
+/** Audit the homepage (plus an http:// probe for the upgrade redirect) and store it on the lead */
+async function saveSiteAudit(leadId, website) {
+  const page = await providers.fetchPage(website);
+  let probe = null;
+  if (page) {
+    const host = new URL(page.finalUrl).hostname;
+    probe = await providers.fetchPage(`http://${host}/`);
+  }
+  const audit = auditSite(page, probe);
+  const score = siteQualityScore(audit);
+  await withRetry(async () => {
+    const { error } = await supabase.from('lead_site_audits').upsert(
+      { lead_id: leadId, audit, quality_score: score, audited_at: new Date().toISOString() },
+      { onConflict: 'lead_id' }
+    );
+    if (error) throw error;
+  });
+  await sbUpdate('dental_leads', { site_quality_score: score }, leadId);
+  return { audit, score };
+}
+
+/** ---- Reviews ---- */
+const MAX_REVIEWS = Number(process.env.PLACES_MAX_REVIEWS ?? 20);
+
+/** Store a Places item's reviews with their themes and roll every stored review up onto the lead */
+async function saveReviews(leadId, items = []) {
+  const rows = items.map(reviewFromItem).filter(r => r.text).map(r => ({
+    lead_id: leadId,
+    ...r,
+    themes: classifyReview(r.text)
+  }));
+  if (rows.length) {
+    await withRetry(async () => {
+      const { error } = await supabase.from('lead_reviews').upsert(rows, { onConflict: 'lead_id,review_id' });
+      if (error) throw error;
+    });
+  }
+
+  const stored = await withRetry(async () => {
+    const { data, error } = await supabase.from('lead_reviews')
+      .select('review_id, rating, text, published_at, themes')
+      .eq('lead_id', leadId)
+      .order('published_at', { ascending: false })
+      .limit(500);
+    if (error) throw error;
+    return data || [];
+  });
+  const { painScore, ...summary } = painPoints(stored);
+  await sbUpdate('dental_leads', { pain_points: summary, pain_score: painScore }, leadId);
+  return { saved: rows.length, ...summary, painScore };
+}
+
+/** ---- Local market ---- */
+const MARKET_RADIUS_MILES = Number(process.env.MARKET_RADIUS_MILES || 3);
+
+/** Shaped leads (with tech) inside a lat/lng box, paged */
+async function leadsInBox({ north, south, east, west }, { max = 10000 } = {}) {
+  const out = [];
+  const pageSize = 1000;
+  for (let from = 0; from < max; from += pageSize) {
+    const rows = await withRetry(async () => {
+      const { data, error } = await supabase.from('dental_leads')
+        .select('id, name, latitude, longitude, tech_tier, final_score, market_score, affiliation, lead_tech_analysis(*)')
+        .gte('latitude', south).lte('latitude', north)
+        .gte('longitude', west).lte('longitude', east)
+        .order('id', { ascending: true })
+        .range(from, from + pageSize - 1);
+      if (error) throw error;
+      return data || [];
+    });
+    out.push(...rows.map(shapeLead));
+    if (rows.length < pageSize) break;
+  }
+  return out;
+}
+
+async function marketFor(lead, radiusMiles = MARKET_RADIUS_MILES) {
+  if (lead.latitude == null || lead.longitude == null) return null;
+  const box = boundingBox(Number(lead.latitude), Number(lead.longitude), radiusMiles * METERS_PER_MILE);
+  return compareToPeers(lead, await leadsInBox(box), { radiusMiles });
+}
+
+/** Store the lead's standing against peers at the default radius; scoring reads market_score */
+async function refreshMarket(leadId) {
+  const lead = await sbSelectOne('dental_leads', '*, lead_tech_analysis(*)', { id: leadId });
+  const market = lead && await marketFor(shapeLead(lead));
+  if (market) await saveMarket(leadId, market);
+  return market;
+}
+
+async function saveMarket(leadId, market) {
+  await sbUpdate('dental_leads', {
+    market_score: market.marketScore,
+    market_summary: { radiusMiles: market.radiusMiles, peers: market.peers.length, peersAnalyzed: market.peersAnalyzed, callouts: market.callouts.map(c => c.text) }
+  }, leadId);
+}
+
+/**
+ * Once a run settles, recompute market_score for its leads and their neighbours:
+ * leads enriched early in the run saw fewer peers than the last ones, and
+ * leads already stored nearby never saw the new arrivals. Leads whose score
+ * moved are rescored on the profile they were last scored with. The run's
+ * leads are grouped into geohash cells first, so each area is read once.
+ */
+async function refreshRunMarkets(runId) {
+  const jobs = await withRetry(async () => {
+    const { data, error } = await supabase.from('lead_jobs').select('lead_id').eq('run_id', runId).eq('status', 'succeeded');
+    if (error) throw error;
+    return data || [];
+  });
+  const leadIds = [...new Set(jobs.map(j => j.lead_id).filter(Boolean))];
+  const points = [];
+  for (let i = 0; i < leadIds.length; i += 200) {
+    points.push(...await withRetry(async () => {
+      const { data, error } = await supabase.from('dental_leads').select('latitude, longitude').in('id', leadIds.slice(i, i + 200));
+      if (error) throw error;
+      return data || [];
+    }));
+  }
+
+  const areas = marketAreas(points, MARKET_RADIUS_MILES * METERS_PER_MILE);
+  const seen = new Set();
+  let rescored = 0;
+  for (const area of areas) {
+    const nearby = await leadsInBox(area.load);
+    for (const lead of nearby) {
+      if (seen.has(lead.id) || !inBox(lead, area.affected)) continue;
+      seen.add(lead.id);
+      const market = compareToPeers(lead, nearby, { radiusMiles: MARKET_RADIUS_MILES });
+      await saveMarket(lead.id, market);
+      if ((market.marketScore ?? null) === (lead.market_score ?? null)) continue;
+      await rescore(lead.id, (await leadProfile(lead.id)) || DEFAULT_PROFILE);
+      rescored++;
+    }
+  }
+  return { areas: areas.length, leads: seen.size, rescored };
+}
+
+// Run market refreshes happen one at a time, off the job path, once `closing` says this worker closed the run
+let marketRefreshes = Promise.resolve();
+
+function queueMarketRefresh(runId, closing) {
+  marketRefreshes = marketRefreshes.then(async () => {
+    try {
+      if (!(await closing)) return;
+      log.info('run markets refreshed', { runId, ...(await refreshRunMarkets(runId)) });
+    } catch (e) {
+      log.warn('run market refresh failed', { runId, error: String(e?.message || e) });
+    }
+  });
+  return marketRefreshes;
+}
+
+/** Typed change events (feature_added, rating_changed, closed…) from a re-scan */
+async function recordChanges(leadId, changes, runId) {
+  if (!changes.length) return;
+  await sbInsert('lead_events', changes.map(c => ({ lead_id: leadId, event_type: c.event_type, payload: { ...c.payload, runId } })));
+}
+
+async function leadProfile(leadId) {
+  const lead = await sbSelectOne('dental_leads', 'scoring_profile, scoring_profile_version', { id: leadId });
+  return lead?.scoring_profile ? loadScoringProfile(lead.scoring_profile, lead.scoring_profile_version) : null;
+}
+
+/** ---- Re-scans: Places + enrichment again for leads due by tier and age ---- */
+const RESCAN_BATCH = Number(process.env.RESCAN_BATCH || 50);
+
+async function dueForRescan(limit) {
+  const due = [];
+  for (const { tier, before } of rescanCutoffs()) {
+    if (due.length >= limit) break;
+    const rows = await withRetry(async () => {
+      const { data, error } = await supabase.from('dental_leads')
+        .select('id, google_place_id')
+        .eq('tech_tier', tier)
+        .or(`last_scanned_at.lt.${before},and(last_scanned_at.is.null,created_at.lt.${before})`)
+        .order('last_scanned_at', { ascending: true, nullsFirst: true })
+        .limit(limit - due.length);
+      if (error) throw error;
+      return data || [];
+    });
+    due.push(...rows.filter(r => r.google_place_id));
+  }
+  return due;
+}
+
+/**
+ * Start a Places run over the given (or due) leads' place ids; its webhook feeds
+ * the normal job pipeline, which diffs against what's stored. Leads count as
+ * scanned once scheduled so a failed run doesn't get them picked every tick.
+ */
+async function startRescan({ leadIds = null, limit = RESCAN_BATCH } = {}) {
+  const leads = leadIds
+    ? await withRetry(async () => {
+      const { data, error } = await supabase.from('dental_leads').select('id, google_place_id').in('id', leadIds);
+      if (error) throw error;
+      return data || [];
+    })
+    : await dueForRescan(limit);
+  const targets = leads.filter(l => l.google_place_id).slice(0, Math.max(limit, leadIds?.length || 0));
+  if (!targets.length) return { runId: null, leads: 0 };
+  // re-scans wait for tomorrow once today's actor run budget is spent
+  if (exhausted(dailyBudget(), await daySpent(), ['actorRuns']).length) return { runId: null, leads: 0, skipped: 'daily_budget' };
+
+  const run = await startPlacesRun({
+    placeIds: targets.map(l => l.google_place_id),
+    includeWebsite: true,
+    additionalInfo: true,
+    enrichPlaceWithBusinessLeads: true,
+    maxReviews: MAX_REVIEWS,
+    reviewsSort: 'newest'
+  }, {
+    rescan: true,
+    leadIds: targets.map(l => l.id),
+    avoidChains: false,
+    includeKeywords: [],
+    excludeKeywords: [],
+    forceRefresh: false
+  });
+
+  await withRetry(async () => {
+    const { error } = await supabase.from('dental_leads')
+      .update({ last_scanned_at: new Date().toISOString() })
+      .in('id', targets.map(l => l.id));
+    if (error) throw error;
+  });
+  return { runId: run.id, leads: targets.length };
+}
+
+function startRescanScheduler(minutes = Number(process.env.RESCAN_INTERVAL_MINUTES ?? 360)) {
+  if (!minutes) return null;
+  const timer = setInterval(async () => {
+    try {
+      const out = await startRescan();
+      if (out.runId) log.info('rescan started', out);
+    } catch (e) {
+      log.warn('rescan scheduling failed', { error: String(e?.message || e) });
+    }
+  }, minutes * 60 * 1000);
+  timer.unref();
+  return timer;
+}
+
+/** Job handler: each stage is skipped if an earlier attempt already completed it */
+async function enrichJob(job, stage) {
+  const runId = job.run_id;
+  const run = await loadRunContext(runId);
+  const item = job.item || {};
+  const base = baseFromItem(item);
+  const t0 = Date.now();
+  addContext({ placeId: base.google_place_id || null });
+  log.info('job started', { name: base.name, website: base.website || null, attempt: job.attempts + 1 });
+
+  // (0) Upsert the practice
+  if (!stage.done('upsert')) {
+    stage.begin('upsert');
+    const { id, inserted, match, previous, doNotContact } = await upsertLead(base, { runId });
+    // Same listing seen again: rating, reviews and open/closed changes are signals
+    if (previous) await recordChanges(id, diffPlaces(placesSnapshot(previous), placesSnapshot(base)), runId);
+    await stage.complete('upsert', { lead_id: id, lead_inserted: inserted, match, doNotContact });
+  }
+  const id = stage.state().lead_id;
+  addContext({ leadId: id });
+  // On the suppression list: no crawling, paid enrichment or assignment
+  if (stage.state().doNotContact) return { status: 'skipped', reason: 'suppressed' };
+
+  // (0b) Reviews that came with the Places item → pain-point themes (no network)
+  if (!stage.done('reviews')) {
+    stage.begin('reviews');
+    let reviews = null;
+    if (Array.isArray(item.reviews) && item.reviews.length) {
+      const { saved, painReviews, painScore } = await saveReviews(id, item.reviews);
+      reviews = { saved, painReviews, painScore };
+    }
+    await stage.complete('reviews', { reviews });
+  }
+
+  // (1) Crawl likely subpages (new patients, technology, financing, about…)
+  if (!stage.done('crawl')) {
+    stage.begin('crawl');
+    let crawl = { pages: [], text: '', vendors: [] };
+    if (base.website) {
+      crawl = await crawlSite(base.website, { fetch: providers.fetchHtml });
+      log.info('crawl done', { pages: crawl.pages.length, chars: crawl.text.length, vendors: crawl.vendors.length });
+    }
+    await stage.complete('crawl', { crawl });
+  }
+
+  // (1b) Site audit: HTTPS/redirects, speed, viewport, copyright year, schema.org, favicon/OG, builder
+  if (!stage.done('audit')) {
+    stage.begin('audit');
+    let siteQuality = null;
+    if (base.website) {
+      try {
+        siteQuality = (await saveSiteAudit(id, base.website)).score;
+      } catch (e) {
+        log.warn('site audit failed', { error: String(e?.message || e) });
+      }
+    }
+    await stage.complete('audit', { siteQuality });
+  }
+
+  // (2) DSO / chain affiliation; avoidChains drops DSO practices before any paid enrichment
+  if (!stage.done('affiliation')) {
+    stage.begin('affiliation');
+    const { affiliation, confidence } = await saveAffiliation(id, base, stage.state().crawl);
+    await stage.complete('affiliation', { affiliation: { affiliation, confidence } });
+  }
+  if (run.avoidChains && isDso(stage.state().affiliation?.affiliation)) {
+    return { status: 'skipped', reason: 'chain' };
+  }
+
+  // (3) Prefer RAG markdown for the homepage; the local crawl text stands in when RAG fails or the actor budget is spent
+  if (!stage.done('site')) {
+    stage.begin('site');
+    let usage = stage.state().usage;
+    const degraded = [];
+    const cache = {};
+    let crawl = stage.state().crawl;
+    const hash = contentHash(crawl);
+    const cacheKey = hash ? { domain: domainFrom(base.website), hash } : null;
+
+    let siteText = '';
+    if (base.website) {
+      const cached = await cacheGet(cacheKey, 'rag', run);
+      cache.rag = cached ? 'hit' : 'miss';
+      const blocked = cached ? [] : await overBudget(run, ['actorRuns']);
+      if (cached) {
+        siteText = cached.markdown || '';
+      } else if (blocked.length) {
+        budgetDegraded('site', 'local_crawl', blocked);
+        degraded.push('rag_budget');
+      } else {
+        try {
+          log.info('rag start', { actor: actors.ragActorId });
+          const { run: ragRun, items: ragItems } = await actors.scrapePage(base.website);
+          usage = addUsage(usage, { actorRuns: 1, actorUsd: ragRun?.usageTotalUsd });
+          await recordUsage(id, run, 'site', { actorRuns: 1, actorUsd: ragRun?.usageTotalUsd });
+          const first = ragItems?.find(i => i?.markdown) || ragItems?.[0] || {};
+          siteText = String(first.markdown || '').slice(0, 15000);
+          if (!siteText) throw new Error('RAG returned no markdown');
+          log.info('rag done', { chars: siteText.length });
+          await cachePut(cacheKey, 'rag', { markdown: siteText });
+        } catch (e) {
+          log.warn('rag failed, using local crawl', { error: String(e?.message || e) });
+          siteText = '';
+          degraded.push('rag');
+        }
+      }
+    }
+
+    crawl = withHomeText(crawl, siteText);
+    siteText = siteText || crawl.pages[0]?.text || '';
+    await stage.complete('site', { siteText, crawl, cacheKey, cache, usage, degraded });
+  }
+  const { siteText, crawl, cacheKey } = stage.state();
+
+  // (4) Keyword filters
+  const low = (crawl.text || siteText || '').toLowerCase();
+  if (run.includeKeywords.length && !run.includeKeywords.some(k => low.includes(String(k).toLowerCase()))) {
+    return { status: 'skipped', reason: 'include_keywords' };
+  }
+  if (run.excludeKeywords.length && run.excludeKeywords.some(k => low.includes(String(k).toLowerCase()))) {
+    return { status: 'skipped', reason: 'exclude_keywords' };
+  }
+
+  // (4b) Only new leads that made it past the chain and keyword filters go to a rep
+  if (!stage.done('assign')) {
+    stage.begin('assign');
+    if (stage.state().lead_inserted) await autoAssign({ id, ...base });
+    await stage.complete('assign');
+  }
+
+  // (5) Deep contacts via snacci (Places email/phone only once the actor budget is spent)
+  if (!stage.done('contacts')) {
+    stage.begin('contacts');
+    let deepContacts = [];
+    let usage = stage.state().usage;
+    const degraded = [...(stage.state().degraded || [])];
+    const cache = { ...stage.state().cache };
+    const cached = base.website ? await cacheGet(cacheKey, 'contacts', run) : null;
+    if (base.website) cache.contacts = cached ? 'hit' : 'miss';
+    const blocked = cached || !base.website ? [] : await overBudget(run, ['actorRuns']);
+    if (cached) {
+      deepContacts = cached.items || [];
+    } else if (blocked.length) {
+      budgetDegraded('contacts', 'skip_deep_contacts', blocked);
+      degraded.push('deep_contacts_budget');
+    } else if (base.website) {
+      try {
+        log.info('deep contacts start', { actor: actors.deepActorId });
+        const { run: deepRun, items } = await actors.deepContacts(base.website);
+        usage = addUsage(usage, { actorRuns: 1, actorUsd: deepRun?.usageTotalUsd });
+        await recordUsage(id, run, 'contacts', { actorRuns: 1, actorUsd: deepRun?.usageTotalUsd });
+        deepContacts = Array.isArray(items) ? items : [];
+        await cachePut(cacheKey, 'contacts', { items: deepContacts });
+      } catch (e) {
+        log.warn('deep contacts failed', { error: String(e?.message || e) });
+        degraded.push('deep_contacts');
+      }
+    }
+
+    const { count, best } = await saveContacts(id, base, deepContacts);
+    await sbInsert('lead_events', {
+      lead_id: id,
+      event_type: 'contacts_found',
+      payload: { count, items: deepContacts.length, best: best ? { channel: best.channel, value: best.value } : null }
+    });
+    await stage.complete('contacts', { usage, degraded, cache });
+  }
+
+  // (6) LLM specialties; skipped once the token/dollar budget is spent, Haiku-only once escalations are
+  if (!stage.done('llm')) {
+    stage.begin('llm');
+    const degraded = [...(stage.state().degraded || [])];
+    const cached = await cacheGet(cacheKey, 'llm', run);
+    const blocked = cached ? [] : await overBudget(run, ['llmTokens', 'llmUsd']);
+    let llm = cached;
+    if (!cached && blocked.length) {
+      budgetDegraded('llm', 'skip_llm', blocked);
+      degraded.push('llm_budget');
+      llm = { specialties: [], valid: false, skipped: 'budget', usage: [] };
+    } else if (!cached) {
+      const noEscalation = await overBudget(run, ['sonnetEscalations']);
+      llm = await extractor.enrichWithLLM({ siteText: crawl.text || siteText, allowEscalation: !noEscalation.length });
+      if (llm.escalationSkipped) {
+        budgetDegraded('llm', 'no_escalation', noEscalation);
+        degraded.push('sonnet_budget');
+      }
+      llmExtractions.inc();
+      if (llm.escalations) llmEscalations.inc({}, llm.escalations);
+      await recordUsage(id, run, 'llm', { llm: llm.usage, escalations: llm.escalations });
+      await cachePut(cacheKey, 'llm', { ...llm, usage: [], escalations: 0 });
+    }
+    await stage.complete('llm', {
+      llm,
+      degraded,
+      usage: addUsage(stage.state().usage, { llm: cached ? [] : llm.usage, escalations: cached ? 0 : llm.escalations }),
+      cache: { ...stage.state().cache, llm: cached ? 'hit' : 'miss' }
+    });
+  }
+
+  // (7) Tech analysis + score
+  if (!stage.done('score')) {
+    stage.begin('score');
+    const cached = await cacheGet(cacheKey, 'features', run);
+    const features = cached || detectFeaturesAcrossPages(crawl.pages, crawl.vendors);
+    if (!cached) await cachePut(cacheKey, 'features', features);
+    const llm = stage.state().llm;
+    const before = techSnapshot(await sbSelectOne('lead_tech_analysis', '*', { lead_id: id }));
+    await saveTechMvp(id, features, siteText, llm, crawl.pages, crawl.vendors);
+    if (before) {
+      const after = techSnapshot({ ...features, tech_vendors: crawl.vendors, llm_specialties: llm.specialties || [] });
+      const crawled = crawl.pages.length > 0;
+      const observed = { flags: crawled, vendors: crawled, specialties: !llm.skipped && llm.valid !== false };
+      await recordChanges(id, diffTech(before, after, observed), runId);
+    }
+    await sbUpdate('dental_leads', { last_scanned_at: new Date().toISOString() }, id);
+    await refreshMarket(id);
+    // re-scans keep each lead on the profile it was last scored with
+    await rescore(id, (run.rescan && await leadProfile(id)) || run.profile);
+    const eventType = stage.state().lead_inserted ? 'created' : 'rescanned';
+    await sbInsert('lead_events', { lead_id: id, event_type: eventType, payload: { runId, datasetId: run.datasetId } });
+    await stage.complete('score', { cache: { ...stage.state().cache, features: cached ? 'hit' : 'miss' } });
+  }
+
+  log.info('job done', { ms: Date.now() - t0 });
+  return { status: 'succeeded' };
+}
+
+/** Close out a run once none of its jobs are pending/running */
+async function finalizeRunIfDone(runId) {
+  const jobs = await withRetry(async () => {
+    const { data, error } = await supabase.from('lead_jobs').select('status').eq('run_id', runId);
+    if (error) throw error;
+    return data || [];
+  });
+  const run = await sbSelectOne('lead_runs', 'items_count, parent_run_id', { run_id: runId });
+  if (jobs.length < Number(run?.items_count || 0)) return; // still enqueueing
+  const status = runStatusFromJobs(jobs);
+  if (!status) return;
+
+  const failed = jobs.filter(j => j.status === 'failed').length;
+  const closing = finishRun(runId, status, { error: failed ? `${failed}/${jobs.length} items failed` : null });
+  queueMarketRefresh(runId, closing);
+  await closing;
+  runContexts.delete(runId);
+  // grid cells share their parent's budget; the next check re-sums it from lead_usage
+  spendTotals.delete(`run:${run?.parent_run_id || runId}`);
+}
+
+const jobQueue = createJobQueue({
+  supabase,
+  handler: enrichJob,
+  onStage: ({ stage, status, ms }) => {
+    stageSeconds.observe({ stage }, ms / 1000);
+    if (status === 'failed') stageFailures.inc({ stage });
+  },
+  onSettled: (job) => {
+    jobsSettled.inc({ status: job.status, reason: job.skip_reason || null });
+    return finalizeRunIfDone(job.run_id);
+  }
+});
+
+/** ============= Routes ============= **/
+app.get('/api/health', (_, res) => res.json({ ok: true }));
+
+// Prometheus scrape; set METRICS_TOKEN to require `Authorization: Bearer <token>`
+app.get('/metrics', async (req, res) => {
+  if (process.env.METRICS_TOKEN && !safeEqual(tokenFrom(req) || '', process.env.METRICS_TOKEN)) return res.status(401).type('text/plain').send('unauthorized\n');
+  try {
+    res.type('text/plain; version=0.0.4').send(await metrics.render());
+  } catch (e) {
+    log.error('metrics render failed', { err: e });
+    res.status(500).type('text/plain').send(`${e.message}\n`);
+  }
+});
+
+// Today's spend against the daily limits (UTC day)
+app.get('/api/budget', async (_req, res) => {
+  try {
+    res.json({ ok: true, day: dayKey(), limits: dailyBudget(), spent: await daySpent() });
+  } catch (e) {
+    log.error('request failed', { err: e });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Deep health: check env & Supabase connectivity (no secrets shown)
+app.get('/api/debug/connections', async (_, res) => {
+  const env = {
+    publicBaseUrl: process.env.PUBLIC_BASE_URL || '',
+    supabaseUrlLooksOk: !!process.env.SUPABASE_URL && /\.supabase\.co$/.test(new URL(process.env.SUPABASE_URL).hostname),
+    supabaseKeyLen: (process.env.SUPABASE_SERVICE_KEY || '').length,
+    apifyKeyLen: (process.env.APIFY_API_TOKEN || '').length,
+    anthropicKeyLen: (process.env.ANTHROPIC_API_KEY || '').length,
+    emailVerify: EMAIL_VERIFY
+  };
+
+  let supabasePing = { ok: false, error: null, count: null };
+  try {
+    const { error, count } = await supabase
+      .from('dental_leads')
+      .select('id', { count: 'exact', head: true });
+    if (error) supabasePing.error = { message: error.message, code: error.code || null };
+    else supabasePing.ok = true, supabasePing.count = count ?? 0;
+  } catch (e) {
+    supabasePing.error = { message: String(e?.message || e) };
+  }
+
+  res.json({ ok: true, env, providers: providers.kinds, supabasePing });
+});
+
+/** A run's id plus, for a grid parent, its cell runs (leads carry the cell's run id) */
+async function runFamily(runId) {
+  const children = await childRuns(runId);
+  return [runId, ...children.map(c => c.run_id)];
+}
+
+/** One page of a parsed lead search, with best contact + tech analysis embedded */
+async function fetchLeadPage(search) {
+  const runIds = search.filters.run_id ? await runFamily(search.filters.run_id) : undefined;
+
+  const embed = needsTechJoin(search.filters) ? 'lead_tech_analysis!inner(*)' : 'lead_tech_analysis(*)';
+  const rows = await withRetry(async () => {
+    const base = supabase.from('dental_leads')
+      .select(`*, ${embed}, lead_contacts(channel, value, contact_type, label, source_url)${runIds ? ', lead_events!inner(event_type)' : ''}`)
+      .eq('lead_contacts.is_best', true);
+    const { data, error } = await applyLeadQuery(base, search, { runIds });
+    if (error) throw error;
+    return data || [];
+  });
+
+  const page = rows.slice(0, search.limit);
+  const nextCursor = rows.length > search.limit ? encodeCursor(page[page.length - 1], search.sort) : null;
+  return { items: page.map(shapeLead), nextCursor };
+}
+
+/** Every lead matching a search, page by page */
+async function* allLeads(search) {
+  let cursor = search.cursor;
+  do {
+    const { items, nextCursor } = await fetchLeadPage({ ...search, cursor, limit: 200 });
+    yield* items;
+    cursor = decodeCursor(nextCursor);
+  } while (cursor);
+}
+
+// Search leads (joined with lead_tech_analysis) with filters, sorting and cursor pagination
+app.get('/api/leads', async (req, res) => {
+  let search;
+  try {
+    search = scopeSearch(parseLeadQuery(req.query), req.auth);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+
+  try {
+    const { items, nextCursor } = await fetchLeadPage(search);
+    res.json({ ok: true, items, nextCursor });
+  } catch (e) {
+    log.error('request failed', { err: e });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Stream a lead search as CSV (default) or XLSX; takes the same filters as GET /api/leads.
+// Do-not-contact leads are always left out.
+app.get('/api/leads/export', async (req, res) => {
+  const format = String(req.query.format || 'csv').toLowerCase();
+  if (!['csv', 'xlsx'].includes(format)) return res.status(400).json({ error: 'format must be csv or xlsx' });
+
+  let search;
+  try {
+    search = scopeSearch(parseLeadQuery(req.query), req.auth);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+
+  const filename = `leads-${new Date().toISOString().slice(0, 10)}.${format}`;
+  try {
+    if (format === 'csv') {
+      res.setHeader('content-type', 'text/csv; charset=utf-8');
+      res.setHeader('content-disposition', `attachment; filename="${filename}"`);
+      res.write(csvHeader());
+      for await (const lead of allLeads(search)) if (!lead.do_not_contact) res.write(csvRow(lead));
+      return res.end();
+    }
+
+    res.setHeader('content-type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('content-disposition', `attachment; filename="${filename}"`);
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res });
+    const sheet = workbook.addWorksheet('Leads');
+    sheet.columns = EXPORT_COLUMNS.map(([key, header]) => ({ key, header, width: key === 'final_score_explanation' ? 60 : 20 }));
+    for await (const lead of allLeads(search)) if (!lead.do_not_contact) sheet.addRow(exportRow(lead)).commit();
+    sheet.commit();
+    await workbook.commit();
+  } catch (e) {
+    log.error('export failed', { err: e });
+    // Headers are gone once streaming starts; all we can do is cut the download short
+    if (!res.headersSent) res.status(500).json({ error: e.message });
+    else res.destroy(e);
+  }
+});
+
+// Lead detail: lead + tech analysis + lead_events timeline
+app.get('/api/leads/:id', async (req, res) => {
+  try {
+    const lead = await sbSelectOne('dental_leads', '*, lead_tech_analysis(*)', { id: req.params.id });
+    if (!lead) return res.status(404).json({ error: 'lead not found' });
+
+    const events = await withRetry(async () => {
+      const { data, error } = await supabase.from('lead_events')
+        .select('*')
+        .eq('lead_id', req.params.id)
+        .order('created_at', { ascending: true });
+      if (error) throw error;
+      return data || [];
+    });
+
+    const contacts = await withRetry(async () => {
+      const { data, error } = await supabase.from('lead_contacts')
+        .select('channel, value, contact_type, label, source, source_url, is_best')
+        .eq('lead_id', req.params.id);
+      if (error) throw error;
+      return data || [];
+    });
+
+    res.json({
+      ok: true,
+      lead: { ...shapeLead(lead), best_contact: contacts.find(c => c.is_best) || null },
+      contacts,
+      events
+    });
+  } catch (e) {
+    log.error('request failed', { err: e });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Manual pipeline status with an optional note; every change lands in lead_events
+app.patch('/api/leads/:id/pipeline', async (req, res) => {
+  const { status, note = null } = req.body || {};
+  if (note !== null && typeof note !== 'string') return res.status(400).json({ error: 'note must be a string' });
+  try {
+    const lead = await sbSelectOne('dental_leads', 'id, pipeline_status', { id: req.params.id });
+    if (!lead) return res.status(404).json({ error: 'lead not found' });
+    const from = lead.pipeline_status || 'new';
+    const problem = transitionError(from, status);
+    if (problem) return res.status(PIPELINE_STATUSES.includes(status) ? 409 : 400).json({ error: problem });
+
+    await sbUpdate('dental_leads', { pipeline_status: status, pipeline_updated_at: new Date().toISOString() }, lead.id);
+    await sbInsert('lead_events', {
+      lead_id: lead.id,
+      event_type: 'pipeline_changed',
+      payload: { from, to: status, note: note ? note.trim().slice(0, 2000) : null, by: actorOf(req.auth) }
+    });
+    res.json({ ok: true, leadId: lead.id, from, to: status });
+  } catch (e) {
+    log.error('request failed', { err: e });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.post('/api/leads/:id/notes', async (req, res) => {
+  const text = typeof req.body?.text === 'string' ? req.body.text.trim() : '';
+  if (!text) return res.status(400).json({ error: 'text required' });
+  try {
+    const lead = await sbSelectOne('dental_leads', 'id', { id: req.params.id });
+    if (!lead) return res.status(404).json({ error: 'lead not found' });
+    await sbInsert('lead_events', { lead_id: lead.id, event_type: 'note_added', payload: { text: text.slice(0, 2000), by: actorOf(req.auth) } });
+    res.json({ ok: true });
+  } catch (e) {
+    log.error('request failed', { err: e });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Hand a lead to a rep (or { repId: null } to unassign)
+app.put('/api/leads/:id/assignment', async (req, res) => {
+  const repId = req.body?.repId ?? null;
+  try {
+    const lead = await sbSelectOne('dental_leads', 'id, assigned_rep_id', { id: req.params.id });
+    if (!lead) return res.status(404).json({ error: 'lead not found' });
+    if (repId !== null) {
+      const rep = await sbSelectOne('sales_reps', 'id, active', { id: repId });
+      if (!rep || rep.active === false) return res.status(400).json({ error: 'unknown or inactive rep' });
+    }
+    if ((lead.assigned_rep_id || null) === repId) return res.json({ ok: true, leadId: lead.id, repId, unchanged: true });
+    await setAssignment(lead.id, lead.assigned_rep_id || null, repId, { mode: 'manual', by: actorOf(req.auth) });
+    res.json({ ok: true, leadId: lead.id, repId });
+  } catch (e) {
+    log.error('request failed', { err: e });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Stored reviews for a lead, newest first; ?theme=phone_unreachable keeps only that theme
+app.get('/api/leads/:id/reviews', async (req, res) => {
+  const theme = req.query.theme ? String(req.query.theme) : null;
+  if (theme && !THEME_LABELS[theme]) return res.status(400).json({ error: `unknown theme: ${theme} (allowed: ${Object.keys(THEME_LABELS).join(', ')})` });
+  const limit = Math.max(1, Math.min(500, Number(req.query.limit) || 100));
+  try {
+    const reviews = await withRetry(async () => {
+      const { data, error } = await supabase.from('lead_reviews')
+        .select('review_id, author, rating, text, published_at, url, themes')
+        .eq('lead_id', req.params.id)
+        .order('published_at', { ascending: false })
+        .limit(500);
+      if (error) throw error;
+      return data || [];
+    });
+    const items = (theme ? reviews.filter(r => (r.themes || []).some(t => t.theme === theme)) : reviews).slice(0, limit);
+    res.json({ ok: true, items });
+  } catch (e) {
+    log.error('request failed', { err: e });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.get('/api/leads/:id/audit', async (req, res) => {
+  try {
+    const row = await sbSelectOne('lead_site_audits', 'audit, quality_score, audited_at', { lead_id: req.params.id });
+    if (!row) return res.status(404).json({ error: 'no site audit for this lead' });
+    res.json({ ok: true, leadId: req.params.id, ...row });
+  } catch (e) {
+    log.error('request failed', { err: e });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Actor and LLM usage recorded against a lead, per run and stage, with totals
+app.get('/api/leads/:id/usage', async (req, res) => {
+  try {
+    const rows = await withRetry(async () => {
+      const { data, error } = await supabase.from('lead_usage')
+        .select('run_id, stage, actor_runs, actor_usd, llm_input_tokens, llm_output_tokens, llm_usd, sonnet_escalations, created_at')
+        .eq('lead_id', req.params.id)
+        .order('created_at', { ascending: false })
+        .limit(500);
+      if (error) throw error;
+      return data || [];
+    });
+    const total = rows.reduce((t, r) => addSpend(t, spendFromRow(r)), emptySpend());
+    res.json({ ok: true, leadId: req.params.id, total, usage: rows });
+  } catch (e) {
+    log.error('request failed', { err: e });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Competitors around one lead and how its tech adoption compares, e.g. ?radiusMiles=5
+app.get('/api/leads/:id/market', async (req, res) => {
+  const radiusMiles = req.query.radiusMiles != null ? Number(req.query.radiusMiles) : MARKET_RADIUS_MILES;
+  if (!(radiusMiles > 0 && radiusMiles <= 50)) return res.status(400).json({ error: 'radiusMiles must be between 0 and 50' });
+  try {
+    const lead = await sbSelectOne('dental_leads', '*, lead_tech_analysis(*)', { id: req.params.id });
+    if (!lead) return res.status(404).json({ error: 'lead not found' });
+    const market = await marketFor(shapeLead(lead), radiusMiles);
+    if (!market) return res.status(422).json({ error: 'lead has no coordinates' });
+    // peers are mostly other reps' leads: reps get the count, not who they are
+    res.json({ ok: true, leadId: lead.id, market: req.auth?.role === 'rep' ? { ...market, peers: market.peers.length } : market });
+  } catch (e) {
+    log.error('request failed', { err: e });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Density and adoption on a geohash grid over ?north&south&east&west (precision 3–7)
+app.get('/api/market/grid', async (req, res) => {
+  const box = Object.fromEntries(['north', 'south', 'east', 'west'].map(k => [k, Number(req.query[k])]));
+  const precision = req.query.precision != null ? Number(req.query.precision) : 5;
+  if (Object.values(box).some(v => !Number.isFinite(v)) || box.north <= box.south || box.east <= box.west) {
+    return res.status(400).json({ error: 'north, south, east and west are required (north > south, east > west)' });
+  }
+  if (!Number.isInteger(precision) || precision < 3 || precision > 7) return res.status(400).json({ error: 'precision must be an integer from 3 to 7' });
+  try {
+    const leads = await leadsInBox(box);
+    res.json({ ok: true, precision, practices: leads.length, cells: marketGrid(leads, { precision }) });
+  } catch (e) {
+    log.error('request failed', { err: e });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Re-scan now: given leads, or the next batch that's due
+app.post('/api/rescans', async (req, res) => {
+  const { leadIds = null, limit = RESCAN_BATCH } = req.body || {};
+  if (leadIds !== null && (!Array.isArray(leadIds) || !leadIds.length)) return res.status(400).json({ error: 'leadIds must be a non-empty array' });
+  try {
+    const out = await startRescan({ leadIds, limit: Math.max(1, Math.min(500, Number(limit) || RESCAN_BATCH)) });
+    res.json({ ok: true, ...out });
+  } catch (e) {
+    log.error('request failed', { err: e });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Change feed: newest signal events first, e.g. ?types=feature_added,closed&since=2024-01-01
+app.get('/api/changes', async (req, res) => {
+  const types = req.query.types ? String(req.query.types).split(',').map(t => t.trim()) : CHANGE_TYPES;
+  const bad = types.filter(t => !CHANGE_TYPES.includes(t));
+  if (bad.length) return res.status(400).json({ error: `unknown change types: ${bad.join(', ')} (allowed: ${CHANGE_TYPES.join(', ')})` });
+  const limit = Math.max(1, Math.min(200, Number(req.query.limit) || 50));
+  try {
+    const events = await withRetry(async () => {
+      let q = supabase.from('lead_events')
+        .select('id, lead_id, event_type, payload, created_at')
+        .in('event_type', types)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+      if (req.query.since) q = q.gte('created_at', String(req.query.since));
+      if (req.query.before) q = q.lt('created_at', String(req.query.before));
+      if (req.query.lead_id) q = q.eq('lead_id', String(req.query.lead_id));
+      const { data, error } = await q;
+      if (error) throw error;
+      return data || [];
+    });
+
+    const leadIds = [...new Set(events.map(e => e.lead_id))];
+    const leads = !leadIds.length ? [] : await withRetry(async () => {
+      const { data, error } = await supabase.from('dental_leads')
+        .select('id, name, city, state, phone, website, tech_tier, qualification_status, final_score')
+        .in('id', leadIds);
+      if (error) throw error;
+      return data || [];
+    });
+    const byId = new Map(leads.map(l => [l.id, l]));
+
+    res.json({
+      ok: true,
+      changes: events.map(e => ({ ...e, lead: byId.get(e.lead_id) || null })),
+      nextBefore: events.length === limit ? events[events.length - 1].created_at : null
+    });
+  } catch (e) {
+    log.error('request failed', { err: e });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Manual identity fixes: fold another lead into this one, or undo a merge
+app.post('/api/leads/:id/merge', async (req, res) => {
+  try {
+    const sourceId = req.body?.leadId;
+    if (!sourceId) return res.status(400).json({ error: 'leadId is required' });
+    if (String(sourceId) === String(req.params.id)) return res.status(400).json({ error: 'cannot merge a lead into itself' });
+    const out = await mergeLeads(req.params.id, sourceId);
+    if (!out) return res.status(404).json({ error: 'lead not found' });
+    res.json({ ok: true, ...out });
+  } catch (e) {
+    log.error('request failed', { err: e });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.post('/api/leads/:id/split', async (req, res) => {
+  try {
+    const eventId = req.body?.eventId;
+    if (!eventId) return res.status(400).json({ error: 'eventId of a merged event is required' });
+    const out = await splitLead(req.params.id, eventId);
+    if (!out) return res.status(404).json({ error: 'merged event not found for this lead' });
+    if (out.alreadySplit) return res.status(409).json({ error: 'merge already split' });
+    res.json({ ok: true, ...out });
+  } catch (e) {
+    log.error('request failed', { err: e });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// DSO catalog: built-ins merged with stored overrides (active:false hides a built-in)
+app.get('/api/dso-catalog', async (_req, res) => {
+  try {
+    const items = await loadDsoCatalog({ fresh: true });
+    res.json({ ok: true, items });
+  } catch (e) {
+    log.error('request failed', { err: e });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.put('/api/dso-catalog/:name', async (req, res) => {
+  let entry;
+  try {
+    entry = catalogEntry(req.params.name, req.body || {});
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  try {
+    const row = await withRetry(async () => {
+      const { data, error } = await supabase.from('dso_catalog')
+        .upsert({ ...entry, updated_at: new Date().toISOString() }, { onConflict: 'name_key' })
+        .select('*')
+        .single();
+      if (error) throw error;
+      return data;
+    });
+    dsoCatalog = null;
+    res.json({ ok: true, entry: row });
+  } catch (e) {
+    log.error('request failed', { err: e });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.delete('/api/dso-catalog/:name', async (req, res) => {
+  try {
+    const rows = await withRetry(async () => {
+      const { data, error } = await supabase.from('dso_catalog').delete().eq('name_key', catalogKey(req.params.name)).select('name');
+      if (error) throw error;
+      return data || [];
+    });
+    if (!rows.length) return res.status(404).json({ error: 'no stored catalog entry with that name (use active:false to hide a built-in)' });
+    dsoCatalog = null;
+    res.json({ ok: true, deleted: rows[0].name });
+  } catch (e) {
+    log.error('request failed', { err: e });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.get('/api/me', (req, res) => res.json({ ok: true, ...req.auth }));
+
+// API keys: the plain key is returned once, only its hash is stored
+app.get('/api/api-keys', async (_req, res) => {
+  try {
+    const keys = await withRetry(async () => {
+      const { data, error } = await supabase.from('api_keys')
+        .select('id, name, role, rep_id, active, created_at')
+        .order('created_at', { ascending: false });
+      if (error) throw error;
+      return data || [];
+    });
+    res.json({ ok: true, keys });
+  } catch (e) {
+    log.error('request failed', { err: e });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.post('/api/api-keys', async (req, res) => {
+  const { name, role, repId = null } = req.body || {};
+  if (!name || typeof name !== 'string') return res.status(400).json({ error: 'name required' });
+  if (!ROLES.includes(role)) return res.status(400).json({ error: `role must be one of ${ROLES.join(', ')}` });
+  if (role === 'rep' && !repId) return res.status(400).json({ error: 'rep keys need a repId' });
+  try {
+    if (repId && !(await sbSelectOne('sales_reps', 'id', { id: repId }))) return res.status(400).json({ error: 'unknown rep' });
+    const key = generateKey();
+    const { id } = await sbInsertOne('api_keys', { name: name.trim(), role, rep_id: repId, key_hash: hashKey(key), active: true });
+    res.json({ ok: true, id, key });
+  } catch (e) {
+    log.error('request failed', { err: e });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.delete('/api/api-keys/:keyId', async (req, res) => {
+  try {
+    const key = await sbSelectOne('api_keys', 'id', { id: req.params.keyId });
+    if (!key) return res.status(404).json({ error: 'api key not found' });
+    await sbUpdate('api_keys', { active: false }, key.id);
+    res.json({ ok: true, revoked: key.id });
+  } catch (e) {
+    log.error('request failed', { err: e });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Sales reps and their territories ({ states: ['TX'], cities: ['austin'], postal_prefixes: ['787'] })
+app.get('/api/reps', async (_req, res) => {
+  try {
+    const reps = await withRetry(async () => {
+      const { data, error } = await supabase.from('sales_reps').select('*').order('name', { ascending: true });
+      if (error) throw error;
+      return data || [];
+    });
+    res.json({ ok: true, reps });
+  } catch (e) {
+    log.error('request failed', { err: e });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.post('/api/reps', async (req, res) => {
+  let fields;
+  try {
+    fields = repFields(req.body);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  try {
+    const { id } = await sbInsertOne('sales_reps', { active: true, email: null, ...fields });
+    res.json({ ok: true, rep: { id, active: true, email: null, ...fields } });
+  } catch (e) {
+    log.error('request failed', { err: e });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.patch('/api/reps/:repId', async (req, res) => {
+  let fields;
+  try {
+    fields = repFields(req.body, { partial: true });
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  try {
+    const rep = await sbSelectOne('sales_reps', 'id', { id: req.params.repId });
+    if (!rep) return res.status(404).json({ error: 'rep not found' });
+    await sbUpdate('sales_reps', fields, rep.id);
+    res.json({ ok: true, rep: await sbSelectOne('sales_reps', '*', { id: rep.id }) });
+  } catch (e) {
+    log.error('request failed', { err: e });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Assign every unassigned lead by territory, e.g. after adding a rep
+app.post('/api/reps/auto-assign', async (_req, res) => {
+  try {
+    const reps = await activeReps();
+    const result = { assigned: 0, unmatched: 0, byRep: {} };
+    // keyset paging: assigned rows drop out of the filter, so offsets would skip some
+    for (let after = null; ;) {
+      const rows = await withRetry(async () => {
+        let q = supabase.from('dental_leads')
+          .select('id, city, state, postal_code')
+          .is('assigned_rep_id', null)
+          .order('id', { ascending: true })
+          .limit(500);
+        if (after) q = q.gt('id', after);
+        const { data, error } = await q;
+        if (error) throw error;
+        return data || [];
+      });
+      for (const lead of rows) {
+        const rep = await autoAssign(lead, reps);
+        if (!rep) { result.unmatched++; continue; }
+        result.assigned++;
+        result.byRep[rep.id] = (result.byRep[rep.id] || 0) + 1;
+      }
+      if (rows.length < 500) break;
+      after = rows[rows.length - 1].id;
+    }
+    res.json({ ok: true, ...result });
+  } catch (e) {
+    log.error('request failed', { err: e });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Scoring profiles: each POST stores a new version under the name
+app.get('/api/scoring-profiles', async (_req, res) => {
+  try {
+    const rows = await withRetry(async () => {
+      const { data, error } = await supabase.from('scoring_profiles')
+        .select('name, version, created_at')
+        .order('name', { ascending: true })
+        .order('version', { ascending: false });
+      if (error) throw error;
+      return data || [];
+    });
+    res.json({ ok: true, default: DEFAULT_PROFILE, profiles: rows });
+  } catch (e) {
+    log.error('request failed', { err: e });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.get('/api/scoring-profiles/:name', async (req, res) => {
+  let version;
+  try {
+    version = versionParam(req.query.version);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  try {
+    const profile = await loadScoringProfile(req.params.name, version);
+    if (!profile) return res.status(404).json({ error: 'scoring profile not found' });
+    res.json({ ok: true, profile });
+  } catch (e) {
+    log.error('request failed', { err: e });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.post('/api/scoring-profiles', async (req, res) => {
+  const { name, config } = req.body || {};
+  if (!name || !/^[a-z0-9_-]{1,64}$/i.test(name)) return res.status(400).json({ error: 'name required (letters, digits, _ or -)' });
+  if (name === DEFAULT_PROFILE.name) return res.status(400).json({ error: 'the default profile is built in' });
+
+  let profile;
+  try {
+    profile = makeProfile(config || {}, { name });
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+
+  try {
+    const { name: _n, version: _v, ...stored } = profile;
+    const version = await insertNextVersion('scoring_profiles', name, stored, loadScoringProfile);
+    res.json({ ok: true, profile: { ...profile, version } });
+  } catch (e) {
+    log.error('request failed', { err: e });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Bulk rescore every lead with a profile; dryRun=true only reports what would change
+app.post('/api/scoring-profiles/:name/rescore', async (req, res) => {
+  const { dryRun = false } = req.body || {};
+  let version;
+  try {
+    version = versionParam(req.body?.version);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  try {
+    const profile = await loadScoringProfile(req.params.name, version);
+    if (!profile) return res.status(404).json({ error: 'scoring profile not found' });
+
+    const summary = { total: 0, changedTier: 0, before: {}, after: {} };
+    const pageSize = 500;
+    for (let from = 0; ; from += pageSize) {
+      const rows = await withRetry(async () => {
+        const { data, error } = await supabase.from('dental_leads')
+          .select('*, lead_tech_analysis(*)')
+          .order('id', { ascending: true })
+          .range(from, from + pageSize - 1);
+        if (error) throw error;
+        return data || [];
+      });
+
+      await mapLimit(rows, 5, async (row) => {
+        const { lead_tech_analysis: embedded, ...lead } = row;
+        const tech = Array.isArray(embedded) ? embedded[0] || null : embedded || null;
+        const scored = scoreLead(lead, tech, profile);
+
+        summary.total++;
+        const prevTier = lead.tech_tier || 'UNSCORED';
+        summary.before[prevTier] = (summary.before[prevTier] || 0) + 1;
+        summary.after[scored.tier] = (summary.after[scored.tier] || 0) + 1;
+        if (prevTier !== scored.tier) summary.changedTier++;
+
+        if (dryRun) return;
+        await sbUpdate('dental_leads', scoringUpdate(tech, scored, profile), lead.id);
+        await sbInsert('lead_events', {
+          lead_id: lead.id,
+          event_type: 'rescored',
+          payload: { ss: scored.ss, tier: scored.tier, qual: scored.qual, profile: { name: profile.name, version: profile.version }, bulk: true }
+        });
+      });
+
+      if (rows.length < pageSize) break;
+    }
+
+    res.json({ ok: true, dryRun: !!dryRun, profile: { name: profile.name, version: profile.version }, summary });
+  } catch (e) {
+    log.error('request failed', { err: e });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/** ---- Outreach drafts ---- */
+async function loadOutreachTemplate(name, version) {
+  if (!name || (name === DEFAULT_TEMPLATE.name && version == null)) return DEFAULT_TEMPLATE;
+  const row = await withRetry(async () => {
+    let q = supabase.from('outreach_templates').select('name, version, config').eq('name', name);
+    q = version != null ? q.eq('version', version) : q.order('version', { ascending: false });
+    const { data, error } = await q.limit(1);
+    if (error) throw error;
+    return data?.[0] || null;
+  });
+  if (!row) return null;
+  return makeTemplate(row.config || {}, { name: row.name, version: row.version });
+}
+
+/** Render (and optionally LLM-rewrite) a draft for a shaped lead and store it */
+async function draftOutreach(lead, template, { rewrite = false, senderName } = {}) {
+  const vars = outreachVars(lead, senderName ? { senderName } : undefined);
+  let draft = renderDraft(template, vars);
+  let llmMeta = { rewritten: false, model: null, usage: [] };
+  let rewriteSkipped = null;
+
+  if (rewrite) {
+    const blocked = await overBudget(null, ['llmTokens', 'llmUsd']);
+    if (blocked.length) {
+      // the template draft still goes out, just without the model's pass
+      budgetDegraded('outreach', 'skip_rewrite', blocked);
+      rewriteSkipped = 'budget';
+    } else {
+      const out = await extractor.rewriteOutreach({ draft, facts: vars });
+      await recordUsage(lead.id, { runId: null, budgetRunId: null }, 'outreach', { llm: out.usage || [] });
+      if (out.valid) draft = { subject: out.subject, body: out.body, call_script: out.call_script };
+      llmMeta = { rewritten: !!out.valid, model: out.model || null, usage: out.usage || [] };
+    }
+  }
+
+  const row = {
+    lead_id: lead.id,
+    template_name: template.name,
+    template_version: template.version,
+    subject: draft.subject,
+    body: draft.body,
+    call_script: draft.call_script,
+    variables: vars,
+    rewritten: llmMeta.rewritten,
+    llm_model: llmMeta.model,
+    llm_usage: llmMeta.usage
+  };
+  const { id } = await sbInsertOne('outreach_drafts', row);
+  await sbInsert('lead_events', {
+    lead_id: lead.id,
+    event_type: 'outreach_drafted',
+    payload: { draftId: id, template: { name: template.name, version: template.version }, rewritten: llmMeta.rewritten, rewriteSkipped }
+  });
+  return { id, ...row, rewrite_skipped: rewriteSkipped };
+}
+
+// Outreach templates: each POST stores a new version under the name
+app.get('/api/outreach-templates', async (_req, res) => {
+  try {
+    const rows = await withRetry(async () => {
+      const { data, error } = await supabase.from('outreach_templates')
+        .select('name, version, created_at')
+        .order('name', { ascending: true })
+        .order('version', { ascending: false });
+      if (error) throw error;
+      return data || [];
+    });
+    res.json({ ok: true, default: DEFAULT_TEMPLATE, templates: rows });
+  } catch (e) {
+    log.error('request failed', { err: e });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.get('/api/outreach-templates/:name', async (req, res) => {
+  let version;
+  try {
+    version = versionParam(req.query.version);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  try {
+    const template = await loadOutreachTemplate(req.params.name, version);
+    if (!template) return res.status(404).json({ error: 'outreach template not found' });
+    res.json({ ok: true, template });
+  } catch (e) {
+    log.error('request failed', { err: e });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.post('/api/outreach-templates', async (req, res) => {
+  const { name, config } = req.body || {};
+  if (!name || !/^[a-z0-9_-]{1,64}$/i.test(name)) return res.status(400).json({ error: 'name required (letters, digits, _ or -)' });
+  if (name === DEFAULT_TEMPLATE.name) return res.status(400).json({ error: 'the default template is built in' });
+
+  let template;
+  try {
+    template = makeTemplate(config || {}, { name });
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+
+  try {
+    const { name: _n, version: _v, ...stored } = template;
+    const version = await insertNextVersion('outreach_templates', name, stored, loadOutreachTemplate);
+    res.json({ ok: true, template: { ...template, version } });
+  } catch (e) {
+    log.error('request failed', { err: e });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.get('/api/leads/:id/outreach', async (req, res) => {
+  try {
+    const drafts = await withRetry(async () => {
+      const { data, error } = await supabase.from('outreach_drafts')
+        .select('*')
+        .eq('lead_id', req.params.id)
+        .order('created_at', { ascending: false });
+      if (error) throw error;
+      return data || [];
+    });
+    res.json({ ok: true, drafts });
+  } catch (e) {
+    log.error('request failed', { err: e });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.post('/api/leads/:id/outreach', async (req, res) => {
+  const { template: name = DEFAULT_TEMPLATE.name, rewrite = false, senderName } = req.body || {};
+  let version;
+  try {
+    version = versionParam(req.body?.version);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  try {
+    const template = await loadOutreachTemplate(name, version);
+    if (!template) return res.status(404).json({ error: 'outreach template not found' });
+    const lead = await sbSelectOne('dental_leads', '*, lead_tech_analysis(*)', { id: req.params.id });
+    if (!lead) return res.status(404).json({ error: 'lead not found' });
+    if (lead.do_not_contact) return res.status(409).json({ error: 'lead is on the suppression list', suppressedBy: lead.suppressed_by });
+    const draft = await draftOutreach(shapeLead(lead), template, { rewrite: !!rewrite, senderName });
+    res.json({ ok: true, draft });
+  } catch (e) {
+    log.error('request failed', { err: e });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Batch drafts for body.leadIds / body.filters (GET /api/leads params), up to body.limit
+app.post('/api/outreach/drafts', async (req, res) => {
+  const { leadIds = null, filters = null, template: name = DEFAULT_TEMPLATE.name, rewrite = false, senderName } = req.body || {};
+  const limit = Math.max(1, Math.min(200, Number(req.body?.limit) || 50));
+  if (leadIds !== null && (!Array.isArray(leadIds) || !leadIds.length)) return res.status(400).json({ error: 'leadIds must be a non-empty array' });
+  if (!leadIds && !filters) return res.status(400).json({ error: 'leadIds or filters required' });
+
+  let search = null;
+  let version;
+  try {
+    version = versionParam(req.body?.version);
+    if (!leadIds) search = parseLeadQuery(filters);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+
+  try {
+    const template = await loadOutreachTemplate(name, version);
+    if (!template) return res.status(404).json({ error: 'outreach template not found' });
+
+    const leads = [];
+    const skipped = [];
+    if (leadIds) {
+      for (const id of leadIds.slice(0, limit)) {
+        const lead = await sbSelectOne('dental_leads', '*, lead_tech_analysis(*)', { id });
+        if (lead?.do_not_contact) skipped.push({ leadId: id, reason: 'suppressed' });
+        else if (lead) leads.push(shapeLead(lead));
+      }
+    } else {
+      for await (const lead of allLeads(search)) {
+        if (lead.do_not_contact) continue;
+        leads.push(lead);
+        if (leads.length >= limit) break;
+      }
+    }
+
+    const failed = [];
+    const drafts = (await mapLimit(leads, 3, async (lead) => {
+      try {
+        return await draftOutreach(lead, template, { rewrite: !!rewrite, senderName });
+      } catch (e) {
+        log.warn('outreach draft failed', { leadId: lead.id, error: String(e?.message || e) });
+        failed.push({ leadId: lead.id, error: String(e?.message || e) });
+        return null;
+      }
+    })).filter(Boolean);
+
+    res.json({ ok: true, template: { name: template.name, version: template.version }, total: leads.length, drafts, failed, skipped });
+  } catch (e) {
+    log.error('request failed', { err: e });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/** Ids from the last successful sync of a lead to a CRM provider */
+async function lastCrmSync(lead_id, provider) {
+  return withRetry(async () => {
+    const { data, error } = await supabase.from('lead_events')
+      .select('payload')
+      .eq('lead_id', lead_id)
+      .eq('event_type', 'crm_synced')
+      .eq('payload->>provider', provider)
+      .order('created_at', { ascending: false })
+      .limit(1);
+    if (error) throw error;
+    return data?.[0]?.payload || null;
+  });
+}
+
+// Push HOT/WARM leads matching body.filters (GET /api/leads params) or body.leadIds to a CRM;
+// do-not-contact leads are counted as `suppressed` and never sent
+app.post('/api/crm/:provider/sync', async (req, res) => {
+  const { filters = {}, leadIds = null } = req.body || {};
+  if (leadIds !== null && !Array.isArray(leadIds)) return res.status(400).json({ error: 'leadIds must be an array' });
+
+  let adapter, search;
+  try {
+    adapter = createCrmAdapter(req.params.provider);
+    search = parseLeadQuery(filters);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  const quals = search.filters.qualification_status.filter(q => SYNCABLE_QUALS.includes(q));
+  search.filters.qualification_status = quals.length ? quals : SYNCABLE_QUALS;
+
+  try {
+    const leads = [];
+    if (leadIds) {
+      for (const id of leadIds) {
+        const lead = await sbSelectOne('dental_leads', '*, lead_tech_analysis(*)', { id });
+        if (lead && SYNCABLE_QUALS.includes(lead.qualification_status)) leads.push(shapeLead(lead));
+      }
+    } else {
+      for await (const lead of allLeads(search)) leads.push(lead);
+    }
+    const suppressed = leads.filter(l => l.do_not_contact).length;
+    const sendable = leads.filter(l => !l.do_not_contact);
+
+    const result = { created: 0, updated: 0, failed: 0, suppressed };
+    await mapLimit(sendable, 3, async (lead) => {
+      try {
+        const previous = await lastCrmSync(lead.id, adapter.name);
+        const ids = await adapter.upsertLead(lead, previous || {});
+        const status = previous ? 'updated' : 'created';
+        result[status]++;
+        await sbInsert('lead_events', {
+          lead_id: lead.id,
+          event_type: 'crm_synced',
+          payload: { provider: adapter.name, status, ...ids, tier: lead.tech_tier }
+        });
+      } catch (e) {
+        result.failed++;
+        log.warn('crm sync failed', { provider: adapter.name, leadId: lead.id, error: String(e?.message || e) });
+        await sbInsert('lead_events', {
+          lead_id: lead.id,
+          event_type: 'crm_sync_failed',
+          payload: { provider: adapter.name, error: String(e?.message || e).slice(0, 500) }
+        });
+      }
+    });
+
+    res.json({ ok: true, provider: adapter.name, total: leads.length, ...result });
+  } catch (e) {
+    log.error('request failed', { err: e });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/** ---- Suppression list (do-not-contact) ---- */
+app.get('/api/suppressions', async (req, res) => {
+  const { kind, q } = req.query;
+  if (kind && !SUPPRESSION_KINDS.includes(kind)) return res.status(400).json({ error: `kind must be one of ${SUPPRESSION_KINDS.join(', ')}` });
+  const limit = Math.max(1, Math.min(500, Number(req.query.limit) || 100));
+  try {
+    const rows = await withRetry(async () => {
+      let query = supabase.from('suppressions').select('*');
+      if (kind) query = query.eq('kind', kind);
+      if (q) query = query.ilike('value', `%${String(q).toLowerCase()}%`);
+      const { data, error } = await query.order('created_at', { ascending: false }).limit(limit);
+      if (error) throw error;
+      return data || [];
+    });
+    res.json({ ok: true, suppressions: rows });
+  } catch (e) {
+    log.error('request failed', { err: e });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// One entry as the body, or { entries: [...] } for a bulk import; leads they cover are flagged right away
+app.post('/api/suppressions', async (req, res) => {
+  const body = req.body || {};
+  const input = Array.isArray(body.entries) ? body.entries : [body];
+  if (!input.length || input.length > 1000) return res.status(400).json({ error: 'entries must have 1 to 1000 items' });
+
+  let entries;
+  try {
+    entries = input.map((e, i) => {
+      try { return suppressionFields(e); } catch (err) { throw new Error(input.length > 1 ? `entries[${i}]: ${err.message}` : err.message); }
+    });
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+
+  try {
+    const by = actorOf(req.auth);
+    const rows = await withRetry(async () => {
+      const { data, error } = await supabase.from('suppressions')
+        .upsert(entries.map(e => ({ ...e, created_by: by })), { onConflict: 'kind,value' })
+        .select('*');
+      if (error) throw error;
+      return data || [];
+    });
+
+    const leadIds = new Set();
+    for (const e of entries) (await leadsForSuppression(e)).forEach(id => leadIds.add(id));
+    let flagged = 0;
+    for (const id of leadIds) {
+      const { doNotContact } = await refreshContactFlags(id, { source: 'suppression_list', by });
+      if (doNotContact) flagged++;
+    }
+    res.json({ ok: true, suppressions: rows, leadsChecked: leadIds.size, leadsDoNotContact: flagged });
+  } catch (e) {
+    log.error('request failed', { err: e });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.delete('/api/suppressions/:suppressionId', async (req, res) => {
+  try {
+    const entry = await sbSelectOne('suppressions', '*', { id: req.params.suppressionId });
+    if (!entry) return res.status(404).json({ error: 'suppression not found' });
+    await withRetry(async () => {
+      const { error } = await supabase.from('suppressions').delete().eq('id', entry.id);
+      if (error) throw error;
+    });
+
+    const by = actorOf(req.auth);
+    const leadIds = await leadsForSuppression(entry);
+    for (const id of leadIds) await refreshContactFlags(id, { source: 'suppression_removed', by });
+    res.json({ ok: true, removed: entry, leadsChecked: leadIds.length });
+  } catch (e) {
+    log.error('request failed', { err: e });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/** Search terms for a preset: stored rows first, then the built-ins */
+async function loadPreset(name) {
+  const row = await sbSelectOne('search_presets', 'name, terms', { name });
+  if (row) return row.terms;
+  return SEARCH_PRESETS[name] || null;
+}
+
+/**
+ * Start one Places actor run with its own webhook secret. Its lead_runs row goes in
+ * first as a `starting` placeholder, so a webhook that beats the actor start's reply
+ * still finds it (see adoptStartingRun); the real run id replaces the placeholder after.
+ */
+async function startPlacesRun(input, meta, { parentRunId = null } = {}) {
+  // Per-run secret: only its hash is stored; the webhook must echo it back
+  const secret = crypto.randomBytes(24).toString('hex');
+  const placeholder = `starting-${crypto.randomUUID()}`;
+  await sbInsert('lead_runs', {
+    source: 'google_places',
+    actor_id: actors.placesActorId,
+    run_id: placeholder,
+    parent_run_id: parentRunId,
+    status: 'starting',
+    webhook_secret_hash: hashSecret(secret),
+    meta
+  });
+
+  let run;
+  try {
+    run = await actors.startPlaces(input, {
+      webhooks: [{
+        eventTypes: ['ACTOR.RUN.SUCCEEDED','ACTOR.RUN.FAILED','ACTOR.RUN.TIMED_OUT','ACTOR.RUN.ABORTED'],
+        requestUrl: `${process.env.PUBLIC_BASE_URL}/api/apify/webhook?secret=${secret}`
+      }]
+    });
+  } catch (e) {
+    await transitionRun(placeholder, ['starting'], 'failed', { error: `actor start failed: ${e?.message || e}`, finished_at: new Date() });
+    throw e;
+  }
+
+  // false when the webhook already adopted the row under the real id
+  await transitionRun(placeholder, ['starting'], 'queued', { run_id: run.id, apify_status: run.status });
+  await recordUsage(null, { runId: run.id, budgetRunId: parentRunId || run.id }, 'places', { actorRuns: 1 });
+  return run;
+}
+
+/** The `starting` row a webhook's secret belongs to, moved to its real run id and queued */
+async function adoptStartingRun(secret, runId) {
+  if (!secret) return null;
+  return withRetry(async () => {
+    const { data, error } = await supabase.from('lead_runs')
+      .update({ run_id: runId, status: 'queued' })
+      .eq('webhook_secret_hash', hashSecret(String(secret)))
+      .eq('status', 'starting')
+      .select('run_id, parent_run_id, status, meta, webhook_secret_hash');
+    if (error) throw error;
+    return data?.[0] || null;
+  });
+}
+
+// Generate: use actor().start so it returns immediately
+app.post('/api/generate', async (req, res) => {
+  const {
+    location,
+    maxResults = 40,
+    preset = 'general',
+    minRating = 3.8,
+    minReviews = 10,
+    avoidChains = true,
+    includeKeywords = [],
+    excludeKeywords = [],
+    scoringProfile = null,
+    forceRefresh = false,
+    maxReviews = MAX_REVIEWS,
+    grid = null
+  } = req.body || {};
+
+  if (!location && !grid) return res.status(400).json({ error: 'location or grid required' });
+
+  let cells = null;
+  let budget;
+  try {
+    if (grid) cells = gridCells(grid);
+    budget = runBudget(req.body?.budget ?? {});
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+
+  try {
+    const profile = await loadScoringProfile(scoringProfile);
+    if (!profile) return res.status(400).json({ error: `unknown scoring profile: ${scoringProfile}` });
+
+    const searches = await loadPreset(preset);
+    if (!searches) return res.status(400).json({ error: `unknown preset: ${preset}` });
+
+    // maxResults applies per cell on grid runs: beating the per-query cap is the point
+    const input = {
+      searchStringsArray: searches,
+      maxCrawledPlacesPerSearch: Math.max(1, Math.ceil(maxResults / searches.length)),
+      includeWebsite: true,
+      skipPlacesWithoutWebsite: true,
+      additionalInfo: true,
+      enrichPlaceWithBusinessLeads: true,
+      maxReviews: Math.max(0, Math.min(100, Number(maxReviews) || 0)),
+      reviewsSort: 'newest',
+      minReviews,
+      minRating
+    };
+    const meta = {
+      location: location || null, maxResults, preset, minRating, minReviews, maxReviews, avoidChains, includeKeywords, excludeKeywords,
+      forceRefresh: !!forceRefresh,
+      scoringProfile: { name: profile.name, version: profile.version },
+      budget
+    };
+
+    // The Places runs themselves need room in today's actor budget; enrichment degrades on its own later
+    const placesRuns = cells ? cells.length : 1;
+    const daily = dailyBudget();
+    const today = await daySpent();
+    if (daily.actorRuns != null && today.actorRuns + placesRuns > daily.actorRuns) {
+      return res.status(429).json({ error: 'daily actor run budget spent', budget: daily, spent: today });
+    }
+
+    if (!cells) {
+      const run = await startPlacesRun({ ...input, locationQuery: location }, meta);
+      return res.json({ ok: true, runId: run.id });
+    }
+
+    // Grid: a parent run (no actor of its own) with one child Places run per cell
+    const parentRunId = `grid-${crypto.randomUUID()}`;
+    await sbInsert('lead_runs', {
+      source: 'google_places_grid',
+      actor_id: actors.placesActorId,
+      run_id: parentRunId,
+      status: 'processing',
+      processing_started_at: new Date(),
+      meta: { ...meta, grid: { ...grid, cells: cells.length } }
+    });
+
+    const children = [];
+    const errors = [];
+    for (const cell of cells) {
+      try {
+        const run = await startPlacesRun({ ...input, ...cell.input }, { ...meta, cell: cell.key }, { parentRunId });
+        children.push({ runId: run.id, cell: cell.key });
+      } catch (e) {
+        log.warn('grid: cell start failed', { cell: cell.key, error: String(e?.message || e) });
+        errors.push({ cell: cell.key, error: String(e?.message || e) });
+      }
+    }
+
+    if (!children.length) {
+      await transitionRun(parentRunId, ['processing'], 'failed', { error: 'no grid cell could be started', finished_at: new Date() });
+      return res.status(500).json({ error: 'no grid cell could be started', runId: parentRunId, errors });
+    }
+    if (errors.length) {
+      await updateRun(parentRunId, { meta: { ...meta, grid: { ...grid, cells: cells.length, startErrors: errors } } });
+    }
+    res.json({ ok: true, runId: parentRunId, children, errors });
+  } catch (e) {
+    log.error('request failed', { err: e });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Search presets: built-ins plus stored ones (a stored preset overrides a built-in of the same name)
+app.get('/api/presets', async (_req, res) => {
+  try {
+    const rows = await withRetry(async () => {
+      const { data, error } = await supabase.from('search_presets').select('name, terms, description, updated_at');
+      if (error) throw error;
+      return data || [];
+    });
+    res.json({ ok: true, presets: mergePresets(rows) });
+  } catch (e) {
+    log.error('request failed', { err: e });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.put('/api/presets/:name', async (req, res) => {
+  let entry;
+  try {
+    entry = presetEntry(req.params.name, req.body || {});
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  try {
+    const row = await withRetry(async () => {
+      const { data, error } = await supabase.from('search_presets')
+        .upsert({ ...entry, updated_at: new Date().toISOString() }, { onConflict: 'name' })
+        .select('name, terms, description, updated_at')
+        .single();
+      if (error) throw error;
+      return data;
+    });
+    res.json({ ok: true, preset: row });
+  } catch (e) {
+    log.error('request failed', { err: e });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.delete('/api/presets/:name', async (req, res) => {
+  try {
+    const rows = await withRetry(async () => {
+      const { data, error } = await supabase.from('search_presets').delete().eq('name', req.params.name).select('name');
+      if (error) throw error;
+      return data || [];
+    });
+    if (!rows.length) return res.status(404).json({ error: 'no stored preset with that name (built-ins cannot be deleted)' });
+    res.json({ ok: true, deleted: rows[0].name, builtin: !!SEARCH_PRESETS[rows[0].name] });
+  } catch (e) {
+    log.error('request failed', { err: e });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Recent runs (newest first) with their lifecycle status
+app.get('/api/runs', async (req, res) => {
+  const limit = Math.max(1, Math.min(100, Number(req.query.limit) || 20));
+  try {
+    const runs = await withRetry(async () => {
+      let q = supabase.from('lead_runs')
+        .select('run_id, parent_run_id, status, apify_status, items_count, error, meta, created_at, finished_at')
+        .order('created_at', { ascending: false })
+        .limit(limit);
+      if (req.query.status) q = q.in('status', String(req.query.status).split(','));
+      const { data, error } = await q;
+      if (error) throw error;
+      return data || [];
+    });
+    res.json({ ok: true, runs });
+  } catch (e) {
+    log.error('request failed', { err: e });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Progress/results of one run: counts, failures by stage, tiers, duration and estimated cost
+app.get('/api/runs/:runId', async (req, res) => {
+  const runId = req.params.runId;
+  try {
+    const run = await sbSelectOne('lead_runs', '*', { run_id: runId });
+    if (!run) return res.status(404).json({ error: 'unknown run' });
+
+    // Until the webhook lands, ask Apify how the places actor is doing
+    if (run.status === 'queued') {
+      try {
+        const live = await actors.getRun(runId);
+        if (live) run.apify_status = live.status;
+      } catch (e) {
+        log.warn('runs: apify status lookup failed', { runId, error: String(e?.message || e) });
+      }
+    }
+
+    // A grid parent has no jobs of its own: summarize across its cells
+    const children = run.source === 'google_places_grid' ? await childRuns(runId) : null;
+    const jobRunIds = children ? children.map(c => c.run_id) : [runId];
+
+    const jobs = await withRetry(async () => {
+      const { data, error } = await supabase.from('lead_jobs')
+        .select('status, stage, skip_reason, lead_id, state->usage, state->lead_inserted, state->degraded, state->cache')
+        .in('run_id', jobRunIds);
+      if (error) throw error;
+      return (data || []).map(j => ({
+        ...j,
+        state: { lead_id: j.lead_id, usage: j.usage, lead_inserted: j.lead_inserted, degraded: j.degraded, cache: j.cache }
+      }));
+    });
+
+    const leadIds = [...new Set(jobs.filter(j => j.status === 'succeeded' && j.lead_id).map(j => j.lead_id))];
+    const leads = [];
+    for (let i = 0; i < leadIds.length; i += 200) {
+      const chunk = await withRetry(async () => {
+        const { data, error } = await supabase.from('dental_leads').select('id, tech_tier').in('id', leadIds.slice(i, i + 200));
+        if (error) throw error;
+        return data || [];
+      });
+      leads.push(...chunk);
+    }
+
+    const { webhook_secret_hash: _secret, ...safeRun } = run;
+    const summary = { ...summarizeRun(run, jobs, leads, { placesRuns: children ? children.length : 1 }), cache: cacheCounts(jobs) };
+    const budgetRunId = run.parent_run_id || runId;
+    summary.budget = { runId: budgetRunId, limits: run.meta?.budget || null, spent: await sumUsage(q => q.eq('budget_run_id', budgetRunId)) };
+    if (children) {
+      summary.itemsFetched = children.reduce((n, c) => n + (c.items_count || 0), 0);
+      summary.grid = {
+        cells: run.meta?.grid?.cells ?? children.length,
+        duplicatesSkipped: children.reduce((n, c) => n + (c.duplicates_skipped || 0), 0),
+        children: children.map(c => ({ runId: c.run_id, cell: c.cell, status: c.status, items: c.items_count ?? null, duplicatesSkipped: c.duplicates_skipped ?? 0, error: c.error || null }))
+      };
+    }
+    res.json({ ok: true, run: safeRun, summary });
+  } catch (e) {
+    log.error('request failed', { err: e });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Enrichment jobs of a run, e.g. ?status=failed
+app.get('/api/runs/:runId/jobs', async (req, res) => {
+  try {
+    const jobs = await withRetry(async () => {
+      let q = supabase.from('lead_jobs')
+        .select('id, item_index, lead_id, status, stage, stages, attempts, last_error, skip_reason, next_attempt_at, finished_at')
+        .eq('run_id', req.params.runId)
+        .order('item_index', { ascending: true });
+      if (req.query.status) q = q.in('status', String(req.query.status).split(','));
+      const { data, error } = await q;
+      if (error) throw error;
+      return data || [];
+    });
+    res.json({ ok: true, jobs });
+  } catch (e) {
+    log.error('request failed', { err: e });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Requeue failed jobs of a run (all, or body.jobIds) and reopen the run
+app.post('/api/runs/:runId/jobs/retry', async (req, res) => {
+  const { jobIds = null } = req.body || {};
+  if (jobIds !== null && !Array.isArray(jobIds)) return res.status(400).json({ error: 'jobIds must be an array' });
+  try {
+    const runId = req.params.runId;
+    const exists = await sbSelectOne('lead_runs', 'run_id, source, parent_run_id', { run_id: runId });
+    if (!exists) return res.status(404).json({ error: 'unknown run' });
+
+    // Retrying a grid parent retries every cell; reopening a cell reopens its parent
+    const runIds = exists.source === 'google_places_grid' ? (await childRuns(runId)).map(c => c.run_id) : [runId];
+    const parentId = exists.source === 'google_places_grid' ? runId : exists.parent_run_id;
+    let retried = 0;
+    for (const id of runIds) {
+      const rows = await jobQueue.retryFailed(id, jobIds);
+      if (rows.length) await transitionRun(id, ['failed', 'partial'], 'processing', { finished_at: null });
+      retried += rows.length;
+    }
+    if (retried && parentId) await transitionRun(parentId, ['failed', 'partial'], 'processing', { finished_at: null });
+    res.json({ ok: true, retried });
+  } catch (e) {
+    log.error('request failed', { err: e });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Temporary GET handler for quick check
+app.get('/api/apify/webhook', (_req, res) => {
+  log.info('webhook GET');
+  res.json({ ok: true, method: 'GET' });
+});
+
+// Webhook: verify the per-run secret, claim the run exactly once, then ack and enqueue one job per item
+app.post('/api/apify/webhook', async (req, res) => {
+  const body = req.body || {};
+  const runId = body?.resource?.id || body?.eventData?.actorRunId || null;
+  if (!runId) return res.status(400).json({ error: 'runId missing from payload' });
+  addContext({ runId });
+
+  let runRow;
+  try {
+    runRow = await sbSelectOne('lead_runs', 'run_id, parent_run_id, status, meta, webhook_secret_hash', { run_id: runId })
+      || await adoptStartingRun(req.query.secret, runId);
+  } catch (e) {
+    log.error('webhook failed', { runId, err: e });
+    return res.status(500).json({ error: 'lookup failed' });
+  }
+  if (!runRow) return res.status(404).json({ error: 'unknown run' });
+  if (!secretMatches(req.query.secret, runRow.webhook_secret_hash)) return res.status(401).json({ error: 'invalid webhook secret' });
+
+  // Apify retries webhooks; only the first delivery gets to claim a queued run
+  let claimed;
+  try {
+    claimed = await transitionRun(runId, ['queued'], 'processing', { processing_started_at: new Date() });
+  } catch (e) {
+    log.error('webhook failed', { runId, err: e });
+    return res.status(500).json({ error: 'claim failed' });
+  }
+  if (!claimed) return res.status(200).json({ received: true, duplicate: true, status: runRow.status });
+
+  res.status(200).json({ received: true }); // ack before the long enrichment
+
+  try {
+    // Trust Apify, not the payload, for the run's status and dataset
+    const run = await actors.getRun(runId);
+    const finalDatasetId = run?.defaultDatasetId || null;
+
+    await recordUsage(null, { runId, budgetRunId: runRow.parent_run_id || runId }, 'places', { actorUsd: run?.usageTotalUsd });
+
+    if (run?.status !== 'SUCCEEDED' || !finalDatasetId) {
+      log.warn('webhook: run not successful', { runId, status: run?.status, eventType: body?.eventType });
+      await finishRun(runId, 'failed', {
+        apify_status: run?.status || null,
+        apify_usage_usd: run?.usageTotalUsd ?? null,
+        error: `apify run ${run?.status || 'missing'}${finalDatasetId ? '' : ' (no dataset)'}`
+      });
+      return;
+    }
+    log.info('webhook: run resolved', { runId, datasetId: finalDatasetId });
+
+    let items = await actors.listItems(finalDatasetId, { limit: 1000 });
+    log.info('webhook: items', { runId, items: items.length });
+
+    // Grid cells overlap: drop places another cell of the same parent already enqueued (see gridPlaceIds)
+    let duplicates = 0;
+    if (runRow.parent_run_id) {
+      const seen = await gridPlaceIds(runRow.parent_run_id, runId);
+      const fresh = items.filter(i => !i?.placeId || !seen.has(i.placeId));
+      duplicates = items.length - fresh.length;
+      items = fresh;
+    }
+
+    await updateRun(runId, {
+      apify_status: run.status,
+      apify_usage_usd: run.usageTotalUsd ?? null,
+      dataset_id: finalDatasetId,
+      items_count: items.length,
+      duplicates_skipped: duplicates
+    });
+
+    if (!items.length) {
+      await finishRun(runId, 'succeeded');
+      return;
+    }
+    await jobQueue.enqueue(runId, items);
+
+  } catch (e) {
+    log.error('webhook failed', { runId, err: e });
+    try {
+      await finishRun(runId, 'failed', { error: String(e?.message || e) });
+    } catch (e2) {
+      log.error('webhook: could not mark run failed', { runId, err: e2 });
+    }
+  }
+});
+
+if (require.main === module) {
+  const PORT = process.env.PORT || 3001;
+  app.listen(PORT, () => {
+    log.info('API listening', { port: PORT });
+    if (!process.env.ADMIN_API_KEY && !process.env.JWT_SECRET) log.warn('auth: neither ADMIN_API_KEY nor JWT_SECRET is set; only stored API keys will work');
+    jobQueue.start();
+    startRescanScheduler();
+  });
+}
 
-const PORT = process.env.PORT || 3001;
-app.listen(PORT, () => console.log(`API listening on :${PORT}`));
\ No newline at end of file
+module.exports = { app, jobQueue, providers, marketRefreshes: () => marketRefreshes };
\ No newline at end of file
@@ -0,0 +1,20 @@
+-- Migrations apply in filename order (`supabase db push`, or psql -f each file).
+-- dental_leads, lead_runs, lead_events and lead_tech_analysis predate them.
+
+-- Normalized contacts per lead; saveContacts upserts on (lead_id, channel, value)
+create table if not exists lead_contacts (
+  id uuid primary key default gen_random_uuid(),
+  lead_id uuid not null references dental_leads(id) on delete cascade,
+  channel text not null check (channel in ('email', 'phone', 'social')),
+  value text not null,
+  contact_type text,
+  label text,
+  source text,
+  source_url text,
+  is_best boolean not null default false,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (lead_id, channel, value)
+);
+
+create index if not exists lead_contacts_best_idx on lead_contacts (lead_id) where is_best;
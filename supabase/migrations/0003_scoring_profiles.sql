@@ -0,0 +1,15 @@
+-- Versioned scoring profiles: a save inserts (name, latest + 1), so the pair is unique
+create table if not exists scoring_profiles (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  version integer not null check (version > 0),
+  config jsonb not null default '{}',
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (name, version)
+);
+
+-- The profile a lead was last scored with (version 0 is the built-in default)
+alter table dental_leads
+  add column if not exists scoring_profile text,
+  add column if not exists scoring_profile_version integer;
@@ -0,0 +1,4 @@
+-- Which crawled page each detected feature came from, and the pages crawled
+alter table lead_tech_analysis
+  add column if not exists feature_sources jsonb not null default '{}',
+  add column if not exists crawled_pages jsonb not null default '[]';
@@ -0,0 +1,3 @@
+-- Vendors fingerprinted from raw HTML: [{ vendor, category, evidence }]
+alter table lead_tech_analysis
+  add column if not exists tech_vendors jsonb not null default '[]';
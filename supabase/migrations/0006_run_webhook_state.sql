@@ -0,0 +1,12 @@
+-- Per-run webhook secret (sha256 only) and the queued → processing claim that
+-- makes a redelivered webhook a no-op; `status` is now ours, Apify's moves to apify_status
+alter table lead_runs
+  add column if not exists apify_status text,
+  add column if not exists webhook_secret_hash text,
+  add column if not exists processing_started_at timestamptz,
+  add column if not exists error text;
+
+create unique index if not exists lead_runs_run_id_key on lead_runs (run_id);
+
+-- A webhook that beats the actor start's reply finds its `starting` placeholder by secret
+create index if not exists lead_runs_starting_secret_idx on lead_runs (webhook_secret_hash) where status = 'starting';
@@ -0,0 +1,30 @@
+-- Durable enrichment jobs: one per Places item of a run (see jobs.js)
+create table if not exists lead_jobs (
+  id uuid primary key default gen_random_uuid(),
+  run_id text not null,
+  item_index integer not null,
+  item jsonb not null,
+  status text not null default 'pending' check (status in ('pending', 'running', 'succeeded', 'skipped', 'failed')),
+  stage text,
+  stages jsonb not null default '{}',
+  state jsonb not null default '{}',
+  attempts integer not null default 0,
+  next_attempt_at timestamptz not null default now(),
+  locked_at timestamptz,
+  last_error text,
+  skip_reason text,
+  lead_id uuid references dental_leads(id) on delete set null,
+  finished_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  -- a re-enqueue of the same dataset can't duplicate jobs
+  unique (run_id, item_index)
+);
+
+create index if not exists lead_jobs_due_idx on lead_jobs (status, next_attempt_at);
+create index if not exists lead_jobs_lead_idx on lead_jobs (lead_id);
+
+-- The dataset a run's jobs came from and how many items it had
+alter table lead_runs
+  add column if not exists dataset_id text,
+  add column if not exists items_count integer;
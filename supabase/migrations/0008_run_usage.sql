@@ -0,0 +1,3 @@
+-- Apify's reported cost of the Places run, for the run results API
+alter table lead_runs
+  add column if not exists apify_usage_usd numeric(12, 4);
@@ -0,0 +1,12 @@
+-- Practice profile from validated tool-use extraction, with per-field confidence
+alter table lead_tech_analysis
+  add column if not exists llm_doctor_names text[] not null default '{}',
+  add column if not exists llm_doctor_count integer,
+  add column if not exists llm_location_count integer,
+  add column if not exists llm_languages text[] not null default '{}',
+  add column if not exists llm_payment_model text,
+  add column if not exists llm_payment_signals text[] not null default '{}',
+  add column if not exists llm_site_outdated boolean,
+  add column if not exists llm_confidence jsonb not null default '{}',
+  add column if not exists llm_model text,
+  add column if not exists llm_valid boolean;
@@ -0,0 +1,10 @@
+-- Stage results keyed by domain and a hash of the content they were computed from
+create table if not exists enrichment_cache (
+  id uuid primary key default gen_random_uuid(),
+  domain text not null,
+  content_hash text not null,
+  stage text not null,
+  value jsonb not null,
+  created_at timestamptz not null default now(),
+  unique (domain, content_hash, stage)
+);
@@ -0,0 +1,9 @@
+-- Normalized identity the matcher looks candidates up by, plus merge bookkeeping
+alter table dental_leads
+  add column if not exists phone_e164 text,
+  add column if not exists address_norm text,
+  add column if not exists match_confidence numeric(4, 3),
+  add column if not exists merged_place_ids text[] not null default '{}';
+
+create index if not exists dental_leads_phone_e164_idx on dental_leads (phone_e164);
+create index if not exists dental_leads_address_norm_idx on dental_leads (address_norm);
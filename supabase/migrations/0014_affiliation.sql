@@ -0,0 +1,21 @@
+-- Stored DSO catalog entries add to or hide the built-in list; name_key is the
+-- trimmed, lowercased name so casing can't make two rows for one group
+create table if not exists dso_catalog (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  name_key text not null unique,
+  aliases text[] not null default '{}',
+  domains text[] not null default '{}',
+  active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- A lead's affiliation, its evidence and the scheduling-widget keys peers are matched on
+alter table dental_leads
+  add column if not exists affiliation text,
+  add column if not exists affiliation_confidence numeric(4, 3),
+  add column if not exists affiliation_evidence jsonb not null default '[]',
+  add column if not exists booking_keys text[] not null default '{}';
+
+create index if not exists dental_leads_booking_keys_idx on dental_leads using gin (booking_keys);
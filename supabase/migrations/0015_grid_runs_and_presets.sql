@@ -0,0 +1,16 @@
+-- Grid searches: child Places runs point at their parent run
+alter table lead_runs
+  add column if not exists parent_run_id text,
+  add column if not exists duplicates_skipped integer not null default 0;
+
+create index if not exists lead_runs_parent_run_id_idx on lead_runs (parent_run_id);
+
+-- Stored search presets; names are validated lowercase, so `name` is the key
+create table if not exists search_presets (
+  id uuid primary key default gen_random_uuid(),
+  name text not null unique,
+  terms text[] not null,
+  description text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
@@ -0,0 +1,5 @@
+-- When a lead's site was last crawled; the re-scan scheduler picks the oldest per tier
+alter table dental_leads
+  add column if not exists last_scanned_at timestamptz;
+
+create index if not exists dental_leads_rescan_idx on dental_leads (tech_tier, last_scanned_at nulls first);
@@ -0,0 +1,29 @@
+-- Versioned outreach templates: a save inserts (name, latest + 1), so the pair is unique
+create table if not exists outreach_templates (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  version integer not null check (version > 0),
+  config jsonb not null default '{}',
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (name, version)
+);
+
+-- Every generated draft, with the template version and facts it was rendered from
+create table if not exists outreach_drafts (
+  id uuid primary key default gen_random_uuid(),
+  lead_id uuid not null references dental_leads(id) on delete cascade,
+  template_name text not null,
+  template_version integer not null,
+  subject text,
+  body text,
+  call_script text,
+  variables jsonb not null default '{}',
+  rewritten boolean not null default false,
+  llm_model text,
+  llm_usage jsonb not null default '[]',
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists outreach_drafts_lead_idx on outreach_drafts (lead_id, created_at desc);
@@ -0,0 +1,7 @@
+-- Local competitor comparison and the opt-in market subscore it feeds
+alter table dental_leads
+  add column if not exists market_score integer,
+  add column if not exists market_summary jsonb;
+
+-- Peer and grid lookups are bounding-box scans
+create index if not exists dental_leads_lat_lng_idx on dental_leads (latitude, longitude);
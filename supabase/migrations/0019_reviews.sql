@@ -0,0 +1,20 @@
+-- Places reviews per lead with their pain-point themes; re-ingesting upserts on (lead_id, review_id)
+create table if not exists lead_reviews (
+  id uuid primary key default gen_random_uuid(),
+  lead_id uuid not null references dental_leads(id) on delete cascade,
+  review_id text not null,
+  author text,
+  rating numeric(2, 1),
+  text text not null,
+  published_at timestamptz,
+  url text,
+  themes text[] not null default '{}',
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (lead_id, review_id)
+);
+
+-- The rolled-up themes with quotes, and the opt-in pain subscore
+alter table dental_leads
+  add column if not exists pain_points jsonb,
+  add column if not exists pain_score integer;
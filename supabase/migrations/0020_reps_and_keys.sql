@@ -0,0 +1,33 @@
+-- Sales reps and the territories new leads are auto-assigned by
+create table if not exists sales_reps (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  email text,
+  territories jsonb not null default '{"states": [], "cities": [], "postal_prefixes": []}',
+  active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- API keys: only the sha256 of the key is stored; revoking sets active = false
+create table if not exists api_keys (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  role text not null check (role in ('admin', 'manager', 'rep')),
+  rep_id uuid references sales_reps(id),
+  key_hash text not null unique,
+  active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  check (role <> 'rep' or rep_id is not null)
+);
+
+-- Ownership and the manual pipeline
+alter table dental_leads
+  add column if not exists assigned_rep_id uuid references sales_reps(id) on delete set null,
+  add column if not exists assigned_at timestamptz,
+  add column if not exists pipeline_status text not null default 'new'
+    check (pipeline_status in ('new', 'contacted', 'meeting', 'won', 'lost', 'not_a_fit')),
+  add column if not exists pipeline_updated_at timestamptz;
+
+create index if not exists dental_leads_assigned_rep_idx on dental_leads (assigned_rep_id, pipeline_status);
@@ -0,0 +1,13 @@
+-- One website audit per lead, replaced on each re-audit (upserts on lead_id)
+create table if not exists lead_site_audits (
+  id uuid primary key default gen_random_uuid(),
+  lead_id uuid not null unique references dental_leads(id) on delete cascade,
+  audit jsonb not null,
+  quality_score integer,
+  audited_at timestamptz not null default now(),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+alter table dental_leads
+  add column if not exists site_quality_score integer;
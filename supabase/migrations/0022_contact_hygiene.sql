@@ -0,0 +1,26 @@
+-- Do-not-contact list; values are stored normalized (lowercased email, E.164 phone, bare domain)
+create table if not exists suppressions (
+  id uuid primary key default gen_random_uuid(),
+  kind text not null check (kind in ('domain', 'email', 'phone')),
+  value text not null,
+  reason text not null,
+  note text,
+  opted_out_at timestamptz not null default now(),
+  created_by jsonb,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (kind, value)
+);
+
+-- Email verification outcome and suppression per contact
+alter table lead_contacts
+  add column if not exists status text,
+  add column if not exists status_reason text,
+  add column if not exists checked_at timestamptz,
+  add column if not exists suppressed boolean not null default false;
+
+-- Lead-level roll-up that upserts, exports, CRM sync and outreach honour
+alter table dental_leads
+  add column if not exists do_not_contact boolean not null default false,
+  add column if not exists suppressed_by jsonb not null default '[]',
+  add column if not exists contact_flags jsonb not null default '[]';
@@ -0,0 +1,21 @@
+-- Spend per stage and lead (lead_id is null for the Places run itself). Run and
+-- daily budgets are summed from here, so deleting a lead keeps its rows.
+create table if not exists lead_usage (
+  id uuid primary key default gen_random_uuid(),
+  lead_id uuid references dental_leads(id) on delete set null,
+  run_id text,
+  budget_run_id text,
+  stage text not null,
+  actor_runs integer not null default 0,
+  actor_usd numeric(12, 4) not null default 0,
+  llm_input_tokens integer not null default 0,
+  llm_output_tokens integer not null default 0,
+  llm_usd numeric(12, 6) not null default 0,
+  sonnet_escalations integer not null default 0,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists lead_usage_budget_run_idx on lead_usage (budget_run_id);
+create index if not exists lead_usage_created_at_idx on lead_usage (created_at);
+create index if not exists lead_usage_lead_idx on lead_usage (lead_id);
@@ -0,0 +1,89 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyAffiliation, bookingKeys, mergeCatalog, DEFAULT_DSO_CATALOG } = require('../affiliation');
+const { start, stop, api } = require('./helpers');
+
+const site = (text, url = 'https://practice.example/about') => ({ text, pages: [{ url, text }] });
+
+test('site phrases name the DSO even when the practice keeps its local name', () => {
+  const out = classifyAffiliation({ name: 'Georgetown Smiles', domain: 'georgetownsmiles.example' },
+    site('Meet our team. Georgetown Smiles is a proud member of the Heartland Dental family.'));
+  assert.equal(out.affiliation, 'Heartland Dental');
+  assert.equal(out.evidence[0].source, 'https://practice.example/about');
+  assert.ok(out.evidence.some(e => e.signal === 'site_phrase'));
+
+  // an uncatalogued name alone is a hint, not a classification; sister locations back it up
+  const uncatalogued = classifyAffiliation({ name: 'Cedar Dental' }, site('Supported by Smile Partners USA. Supported by Smile Partners USA.'));
+  assert.deepEqual([uncatalogued.affiliation, uncatalogued.confidence], ['unknown', 0.3]);
+  assert.equal(uncatalogued.evidence[0].signal, 'site_phrase_uncatalogued');
+  const backed = classifyAffiliation({ name: 'Cedar Dental' }, site('Supported by Smile Partners USA.'),
+    [{ id: 'p1', name: 'Cedar Dental North', affiliation: 'unknown', shared: ['domain'] }]);
+  assert.equal(backed.affiliation, 'Smile Partners USA');
+});
+
+test('professional associations, schools and insurance networks are not DSOs', () => {
+  for (const text of [
+    'We are a proud member of the Texas Dental Association.',
+    'Dr. Lee is a member of Delta Dental PPO network.',
+    'Our hygienists are affiliated with Baylor College of Dentistry.',
+    'Supported by Patients Like You.'
+  ]) {
+    const out = classifyAffiliation({ name: 'Cedar Dental', domain: 'cedardental.example' }, site(text));
+    assert.equal(out.affiliation, 'independent', text);
+  }
+});
+
+test('a chain name buried in an independent practice name is not a chain', () => {
+  const out = classifyAffiliation({ name: 'Gold Coast Dental', domain: 'goldcoastdental.example' },
+    site('Gold Coast Dental is locally owned by Dr. Lee since 1998.'));
+  assert.equal(out.affiliation, 'independent');
+
+  // brand-leading name but the site never mentions the brand → not enough to call it
+  const unconfirmed = classifyAffiliation({ name: 'Ideal Dental Studio of Elgin' }, site('Family dentistry in Elgin.'));
+  assert.equal(unconfirmed.affiliation, 'unknown');
+});
+
+test('leads sharing a booking widget inherit a peer DSO', () => {
+  const vendors = [{ vendor: 'NexHealth', category: 'scheduling', evidence: [{ value: 'https://widget.nexhealth.com/appt/hl-georgetown.js' }] }];
+  assert.deepEqual(bookingKeys(vendors), ['widget.nexhealth.com/appt/hl-georgetown']);
+
+  const out = classifyAffiliation({ name: 'Riverside Family Dental' }, site('Book your visit online.'),
+    [{ id: 'p1', name: 'Georgetown Smiles', affiliation: 'Heartland Dental', shared: ['booking'] }]);
+  assert.equal(out.affiliation, 'Heartland Dental');
+  assert.deepEqual(out.evidence.map(e => e.signal), ['shared_booking', 'group']);
+});
+
+test('stored catalog rows override and hide built-ins', () => {
+  const catalog = mergeCatalog(DEFAULT_DSO_CATALOG, [
+    { name: 'Aspen Dental', active: false },
+    { name: 'Smile Partners USA', aliases: ['SPUSA'], domains: ['SmilePartners.example'] }
+  ]);
+  assert.equal(catalog.some(e => e.name === 'Aspen Dental'), false);
+  assert.deepEqual(catalog.find(e => e.name === 'Smile Partners USA').domains, ['smilepartners.example']);
+});
+
+before(start);
+after(stop);
+
+test('catalog endpoint validates, stores and removes entries', async () => {
+  const bad = await api('PUT', '/api/dso-catalog/Smile%20Partners%20USA', { domains: 'smilepartners.example' });
+  assert.equal(bad.status, 400);
+
+  const put = await api('PUT', '/api/dso-catalog/Smile%20Partners%20USA', { aliases: ['SPUSA'], domains: ['www.SmilePartners.example'] });
+  assert.equal(put.status, 200);
+  assert.deepEqual(put.body.entry.domains, ['smilepartners.example']);
+
+  const { body } = await api('GET', '/api/dso-catalog');
+  assert.equal(body.items.find(e => e.name === 'Smile Partners USA').source, 'custom');
+  assert.ok(body.items.find(e => e.name === 'Aspen Dental'));
+
+  // the same name in other casing updates that row rather than adding one
+  const again = await api('PUT', '/api/dso-catalog/smile%20partners%20usa', { domains: ['smilepartners.example'] });
+  assert.equal(again.body.entry.name, 'smile partners usa');
+  const stored = (await api('GET', '/api/dso-catalog')).body.items.filter(e => e.name.toLowerCase() === 'smile partners usa');
+  assert.equal(stored.length, 1);
+
+  assert.equal((await api('DELETE', '/api/dso-catalog/SMILE%20PARTNERS%20USA')).status, 200);
+  assert.equal((await api('DELETE', '/api/dso-catalog/Smile%20Partners%20USA')).status, 404);
+  assert.equal((await api('DELETE', '/api/dso-catalog/Aspen%20Dental')).status, 404);
+});
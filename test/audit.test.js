@@ -0,0 +1,57 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { auditSite, siteQualityScore, copyrightYear, schemaTypes } = require('../audit');
+const { start, stop, api, runFixture, leadByPlace } = require('./helpers');
+
+const now = new Date('2025-06-01T00:00:00Z');
+const page = (html, extra = {}) => ({ url: 'https://x.example', finalUrl: 'https://x.example/', status: 200, redirects: [], elapsedMs: 400, bytes: html.length, headers: {}, html, ...extra });
+
+test('copyright years take the end of a range and ignore other numbers', () => {
+  assert.equal(copyrightYear('<p>&copy; 2012-2016 Smile Co. Est. 1998</p>', now), 2016);
+  assert.equal(copyrightYear('<p>Copyright © 2024 · Call 2025551234</p>', now), 2024);
+  assert.equal(copyrightYear('<p>Since 1998</p>', now), null);
+});
+
+test('schema types come from JSON-LD graphs and microdata', () => {
+  const html = `<script type="application/ld+json">{"@graph":[{"@type":"WebSite"},{"@type":["Dentist","LocalBusiness"]}]}</script>
+    <div itemscope itemtype="https://schema.org/PostalAddress"></div>`;
+  assert.deepEqual(schemaTypes(html).sort(), ['Dentist', 'LocalBusiness', 'PostalAddress', 'WebSite']);
+});
+
+test('a modern site outscores a 2014-era one', () => {
+  const modern = auditSite(page(`<meta name="viewport" content="width=device-width, initial-scale=1">
+    <meta property="og:image" content="/og.png"><link rel="shortcut icon" href="/f.ico">
+    <script type="application/ld+json">{"@type":"Dentist"}</script><footer>© 2025</footer>`), page('', { finalUrl: 'https://x.example/' }), { now });
+  assert.equal(siteQualityScore(modern, { now }), 100);
+
+  const dated = auditSite(page('<body bgcolor="#fff"><p>© 2014</p></body>', { finalUrl: 'http://x.example/', elapsedMs: 3500 }), null, { now });
+  assert.equal(dated.https, false);
+  assert.equal(dated.copyright_year, 2014);
+  assert.equal(siteQualityScore(dated, { now }), 5);
+  assert.equal(siteQualityScore(auditSite(null)), null);
+});
+
+before(async () => {
+  await start();
+  await runFixture({ location: 'Austin, TX' });
+});
+
+after(stop);
+
+test('audits are stored per lead and exposed as site_quality_score', async () => {
+  const bright = leadByPlace('ChIJ-bright-smile');
+  const res = await api('GET', `/api/leads/${bright.id}/audit`);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.audit.cms, 'WordPress');
+  assert.equal(res.body.audit.has_dentist_schema, true);
+  assert.equal(res.body.audit.http_redirects_to_https, true);
+  assert.equal(bright.site_quality_score, res.body.quality_score);
+
+  const oak = leadByPlace('ChIJ-oak-hill');
+  const { body } = await api('GET', `/api/leads/${oak.id}/audit`);
+  assert.equal(body.audit.https, false);
+  assert.deepEqual(body.audit.redirects.map(r => r.status), [301]);
+  assert.equal(body.audit.has_viewport, false);
+  assert.equal(body.audit.copyright_year, 2014);
+  assert.ok(oak.site_quality_score < bright.site_quality_score);
+});
@@ -0,0 +1,119 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { rolesFor, signJwt, verifyJwt } = require('../auth');
+const { transitionError, pickRep } = require('../pipeline');
+const { start, stop, api, runFixture, leadByPlace, eventsFor } = require('./helpers');
+
+test('route access defaults to staff and reps get only their lead routes', () => {
+  assert.equal(rolesFor('GET', '/api/health'), null);
+  assert.deepEqual(rolesFor('POST', '/api/generate'), ['admin', 'manager']);
+  assert.deepEqual(rolesFor('GET', '/api/debug/connections'), ['admin']);
+  assert.ok(rolesFor('PATCH', '/api/leads/abc/pipeline').includes('rep'));
+  assert.equal(rolesFor('POST', '/api/leads/abc/merge').includes('rep'), false);
+});
+
+test('jwts verify their signature and expiry', () => {
+  const token = signJwt({ sub: 'ana', role: 'rep', rep_id: 'r1', exp: 2000 }, 'shh');
+  assert.equal(verifyJwt(token, 'shh', 1000 * 1000).rep_id, 'r1');
+  assert.throws(() => verifyJwt(token, 'other', 1000 * 1000), /signature/);
+  assert.throws(() => verifyJwt(token, 'shh', 3000 * 1000), /expired/);
+});
+
+test('pipeline transitions and territory specificity', () => {
+  assert.equal(transitionError('new', 'contacted'), null);
+  assert.match(transitionError('won', 'meeting'), /cannot move from won/);
+  assert.match(transitionError('new', 'ghosted'), /status must be one of/);
+
+  const reps = [
+    { id: 'tx', territories: { states: ['TX'] } },
+    { id: 'atx', territories: { states: ['TX'], cities: ['austin'] } },
+    { id: 'dt', territories: { postal_prefixes: ['78701'] } }
+  ];
+  assert.equal(pickRep({ city: 'Austin', state: 'Texas', postal_code: '78701' }, reps).rep.id, 'dt');
+  assert.equal(pickRep({ city: 'Austin', state: 'Texas', postal_code: '78704' }, reps).rep.id, 'atx');
+  // both cover Texas equally: the one with fewer open leads wins
+  assert.equal(pickRep({ city: 'Lakeway', state: 'Texas' }, reps, { atx: 5, tx: 2 }).rep.id, 'tx');
+  assert.equal(pickRep({ state: 'Ohio' }, reps), null);
+});
+
+let downtown;
+let texas;
+let repKey;
+
+before(async () => {
+  await start();
+  downtown = (await api('POST', '/api/reps', { name: 'Ana', territories: { postal_prefixes: ['78701'] } })).body.rep;
+  texas = (await api('POST', '/api/reps', { name: 'Ben', territories: { states: ['tx'] } })).body.rep;
+  repKey = (await api('POST', '/api/api-keys', { name: 'ana laptop', role: 'rep', repId: downtown.id })).body.key;
+  await runFixture({ location: 'Austin, TX' });
+});
+
+after(stop);
+
+test('routes need a key except health and the webhook', async () => {
+  assert.equal((await api('GET', '/api/leads', undefined, { key: null })).status, 401);
+  assert.equal((await api('GET', '/api/leads', undefined, { key: 'nope' })).status, 401);
+  assert.equal((await api('GET', '/api/health', undefined, { key: null })).status, 200);
+  // the webhook checks its own secret, after looking up the run
+  assert.equal((await api('POST', '/api/apify/webhook?secret=x', { resource: { id: 'r' } }, { key: null })).status, 404);
+  assert.equal((await api('POST', '/api/generate', { location: 'Austin, TX' }, { key: repKey })).status, 403);
+  assert.equal((await api('POST', '/api/api-keys', { name: 'x', role: 'rep' })).status, 400);
+});
+
+test('new leads are auto-assigned by territory and reps only see their own', async () => {
+  const bright = leadByPlace('ChIJ-bright-smile');
+  const oak = leadByPlace('ChIJ-oak-hill');
+  assert.equal(bright.assigned_rep_id, downtown.id);
+  assert.equal(oak.assigned_rep_id, texas.id);
+  assert.equal(eventsFor(bright.id, 'assigned')[0].payload.mode, 'territory');
+  // skipped as a chain, so nobody is handed it
+  const aspen = leadByPlace('ChIJ-aspen-austin');
+  assert.equal(aspen.assigned_rep_id ?? null, null);
+  assert.deepEqual(eventsFor(aspen.id, 'assigned'), []);
+
+  const { body } = await api('GET', '/api/leads', undefined, { key: repKey });
+  assert.deepEqual(body.items.map(l => l.id), [bright.id]);
+  assert.equal((await api('GET', `/api/leads/${oak.id}`, undefined, { key: repKey })).status, 404);
+  assert.equal((await api('GET', `/api/leads/${bright.id}`, undefined, { key: repKey })).status, 200);
+  const market = await api('GET', `/api/leads/${bright.id}/market?radiusMiles=10`, undefined, { key: repKey });
+  assert.equal(market.body.market.peers, 3);
+  assert.ok(market.body.market.tiers);
+
+  const jwt = signJwt({ sub: 'ben', role: 'rep', rep_id: texas.id }, 'jwt-test-secret');
+  process.env.JWT_SECRET = 'jwt-test-secret';
+  const asBen = await api('GET', '/api/leads?sort=name&dir=asc', undefined, { key: jwt });
+  delete process.env.JWT_SECRET;
+  assert.equal(asBen.body.items.length, 3, 'the chain lead stays unassigned');
+});
+
+test('reps move their leads through the pipeline and every step is logged', async () => {
+  const bright = leadByPlace('ChIJ-bright-smile');
+  assert.equal(bright.pipeline_status, 'new');
+
+  const moved = await api('PATCH', `/api/leads/${bright.id}/pipeline`, { status: 'contacted', note: 'Left a voicemail' }, { key: repKey });
+  assert.equal(moved.status, 200);
+  assert.equal((await api('PATCH', `/api/leads/${bright.id}/pipeline`, { status: 'contacted' }, { key: repKey })).status, 409);
+  assert.equal((await api('PATCH', `/api/leads/${bright.id}/pipeline`, { status: 'ghosted' }, { key: repKey })).status, 400);
+  assert.equal((await api('POST', `/api/leads/${bright.id}/notes`, { text: 'Office manager is Dana' }, { key: repKey })).status, 200);
+
+  const [changed] = eventsFor(bright.id, 'pipeline_changed');
+  assert.deepEqual([changed.payload.from, changed.payload.to, changed.payload.note], ['new', 'contacted', 'Left a voicemail']);
+  assert.equal(changed.payload.by.repId, downtown.id);
+  assert.equal(eventsFor(bright.id, 'note_added')[0].payload.text, 'Office manager is Dana');
+
+  const contacted = await api('GET', '/api/leads?pipeline_status=contacted');
+  assert.deepEqual(contacted.body.items.map(l => l.id), [bright.id]);
+});
+
+test('managers reassign leads and revoked keys stop working', async () => {
+  const bright = leadByPlace('ChIJ-bright-smile');
+  assert.equal((await api('PUT', `/api/leads/${bright.id}/assignment`, { repId: 'nobody' })).status, 400);
+  assert.equal((await api('PUT', `/api/leads/${bright.id}/assignment`, { repId: texas.id })).status, 200);
+  assert.deepEqual(eventsFor(bright.id, 'assigned').map(e => e.payload.mode), ['territory', 'manual']);
+  assert.equal((await api('GET', `/api/leads/${bright.id}`, undefined, { key: repKey })).status, 404);
+
+  const { body } = await api('GET', '/api/api-keys');
+  assert.equal(body.keys[0].key_hash, undefined);
+  assert.equal((await api('DELETE', `/api/api-keys/${body.keys[0].id}`)).status, 200);
+  assert.equal((await api('GET', '/api/me', undefined, { key: repKey })).status, 401);
+});
@@ -0,0 +1,108 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { runBudget, spendOf, exhausted } = require('../budget');
+const { createRegistry } = require('../metrics');
+const { createLogger, withContext } = require('../log');
+const { providers, store, start, stop, api, runFixture, leadByPlace, eventsFor } = require('./helpers');
+
+test('run budgets take env defaults and validate overrides', () => {
+  const env = { RUN_BUDGET_ACTOR_RUNS: '50', RUN_BUDGET_LLM_USD: '2.5' };
+  assert.deepEqual(runBudget({ llmUsd: 1, sonnetEscalations: null }, env), { actorRuns: 50, llmTokens: null, llmUsd: 1, sonnetEscalations: null });
+  assert.throws(() => runBudget({ actorRuns: -1 }, env), /budget.actorRuns must be a non-negative number/);
+  assert.throws(() => runBudget({ dollars: 5 }, env), /unknown budget limit: dollars/);
+});
+
+test('spend counts tokens, dollars and escalations and exhausts at the limit', () => {
+  const spend = spendOf({ actorRuns: 1, llm: [{ model: 'claude-3-5-haiku-latest', input_tokens: 1000, output_tokens: 200 }], escalations: 1 });
+  assert.equal(spend.llmTokens, 1200);
+  assert.equal(+spend.llmUsd.toFixed(4), 0.0016);
+  assert.deepEqual(exhausted({ actorRuns: 1, llmTokens: 5000, sonnetEscalations: null }, spend), ['actorRuns']);
+});
+
+test('metrics render in the Prometheus text format', async () => {
+  const registry = createRegistry();
+  registry.counter('jobs_total', 'Jobs').inc({ status: 'failed', reason: null }, 2);
+  registry.histogram('stage_seconds', 'Stage latency', [0.1, 1]).observe({ stage: 'crawl' }, 0.4);
+  const text = await registry.render();
+  assert.match(text, /# TYPE jobs_total counter\njobs_total\{status="failed"\} 2\n/);
+  assert.match(text, /stage_seconds_bucket\{stage="crawl",le="0.1"\} 0\nstage_seconds_bucket\{stage="crawl",le="1"\} 1\n/);
+  assert.match(text, /stage_seconds_count\{stage="crawl"\} 1\n/);
+});
+
+test('log lines are JSON and carry the correlation context', () => {
+  const lines = [];
+  const logger = createLogger({ app: 'test' }, { write: (level, line) => lines.push([level, JSON.parse(line)]) });
+  withContext({ runId: 'r1' }, () => withContext({ leadId: 'l1' }, () => logger.warn('rag failed', { err: new Error('boom') })));
+  logger.debug('hidden');
+  assert.equal(lines.length, 1);
+  const [level, entry] = lines[0];
+  assert.equal(level, 'warn');
+  assert.deepEqual([entry.msg, entry.runId, entry.leadId, entry.app, entry.err.message], ['rag failed', 'r1', 'l1', 'test', 'boom']);
+});
+
+before(start);
+after(stop);
+
+test('a run out of actor budget falls back to the local crawl and skips deep contacts', async () => {
+  // one Places run + one RAG run; everything after that degrades
+  const { summary } = await runFixture({ location: 'Austin, TX', budget: { actorRuns: 2 } });
+  assert.equal(summary.status, 'succeeded');
+  assert.equal(summary.budget.spent.actorRuns, 2);
+  assert.ok(summary.degradedByStage.rag_budget >= 1);
+  assert.ok(summary.degradedByStage.deep_contacts_budget >= 1);
+  assert.ok(leadByPlace('ChIJ-oak-hill').tech_tier, 'degraded leads are still scored');
+
+  const bright = leadByPlace('ChIJ-bright-smile');
+  const { body } = await api('GET', `/api/leads/${bright.id}/usage`);
+  assert.deepEqual(body.usage.map(u => u.stage).sort(), ['llm', 'site']);
+  assert.equal(body.total.actorRuns, 1);
+  assert.ok(body.total.llmTokens > 0);
+});
+
+const techOf = (leadId) => store.rows('lead_tech_analysis').find(t => t.lead_id === leadId);
+
+test('llm token and escalation budgets skip or downgrade extraction', async () => {
+  const bright = leadByPlace('ChIJ-bright-smile');
+  const [specialties, score] = [techOf(bright.id).llm_specialties, bright.lead_score];
+  assert.ok(specialties.length);
+
+  const calls = providers.llm.calls.length;
+  const noTokens = await runFixture({ location: 'Austin, TX', forceRefresh: true, budget: { llmTokens: 0 } });
+  assert.equal(providers.llm.calls.length, calls);
+  assert.ok(noTokens.summary.degradedByStage.llm_budget >= 1);
+  // a skipped extraction keeps the last one's specialties and the score they earned
+  assert.deepEqual(techOf(bright.id).llm_specialties, specialties);
+  assert.equal(leadByPlace('ChIJ-bright-smile').lead_score, score);
+  assert.deepEqual(eventsFor(bright.id, 'feature_removed').filter(e => e.payload.kind === 'specialty'), []);
+
+  await runFixture({ location: 'Austin, TX', forceRefresh: true, budget: { sonnetEscalations: 0 } });
+  assert.ok(providers.llm.calls.slice(calls).every(c => c.allowEscalation === false));
+});
+
+test('generate refuses once the daily actor budget is spent', async () => {
+  const { body: today } = await api('GET', '/api/budget');
+  process.env.DAILY_BUDGET_ACTOR_RUNS = String(today.spent.actorRuns);
+  const refused = await api('POST', '/api/generate', { location: 'Austin, TX' });
+  delete process.env.DAILY_BUDGET_ACTOR_RUNS;
+  assert.equal(refused.status, 429);
+  assert.match(refused.body.error, /daily actor run budget/);
+});
+
+test('/metrics exposes stage latency, failures, escalations, cache use and budget hits', async () => {
+  const res = await api('GET', '/metrics', undefined, { key: null });
+  assert.equal(res.status, 200);
+  assert.match(res.body, /lead_stage_duration_seconds_count\{stage="crawl"\} \d+/);
+  assert.match(res.body, /lead_jobs_total\{status="skipped",reason="chain"\} \d+/);
+  assert.match(res.body, /llm_extractions_total \d+/);
+  assert.match(res.body, /enrich_cache_lookups_total\{stage="rag",result="miss"\} \d+/);
+  assert.match(res.body, /budget_degradations_total\{stage="contacts",action="skip_deep_contacts"\} \d+/);
+  assert.match(res.body, /http_request_duration_seconds_count\{method="GET",route="\/api\/leads\/:id\/usage",status="200"\} 1/);
+});
+
+test('/metrics wants the bearer token once METRICS_TOKEN is set', async () => {
+  process.env.METRICS_TOKEN = 'scrape-me';
+  const denied = await api('GET', '/metrics', undefined, { key: 'scrape-mf' });
+  const allowed = await api('GET', '/metrics', undefined, { key: 'scrape-me' });
+  delete process.env.METRICS_TOKEN;
+  assert.deepEqual([denied.status, allowed.status], [401, 200]);
+});
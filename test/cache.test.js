@@ -0,0 +1,53 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { CACHE_TTLS, contentHash, isFresh, cacheCounts } = require('../cache');
+const { providers, store, start, stop, runFixture } = require('./helpers');
+
+test('the content hash follows the text and vendors, not whitespace or vendor order', () => {
+  const crawl = { text: 'Book online  today.\n', vendors: [{ vendor: 'Weave' }, { vendor: 'NexHealth' }] };
+  const hash = contentHash(crawl);
+  assert.match(hash, /^[0-9a-f]{64}$/);
+  assert.equal(contentHash({ text: 'Book online today.', vendors: [{ vendor: 'NexHealth' }, { vendor: 'Weave' }] }), hash);
+  assert.notEqual(contentHash({ ...crawl, vendors: [] }), hash);
+  assert.equal(contentHash({ text: '  ', vendors: crawl.vendors }), null);
+});
+
+test('rows are fresh until their stage TTL runs out', () => {
+  const now = Date.parse('2026-01-31T00:00:00Z');
+  const created = (ms) => ({ created_at: new Date(now - ms).toISOString() });
+  assert.equal(isFresh(created(CACHE_TTLS.rag - 1), 'rag', now), true);
+  assert.equal(isFresh(created(CACHE_TTLS.rag), 'rag', now), false);
+  assert.equal(isFresh(created(CACHE_TTLS.rag), 'llm', now), true);
+  assert.equal(isFresh(null, 'rag', now), false);
+  assert.equal(isFresh(created(0), 'reviews', now), false);
+});
+
+test('per-job cache results fold into per-stage counts', () => {
+  assert.deepEqual(cacheCounts([
+    { state: { cache: { rag: 'hit', llm: 'miss' } } },
+    { state: { cache: { rag: 'hit', llm: 'skipped' } } },
+    { state: {} }
+  ]), { rag: { hit: 2, miss: 0 }, llm: { hit: 0, miss: 1 } });
+});
+
+before(start);
+after(stop);
+
+test('an unchanged site reuses cached enrichment until a forced refresh', async () => {
+  const first = await runFixture({ location: 'Austin, TX' });
+  const cached = store.rows('enrichment_cache').length;
+  assert.ok(cached > 0);
+  assert.ok(first.summary.cache.llm.miss > 0);
+
+  const calls = providers.llm.calls.length;
+  const again = await runFixture({ location: 'Austin, TX' });
+  assert.equal(providers.llm.calls.length, calls);
+  assert.equal(again.summary.cache.llm.miss, 0);
+  // the first run already hit once: two of its places share a site
+  assert.equal(again.summary.cache.llm.hit, first.summary.cache.llm.hit + first.summary.cache.llm.miss);
+  assert.equal(store.rows('enrichment_cache').length, cached);
+
+  const forced = await runFixture({ location: 'Austin, TX', forceRefresh: true });
+  assert.ok(providers.llm.calls.length > calls);
+  assert.deepEqual(forced.summary.cache.llm, { hit: 0, miss: 5 });
+});
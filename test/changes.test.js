@@ -0,0 +1,84 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { diffPlaces, diffTech, techSnapshot, rescanCutoffs } = require('../changes');
+const { providers, store, start, stop, api, runFixture, waitForRun, leadByPlace, eventsFor } = require('./helpers');
+
+test('places diffs flag rating moves, review spikes and closures', () => {
+  const before = { rating: 4.6, review_count: 100, temporarily_closed: false, permanently_closed: false };
+  const out = diffPlaces(before, { rating: 4.9, review_count: 130, temporarily_closed: true, permanently_closed: false });
+  assert.deepEqual(out.map(c => c.event_type), ['rating_changed', 'reviews_spiked', 'closed']);
+  assert.equal(out[0].payload.delta, 0.3);
+  assert.equal(out[2].payload.kind, 'temporarily');
+
+  // small drift is noise
+  assert.deepEqual(diffPlaces(before, { ...before, rating: 4.7, review_count: 105 }), []);
+});
+
+test('tech diffs report flags, vendors and specialties both ways', () => {
+  const before = techSnapshot({ has_online_scheduling: false, tech_vendors: [{ vendor: 'Weave', category: 'communication' }], llm_specialties: ['implants'] });
+  const after = techSnapshot({ has_online_scheduling: true, tech_vendors: [{ vendor: 'NexHealth', category: 'scheduling' }], llm_specialties: ['implants', 'invisalign'] });
+  assert.deepEqual(diffTech(before, after).map(c => [c.event_type, c.payload.kind, c.payload.name]), [
+    ['feature_added', 'flag', 'has_online_scheduling'],
+    ['feature_added', 'vendor', 'NexHealth'],
+    ['feature_removed', 'vendor', 'Weave'],
+    ['feature_added', 'specialty', 'invisalign']
+  ]);
+});
+
+test('tech diffs skip the parts a degraded scan did not observe', () => {
+  const before = techSnapshot({ has_online_scheduling: true, tech_vendors: [{ vendor: 'Weave', category: 'communication' }], llm_specialties: ['implants'] });
+  const empty = techSnapshot({});
+  assert.deepEqual(diffTech(before, empty, { flags: false, vendors: false, specialties: false }), []);
+  assert.deepEqual(diffTech(before, empty, { flags: false, vendors: false }).map(c => c.payload.name), ['implants']);
+});
+
+test('re-scan cutoffs follow RESCAN_DAYS per tier', () => {
+  const now = Date.parse('2025-03-31T00:00:00Z');
+  const cutoffs = rescanCutoffs({ PLATINUM: 7, BASIC: 90 }, now);
+  assert.deepEqual(cutoffs, [
+    { tier: 'PLATINUM', before: '2025-03-24T00:00:00.000Z' },
+    { tier: 'BASIC', before: '2024-12-31T00:00:00.000Z' }
+  ]);
+});
+
+before(async () => {
+  await start();
+  await runFixture({ location: 'Austin, TX' });
+});
+
+after(stop);
+
+test('a re-scan diffs against what was stored and feeds /api/changes', async () => {
+  // pretend the last scan saw an older, closed, lower-rated listing without online scheduling
+  const lead = leadByPlace('ChIJ-bright-smile');
+  Object.assign(lead, { rating: 4.5, review_count: 150, permanently_closed: true });
+  const tech = store.rows('lead_tech_analysis').find(t => t.lead_id === lead.id);
+  const hadScheduling = tech.has_online_scheduling;
+  tech.has_online_scheduling = !hadScheduling;
+
+  const bad = await api('POST', '/api/rescans', { leadIds: [] });
+  assert.equal(bad.status, 400);
+
+  const res = await api('POST', '/api/rescans', { leadIds: [lead.id] });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.leads, 1);
+  const started = providers.actors.started.find(s => s.run.id === res.body.runId);
+  assert.deepEqual(started.input.placeIds, ['ChIJ-bright-smile']);
+
+  const secret = new URL(started.webhooks[0].requestUrl).searchParams.get('secret');
+  await api('POST', `/api/apify/webhook?secret=${secret}`, { resource: { id: res.body.runId } });
+  const { run } = await waitForRun(res.body.runId);
+  assert.equal(run.status, 'succeeded');
+
+  const types = eventsFor(lead.id).map(e => e.event_type);
+  for (const t of ['rating_changed', 'reviews_spiked', 'reopened']) assert.ok(types.includes(t), t);
+  const flag = eventsFor(lead.id, hadScheduling ? 'feature_added' : 'feature_removed').find(e => e.payload.name === 'has_online_scheduling');
+  assert.equal(flag.payload.runId, res.body.runId);
+  assert.ok(leadByPlace('ChIJ-bright-smile').last_scanned_at);
+
+  const feed = await api('GET', '/api/changes?types=rating_changed,reopened');
+  assert.equal(feed.status, 200);
+  assert.deepEqual(feed.body.changes.map(c => c.event_type).sort(), ['rating_changed', 'reopened']);
+  assert.equal(feed.body.changes[0].lead.name, 'Bright Smile Dental');
+  assert.equal((await api('GET', '/api/changes?types=moved')).status, 400);
+});
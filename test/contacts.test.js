@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeEmail, normalizePhone, normalizeSocial, classifyEmail, extractContacts, pickBestContact } = require('../contacts');
+
+test('emails, phones and social links normalize or drop out', () => {
+  assert.equal(normalizeEmail('mailto:Jane.Smith@BrightSmile.example?subject=hi'), 'jane.smith@brightsmile.example');
+  assert.equal(normalizeEmail('logo@2x.png'), null);
+  assert.equal(normalizeEmail('user@domain.com'), null);
+
+  assert.equal(normalizePhone('(512) 555-0101'), '+15125550101');
+  assert.equal(normalizePhone('tel:1-512-555-0101'), '+15125550101');
+  assert.equal(normalizePhone('+44 20 7946 0958'), '+442079460958');
+  assert.equal(normalizePhone('555-0101'), null);
+
+  assert.deepEqual(normalizeSocial('m.facebook.com/brightsmile/'), { network: 'facebook', url: 'https://facebook.com/brightsmile' });
+  assert.equal(normalizeSocial('https://www.facebook.com/sharer/sharer.php?u=x'), null);
+  assert.equal(normalizeSocial('https://example.com/brightsmile'), null);
+
+  assert.equal(classifyEmail('frontdesk2@brightsmile.example'), 'generic');
+  assert.equal(classifyEmail('jane.smith@brightsmile.example'), 'person');
+});
+
+test('deep-contact items of every shape flatten into one row per channel and value', () => {
+  const rows = extractContacts([
+    { url: 'https://brightsmile.example/contact', emails: ['info@brightsmile.example', { value: 'jane@brightsmile.example' }], phoneNumbers: [{ phoneNumber: '512-555-0101' }] },
+    { url: 'https://brightsmile.example/team', socialMedia: { instagram: ['https://instagram.com/brightsmile'] }, email: 'INFO@brightsmile.example' },
+    null
+  ], { email: 'info@brightsmile.example', phone: '(512) 555-0101' });
+
+  assert.deepEqual(rows.map(r => [r.channel, r.value, r.contact_type, r.source]), [
+    ['email', 'info@brightsmile.example', 'generic', 'places'],
+    ['phone', '+15125550101', 'generic', 'places'],
+    ['email', 'jane@brightsmile.example', 'person', 'deep_contacts'],
+    ['social', 'https://instagram.com/brightsmile', 'social', 'deep_contacts']
+  ]);
+  // a Places contact the crawl also found picks up the page it was seen on
+  assert.equal(rows[0].source_url, 'https://brightsmile.example/contact');
+  assert.equal(rows[3].label, 'instagram');
+});
+
+test('the best contact is an on-domain person, skipping suppressed and invalid ones', () => {
+  const contacts = [
+    { channel: 'phone', value: '+15125550101', contact_type: 'generic', source: 'places' },
+    { channel: 'email', value: 'jane@gmail.example', contact_type: 'person' },
+    { channel: 'email', value: 'info@brightsmile.example', contact_type: 'generic' },
+    { channel: 'email', value: 'ana@brightsmile.example', contact_type: 'person', status: 'invalid' },
+    { channel: 'email', value: 'raj@brightsmile.example', contact_type: 'person', suppressed: true }
+  ];
+  assert.equal(pickBestContact(contacts, 'brightsmile.example').value, 'info@brightsmile.example');
+  assert.equal(pickBestContact(contacts).value, 'jane@gmail.example');
+  assert.equal(pickBestContact(contacts.slice(0, 1)).channel, 'phone');
+  assert.equal(pickBestContact([]), null);
+});
@@ -0,0 +1,82 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { extractLinks, rankLinks, crawlSite, withHomeText, detectFeaturesAcrossPages } = require('../crawler');
+
+const HOME = `
+  <a href="/new-patients/">New Patients</a>
+  <a href="https://www.smile.example/our-technology">Our Technology</a>
+  <a href="/blog/whitening-tips">Blog</a>
+  <a href="/brochure.pdf">Brochure</a>
+  <a href="https://other.example/contact">Partner</a>
+  <a href="mailto:info@smile.example">Email us</a>
+  <a href="/careers">Careers</a>
+  <a href="/new-patients">New patients again</a>
+  <p>Welcome to Smile Dental.</p>`;
+
+/** A page fetcher over a fixed site map that records which URLs were asked for */
+function siteFetcher(pages) {
+  const asked = [];
+  const fetch = async (url) => {
+    asked.push(url);
+    return pages[url] == null ? null : { url, html: pages[url] };
+  };
+  return { asked, fetch };
+}
+
+test('links stay on the same site, skip files and blogs, and dedupe', () => {
+  const links = extractLinks(HOME, 'https://smile.example/');
+  assert.deepEqual(links.map(l => l.url), [
+    'https://smile.example/new-patients',
+    'https://www.smile.example/our-technology',
+    'https://smile.example/careers'
+  ]);
+  assert.equal(links[0].text, 'New Patients');
+
+  // only hinted pages survive ranking, best first
+  assert.deepEqual(rankLinks(links).map(l => [l.url, l.kinds]), [
+    ['https://smile.example/new-patients', ['new_patients']],
+    ['https://www.smile.example/our-technology', ['technology']]
+  ]);
+});
+
+test('a crawl fetches the home page and ranked pages within the page and text budgets', async () => {
+  const site = siteFetcher({
+    'https://smile.example': `${HOME}<script src="https://widget.nexhealth.com/loader.js"></script>`,
+    'https://smile.example/new-patients': '<p>Fill out our online forms before your first visit.</p>',
+    'https://www.smile.example/our-technology': '<p>We use CBCT 3D imaging.</p>'
+  });
+
+  const crawl = await crawlSite('https://smile.example/', { fetch: site.fetch });
+  assert.deepEqual(crawl.pages.map(p => p.kinds), [['home'], ['new_patients'], ['technology']]);
+  assert.deepEqual(crawl.vendors.map(v => [v.vendor, v.evidence[0].page]), [['NexHealth', 'https://smile.example']]);
+  assert.match(crawl.text, /online forms[\s\S]*CBCT/);
+
+  const short = await crawlSite('https://smile.example/', { fetch: site.fetch, maxPages: 2, maxChars: 30 });
+  assert.deepEqual(short.pages.map(p => p.url), ['https://smile.example']);
+  assert.equal(short.text.length, 30);
+
+  const rag = withHomeText(short, 'Home page from the RAG actor');
+  assert.equal(rag.pages[0].text, 'Home page from the RAG actor');
+  assert.equal(rag.pages[0].vendors.length, 1);
+
+  const down = await crawlSite('https://down.example/', { fetch: siteFetcher({}).fetch });
+  assert.deepEqual([down.pages, down.text], [[], '']);
+});
+
+test('features are OR-ed across pages and vendors win as the source', () => {
+  const pages = [
+    { url: 'https://smile.example', text: 'Book online today. Text reminders for every visit.' },
+    { url: 'https://smile.example/technology', text: 'CBCT scans and a patient portal.' }
+  ];
+  const vendors = [{ vendor: 'NexHealth', category: 'scheduling', evidence: [{ page: 'https://smile.example/contact' }] }];
+  const f = detectFeaturesAcrossPages(pages, vendors);
+  assert.equal(f.has_online_scheduling, true);
+  assert.equal(f.has_digital_forms, false);
+  assert.deepEqual(f.feature_sources, {
+    has_online_scheduling: 'https://smile.example/contact',
+    has_text_reminders: 'https://smile.example',
+    has_patient_portal: 'https://smile.example/technology',
+    has_advanced_imaging: 'https://smile.example/technology'
+  });
+  assert.deepEqual(f.technologies, ['onlineScheduling', 'patientPortal', 'textReminders', 'advancedDentalTech']);
+});
@@ -0,0 +1,110 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { createCrmAdapter } = require('../crm');
+const { start, stop, api, runFixture, leadByPlace, eventsFor } = require('./helpers');
+
+/**
+ * A local CRM API: POST creates an object with the next id, PATCH/PUT echo the
+ * id in the path; `wrap` shapes the reply ({ id } for HubSpot, Pipedrive's envelope).
+ */
+async function mockCrm(wrap) {
+  const requests = [];
+  let nextId = 100;
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (c) => { raw += c; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://mock');
+      requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), headers: req.headers, body: raw ? JSON.parse(raw) : null });
+      const id = req.method === 'POST' ? nextId++ : Number(url.pathname.split('/').pop());
+      res.writeHead(200, { 'content-type': 'application/json' });
+      res.end(JSON.stringify(wrap({ id })));
+    });
+  });
+  server.listen(0);
+  await new Promise(r => server.once('listening', r));
+  return {
+    requests,
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(r => server.close(r))
+  };
+}
+
+const lead = { name: 'Bright Smile Dental', domain: 'brightsmile.example', city: 'Austin', state: 'Texas', tech_tier: 'GOLD', final_score: 79 };
+
+test('hubspot creates a company and an associated deal in the tier stage, then updates both', async () => {
+  const crm = await mockCrm(body => body);
+  const adapter = createCrmAdapter('hubspot', { token: 'hs-token', baseUrl: crm.baseUrl, pipeline: 'sales', stages: { GOLD: 'gold-stage', SILVER: 'silver-stage' } });
+
+  const ids = await adapter.upsertLead(lead);
+  assert.deepEqual(ids, { companyId: '100', dealId: '101' });
+  const [company, deal] = crm.requests;
+  assert.deepEqual([company.method, company.path, company.headers.authorization], ['POST', '/crm/v3/objects/companies', 'Bearer hs-token']);
+  assert.equal(company.body.properties.domain, 'brightsmile.example');
+  assert.deepEqual(deal.body.properties, { dealname: 'Bright Smile Dental (GOLD 79)', pipeline: 'sales', dealstage: 'gold-stage' });
+  assert.equal(deal.body.associations[0].to.id, 100);
+
+  const again = await adapter.upsertLead({ ...lead, tech_tier: 'BRONZE' }, ids);
+  assert.deepEqual(again, ids);
+  assert.deepEqual(crm.requests.slice(2).map(r => [r.method, r.path]), [['PATCH', '/crm/v3/objects/companies/100'], ['PATCH', '/crm/v3/objects/deals/101']]);
+  assert.equal(crm.requests[3].body.properties.dealstage, 'silver-stage', 'unmapped tiers fall back to SILVER');
+  await crm.close();
+});
+
+test('pipedrive creates an organization and a deal in the mapped stage, then updates both', async () => {
+  const crm = await mockCrm(data => ({ success: true, data }));
+  const adapter = createCrmAdapter('pipedrive', { token: 'pd-token', baseUrl: crm.baseUrl, stages: { GOLD: 3 } });
+
+  const ids = await adapter.upsertLead(lead);
+  assert.deepEqual(ids, { companyId: '100', dealId: '101' });
+  const [org, deal] = crm.requests;
+  assert.deepEqual([org.method, org.path, org.query.api_token], ['POST', '/v1/organizations', 'pd-token']);
+  assert.equal(org.body.address, 'Austin, Texas');
+  assert.deepEqual(deal.body, { title: 'Bright Smile Dental (GOLD 79)', org_id: 100, stage_id: 3 });
+
+  await adapter.upsertLead(lead, ids);
+  assert.deepEqual(crm.requests.slice(2).map(r => [r.method, r.path]), [['PUT', '/v1/organizations/100'], ['PUT', '/v1/deals/101']]);
+  await crm.close();
+});
+
+test('unknown or unconfigured providers are rejected', () => {
+  assert.throws(() => createCrmAdapter('salesforce'), /unknown CRM provider: salesforce/);
+  assert.throws(() => createCrmAdapter('pipedrive', { token: '' }), /PIPEDRIVE_API_TOKEN not configured/);
+});
+
+let crm;
+
+before(async () => {
+  await start();
+  await runFixture({ location: 'Austin, TX' });
+  crm = await mockCrm(body => body);
+  Object.assign(process.env, { HUBSPOT_TOKEN: 'hs-token', HUBSPOT_BASE_URL: crm.baseUrl });
+});
+
+after(async () => {
+  delete process.env.HUBSPOT_TOKEN;
+  delete process.env.HUBSPOT_BASE_URL;
+  await crm.close();
+  await stop();
+});
+
+test('syncing records the CRM ids and a re-sync updates instead of duplicating', async () => {
+  const bright = leadByPlace('ChIJ-bright-smile');
+  const first = await api('POST', '/api/crm/hubspot/sync', { leadIds: [bright.id] });
+  assert.equal(first.status, 200);
+  assert.deepEqual([first.body.created, first.body.updated, first.body.failed], [1, 0, 0]);
+  const [synced] = eventsFor(bright.id, 'crm_synced');
+  assert.deepEqual([synced.payload.provider, synced.payload.status, synced.payload.tier], ['hubspot', 'created', bright.tech_tier]);
+  const { companyId, dealId } = synced.payload;
+
+  const second = await api('POST', '/api/crm/hubspot/sync', { leadIds: [bright.id] });
+  assert.deepEqual([second.body.created, second.body.updated], [0, 1]);
+  assert.equal(crm.requests.filter(r => r.method === 'POST').length, 2);
+  assert.deepEqual(crm.requests.slice(2).map(r => [r.method, r.path]), [
+    ['PATCH', `/crm/v3/objects/companies/${companyId}`],
+    ['PATCH', `/crm/v3/objects/deals/${dealId}`]
+  ]);
+
+  assert.equal((await api('POST', '/api/crm/salesforce/sync', {})).status, 400);
+});
@@ -0,0 +1,66 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { EXPORT_COLUMNS, exportRow, csvHeader, csvRow } = require('../exporter');
+const { start, stop, api, runFixture, leadByPlace } = require('./helpers');
+
+/** Split one CSV line into its cells, leaving quoted cells quoted */
+function cells(line) {
+  const out = [];
+  let cell = '';
+  let quoted = false;
+  for (const ch of line.replace(/\r\n$/, '')) {
+    if (ch === '"') quoted = !quoted;
+    if (ch === ',' && !quoted) {
+      out.push(cell);
+      cell = '';
+    } else cell += ch;
+  }
+  return [...out, cell];
+}
+const col = (key) => EXPORT_COLUMNS.findIndex(([k]) => k === key);
+
+test('rows flatten tech, best contact and lists', () => {
+  const row = exportRow({
+    name: 'Bright Smile Dental',
+    best_contact: { channel: 'email', contact_type: 'person', value: 'ana@brightsmile.example' },
+    tech: { technologies: ['onlineBooking', 'patientPortal'], llm_specialties: ['cosmetic'] },
+    final_score: 0
+  });
+  assert.equal(row.best_contact_type, 'email/person');
+  assert.equal(row.technologies, 'onlineBooking; patientPortal');
+  assert.equal(row.final_score, 0);
+  assert.equal(row.email, '');
+  assert.equal(cells(csvHeader()).length, EXPORT_COLUMNS.length);
+});
+
+test('scraped text that a spreadsheet would evaluate is prefixed, phone numbers are not', () => {
+  const line = cells(csvRow({
+    name: '=HYPERLINK("http://evil.example","Click")',
+    phone: '+15125550100',
+    best_contact: { channel: 'phone', contact_type: 'generic', value: '+1 (512) 555-0100' },
+    final_score_explanation: '-2+3 looks like math',
+    address: '@SUM(A1:A2)'
+  }));
+  assert.equal(line.length, EXPORT_COLUMNS.length);
+  assert.equal(line[col('name')], `"'=HYPERLINK(""http://evil.example"",""Click"")"`);
+  assert.equal(line[col('phone')], '+15125550100');
+  assert.equal(line[col('best_contact')], '+1 (512) 555-0100');
+  assert.equal(line[col('final_score_explanation')], "'-2+3 looks like math");
+  assert.equal(line[col('address')], "'@SUM(A1:A2)");
+});
+
+before(async () => {
+  await start();
+  await runFixture({ location: 'Austin, TX' });
+});
+
+after(stop);
+
+test('the CSV export keeps E.164 phone numbers intact', async () => {
+  Object.assign(leadByPlace('ChIJ-bright-smile'), { phone: '+15125550101' });
+  const res = await api('GET', '/api/leads/export?format=csv');
+  assert.equal(res.status, 200);
+  const bright = cells(res.body.split('\r\n').find(l => l.startsWith('Bright Smile Dental,')));
+  assert.equal(bright[col('phone')], '+15125550101');
+  assert.equal(res.body.includes("'+"), false);
+});
@@ -0,0 +1,48 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { collectResources, fingerprintHtml, mergeVendors, vendorFlags } = require('../fingerprint');
+
+const PAGE = `
+  <meta name="generator" content="WordPress 6.4">
+  <link rel="stylesheet" href="/wp-content/themes/smile/style.css">
+  <script src="https://widget.nexhealth.com/appt.js" async></script>
+  <iframe src="https://app.getweave.com/forms/123"></iframe>
+  <form action="https://pay.example/checkout"></form>
+  <script>window.loader = "//booking.localmed.com/widget?id=9";</script>`;
+
+test('resources come from scripts, iframes, links, forms, inline loaders and the generator', () => {
+  assert.deepEqual(collectResources(PAGE).map(r => r.type), ['script', 'iframe', 'link', 'form', 'inline_script', 'generator']);
+  assert.equal(collectResources(PAGE).at(-2).value, '//booking.localmed.com/widget?id=9');
+});
+
+test('signatures match resource URLs and generators, with the page as evidence', () => {
+  const vendors = fingerprintHtml(PAGE, 'https://smile.example/');
+  assert.deepEqual(vendors.map(v => [v.vendor, v.category]), [
+    ['NexHealth', 'scheduling'],
+    ['Weave', 'reminders'],
+    ['WordPress', 'website_builder'],
+    ['LocalMed', 'scheduling']
+  ]);
+  const wordpress = vendors.find(v => v.vendor === 'WordPress');
+  assert.deepEqual(wordpress.evidence.map(e => e.type), ['link', 'generator']);
+  assert.equal(wordpress.evidence[0].page, 'https://smile.example/');
+
+  const many = Array.from({ length: 5 }, (_, i) => `<script src="https://nexhealth.com/${i}.js"></script>`).join('');
+  assert.equal(fingerprintHtml(many)[0].evidence.length, 3);
+  assert.deepEqual(fingerprintHtml('<p>No widgets here</p>'), []);
+});
+
+test('vendors merge across pages and prove the has_* flag for their category', () => {
+  const home = fingerprintHtml('<script src="https://nexhealth.com/a.js"></script>', 'https://smile.example/');
+  const contact = fingerprintHtml('<script src="https://nexhealth.com/b.js"></script><iframe src="https://lh360.com/x"></iframe>', 'https://smile.example/contact');
+  const merged = mergeVendors([home, contact]);
+  assert.deepEqual(merged.map(v => [v.vendor, v.evidence[0].page]), [
+    ['NexHealth', 'https://smile.example/'],
+    ['Lighthouse 360', 'https://smile.example/contact']
+  ]);
+
+  assert.deepEqual(vendorFlags([...merged, ...fingerprintHtml(PAGE)]), {
+    flags: { has_online_scheduling: true, has_text_reminders: true },
+    sources: { has_online_scheduling: 'https://smile.example/', has_text_reminders: 'https://smile.example/contact' }
+  });
+});
@@ -0,0 +1,97 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { gridCells } = require('../grid');
+const { providers, store, start, stop, api, waitForRun } = require('./helpers');
+
+test('radius and bounds grids cover the area with overlapping point cells', () => {
+  const cells = gridCells({ type: 'radius', lat: 30.27, lng: -97.74, radiusKm: 10, cellKm: 8 });
+  assert.equal(cells.length, 9);
+  assert.ok(cells.some(c => c.key === '30.27,-97.74'));
+  assert.deepEqual(cells[4].input.customGeolocation, { type: 'Point', coordinates: [-97.74, 30.27], radiusKm: 5.65685 });
+
+  assert.equal(gridCells({ type: 'bounds', north: 30.3, south: 30.2, east: -97.7, west: -97.8, cellKm: 5 }).length, 6);
+});
+
+test('zip grids dedupe codes and bad specs are rejected', () => {
+  assert.deepEqual(gridCells({ type: 'zip', zips: ['78701', '78701', '78704'] }).map(c => c.input), [
+    { postalCode: '78701', countryCode: 'us' },
+    { postalCode: '78704', countryCode: 'us' }
+  ]);
+  assert.throws(() => gridCells({ type: 'zip', zips: [] }), /at least one ZIP/);
+  assert.throws(() => gridCells({ type: 'radius', lat: 30, lng: -97, radiusKm: 100, cellKm: 1 }), /max 25/);
+  assert.throws(() => gridCells({ type: 'hex' }), /grid.type/);
+});
+
+before(start);
+after(stop);
+
+test('custom presets can be created, used, overridden and deleted', async () => {
+  const bad = await api('PUT', '/api/presets/Sleep%20Apnea', { terms: ['sleep apnea dentist'] });
+  assert.equal(bad.status, 400);
+
+  const put = await api('PUT', '/api/presets/sleep_apnea', { terms: ['sleep apnea dentist', 'snoring treatment', 'sleep apnea dentist'], description: 'Oral appliance therapy' });
+  assert.equal(put.status, 200);
+  assert.deepEqual(put.body.preset.terms, ['sleep apnea dentist', 'snoring treatment']);
+
+  // a second preset and a re-save sit alongside it rather than replacing it
+  assert.equal((await api('PUT', '/api/presets/bruxism', { terms: ['night guard dentist'] })).status, 200);
+  assert.equal((await api('PUT', '/api/presets/sleep_apnea', { terms: ['sleep apnea dentist', 'snoring treatment'], description: 'Oral appliance therapy' })).status, 200);
+  const list = await api('GET', '/api/presets');
+  assert.deepEqual(list.body.presets.filter(p => p.source === 'custom').map(p => p.name), ['bruxism', 'sleep_apnea']);
+  assert.equal(list.body.presets.find(p => p.name === 'sleep_apnea').source, 'custom');
+  assert.equal(list.body.presets.find(p => p.name === 'general').source, 'builtin');
+
+  const gen = await api('POST', '/api/generate', { location: 'Nowhere, TX', preset: 'sleep_apnea' });
+  assert.equal(gen.status, 200);
+  const started = providers.actors.started.find(s => s.run.id === gen.body.runId);
+  assert.deepEqual(started.input.searchStringsArray, ['sleep apnea dentist', 'snoring treatment']);
+
+  const unknown = await api('POST', '/api/generate', { location: 'Nowhere, TX', preset: 'tmj' });
+  assert.equal(unknown.status, 400);
+
+  assert.equal((await api('DELETE', '/api/presets/sleep_apnea')).status, 200);
+  assert.equal((await api('DELETE', '/api/presets/general')).status, 404);
+});
+
+test('a ZIP grid fans out child runs under one parent and dedupes across cells', async () => {
+  const gen = await api('POST', '/api/generate', { grid: { type: 'zip', zips: ['78701', '78704'] }, maxResults: 20 });
+  assert.equal(gen.status, 200);
+  assert.match(gen.body.runId, /^grid-/);
+  assert.deepEqual(gen.body.children.map(c => c.cell), ['78701', '78704']);
+
+  const parentId = gen.body.runId;
+  // deliver the cell webhooks one after the other, as Apify would for cells finishing apart
+  for (const child of gen.body.children) {
+    const started = providers.actors.started.find(s => s.run.id === child.runId);
+    assert.equal(started.input.locationQuery, undefined);
+    const secret = new URL(started.webhooks[0].requestUrl).searchParams.get('secret');
+    await api('POST', `/api/apify/webhook?secret=${secret}`, { resource: { id: child.runId } });
+    await waitForRun(child.runId);
+  }
+
+  const { run, summary } = await waitForRun(parentId);
+  assert.equal(run.status, 'succeeded');
+  assert.equal(summary.itemsFetched, 3);
+  assert.equal(summary.grid.duplicatesSkipped, 1);
+  assert.deepEqual(summary.grid.children.map(c => [c.cell, c.status, c.items]), [['78701', 'succeeded', 2], ['78704', 'succeeded', 1]]);
+  assert.equal(summary.jobs.total, 3);
+  assert.equal(summary.leads.inserted, 3);
+  assert.equal(summary.cost.actorRuns > 2, true);
+
+  const places = store.rows('dental_leads').map(l => l.google_place_id).sort();
+  assert.deepEqual(places, ['ChIJ-bright-smile', 'ChIJ-capitol-dental', 'ChIJ-south-lamar']);
+
+  // the parent's run_id finds every cell's leads, a page at a time; a cell's only its own
+  const seen = [];
+  let cursor = '';
+  do {
+    const page = await api('GET', `/api/leads?run_id=${parentId}&limit=2${cursor ? `&cursor=${cursor}` : ''}`);
+    assert.equal(page.status, 200);
+    assert.equal(page.body.items[0].lead_events, undefined);
+    seen.push(...page.body.items.map(l => l.google_place_id));
+    cursor = page.body.nextCursor;
+  } while (cursor);
+  assert.deepEqual(seen.sort(), places);
+  const cell = await api('GET', `/api/leads?run_id=${gen.body.children[1].runId}`);
+  assert.equal(cell.body.items.length, 1);
+});
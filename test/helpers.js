@@ -0,0 +1,77 @@
+/** Shared harness: boots the app on offline providers and drives fixture runs through the webhook */
+const { mock } = require('node:test');
+
+process.env.PROVIDERS = 'offline';
+process.env.PUBLIC_BASE_URL = 'http://lead-engine.test';
+process.env.JOB_CONCURRENCY = '1';
+process.env.JOB_POLL_MS = '10';
+process.env.ADMIN_API_KEY = 'test-admin-key';
+
+const { app, jobQueue, providers, marketRefreshes } = require('../server');
+
+const store = providers.store;
+let server;
+let baseUrl;
+
+async function start() {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+  server = app.listen(0);
+  await new Promise(r => server.once('listening', r));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  jobQueue.start();
+}
+
+async function stop() {
+  jobQueue.stop();
+  await new Promise(r => server.close(r));
+  mock.restoreAll();
+}
+
+/**
+ * Calls go in as the env admin unless `key` says otherwise (null sends none).
+ * JSON responses come back parsed, anything else (CSV exports) as text.
+ */
+async function api(method, path, body, { key = process.env.ADMIN_API_KEY } = {}) {
+  const res = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { 'content-type': 'application/json', ...(key ? { authorization: `Bearer ${key}` } : {}) },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  const json = /json/.test(res.headers.get('content-type') || '');
+  return { status: res.status, body: json ? await res.json() : await res.text() };
+}
+
+/** POST /api/generate and return the run id plus the secret from its webhook URL */
+async function generate(input) {
+  const { status, body } = await api('POST', '/api/generate', input);
+  if (status !== 200) throw new Error(`generate failed: ${JSON.stringify(body)}`);
+  const started = providers.actors.started.find(s => s.run.id === body.runId);
+  return { runId: body.runId, secret: new URL(started.webhooks[0].requestUrl).searchParams.get('secret') };
+}
+
+async function waitForRun(id, timeoutMs = 10000) {
+  const until = Date.now() + timeoutMs;
+  while (Date.now() < until) {
+    const { body } = await api('GET', `/api/runs/${id}`);
+    if (!['queued', 'processing'].includes(body.run?.status)) {
+      // markets are refreshed in the background once a run closes
+      await marketRefreshes();
+      return body;
+    }
+    await new Promise(r => setTimeout(r, 25));
+  }
+  throw new Error(`run ${id} did not finish`);
+}
+
+/** generate → webhook → wait; resolves with the finished run summary */
+async function runFixture(input) {
+  const { runId, secret } = await generate(input);
+  await api('POST', `/api/apify/webhook?secret=${secret}`, { resource: { id: runId } });
+  return { runId, ...(await waitForRun(runId)) };
+}
+
+const leadByPlace = (placeId) => store.rows('dental_leads').find(l => l.google_place_id === placeId);
+const eventsFor = (leadId, type) => store.rows('lead_events').filter(e => e.lead_id === leadId && (!type || e.event_type === type));
+
+module.exports = { app, jobQueue, providers, store, start, stop, api, generate, waitForRun, runFixture, leadByPlace, eventsFor };
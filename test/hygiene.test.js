@@ -0,0 +1,128 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.EMAIL_VERIFY = 'smtp';
+
+const { checkEmail, verifyEmails, suppressionFields, suppressionsFor, suppressionLookups } = require('../hygiene');
+const { start, stop, api, runFixture, leadByPlace, eventsFor, store } = require('./helpers');
+
+test('emails are checked for syntax and role addresses', () => {
+  assert.deepEqual(checkEmail('Jane.Smith@BrightSmile.example'), { email: 'jane.smith@brightsmile.example', valid: true, reason: null, role: false });
+  assert.equal(checkEmail('frontdesk@clinic.com').role, true);
+  assert.equal(checkEmail('no-reply@clinic.com').reason, 'no_reply');
+  assert.equal(checkEmail('jane..smith@clinic.com').reason, 'syntax');
+  assert.equal(checkEmail('jane@clinic').reason, 'syntax');
+  assert.equal(checkEmail('jane@-clinic.com').reason, 'syntax');
+});
+
+test('mx and smtp checks go through the resolver, one lookup per domain', async () => {
+  const lookups = [];
+  const resolver = {
+    async resolveMx(domain) {
+      lookups.push(domain);
+      if (domain === 'gone.example') throw Object.assign(new Error('nope'), { code: 'ENOTFOUND' });
+      return [{ exchange: 'mx2', priority: 20 }, { exchange: 'mx1', priority: 10 }];
+    },
+    async checkMailbox(email, exchange) {
+      assert.equal(exchange, 'mx1');
+      return { deliverable: !email.startsWith('bob'), catchAll: email.startsWith('amy') };
+    }
+  };
+  const emails = ['ann@clinic.example', 'bob@clinic.example', 'amy@clinic.example', 'x@gone.example', 'bad@'];
+  const smtp = await verifyEmails(emails, { resolver, level: 'smtp' });
+  assert.deepEqual(smtp.map(r => [r.status, r.reason]), [
+    ['valid', null], ['invalid', 'mailbox_rejected'], ['risky', 'catch_all'], ['invalid', 'no_mx'], ['invalid', 'syntax']
+  ]);
+  assert.deepEqual(lookups, ['clinic.example', 'gone.example']);
+  assert.equal((await verifyEmails(['ann@clinic.example'], { resolver, level: 'syntax' }))[0].status, 'unverified');
+});
+
+test('suppression entries are validated and domains cover their subdomains', () => {
+  const now = new Date('2025-06-01T00:00:00Z');
+  assert.deepEqual(suppressionFields({ kind: 'domain', value: 'https://www.Clinic.example/contact', reason: 'requested' }, now),
+    { kind: 'domain', value: 'clinic.example', reason: 'requested', opted_out_at: now.toISOString(), note: null });
+  assert.equal(suppressionFields({ kind: 'phone', value: '(512) 555-0101', reason: 'legal' }).value, '+15125550101');
+  assert.throws(() => suppressionFields({ kind: 'fax', value: 'x', reason: 'requested' }), /kind must be/);
+  assert.throws(() => suppressionFields({ kind: 'email', value: 'nope', reason: 'requested' }), /not a valid email/);
+  assert.throws(() => suppressionFields({ kind: 'email', value: 'a@b.example', reason: 'because' }), /reason must be/);
+
+  const list = [{ kind: 'domain', value: 'clinic.example' }, { kind: 'phone', value: '+15125550101' }];
+  assert.equal(suppressionsFor(list, { email: 'ann@mail.clinic.example' }).length, 1);
+  assert.equal(suppressionsFor(list, { email: 'ann@myclinic.example' }).length, 0);
+  assert.equal(suppressionsFor(list, { domain: 'other.example', phone: '+15125550101' }).length, 1);
+  assert.equal(suppressionsFor(list, { email: 'Ann@Clinic.Example' }).length, 1);
+  assert.deepEqual(suppressionLookups({ emails: ['Ann@Clinic.Example'] }), ['ann@clinic.example', 'clinic.example']);
+});
+
+before(async () => {
+  await start();
+  await runFixture({ location: 'Austin, TX' });
+});
+
+after(stop);
+
+const contactsOf = (leadId) => store.rows('lead_contacts').filter(c => c.lead_id === leadId);
+
+test('bad Places emails are never stored and unreachable contacts are flagged', () => {
+  const lakeway = leadByPlace('ChIJ-lakeway-implants');
+  assert.equal(lakeway.email ?? null, null);
+  const [placesFlag, contactFlag] = eventsFor(lakeway.id, 'contact_flagged').map(e => e.payload);
+  assert.deepEqual([placesFlag.source, placesFlag.value, placesFlag.reason], ['places', 'noreply@lakewayimplants.example', 'no_reply']);
+  assert.deepEqual([contactFlag.value, contactFlag.reason], ['frontdesk@lakewayimplants.example', 'no_mx']);
+  assert.deepEqual(lakeway.contact_flags, [{ channel: 'email', value: 'frontdesk@lakewayimplants.example', flag: 'invalid', reason: 'no_mx' }]);
+
+  const bright = leadByPlace('ChIJ-bright-smile');
+  const jane = contactsOf(bright.id).find(c => c.value === 'jane.smith@brightsmile.example');
+  assert.deepEqual([jane.status, jane.status_reason, jane.is_best], ['invalid', 'mailbox_rejected', false]);
+  assert.equal(contactsOf(bright.id).find(c => c.is_best).value, 'info@brightsmile.example');
+});
+
+test('suppressing a domain marks the lead do-not-contact and keeps it out of exports and outreach', async () => {
+  const oak = leadByPlace('ChIJ-oak-hill');
+  const added = await api('POST', '/api/suppressions', { kind: 'domain', value: 'oakhillfamily.example', reason: 'requested', note: 'asked on the phone' });
+  assert.equal(added.status, 200);
+  assert.equal(added.body.leadsDoNotContact, 1);
+
+  const flagged = leadByPlace('ChIJ-oak-hill');
+  assert.equal(flagged.do_not_contact, true);
+  assert.equal(flagged.suppressed_by[0].reason, 'requested');
+  const [event] = eventsFor(oak.id, 'suppressed');
+  assert.deepEqual([event.payload.source, event.payload.by.role], ['suppression_list', 'admin']);
+
+  const csv = await api('GET', '/api/leads/export?format=csv');
+  assert.ok(csv.body.includes('Bright Smile') && !csv.body.includes('oakhillfamily.example'));
+  assert.equal((await api('POST', `/api/leads/${oak.id}/outreach`, {})).status, 409);
+  const batch = await api('POST', '/api/outreach/drafts', { leadIds: [oak.id] });
+  assert.deepEqual(batch.body.skipped, [{ leadId: oak.id, reason: 'suppressed' }]);
+
+  // the next run sees the listing again but doesn't enrich it
+  const { summary } = await runFixture({ location: 'Austin, TX' });
+  assert.equal(summary.leads.filteredOut.suppressed, 1);
+
+  const id = added.body.suppressions[0].id;
+  assert.equal((await api('DELETE', `/api/suppressions/${id}`)).status, 200);
+  assert.equal(leadByPlace('ChIJ-oak-hill').do_not_contact, false);
+  assert.equal(eventsFor(oak.id, 'unsuppressed')[0].payload.source, 'suppression_removed');
+});
+
+test('a mixed-case Places email is stored lowercased and matches its suppression', async () => {
+  const little = leadByPlace('ChIJ-little-teeth');
+  assert.equal(little.email, 'hello@littleteeth.example');
+  const added = await api('POST', '/api/suppressions', { kind: 'email', value: 'HELLO@LittleTeeth.example', reason: 'requested' });
+  assert.equal(added.body.leadsDoNotContact, 1);
+  assert.equal(leadByPlace('ChIJ-little-teeth').do_not_contact, true);
+  await api('DELETE', `/api/suppressions/${added.body.suppressions[0].id}`);
+});
+
+test('an email suppression only blocks that contact', async () => {
+  const bright = leadByPlace('ChIJ-bright-smile');
+  await api('POST', '/api/suppressions', { entries: [{ kind: 'email', value: 'INFO@brightsmile.example', reason: 'unsubscribed' }] });
+  const info = contactsOf(bright.id).find(c => c.value === 'info@brightsmile.example');
+  assert.deepEqual([info.suppressed, info.is_best], [true, false]);
+  assert.equal(contactsOf(bright.id).find(c => c.is_best).channel, 'phone');
+  assert.equal(leadByPlace('ChIJ-bright-smile').do_not_contact, false);
+  assert.deepEqual(eventsFor(bright.id, 'suppressed')[0].payload.contacts, [{ channel: 'email', value: 'info@brightsmile.example' }]);
+
+  const { body } = await api('GET', '/api/suppressions?kind=email');
+  assert.deepEqual(body.suppressions.map(s => s.value), ['info@brightsmile.example']);
+});
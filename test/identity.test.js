@@ -0,0 +1,165 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeAddress, matchScore, resolveMatch } = require('../identity');
+const { store, start, stop, api, runFixture, leadByPlace, eventsFor } = require('./helpers');
+
+const office = {
+  google_place_id: 'A',
+  name: 'Bright Smile Dental',
+  address: '100 Congress Ave, Suite 2, Austin, TX 78701',
+  latitude: 30.2642, longitude: -97.7449,
+  phone: '(512) 555-0101',
+  domain: 'brightsmile.example'
+};
+
+test('addresses normalize across spelling, punctuation and country suffix', () => {
+  assert.equal(normalizeAddress('100 Congress Avenue, Suite 2, Austin, TX 78701, USA'), '100 congress ave ste 2 austin tx 78701');
+  assert.equal(normalizeAddress('100 Congress Ave. #2 Austin TX 78701'), '100 congress ave ste 2 austin tx 78701');
+  assert.equal(normalizeAddress(''), null);
+});
+
+test('phone formats match once in E.164 and the same office merges', () => {
+  const m = matchScore({ ...office, google_place_id: 'B', phone: '+15125550101', domain: null, latitude: null, longitude: null }, office);
+  assert.deepEqual(m.reasons, ['phone', 'address', 'name']);
+  assert.ok(m.confidence >= 0.9);
+});
+
+test('a shared domain or phone at another address is another location', () => {
+  const other = { ...office, google_place_id: 'C', address: '1400 Cypress Creek Rd, Cedar Park, TX 78613', latitude: 30.4877, longitude: -97.8316 };
+  const m = matchScore(other, office);
+  assert.ok(m.reasons.includes('different_location'));
+  assert.equal(resolveMatch(other, [office]), null);
+
+  const hijack = { name: 'Oak Hill Family Dentistry', phone: '512-555-0101', address: '6500 US-290, Austin, TX 78735' };
+  assert.equal(resolveMatch(hijack, [office]), null);
+});
+
+test('place id and merged aliases are exact matches', () => {
+  assert.equal(matchScore({ google_place_id: 'A' }, office).confidence, 1);
+  assert.deepEqual(matchScore({ google_place_id: 'Z' }, { ...office, merged_place_ids: ['Z'] }).reasons, ['merged_place_id']);
+});
+
+let run;
+
+before(async () => {
+  await start();
+  run = await runFixture({ location: 'Round Rock, TX' });
+});
+
+after(stop);
+
+test('duplicate listings merge, other locations and phone sharers stay separate', () => {
+  assert.equal(run.run.status, 'succeeded');
+  assert.equal(run.summary.leads.inserted, 3);
+  assert.equal(run.summary.leads.updated, 1);
+
+  const rr = leadByPlace('ChIJ-bright-smile-rr');
+  assert.deepEqual(rr.merged_place_ids, ['ChIJ-bright-smile-rr-dup']);
+  assert.equal(rr.email, 'roundrock@brightsmile.example');
+  assert.equal(rr.phone_e164, '+15125550300');
+  assert.ok(leadByPlace('ChIJ-bright-smile-cp'));
+  assert.ok(leadByPlace('ChIJ-rr-family'));
+
+  const [merged] = eventsFor(rr.id, 'merged');
+  assert.equal(merged.payload.mode, 'auto');
+  assert.equal(merged.payload.runId, run.runId);
+  assert.deepEqual(merged.payload.reasons, ['phone', 'address', 'name']);
+  assert.deepEqual(merged.payload.filled, ['email']);
+});
+
+test('an automatic merge can be split back out', async () => {
+  const rr = leadByPlace('ChIJ-bright-smile-rr');
+  const [merged] = eventsFor(rr.id, 'merged');
+
+  // the email the duplicate brought in is opted out while it still sits on the merged lead
+  await api('POST', '/api/suppressions', { kind: 'email', value: 'roundrock@brightsmile.example', reason: 'requested' });
+  assert.equal(leadByPlace('ChIJ-bright-smile-rr').do_not_contact, true);
+
+  const res = await api('POST', `/api/leads/${rr.id}/split`, { eventId: merged.id });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.cleared, ['email']);
+  const split = leadByPlace('ChIJ-bright-smile-rr-dup');
+  assert.equal(split.id, res.body.newLeadId);
+  assert.equal(split.email, 'roundrock@brightsmile.example');
+  assert.deepEqual([split.pipeline_status, split.do_not_contact], ['new', true]);
+  assert.equal(eventsFor(split.id, 'suppressed')[0].payload.source, 'split');
+  const kept = leadByPlace('ChIJ-bright-smile-rr');
+  assert.deepEqual([kept.email, kept.do_not_contact], [null, false]);
+  assert.deepEqual(kept.merged_place_ids, []);
+
+  const again = await api('POST', `/api/leads/${rr.id}/split`, { eventId: merged.id });
+  assert.equal(again.status, 409);
+});
+
+test('manual merge moves history over and split gives it back', async () => {
+  const target = leadByPlace('ChIJ-bright-smile-rr');
+  const source = leadByPlace('ChIJ-rr-family');
+  const sourceEvents = eventsFor(source.id).length;
+  assert.ok(sourceEvents > 0);
+
+  const bad = await api('POST', `/api/leads/${target.id}/merge`, {});
+  assert.equal(bad.status, 400);
+
+  // the source brings a phone-only lead an email, which is edited before the split
+  source.email = 'frontdesk@rrfamily.example';
+  source.pipeline_status = 'contacted';
+
+  const res = await api('POST', `/api/leads/${target.id}/merge`, { leadId: source.id });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.filled, ['email']);
+  assert.equal(store.rows('dental_leads').some(l => l.id === source.id), false);
+  assert.ok(leadByPlace('ChIJ-bright-smile-rr').merged_place_ids.includes('ChIJ-rr-family'));
+  assert.equal(store.rows('lead_jobs').filter(j => j.lead_id === source.id).length, 0);
+
+  const [manual] = eventsFor(target.id, 'merged').filter(e => e.payload.mode === 'manual');
+  Object.assign(leadByPlace('ChIJ-bright-smile-rr'), { email: 'owner@brightsmile.example' });
+  const back = await api('POST', `/api/leads/${target.id}/split`, { eventId: manual.id });
+  assert.equal(back.status, 200);
+  assert.deepEqual(back.body.cleared, []);
+  assert.equal(leadByPlace('ChIJ-bright-smile-rr').email, 'owner@brightsmile.example');
+  const restored = leadByPlace('ChIJ-rr-family');
+  assert.equal(restored.name, 'Round Rock Family Dental');
+  assert.deepEqual([restored.email, restored.pipeline_status], ['frontdesk@rrfamily.example', 'contacted']);
+  // its own events came back, plus the split marker
+  assert.equal(eventsFor(restored.id).length, sourceEvents + 1);
+  assert.equal(leadByPlace('ChIJ-bright-smile-rr').merged_place_ids.includes('ChIJ-rr-family'), false);
+});
+
+test('merge carries drafts, reviews, audits and usage over and split hands them back', async () => {
+  const target = leadByPlace('ChIJ-bright-smile-rr');
+  const source = leadByPlace('ChIJ-rr-family');
+  const child = (table, leadId, row) => store.rows(table).push({ id: `${table}-${leadId}-${store.rows(table).length}`, lead_id: leadId, ...row });
+  child('outreach_drafts', source.id, { template_name: 'intro', template_version: 1, subject: 'Hi' });
+  const review = (id, text) => ({ review_id: id, rating: 1, text, published_at: '2026-01-01T00:00:00Z', themes: ['wait_times'] });
+  child('lead_reviews', target.id, review('shared', 'Waited an hour'));
+  child('lead_reviews', source.id, review('shared', 'Waited an hour'));
+  child('lead_reviews', source.id, review('own', 'Waited forever'));
+  const [targetAudit] = store.rows('lead_site_audits').filter(a => a.lead_id === target.id);
+  assert.ok(targetAudit);
+  child('lead_site_audits', source.id, { audit: {}, quality_score: 40 });
+  child('lead_usage', source.id, { stage: 'llm', llm_input_tokens: 900 });
+  const usage = store.rows('lead_usage').filter(u => u.lead_id === source.id).map(u => u.id);
+
+  const res = await api('POST', `/api/leads/${target.id}/merge`, { leadId: source.id });
+  assert.equal(res.status, 200);
+  const of = (table, leadId) => store.rows(table).filter(r => r.lead_id === leadId);
+  assert.equal(of('outreach_drafts', target.id).length, 1);
+  // the review both listings carried is kept once
+  assert.deepEqual(of('lead_reviews', target.id).map(r => r.review_id), ['shared', 'own']);
+  assert.equal(of('lead_reviews', source.id).length, 0);
+  assert.equal(leadByPlace('ChIJ-bright-smile-rr').pain_points.reviewsAnalyzed, 2);
+  // one audit per lead: the target keeps its own
+  assert.deepEqual(of('lead_site_audits', target.id), [targetAudit]);
+  assert.equal(of('lead_site_audits', source.id).length, 0);
+  assert.equal(of('lead_usage', source.id).length, 0);
+
+  const [manual] = eventsFor(target.id, 'merged').filter(e => e.payload.mode === 'manual' && e.payload.fromLeadId === source.id).slice(-1);
+  assert.equal((await api('POST', `/api/leads/${target.id}/split`, { eventId: manual.id })).status, 200);
+  const restored = leadByPlace('ChIJ-rr-family');
+  assert.equal(of('outreach_drafts', restored.id).length, 1);
+  assert.equal(of('outreach_drafts', target.id).length, 0);
+  assert.deepEqual(of('lead_reviews', restored.id).map(r => r.review_id), ['own']);
+  assert.deepEqual(of('lead_reviews', target.id).map(r => r.review_id), ['shared']);
+  assert.deepEqual(of('lead_site_audits', target.id), [targetAudit]);
+  assert.deepEqual(of('lead_usage', restored.id).map(u => u.id), usage);
+});
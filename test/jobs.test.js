@@ -0,0 +1,84 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createJobQueue } = require('../jobs');
+const { createMemoryStore } = require('../providers/memory-store');
+
+/** A store whose next `failures` job outcome writes come back with an error */
+function flakyStore(failures) {
+  const store = createMemoryStore();
+  return {
+    store,
+    from(table) {
+      const q = store.from(table);
+      const update = q.update.bind(q);
+      q.update = (payload) => {
+        if (table === 'lead_jobs' && 'finished_at' in payload && failures > 0) {
+          failures--;
+          q.then = (resolve) => resolve({ data: null, error: { message: 'connection reset' } });
+        }
+        return update(payload);
+      };
+      return q;
+    }
+  };
+}
+
+async function drain(store, runId, n) {
+  const until = Date.now() + 5000;
+  while (Date.now() < until) {
+    const jobs = store.rows('lead_jobs').filter(j => j.run_id === runId);
+    if (jobs.length === n && jobs.every(j => !['pending', 'running'].includes(j.status))) return jobs;
+    await new Promise(r => setTimeout(r, 10));
+  }
+  throw new Error('jobs did not settle');
+}
+
+test('a failed outcome write retries the job instead of crashing the worker', async () => {
+  mock.method(console, 'warn', () => {});
+  mock.method(console, 'error', () => {});
+  const db = flakyStore(1);
+  const queue = createJobQueue({ supabase: db, handler: async () => ({}), concurrency: 1, baseDelayMs: 1, pollMs: 5 });
+  queue.start();
+  await queue.enqueue('run-1', [{ n: 1 }, { n: 2 }]);
+  const jobs = await drain(db.store, 'run-1', 2);
+  queue.stop();
+  mock.restoreAll();
+  assert.deepEqual(jobs.map(j => [j.status, j.attempts]), [['succeeded', 2], ['succeeded', 1]]);
+});
+
+test('a job whose outcome cannot be recorded is reclaimed once its lock expires', async () => {
+  mock.method(console, 'warn', () => {});
+  mock.method(console, 'log', () => {});
+  const errors = mock.method(console, 'error', () => {});
+  const db = flakyStore(2);
+  const runs = [];
+  const handler = async (job) => { runs.push(job.item.n); };
+  const queue = createJobQueue({ supabase: db, handler, concurrency: 1, baseDelayMs: 1, pollMs: 5, lockTtlMs: 50 });
+  queue.start();
+  await queue.enqueue('run-2', [{ n: 1 }, { n: 2 }]);
+  const jobs = await drain(db.store, 'run-2', 2);
+  queue.stop();
+  mock.restoreAll();
+  // the first job's success and failure writes were both lost; it ran again after the lock expired
+  assert.deepEqual(jobs.map(j => j.status), ['succeeded', 'succeeded']);
+  assert.deepEqual(runs, [1, 2, 1]);
+  assert.match(errors.mock.calls[0].arguments[0], /job outcome not recorded/);
+});
+
+test('a running job that keeps finishing stages is not reclaimed', async () => {
+  const db = flakyStore(0);
+  let runs = 0;
+  const handler = async (job, stage) => {
+    runs++;
+    for (const name of ['a', 'b', 'c', 'd']) {
+      await new Promise(r => setTimeout(r, 30));
+      await stage.complete(name);
+    }
+  };
+  const queue = createJobQueue({ supabase: db, handler, concurrency: 2, baseDelayMs: 1, pollMs: 5, lockTtlMs: 60 });
+  queue.start();
+  await queue.enqueue('run-3', [{ n: 1 }]);
+  const [job] = await drain(db.store, 'run-3', 1);
+  queue.stop();
+  assert.deepEqual([job.status, runs], ['succeeded', 1]);
+});
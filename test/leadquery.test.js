@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseLeadQuery, needsTechJoin, applyLeadQuery, shapeLead, encodeCursor, decodeCursor, pgValue } = require('../leadquery');
+const { createMemoryStore } = require('../providers/memory-store');
+
+test('query strings parse into normalized filters with clamped limits', () => {
+  const search = parseLeadQuery({ tech_tier: 'gold,silver', llm_specialties: 'Implants', has_patient_portal: 'false', limit: '500', dir: 'ASC', sort: 'rating' });
+  assert.deepEqual(search.filters.tech_tier, ['GOLD', 'SILVER']);
+  assert.deepEqual(search.filters.llm_specialties, ['implants']);
+  assert.deepEqual(search.filters.flags, { has_patient_portal: false });
+  assert.deepEqual([search.sort, search.dir, search.limit, search.cursor], ['rating', 'asc', 200, null]);
+  assert.equal(needsTechJoin(search.filters), true);
+  assert.equal(needsTechJoin(parseLeadQuery({ city: 'Austin' }).filters), false);
+
+  assert.throws(() => parseLeadQuery({ sort: 'created_at' }), /sort must be one of/);
+  assert.throws(() => parseLeadQuery({ cursor: 'not-a-cursor' }), /invalid cursor/);
+});
+
+test('cursors round-trip and filter values are quoted for PostgREST', () => {
+  const cursor = encodeCursor({ id: 'l1', final_score: 72 }, 'final_score');
+  assert.deepEqual(decodeCursor(cursor), { v: 72, id: 'l1' });
+  assert.equal(decodeCursor(encodeCursor({ final_score: 72 }, 'final_score')), null);
+  assert.equal(pgValue('Smith, "Jr"'), '"Smith, \\"Jr\\""');
+  assert.equal(pgValue(3), '3');
+});
+
+test('keyset pages walk the whole result once, with unscored leads last', async () => {
+  const store = createMemoryStore();
+  const scores = { a: 90, b: 70, c: 70, d: null, e: 50, f: null };
+  for (const [id, final_score] of Object.entries(scores)) store.rows('dental_leads').push({ id, final_score, city: 'Austin' });
+  store.rows('dental_leads').push({ id: 'g', final_score: 99, city: 'Dallas' });
+
+  const seen = [];
+  let search = parseLeadQuery({ city: 'austin', limit: '2' });
+  for (;;) {
+    const { data, error } = await applyLeadQuery(store.from('dental_leads').select('*'), search);
+    assert.equal(error, null);
+    const page = data.slice(0, search.limit);
+    seen.push(...page.map(r => r.id));
+    if (data.length <= search.limit) break;
+    search = { ...search, cursor: decodeCursor(encodeCursor(page.at(-1), search.sort)) };
+  }
+  assert.deepEqual(seen, ['a', 'c', 'b', 'e', 'f', 'd']);
+});
+
+test('run searches go through the run events and rows come back flattened', async () => {
+  const store = createMemoryStore();
+  store.rows('dental_leads').push({ id: 'l1', final_score: 1 }, { id: 'l2', final_score: 2 });
+  store.rows('lead_events').push(
+    { lead_id: 'l1', event_type: 'created', payload: { runId: 'cell-1' } },
+    { lead_id: 'l2', event_type: 'rescored', payload: { runId: 'cell-1' } }
+  );
+  store.rows('lead_tech_analysis').push({ lead_id: 'l1', tech_score: 40 });
+  store.rows('lead_contacts').push({ lead_id: 'l1', channel: 'email', value: 'a@b.example', is_best: true });
+
+  const q = store.from('dental_leads')
+    .select('*, lead_tech_analysis(*), lead_contacts(channel, value), lead_events!inner(event_type)')
+    .eq('lead_contacts.is_best', true);
+  const { data } = await applyLeadQuery(q, parseLeadQuery({ run_id: 'grid-1' }), { runIds: ['grid-1', 'cell-1'] });
+  assert.deepEqual(data.map(r => r.id), ['l1']);
+
+  const lead = shapeLead(data[0]);
+  assert.equal(lead.tech.tech_score, 40);
+  assert.deepEqual(lead.best_contact, { channel: 'email', value: 'a@b.example' });
+  assert.equal(lead.lead_events, undefined);
+});
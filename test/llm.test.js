@@ -0,0 +1,73 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Anthropic = require('@anthropic-ai/sdk');
+const { enrichWithLLM, validateExtraction, estimateLlmCostUsd, EXTRACTION_TOOL } = require('../llm');
+
+const valid = {
+  specialties: ['implants', 'cosmetic', 'implants'],
+  doctor_names: ['Dr. Jane Smith', ' Dr. Raj Patel '],
+  location_count: 2,
+  payment_model: 'fee_for_service',
+  site_outdated: false,
+  notes: 'Promotes same-day implants.',
+  confidence: { specialties: 0.9, payment_model: 0.6 }
+};
+
+test('valid tool input is cleaned up and filled with defaults', () => {
+  const { value, errors } = validateExtraction(valid);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(value.specialties, ['implants', 'cosmetic']);
+  assert.deepEqual(value.doctor_names, ['Dr. Jane Smith', 'Dr. Raj Patel']);
+  // the count falls back to the named dentists
+  assert.deepEqual([value.doctor_count, value.location_count, value.languages, value.payment_signals], [2, 2, [], []]);
+  assert.deepEqual(value.confidence, { specialties: 0.9, payment_model: 0.6 });
+});
+
+test('every schema violation is reported, and the value keeps only what passed', () => {
+  const { value, errors } = validateExtraction({
+    specialties: ['implants', 'botox'],
+    doctor_count: -1,
+    location_count: 0,
+    languages: 'Spanish',
+    payment_model: 'cash',
+    site_outdated: 'yes',
+    notes: 42,
+    confidence: { specialties: 1.5 }
+  });
+  assert.deepEqual(errors, [
+    'specialties not allowed: botox (allowed: cosmetic, aligners, implants, sedation, ortho, perio, prostho, endo)',
+    'doctor_count must be a non-negative integer or null',
+    'location_count must be a positive integer or null',
+    'languages must be an array of strings',
+    'payment_model must be one of insurance, fee_for_service, mixed, unknown',
+    'site_outdated must be a boolean',
+    'notes must be a string',
+    'confidence.specialties must be a number between 0 and 1'
+  ]);
+  assert.deepEqual([value.specialties, value.payment_model, value.site_outdated, value.notes], [['implants'], 'unknown', null, '']);
+  assert.deepEqual(validateExtraction(null), { value: null, errors: ['tool input must be an object'] });
+});
+
+test('a malformed extraction is sent back with its errors and retried', async () => {
+  const messages = Object.getPrototypeOf(new Anthropic({ apiKey: 'test' }).messages);
+  const replies = [
+    { ...valid, payment_model: 'cash' },
+    valid
+  ];
+  const create = mock.method(messages, 'create', async () => ({
+    content: [{ type: 'tool_use', id: `call-${create.mock.callCount()}`, name: EXTRACTION_TOOL.name, input: replies.shift() }],
+    usage: { input_tokens: 1000, output_tokens: 100 }
+  }));
+
+  const out = await enrichWithLLM({ siteText: 'We place implants.' });
+  create.mock.restore();
+  assert.deepEqual([out.valid, out.model, out.escalations], [true, 'claude-3-5-haiku-latest', 0]);
+  assert.equal(out.payment_model, 'fee_for_service');
+  assert.equal(out.usage.length, 2);
+
+  const retry = create.mock.calls[1].arguments[0].messages;
+  assert.equal(retry.length, 3);
+  assert.equal(retry[2].content[0].tool_use_id, 'call-0');
+  assert.match(retry[2].content[0].content, /payment_model must be one of/);
+  assert.equal(+estimateLlmCostUsd(out.usage).toFixed(4), 0.0024);
+});
@@ -0,0 +1,100 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { METERS_PER_MILE, geohash, geohashBounds, inBox, marketAreas, compareToPeers, marketGrid } = require('../market');
+const { makeProfile, scoreLead } = require('../scoring');
+const { start, stop, api, runFixture, leadByPlace } = require('./helpers');
+
+const at = (id, lat, lng, tech, extra = {}) => ({ id, name: id, latitude: lat, longitude: lng, tech, ...extra });
+const booking = { has_online_scheduling: true };
+
+test('geohash encodes and bounds round-trip', () => {
+  assert.equal(geohash(57.64911, 10.40744, 11), 'u4pruydqqvj');
+  const b = geohashBounds('9v6kp');
+  assert.equal(geohash((b.north + b.south) / 2, (b.east + b.west) / 2, 5), '9v6kp');
+});
+
+test('run leads collapse into one area per geohash cell, wide enough for their neighbours and those peers', () => {
+  const areas = marketAreas([
+    at('a', 30.2672, -97.7431), at('b', 30.2673, -97.7432), at('c', 30.5, -97.6), at('nowhere', null, null)
+  ], 3 * METERS_PER_MILE);
+  assert.deepEqual(areas.map(a => a.geohash), [geohash(30.2672, -97.7431, 5), geohash(30.5, -97.6, 5)]);
+  const [downtown] = areas;
+  // a lead 2.5 miles out is affected; its peer another 2.5 miles further is loaded too
+  assert.ok(inBox(at('near', 30.2672 + 2.5 / 69, -97.7431), downtown.affected));
+  assert.ok(inBox(at('peer', 30.2672 + 5 / 69, -97.7431), downtown.load));
+  assert.equal(inBox(at('far', 30.2672 + 12 / 69, -97.7431), downtown.load), false);
+});
+
+test('a practice lagging every nearby peer gets a callout and market pressure', () => {
+  const lead = at('me', 30.2672, -97.7431, { has_online_scheduling: false });
+  const peers = [
+    at('a', 30.2700, -97.7400, booking, { tech_tier: 'GOLD' }),
+    at('b', 30.2600, -97.7500, booking, { tech_tier: 'SILVER', affiliation: 'Aspen Dental' }),
+    at('c', 30.2750, -97.7350, booking, { tech_tier: 'GOLD' }),
+    at('far', 30.5000, -97.7431, {}) // ~16 miles north
+  ];
+  const m = compareToPeers(lead, peers, { radiusMiles: 3 });
+  assert.deepEqual(m.peers.map(p => p.id), ['a', 'b', 'c']);
+  assert.deepEqual(m.tiers, { GOLD: 2, SILVER: 1 });
+  assert.equal(m.dsoPeers, 1);
+  assert.equal(m.callouts[0].text, 'only practice within 3 miles without online booking');
+  assert.equal(m.adoption.has_online_scheduling.peerRate, 1);
+  // lacks all 7 flags; peers have 1 of them → 1/7 ≈ 14
+  assert.equal(m.marketScore, 14);
+
+  assert.equal(compareToPeers(lead, peers.slice(0, 2)).marketScore, null);
+});
+
+test('market score only counts when a profile weights it', () => {
+  const lead = { rating: 4.5, review_count: 100, market_score: 80 };
+  const base = scoreLead(lead, {});
+  const weighted = scoreLead(lead, {}, makeProfile({ blend: { tech: 0.3, booking: 0.1, rating: 0.15, reviews: 0.1, specialty: 0.15, market: 0.2 } }));
+  assert.equal(base.ss.sMarket, 80);
+  assert.equal(weighted.ss.final - base.ss.final, 16);
+});
+
+test('grid cells aggregate density and adoption', () => {
+  const cells = marketGrid([
+    at('a', 30.2672, -97.7431, booking, { final_score: 60 }),
+    at('b', 30.2673, -97.7432, {}, { final_score: 40 }),
+    at('c', 30.5, -97.6, null)
+  ], { precision: 5 });
+  assert.equal(cells.length, 2);
+  assert.equal(cells[0].practices, 2);
+  assert.equal(cells[0].avgFinalScore, 50);
+  assert.equal(cells[0].adoption.has_online_scheduling, 0.5);
+  assert.equal(cells[1].adoption.has_online_scheduling, null);
+});
+
+before(async () => {
+  await start();
+  await runFixture({ location: 'Austin, TX' });
+});
+
+after(stop);
+
+test('market endpoints report peers around a lead and a regional grid', async () => {
+  const bright = leadByPlace('ChIJ-bright-smile');
+  assert.ok('market_summary' in bright);
+
+  const res = await api('GET', `/api/leads/${bright.id}/market?radiusMiles=10`);
+  assert.equal(res.status, 200);
+  assert.ok(res.body.market.peers.some(p => p.id === leadByPlace('ChIJ-oak-hill').id));
+  assert.equal(res.body.market.peers.some(p => p.id === bright.id), false);
+  assert.equal((await api('GET', `/api/leads/${bright.id}/market?radiusMiles=0`)).status, 400);
+
+  const grid = await api('GET', '/api/market/grid?north=30.6&south=30.1&east=-97.6&west=-98.1&precision=4');
+  assert.equal(grid.status, 200);
+  assert.equal(grid.body.practices, 5);
+  assert.equal(grid.body.cells.reduce((n, c) => n + c.practices, 0), 5);
+  assert.equal((await api('GET', '/api/market/grid?north=30&south=31&east=-97&west=-98')).status, 400);
+});
+
+test('market scores are refreshed once the run settles, so enrichment order does not matter', async () => {
+  for (const placeId of ['ChIJ-bright-smile', 'ChIJ-oak-hill', 'ChIJ-lakeway-implants']) {
+    const lead = leadByPlace(placeId);
+    const { body } = await api('GET', `/api/leads/${lead.id}/market`);
+    assert.equal(lead.market_summary.peers, body.market.peers.length, placeId);
+    assert.equal(lead.market_score, body.market.marketScore, placeId);
+  }
+});
@@ -0,0 +1,119 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { outreachVars, renderDraft, makeTemplate, DEFAULT_TEMPLATE } = require('../outreach');
+const { providers, store, start, stop, api, runFixture, leadByPlace } = require('./helpers');
+
+const lead = {
+  name: 'Bright Smile Dental', city: 'Austin', rating: 4.9, review_count: 240,
+  tech: { has_online_scheduling: true, has_patient_portal: false, has_text_reminders: false, llm_specialties: ['cosmetic', 'implants'], llm_doctor_names: ['Dr. Ana Ruiz'] }
+};
+
+test('drafts name the missing capabilities, specialties and city', () => {
+  const vars = outreachVars(lead, { senderName: 'Sam' });
+  assert.equal(vars.top_gap, 'a patient portal');
+  assert.equal(vars.missing_list, 'a patient portal, text reminders or digital intake forms');
+
+  const draft = renderDraft(DEFAULT_TEMPLATE, vars);
+  assert.equal(draft.subject, 'A patient portal for Bright Smile Dental?');
+  assert.match(draft.body, /^Hi Dr\. Ana Ruiz,/);
+  assert.match(draft.body, /cosmetic dentistry or implants/);
+  assert.match(draft.call_script, /We help Austin practices focused on cosmetic dentistry add a patient portal/);
+});
+
+test('a lead without tech analysis claims no gaps', () => {
+  const vars = outreachVars({ name: 'New Lead' });
+  assert.equal(vars.missing_list, 'a few patient-facing tools');
+  assert.equal(vars.greeting_name, 'there');
+  // a social best contact is labelled with its network, not a person
+  assert.equal(outreachVars({ name: 'New Lead', best_contact: { channel: 'social', label: 'facebook' } }).greeting_name, 'there');
+});
+
+test('templates reject unknown variables', () => {
+  assert.throws(() => makeTemplate({ email: { subject: 'Hi {{first_name}}' } }), /unknown variable \{\{first_name\}\}/);
+  assert.equal(makeTemplate({ call_script: 'Ask for {{doctor_name}}' }, { name: 'short' }).email.subject, DEFAULT_TEMPLATE.email.subject);
+});
+
+before(async () => {
+  await start();
+  await runFixture({ location: 'Austin, TX' });
+});
+
+after(stop);
+
+test('drafts are stored with their template version and can be rewritten by the model', async () => {
+  const bad = await api('POST', '/api/outreach-templates', { name: 'implants', config: { email: { subject: '{{nope}}' } } });
+  assert.equal(bad.status, 400);
+
+  for (const subject of ['About {{practice_name}}', 'Quick question for {{practice_name}}']) {
+    assert.equal((await api('POST', '/api/outreach-templates', { name: 'implants', config: { email: { subject } } })).status, 200);
+  }
+
+  const bright = leadByPlace('ChIJ-bright-smile');
+  const res = await api('POST', `/api/leads/${bright.id}/outreach`, { template: 'implants', rewrite: true });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.draft.template_version, 2);
+  assert.equal(res.body.draft.subject, 'Quick question for Bright Smile Dental');
+  assert.equal(res.body.draft.rewritten, true);
+  assert.match(res.body.draft.body, /\(rewritten\)$/);
+  assert.ok(providers.llm.calls.some(c => c.rewrite === 'Bright Smile Dental'));
+
+  const pinned = await api('POST', `/api/leads/${bright.id}/outreach`, { template: 'implants', version: 1 });
+  assert.equal(pinned.body.draft.subject, 'About Bright Smile Dental');
+  assert.equal(pinned.body.draft.rewritten, false);
+  assert.equal((await api('POST', `/api/leads/${bright.id}/outreach`, { template: 'implants', version: 'abc' })).status, 400);
+  assert.equal((await api('GET', '/api/outreach-templates/implants?version=-1')).status, 400);
+
+  const { body } = await api('GET', `/api/leads/${bright.id}/outreach`);
+  assert.equal(body.drafts.length, 2);
+  assert.equal(store.rows('lead_events').filter(e => e.lead_id === bright.id && e.event_type === 'outreach_drafted').length, 2);
+});
+
+test('rewrites count toward the daily LLM budget and are skipped once it is spent', async () => {
+  const bright = leadByPlace('ChIJ-bright-smile');
+  const outreachUsage = () => store.rows('lead_usage').filter(u => u.lead_id === bright.id && u.stage === 'outreach');
+  const [used] = outreachUsage();
+  assert.ok(used.llm_input_tokens > 0, 'the earlier rewrite was recorded');
+  assert.equal(used.run_id, null);
+
+  const { body: today } = await api('GET', '/api/budget');
+  process.env.DAILY_BUDGET_LLM_TOKENS = String(today.spent.llmTokens);
+  const calls = providers.llm.calls.length;
+  const res = await api('POST', `/api/leads/${bright.id}/outreach`, { template: 'implants', rewrite: true });
+  delete process.env.DAILY_BUDGET_LLM_TOKENS;
+  assert.equal(res.status, 200);
+  assert.deepEqual([res.body.draft.rewritten, res.body.draft.rewrite_skipped], [false, 'budget']);
+  assert.equal(res.body.draft.subject, 'Quick question for Bright Smile Dental');
+  assert.equal(providers.llm.calls.length, calls);
+  assert.equal(outreachUsage().length, 1);
+});
+
+test('a template save that loses the race for its version retries with the next one', async () => {
+  const from = store.from;
+  let lost = false;
+  const race = mock.method(store, 'from', (table) => {
+    const q = from(table);
+    if (table !== 'outreach_templates') return q;
+    const insert = q.insert.bind(q);
+    q.insert = (row) => {
+      if (!lost) store.rows('outreach_templates').push({ ...row, id: 'concurrent-save' });
+      lost = true;
+      return insert(row);
+    };
+    return q;
+  });
+  const saved = await api('POST', '/api/outreach-templates', { name: 'recall', config: {} });
+  race.mock.restore();
+  assert.equal(saved.status, 200);
+  assert.equal(saved.body.template.version, 2);
+  assert.deepEqual(store.rows('outreach_templates').filter(t => t.name === 'recall').map(t => t.version), [1, 2]);
+});
+
+test('batch drafting takes a lead filter', async () => {
+  const res = await api('POST', '/api/outreach/drafts', { filters: { city: 'Austin' }, limit: 2 });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.drafts.length, 2);
+  assert.deepEqual(res.body.template, { name: 'default', version: 0 });
+
+  assert.equal((await api('POST', '/api/outreach/drafts', {})).status, 400);
+  assert.equal((await api('POST', '/api/outreach/drafts', { leadIds: ['x'], template: 'missing' })).status, 404);
+});
@@ -0,0 +1,161 @@
+/**
+ * End-to-end: /api/generate → webhook → jobs (upsertLead, crawl, contacts, LLM,
+ * saveTechMvp, rescore) against offline providers and the Austin fixtures.
+ */
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { providers, store, start, stop, api, generate, waitForRun, leadByPlace, eventsFor } = require('./helpers');
+
+let runId;
+let webhookSecret;
+
+before(async () => {
+  await start();
+  ({ runId, secret: webhookSecret } = await generate({
+    location: 'Austin, TX',
+    preset: 'cosmetic',
+    excludeKeywords: ['pediatric']
+  }));
+});
+
+after(stop);
+
+test('webhook rejects a wrong secret and unknown runs', async () => {
+  const bad = await api('POST', '/api/apify/webhook?secret=nope', { resource: { id: runId } });
+  assert.equal(bad.status, 401);
+
+  const unknown = await api('POST', `/api/apify/webhook?secret=${webhookSecret}`, { resource: { id: 'no-such-run' } });
+  assert.equal(unknown.status, 404);
+});
+
+test('webhook processes the run once and the summary adds up', async () => {
+  const hit = await api('POST', `/api/apify/webhook?secret=${webhookSecret}`, { eventType: 'ACTOR.RUN.SUCCEEDED', resource: { id: runId } });
+  assert.equal(hit.status, 200);
+  assert.equal(hit.body.duplicate, undefined);
+
+  const { run, summary } = await waitForRun(runId);
+  assert.equal(run.status, 'succeeded');
+  assert.equal(run.webhook_secret_hash, undefined);
+  assert.equal(summary.itemsFetched, 6);
+  assert.deepEqual(summary.leads.filteredOut, { chain: 1, includeKeywords: 0, excludeKeywords: 1, suppressed: 0 });
+  assert.equal(summary.leads.inserted, 5);
+  assert.equal(summary.leads.updated, 1);
+  assert.deepEqual(summary.failuresByStage, {});
+});
+
+test('duplicate places collapse into one lead and chains are classified, not enriched', () => {
+  const leads = store.rows('dental_leads');
+  assert.equal(leads.filter(l => l.google_place_id === 'ChIJ-bright-smile').length, 1);
+  assert.equal(leads.length, 5);
+
+  const aspen = leadByPlace('ChIJ-aspen-austin');
+  assert.equal(aspen.affiliation, 'Aspen Dental');
+  assert.deepEqual(aspen.affiliation_evidence.map(e => e.signal), ['name', 'site_mention']);
+  assert.equal(store.rows('lead_tech_analysis').some(t => t.lead_id === aspen.id), false);
+  assert.equal(leadByPlace('ChIJ-bright-smile').affiliation, 'independent');
+});
+
+test('keyword-filtered leads are upserted but never enriched', () => {
+  const lead = leadByPlace('ChIJ-little-teeth');
+  assert.ok(lead);
+  assert.equal(lead.final_score, undefined);
+  assert.equal(store.rows('lead_tech_analysis').some(t => t.lead_id === lead.id), false);
+  assert.equal(eventsFor(lead.id, 'created').length, 0);
+});
+
+test('features come from subpages and fingerprinted vendors', () => {
+  const bright = leadByPlace('ChIJ-bright-smile');
+  const tech = store.rows('lead_tech_analysis').find(t => t.lead_id === bright.id);
+  assert.deepEqual(tech.technologies, ['onlineScheduling', 'patientPortal', 'textReminders', 'digitalForms']);
+  assert.equal(tech.feature_sources.has_online_scheduling, 'https://www.brightsmile.example');
+  assert.equal(tech.feature_sources.has_digital_forms, 'https://www.brightsmile.example/new-patients');
+  assert.deepEqual(tech.tech_vendors.map(v => v.vendor).sort(), ['Google Analytics', 'NexHealth', 'WordPress']);
+  assert.deepEqual(tech.llm_specialties, ['cosmetic', 'aligners']);
+
+  const lakeway = leadByPlace('ChIJ-lakeway-implants');
+  const lakewayTech = store.rows('lead_tech_analysis').find(t => t.lead_id === lakeway.id);
+  assert.deepEqual(lakewayTech.technologies, ['onlinePayments', 'advancedDentalTech']);
+  assert.equal(lakewayTech.feature_sources.has_online_payments, 'https://lakewayimplants.example/financing');
+});
+
+test('leads land in the expected tiers', () => {
+  const tiers = Object.fromEntries(store.rows('dental_leads')
+    .filter(l => l.tech_tier)
+    .map(l => [l.google_place_id, [l.tech_tier, l.qualification_status, l.final_score]]));
+  assert.deepEqual(tiers, {
+    'ChIJ-bright-smile': ['GOLD', 'HOT', 79],
+    'ChIJ-oak-hill': ['BASIC', 'COLD', 11],
+    'ChIJ-lakeway-implants': ['BRONZE', 'COOL', 34]
+  });
+});
+
+test('each enriched lead gets contacts, rescored and created events', () => {
+  const bright = leadByPlace('ChIJ-bright-smile');
+  // processed twice (duplicate place) → two of each, but only the first one created it
+  assert.equal(eventsFor(bright.id, 'created').length, 1);
+  assert.equal(eventsFor(bright.id, 'rescanned').length, 1);
+  assert.equal(eventsFor(bright.id, 'rescored').length, 2);
+  assert.equal(eventsFor(bright.id, 'contacts_found').length, 2);
+  assert.equal(eventsFor(bright.id, 'created')[0].payload.runId, runId);
+
+  const best = store.rows('lead_contacts').find(c => c.lead_id === bright.id && c.is_best);
+  assert.equal(best.value, 'jane.smith@brightsmile.example');
+
+  const oak = leadByPlace('ChIJ-oak-hill');
+  assert.deepEqual(eventsFor(oak.id).map(e => e.event_type).sort(), ['contacts_found', 'created', 'rescored']);
+});
+
+test('a replayed webhook is acknowledged as a duplicate and changes nothing', async () => {
+  const before = store.rows('lead_events').length;
+  const replay = await api('POST', `/api/apify/webhook?secret=${webhookSecret}`, { resource: { id: runId } });
+  assert.equal(replay.status, 200);
+  assert.equal(replay.body.duplicate, true);
+  await new Promise(r => setTimeout(r, 50));
+  assert.equal(store.rows('lead_events').length, before);
+});
+
+test('lead search filters, sorts and paginates with a cursor', async () => {
+  const first = await api('GET', '/api/leads?sort=final_score&limit=1');
+  assert.equal(first.status, 200);
+  assert.equal(first.body.items[0].name, 'Bright Smile Dental');
+  assert.equal(first.body.items[0].best_contact.value, 'jane.smith@brightsmile.example');
+  assert.ok(first.body.nextCursor);
+
+  const second = await api('GET', `/api/leads?sort=final_score&limit=1&cursor=${first.body.nextCursor}`);
+  assert.equal(second.body.items[0].name, 'Lakeway Implant Center');
+
+  const noBooking = await api('GET', '/api/leads?has_online_scheduling=false');
+  assert.deepEqual(noBooking.body.items.map(l => l.name).sort(), ['Lakeway Implant Center', 'Oak Hill Family Dentistry']);
+
+  const hot = await api('GET', `/api/leads?qualification_status=hot&run_id=${runId}`);
+  assert.deepEqual(hot.body.items.map(l => l.name), ['Bright Smile Dental']);
+});
+
+test('a webhook that lands before the actor start returns still finds its run', async () => {
+  const startPlaces = providers.actors.startPlaces;
+  const early = mock.method(providers.actors, 'startPlaces', async (input, opts) => {
+    const run = await startPlaces(input, opts);
+    const secret = new URL(opts.webhooks[0].requestUrl).searchParams.get('secret');
+    const hit = await api('POST', `/api/apify/webhook?secret=${secret}`, { resource: { id: run.id } });
+    assert.equal(hit.status, 200);
+    return run;
+  });
+  const res = await api('POST', '/api/generate', { location: 'Round Rock, TX' });
+  early.mock.restore();
+  assert.equal(res.status, 200);
+
+  const { run, summary } = await waitForRun(res.body.runId);
+  assert.equal(run.status, 'succeeded');
+  assert.ok(summary.itemsFetched > 0);
+  assert.equal(store.rows('lead_runs').filter(r => r.status === 'starting').length, 0);
+});
+
+test('a run whose actor never starts is recorded as failed', async () => {
+  const down = mock.method(providers.actors, 'startPlaces', async () => { throw new Error('apify unavailable'); });
+  const res = await api('POST', '/api/generate', { location: 'Round Rock, TX' });
+  down.mock.restore();
+  assert.equal(res.status, 500);
+  const failed = store.rows('lead_runs').at(-1);
+  assert.deepEqual([failed.status, failed.error], ['failed', 'actor start failed: apify unavailable']);
+  assert.match(failed.run_id, /^starting-/);
+});
@@ -0,0 +1,61 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyReview, painPoints, reviewFromItem } = require('../reviews');
+const { scoreLead, makeProfile } = require('../scoring');
+const { providers, start, stop, api, runFixture, leadByPlace } = require('./helpers');
+
+test('reviews are classified into themes with a sentence-level quote', () => {
+  const themes = classifyReview('Lovely staff. But I waited over an hour and no one answered when I called back! Would return.');
+  assert.deepEqual(themes.map(t => t.theme), ['phone_unreachable', 'long_waits']);
+  assert.equal(themes[0].quote, 'But I waited over an hour and no one answered when I called back!');
+  assert.deepEqual(classifyReview('Great experience, painless filling.'), []);
+});
+
+test('pain points count themes, keep the harshest quotes and need enough reviews to score', () => {
+  const reviews = [
+    { review_id: 'a', rating: 4, text: 'Paperwork took a while.', themes: classifyReview('Paperwork took a while.') },
+    { review_id: 'b', rating: 1, text: 'Endless paperwork.', themes: classifyReview('Endless paperwork.') },
+    ...['c', 'd', 'e', 'f', 'g', 'h'].map(id => ({ review_id: id, rating: 5, text: 'Great.', themes: [] }))
+  ];
+  const out = painPoints(reviews);
+  assert.equal(out.themes.paperwork.count, 2);
+  assert.equal(out.themes.paperwork.quotes[0].review_id, 'b');
+  // 2 of 8 reviews = the 25% saturation point
+  assert.equal(out.painScore, 100);
+  assert.equal(painPoints(reviews.slice(0, 3)).painScore, null);
+});
+
+test('review ids are stable without a reviewId and pain only scores when weighted', () => {
+  const r = { name: 'A', publishedAtDate: '2024-01-01', text: 'x' };
+  assert.equal(reviewFromItem(r).review_id, reviewFromItem({ ...r }).review_id);
+
+  const lead = { rating: 4, review_count: 50, pain_score: 100 };
+  const profile = makeProfile({ blend: { tech: 0.3, booking: 0.15, rating: 0.15, reviews: 0.1, specialty: 0.1, pain: 0.2 } });
+  assert.equal(scoreLead(lead, {}, profile).ss.final - scoreLead(lead, {}).ss.final, 20);
+});
+
+before(async () => {
+  await start();
+  await runFixture({ location: 'Austin, TX' });
+});
+
+after(stop);
+
+test('reviews are requested, stored per lead and rolled up onto it', async () => {
+  const started = providers.actors.started.at(-1);
+  assert.equal(started.input.maxReviews, 20);
+
+  const lead = leadByPlace('ChIJ-oak-hill');
+  assert.equal(lead.pain_points.reviewsAnalyzed, 6);
+  assert.equal(lead.pain_points.painReviews, 3);
+  assert.equal(lead.pain_score, 100);
+  assert.deepEqual(Object.keys(lead.pain_points.themes).sort(), ['booking_friction', 'missed_reminders', 'paperwork', 'phone_unreachable']);
+  assert.equal(lead.pain_points.themes.phone_unreachable.count, 2);
+  assert.equal(lead.pain_points.themes.phone_unreachable.quotes[0].quote, 'Nobody answers the phone.');
+
+  const { body } = await api('GET', `/api/leads/${lead.id}/reviews?theme=paperwork`);
+  assert.deepEqual(body.items.map(r => r.review_id), ['oh-2']);
+  assert.equal((await api('GET', `/api/leads/${lead.id}/reviews?theme=parking`)).status, 400);
+
+  assert.equal(leadByPlace('ChIJ-bright-smile').pain_score, undefined);
+});
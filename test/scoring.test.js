@@ -0,0 +1,58 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { makeProfile } = require('../scoring');
+const { start, stop, api, store } = require('./helpers');
+
+before(start);
+after(stop);
+
+test('concurrent saves of a profile each get their own version', async () => {
+  const config = { blend: { tech: 0.4, booking: 0.1, rating: 0.2, reviews: 0.1, specialty: 0.2 } };
+  const saved = await Promise.all([1, 2, 3].map(() => api('POST', '/api/scoring-profiles', { name: 'implants', config })));
+  assert.deepEqual(saved.map(r => r.status), [200, 200, 200]);
+  assert.deepEqual(saved.map(r => r.body.profile.version).sort(), [1, 2, 3]);
+
+  const pinned = await api('GET', '/api/scoring-profiles/implants?version=2');
+  assert.equal(pinned.body.profile.version, 2);
+});
+
+test('a save that loses the race for its version retries with the next one', async () => {
+  // another save lands between reading the latest version and inserting ours
+  const from = store.from;
+  let lost = false;
+  const race = mock.method(store, 'from', (table) => {
+    const q = from(table);
+    if (table !== 'scoring_profiles') return q;
+    const insert = q.insert.bind(q);
+    q.insert = (row) => {
+      if (!lost) store.rows('scoring_profiles').push({ ...row, id: 'concurrent-save' });
+      lost = true;
+      return insert(row);
+    };
+    return q;
+  });
+  const saved = await api('POST', '/api/scoring-profiles', { name: 'ortho', config: {} });
+  race.mock.restore();
+  assert.equal(saved.status, 200);
+  assert.equal(saved.body.profile.version, 2);
+  assert.deepEqual(store.rows('scoring_profiles').filter(p => p.name === 'ortho').map(p => p.version), [1, 2]);
+});
+
+test('profile versions must be non-negative integers', async () => {
+  for (const v of ['abc', '-1', '1.5']) {
+    const res = await api('GET', `/api/scoring-profiles/implants?version=${v}`);
+    assert.equal(res.status, 400, v);
+    assert.match(res.body.error, /version must be a non-negative integer/);
+  }
+  assert.equal((await api('POST', '/api/scoring-profiles/implants/rescore', { version: 'latest', dryRun: true })).status, 400);
+});
+
+test('profiles with a misspelled feature are rejected instead of silently scoring nothing', async () => {
+  assert.throws(() => makeProfile({ features: { has_online_booking: 30 } }), /unknown feature key: has_online_booking/);
+  assert.equal(makeProfile({ features: { has_online_scheduling: 30 } }).features.has_online_scheduling, 30);
+
+  const res = await api('POST', '/api/scoring-profiles', { name: 'typo', config: { features: { has_online_booking: 30 } } });
+  assert.equal(res.status, 400);
+  assert.match(res.body.error, /unknown feature key: has_online_booking/);
+  assert.equal(store.rows('scoring_profiles').some(p => p.name === 'typo'), false);
+});
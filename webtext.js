@@ -20,25 +20,66 @@ function stripHtml(html){
     .trim();
 }
 
-async function fetchSiteText(url, timeoutMs = 12000){
+/**
+ * One page with its HTTP story: redirects followed by hand (up to maxRedirects)
+ * so the chain is recorded, plus status, timing, size and headers. Null on
+ * network failure; error statuses and non-HTML bodies come back with html null.
+ */
+async function fetchPage(url, { timeoutMs = 12000, maxRedirects = 5 } = {}){
   const norm = normalizeUrl(url);
-  if(!norm) return '';
+  if(!norm) return null;
   const controller = new AbortController();
   const t = setTimeout(()=>controller.abort(), timeoutMs);
+  const started = Date.now();
+  const redirects = [];
   try{
-    const res = await request(norm, {
-      method: 'GET',
-      headers: { 'user-agent': 'Mozilla/5.0 (LeadEngineBot)' },
-      signal: controller.signal
-    });
-    if(res.statusCode >= 400) return '';
-    const html = await res.body.text();
-    return stripHtml(html).slice(0, 15000);
+    let current = norm;
+    for(;;){
+      const res = await request(current, {
+        method: 'GET',
+        headers: { 'user-agent': 'Mozilla/5.0 (LeadEngineBot)' },
+        signal: controller.signal
+      });
+      const location = res.headers.location;
+      if(res.statusCode >= 300 && res.statusCode < 400 && location && redirects.length < maxRedirects){
+        await res.body.dump();
+        const next = new URL(String(location), current).toString();
+        redirects.push({ from: current, to: next, status: res.statusCode });
+        current = next;
+        continue;
+      }
+      const type = String(res.headers['content-type'] || '');
+      const isHtml = res.statusCode < 400 && (!type || /html|text/i.test(type));
+      let html = null;
+      if(isHtml) html = await res.body.text();
+      else await res.body.dump();
+      return {
+        url: norm,
+        finalUrl: current,
+        status: res.statusCode,
+        redirects,
+        elapsedMs: Date.now() - started,
+        bytes: html != null ? Buffer.byteLength(html) : Number(res.headers['content-length']) || null,
+        headers: res.headers,
+        html
+      };
+    }
   } catch {
-    return '';
+    return null;
   } finally {
     clearTimeout(t);
   }
 }
 
-module.exports = { fetchSiteText };
+/** Raw HTML of a page (skips error statuses and non-HTML bodies), or null on any failure */
+async function fetchHtml(url, timeoutMs = 12000){
+  const page = await fetchPage(url, { timeoutMs });
+  return page?.html != null ? { url: page.finalUrl, html: page.html } : null;
+}
+
+async function fetchSiteText(url, timeoutMs = 12000){
+  const page = await fetchHtml(url, timeoutMs);
+  return page ? stripHtml(page.html).slice(0, 15000) : '';
+}
+
+module.exports = { normalizeUrl, stripHtml, fetchPage, fetchHtml, fetchSiteText };